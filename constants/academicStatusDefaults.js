@@ -0,0 +1,28 @@
+// Academic statuses assigned per student per session, least to most severe.
+export const ACADEMIC_STATUSES = ['good_standing', 'probation', 'withdrawal_advised'];
+
+export const ACADEMIC_STATUS_LABELS = {
+  good_standing: 'Good Standing',
+  probation: 'Probation',
+  withdrawal_advised: 'Advised to Withdraw',
+};
+
+// Metric a rule compares against its threshold.
+export const ACADEMIC_STATUS_METRICS = ['CGPA', 'GPA'];
+
+// Rules used when no AcademicStatusPolicy has been configured for a programme: probation
+// when CGPA drops below 1.00, advised to withdraw when it stays below 1.00 for two
+// consecutive terms (i.e. the probation term did not lift it).
+export const DEFAULT_ACADEMIC_STATUS_RULES = [
+  { status: 'withdrawal_advised', metric: 'CGPA', below: 1.0, consecutiveTerms: 2 },
+  { status: 'probation', metric: 'CGPA', below: 1.0, consecutiveTerms: 1 },
+];
+
+export const DEFAULT_ACADEMIC_STATUS_POLICY = {
+  _id: null,
+  name: 'Default academic status rules',
+  programme: null,
+  effectiveFromSession: null,
+  rules: DEFAULT_ACADEMIC_STATUS_RULES,
+  isDefault: true,
+};
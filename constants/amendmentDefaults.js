@@ -0,0 +1,9 @@
+// What an amendment does to the locked result it targets
+export const AMENDMENT_ACTIONS = ['update', 'delete'];
+
+export const AMENDMENT_STATUSES = ['pending', 'applied', 'rejected', 'cancelled'];
+
+// Who may authorise an amendment, by role: the Dean, or an admin recording a Senate decision
+export const AMENDMENT_AUTHORITY_BY_ROLE = { DEAN: 'dean', ADMIN: 'senate' };
+
+export const AMENDMENT_AUTHORITIES = ['dean', 'senate'];
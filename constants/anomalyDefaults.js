@@ -0,0 +1,33 @@
+// Checks run over a course's result set (course + session + semester + level).
+export const RESULT_ANOMALY_CODES = [
+  'PASS_RATE_OUTLIER',
+  'IDENTICAL_SCORES',
+  'GRANDTOTAL_OVER_MAX',
+  'BOUNDARY_CLUSTERING',
+];
+
+export const RESULT_ANOMALY_LABELS = {
+  PASS_RATE_OUTLIER: 'Pass rate far from course history',
+  IDENTICAL_SCORES: 'Many identical scores',
+  GRANDTOTAL_OVER_MAX: 'Grand total above maximum',
+  BOUNDARY_CLUSTERING: 'Scores clustered just under a grade boundary',
+};
+
+// open: blocks Dean approval; acknowledged: reviewed with a note; resolved: no longer detected
+export const RESULT_ANOMALY_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+export const DEFAULT_ANOMALY_THRESHOLDS = {
+  // Sets smaller than this are too noisy for the statistical checks (over-max always runs)
+  minCohortSize: 10,
+  // Percentage points between this pass rate and the mean of earlier sessions
+  passRateDeviation: 25,
+  historySessions: 3,
+  // One grand total shared by at least this many students and this share of the set
+  identicalScoreMinCount: 5,
+  identicalScoreShare: 0.3,
+  // Marks just below a band's minScore, e.g. 38–39 under 40
+  boundaryWindow: 2,
+  boundaryMinCount: 5,
+  // Just-under count must be at least this multiple of the just-over count
+  boundaryRatio: 2,
+};
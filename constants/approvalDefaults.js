@@ -0,0 +1,13 @@
+// Approval stages of an AcademicMetrics record, in the order they must be completed.
+// `field` is the officer approval subdocument; `roles` may act on the stage (ADMIN can act
+// on any). A rejection sends the record back to the first stage.
+export const APPROVAL_STAGES = [
+  { key: 'ceo', field: 'ceoApproval', roles: ['EXAM_OFFICER', 'COLLEGE_OFFICER'], label: 'Exam Officer' },
+  { key: 'hod', field: 'hodApproval', roles: ['HOD'], label: 'Head of Department' },
+  { key: 'dean', field: 'deanApproval', roles: ['DEAN'], label: 'Dean' },
+];
+
+export const APPROVAL_ACTIONS = ['approve', 'reject', 'reset'];
+
+// Most records one bulk approval may cover
+export const BULK_APPROVAL_LIMIT = 1000;
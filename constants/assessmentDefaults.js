@@ -0,0 +1,25 @@
+// Question columns a result sheet can carry (q1..q8 on the Result model).
+export const QUESTION_FIELDS = ['q1', 'q2', 'q3', 'q4', 'q5', 'q6', 'q7', 'q8'];
+
+// Mark split used when a course has no assessment configuration; matches the
+// 30/70 limits the upload and manual entry code originally hard-coded.
+export const DEFAULT_ASSESSMENT_CONFIG = {
+  caMax: 30,
+  examMax: 70,
+  // Questions set on the paper, and how many of them a candidate may answer (null = all)
+  questionCount: QUESTION_FIELDS.length,
+  questionsToAnswer: null,
+};
+
+// Row-level codes reported when score components fail validation.
+export const SCORE_ISSUE_CODES = {
+  INVALID_NUMBER: 'INVALID_NUMBER',
+  NEGATIVE_SCORE: 'NEGATIVE_SCORE',
+  CA_EXCEEDS_MAX: 'CA_EXCEEDS_MAX',
+  EXAM_EXCEEDS_MAX: 'EXAM_EXCEEDS_MAX',
+  GRANDTOTAL_EXCEEDS_MAX: 'GRANDTOTAL_EXCEEDS_MAX',
+  QUESTION_NOT_SET: 'QUESTION_NOT_SET',
+  TOO_MANY_QUESTIONS: 'TOO_MANY_QUESTIONS',
+  QUESTIONS_EXAM_MISMATCH: 'QUESTIONS_EXAM_MISMATCH',
+  TOTAL_MISMATCH: 'TOTAL_MISMATCH',
+};
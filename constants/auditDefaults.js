@@ -0,0 +1,23 @@
+export const AUDITED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Action recorded when the route does not name one (see deriveAuditAction)
+export const AUDIT_ACTION_BY_METHOD = {
+  POST: 'create',
+  PUT: 'update',
+  PATCH: 'update',
+  DELETE: 'delete',
+};
+
+// Request fields whose values never reach the log
+export const AUDIT_REDACTED_KEY_PATTERN = /pass(word)?|token|secret|hash|otp|credential/i;
+
+export const DEFAULT_AUDIT_SETTINGS = {
+  // Request summaries keep this much of each value
+  maxStringLength: 200,
+  maxArrayItems: 20,
+  maxDepth: 3,
+  maxTargetIds: 50,
+  // Query API page size when none is asked for, and the most one page may hold
+  pageSize: 50,
+  maxPageSize: 200,
+};
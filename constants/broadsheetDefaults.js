@@ -0,0 +1,9 @@
+export const BROADSHEET_FORMATS = ['pdf', 'xlsx', 'json'];
+
+// Signature blocks at the foot of the broadsheet, in signing order; keys are the
+// Session.principalOfficers entries
+export const BROADSHEET_SIGNATORIES = [
+  { key: 'examOfficer', role: 'Examination Officer' },
+  { key: 'hod', role: 'Head of Department' },
+  { key: 'dean', role: 'Dean' },
+];
@@ -0,0 +1,43 @@
+// Degree classes a scheme may award, best first.
+export const DEGREE_CLASS_CODES = [
+  'FIRST_CLASS',
+  'SECOND_CLASS_UPPER',
+  'SECOND_CLASS_LOWER',
+  'THIRD_CLASS',
+  'PASS',
+];
+
+export const DEGREE_CLASS_LABELS = {
+  FIRST_CLASS: 'First Class',
+  SECOND_CLASS_UPPER: 'Second Class (Upper Division)',
+  SECOND_CLASS_LOWER: 'Second Class (Lower Division)',
+  THIRD_CLASS: 'Third Class',
+  PASS: 'Pass',
+};
+
+// How the final CGPA is reduced before it is compared against the bands.
+export const CGPA_ROUNDING_MODES = ['round', 'truncate'];
+
+// What happens when a CGPA falls within the borderline margin below the next class up.
+export const BORDERLINE_ACTIONS = ['flag', 'upgrade'];
+
+// Classification used when no DegreeClassScheme has been configured for a programme
+// (5-point scale, CGPA rounded to two decimals, borderline cases flagged for Senate).
+export const DEFAULT_DEGREE_CLASS_BANDS = [
+  { code: 'FIRST_CLASS', label: DEGREE_CLASS_LABELS.FIRST_CLASS, minCGPA: 4.5 },
+  { code: 'SECOND_CLASS_UPPER', label: DEGREE_CLASS_LABELS.SECOND_CLASS_UPPER, minCGPA: 3.5 },
+  { code: 'SECOND_CLASS_LOWER', label: DEGREE_CLASS_LABELS.SECOND_CLASS_LOWER, minCGPA: 2.4 },
+  { code: 'THIRD_CLASS', label: DEGREE_CLASS_LABELS.THIRD_CLASS, minCGPA: 1.5 },
+  { code: 'PASS', label: DEGREE_CLASS_LABELS.PASS, minCGPA: 1.0 },
+];
+
+export const DEFAULT_DEGREE_CLASS_SCHEME = {
+  _id: null,
+  name: 'Default degree classification',
+  programme: null,
+  effectiveFromSession: null,
+  bands: DEFAULT_DEGREE_CLASS_BANDS,
+  rounding: { mode: 'round', decimals: 2 },
+  borderline: { margin: 0.05, action: 'flag' },
+  isDefault: true,
+};
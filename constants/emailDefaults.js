@@ -0,0 +1,27 @@
+// What an email is about; users can opt out of every category except `account`
+// (password resets and other messages about their own login).
+export const EMAIL_CATEGORIES = ['approval', 'amendment', 'account'];
+
+export const EMAIL_OPTIONAL_CATEGORIES = ['approval', 'amendment'];
+
+// queued: waiting for its next attempt; sending: claimed by the outbox worker;
+// sent / failed: finished (failed once every attempt has been used); skipped: not sent
+// because the recipient opted out or has no email address
+export const EMAIL_STATUSES = ['queued', 'sending', 'sent', 'failed', 'skipped'];
+
+export const EMAIL_TRANSPORTS = ['smtp', 'file', 'console'];
+
+export const DEFAULT_EMAIL_SETTINGS = {
+  // How often an idle outbox worker looks for due messages, and how many it sends per pass
+  pollIntervalMs: 30000,
+  batchSize: 20,
+  // Attempts before a message is marked failed; the wait doubles after each failure
+  maxAttempts: 5,
+  retryBaseDelayMs: 60000,
+  // A message left `sending` this long lost its worker and is queued again
+  staleSendingMs: 300000,
+  // Sent, failed and skipped messages are removed after this many days
+  retentionDays: 90,
+  // Password reset links stop working after this long
+  passwordResetTtlMs: 60 * 60 * 1000,
+};
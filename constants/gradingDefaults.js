@@ -0,0 +1,28 @@
+// Grade bands used when no GradingScheme has been configured for a programme.
+// These mirror the boundaries the result and metrics code originally hard-coded.
+export const DEFAULT_GRADING_BANDS = [
+  { grade: 'A', minScore: 70, maxScore: 100, gradePoint: 5, isPass: true },
+  { grade: 'B', minScore: 60, maxScore: 69, gradePoint: 4, isPass: true },
+  { grade: 'C', minScore: 50, maxScore: 59, gradePoint: 3, isPass: true },
+  { grade: 'D', minScore: 45, maxScore: 49, gradePoint: 2, isPass: true },
+  { grade: 'E', minScore: 40, maxScore: 44, gradePoint: 1, isPass: true },
+  { grade: 'F', minScore: 0, maxScore: 39, gradePoint: 0, isPass: false },
+];
+
+// How a retaken course affects cumulative totals:
+// - count_all: every attempt stays in CCC/CPE (the original behaviour)
+// - replace_failed: a retake replaces the failed attempt before it, so only the latest attempt counts
+// - cap_carryover: every attempt counts, but a retake earns at most `capGrade`
+export const REPEAT_POLICY_MODES = ['count_all', 'replace_failed', 'cap_carryover'];
+
+export const DEFAULT_REPEAT_POLICY = { mode: 'count_all', capGrade: null };
+
+export const DEFAULT_GRADING_SCHEME = {
+  _id: null,
+  name: 'Default grading scheme',
+  programme: null,
+  effectiveFromSession: null,
+  bands: DEFAULT_GRADING_BANDS,
+  repeatPolicy: DEFAULT_REPEAT_POLICY,
+  isDefault: true,
+};
@@ -0,0 +1,18 @@
+// What an ImportBatch was created by; one kind per uploader.
+export const IMPORT_BATCH_KINDS = [
+  'results',
+  'students',
+  'courses',
+  'academic_metrics',
+  'course_registrations',
+];
+
+// processing: upload still running; completed: finished, possibly with failed rows;
+// failed: the upload stopped with an error before writing anything;
+// rolled_back: every change the batch made has been undone
+export const IMPORT_BATCH_STATUSES = ['processing', 'completed', 'failed', 'rolled_back'];
+
+// Models an import can write, as recorded on each change entry
+export const IMPORT_CHANGE_MODELS = ['Result', 'Student', 'Course', 'AcademicMetrics', 'CourseRegistration'];
+
+export const IMPORT_ROW_OUTCOMES = ['created', 'updated', 'skipped', 'failed'];
@@ -0,0 +1,29 @@
+// Operations that run in the background worker instead of inside the HTTP request.
+export const JOB_TYPES = [
+  'course_registration_upload',
+  'term_metrics_recompute',
+];
+
+// queued: waiting for the worker; running: claimed by a worker (see heartbeatAt);
+// succeeded / failed / cancelled: finished, `result` or `error` says how
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+export const JOB_FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+export const JOB_LOG_LEVELS = ['info', 'warn', 'error'];
+
+export const DEFAULT_JOB_SETTINGS = {
+  // How often an idle worker looks for queued jobs
+  pollIntervalMs: 5000,
+  // A running job whose heartbeat is older than this lost its worker (restart or crash)
+  heartbeatIntervalMs: 10000,
+  staleAfterMs: 60000,
+  // Progress is written at most this often, besides every whole-percent change
+  progressWriteIntervalMs: 2000,
+  // Only the latest log lines are kept on the job
+  maxLogEntries: 500,
+  // Times a resumable job is started before an interruption marks it failed
+  maxAttempts: 3,
+  // Finished jobs are removed after this many days
+  retentionDays: 30,
+};
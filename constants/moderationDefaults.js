@@ -0,0 +1,7 @@
+// Roles that can sit on a moderation approval stage, and the route used when none is configured.
+export const MODERATION_STAGE_ROLES = ['EXAM_OFFICER', 'HOD', 'COLLEGE_OFFICER', 'DEAN'];
+
+export const DEFAULT_MODERATION_STAGES = ['HOD', 'DEAN'];
+
+// `applying` is held while an approved request's scores are being written
+export const MODERATION_STATUSES = ['pending', 'applying', 'approved', 'rejected', 'cancelled'];
@@ -0,0 +1,19 @@
+// approval_pending: records reached a stage the recipient acts on; approval_rejected: a
+// record was rejected back to the exam officer; anomaly_flagged: a result set was newly
+// flagged; moderation_submitted: a moderation request awaits the recipient's stage;
+// job_finished: a background job (such as an upload) the recipient started has ended
+export const NOTIFICATION_TYPES = [
+  'approval_pending',
+  'approval_rejected',
+  'anomaly_flagged',
+  'moderation_submitted',
+  'job_finished',
+];
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  // Inbox page size when none is asked for, and the most one page may hold
+  pageSize: 20,
+  maxPageSize: 100,
+  // Read notifications are removed after this many days
+  readRetentionDays: 90,
+};
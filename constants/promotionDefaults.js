@@ -0,0 +1,24 @@
+// Levels students move through when a session closes, with the promotionStats
+// breakdown key each move is counted under.
+export const PROMOTION_PATH = [
+  { from: '100', to: '200', key: 'hundredToTwo' },
+  { from: '200', to: '300', key: 'twoToThree' },
+  { from: '300', to: '400', key: 'threeToFour' },
+];
+
+// Students at the final level graduate when nothing is outstanding, otherwise they
+// stay on for an extra year.
+export const FINAL_LEVEL = '400';
+
+// Student statuses a session close considers; graduated students are left alone.
+export const PROMOTABLE_STATUSES = ['undergraduate', 'extraYear'];
+
+// Standings that keep a student at their level whatever their results.
+export const NON_PROGRESSING_STANDINGS = ['deferred', 'withdrawn'];
+
+// Academic statuses (see academicStatusDefaults) that make a student repeat their level.
+export const NON_PROGRESSING_ACADEMIC_STATUSES = ['withdrawal_advised'];
+
+// What closing a session does to a student. Repeated students stay at their level on
+// academic grounds; skipped ones are left alone (deferred, withdrawn or no metrics).
+export const PROMOTION_OUTCOMES = ['promoted', 'repeated', 'extraYear', 'graduated', 'skipped'];
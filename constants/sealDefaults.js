@@ -0,0 +1,14 @@
+// previousHash of the first seal in the chain
+export const GENESIS_HASH = '0'.repeat(64);
+
+export const SEAL_HASH_ALGORITHM = 'sha256';
+
+// AcademicMetrics figures frozen in a seal
+export const SEALED_METRIC_FIELDS = ['TCC', 'TCE', 'TPE', 'GPA', 'CCC', 'CCE', 'CPE', 'CGPA'];
+
+// Result fields frozen in a seal
+export const SEALED_RESULT_FIELDS = [
+  'course', 'resultType',
+  'q1', 'q2', 'q3', 'q4', 'q5', 'q6', 'q7', 'q8',
+  'ca', 'totalexam', 'grandtotal', 'grade',
+];
@@ -0,0 +1,7 @@
+// Serial numbers look like TR-2026-000042: prefix, year of issue, running number for that year.
+export const TRANSCRIPT_SERIAL_PREFIX = 'TR';
+export const TRANSCRIPT_SERIAL_DIGITS = 6;
+
+export const TRANSCRIPT_TITLE = 'Official Academic Transcript';
+
+export const SEMESTER_LABELS = { 1: 'First Semester', 2: 'Second Semester' };
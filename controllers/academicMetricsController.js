@@ -11,6 +11,25 @@ import {
   ensureResourceMatchesUserScope,
   ensureUserCanAccessDepartment,
 } from '../services/accessControl.js';
+import {
+  createGradingSchemeResolver,
+  resolveGradingScheme,
+  resolveGradingSchemeForStudent,
+} from '../services/gradingService.js';
+import { isBeforeTerm } from '../utills/sessionOrder.js';
+import {
+  annotateRepeatAttempts,
+  loadPriorAttempts,
+  withRepeatAttempts,
+} from '../services/repeatAttemptService.js';
+import {
+  applyAcademicStatusRules,
+  loadAcademicStatusMap,
+} from '../services/academicStatusService.js';
+import { resetApprovals } from '../services/approvalService.js';
+import { findLockedTerms, termKey } from '../services/resultLockService.js';
+import { annotateAudit, buildAuditChanges } from '../services/auditLogService.js';
+import { enqueueJob, registerJobHandler, serializeJob } from '../services/jobService.js';
 
 const DEFAULT_DEPARTMENT_NAME = 'Biochemistry';
 const DEFAULT_COLLEGE_NAME = 'Biological Science';
@@ -40,24 +59,15 @@ const resolveDepartmentScope = (user) => {
   };
 };
 
-/** ---------------------------
- * Session helpers (dynamic)
- * ----------------------------
- * Sessions look like "2023/2024".
- * We derive a sortable numeric index from the first year (e.g., 2023).
- */
-function parseSessionIndex(session) {
-  const s = String(session || '').trim();
-  const m = /^(\d{4})\s*\/\s*(\d{4})$/.exec(s);
-  return m ? parseInt(m[1], 10) : Number.NEGATIVE_INFINITY; // push malformed to the far past
-}
-
-function isBeforeTerm(aSession, aSem, bSession, bSem) {
-  const ai = parseSessionIndex(aSession);
-  const bi = parseSessionIndex(bSession);
-  if (ai !== bi) return ai < bi;
-  return Number(aSem) < Number(bSem);
-}
+// "a,b" or ["a", "b,c"] -> ['a', 'b', 'c']
+const parseListParam = (raw) => {
+  if (!raw) return [];
+  const arr = Array.isArray(raw) ? raw : [raw];
+  return arr
+    .flatMap((value) => String(value).split(','))
+    .map((value) => value.trim())
+    .filter(Boolean);
+};
 
 async function findPreviousMetrics(studentId, session, semNumber) {
   const docs = await AcademicMetrics.find({ student: studentId })
@@ -146,7 +156,10 @@ async function computeCurrentIfNeeded(doc) {
   }).populate('course', '_id unit').lean();
 
   const byCourse = new Map(
-    results.map(r => [String(r.course?._id), { unit: Number(r.course?.unit) || 0, grade: String(r.grade || 'F') }])
+    results.map(r => [
+      String(r.course?._id),
+      { course: String(r.course?._id), unit: Number(r.course?.unit) || 0, grade: String(r.grade || 'F') },
+    ])
   );
 
   const allCourseIds = [...new Set([...registeredCourseIds, ...byCourse.keys()])];
@@ -158,11 +171,13 @@ async function computeCurrentIfNeeded(doc) {
   const attempted = [];
   registeredCourseIds.forEach(cid => {
     if (byCourse.has(cid)) attempted.push(byCourse.get(cid));
-    else attempted.push({ unit: unitById.get(cid) || 0, grade: 'F' });
+    else attempted.push({ course: cid, unit: unitById.get(cid) || 0, grade: 'F' });
   });
+  await withRepeatAttempts(attempted, doc.student, doc.session, Number(doc.semester));
 
   const prev = await findPreviousMetrics(doc.student, doc.session, Number(doc.semester));
-  const current = calculateAcademicMetrics(attempted, prev);
+  const gradingScheme = await resolveGradingSchemeForStudent(doc.student, doc.session);
+  const current = calculateAcademicMetrics(attempted, prev, gradingScheme);
 
   return { TCC: current.TCC, TCE: current.TCE, TPE: current.TPE, GPA: current.GPA };
 }
@@ -176,15 +191,6 @@ export const getComprehensiveResults = async (req, res) => {
       return res.status(400).json({ error: 'Session, semester and level are required parameters' });
     }
 
-    const parseListParam = (raw) => {
-      if (!raw) return [];
-      const arr = Array.isArray(raw) ? raw : [raw];
-      return arr
-        .flatMap((value) => String(value).split(','))
-        .map((value) => value.trim())
-        .filter(Boolean);
-    };
-
     const requestedStudentIds = new Set(parseListParam(req.query.studentIds).map(String));
     const requestedRegNos = new Set(parseListParam(req.query.studentRegNos || req.query.regNos).map(normalizeRegNo));
     const onlyStudents = String(req.query.onlyStudents || '').toLowerCase() === 'true';
@@ -243,7 +249,7 @@ export const getComprehensiveResults = async (req, res) => {
     }
 
     const studentDocs = await Student.find(studentQuery)
-      .select('_id surname firstname middlename regNo standing status department')
+      .select('_id surname firstname middlename regNo standing status department programme')
       .lean();
     const studentInfo = new Map(studentDocs.map((s) => [String(s._id), s]));
 
@@ -323,8 +329,8 @@ export const getComprehensiveResults = async (req, res) => {
         const k = resultKey(sid, cid);
         const stored = byStudentCourse.get(k);
         const unit = stored?.unit ?? Number(courseInfo.get(cid)?.unit || 0);
-        if (stored) attempted.push({ unit, grade: stored.grade || 'F' });
-        else attempted.push({ unit, grade: 'F' }); // registered but no score -> 00F -> F
+        if (stored) attempted.push({ course: cid, unit, grade: stored.grade || 'F' });
+        else attempted.push({ course: cid, unit, grade: 'F' }); // registered but no score -> 00F -> F
       });
       return attempted;
     }
@@ -336,7 +342,7 @@ export const getComprehensiveResults = async (req, res) => {
       semester: semNum,
       level: lvlNum,
     })
-      .select('student TCC TCE TPE GPA CCC CCE CPE CGPA previousMetrics ceoApproval hodApproval deanApproval')
+      .select('student TCC TCE TPE GPA CCC CCE CPE CGPA previousMetrics repeatedCourses ceoApproval hodApproval deanApproval')
       .lean();
 
     const metricsByStudent = new Map(
@@ -384,9 +390,21 @@ export const getComprehensiveResults = async (req, res) => {
     const metricsBulkOps = [];
     const metricsNeedingRefresh = new Set();
     const now = new Date();
+    const gradingResolver = createGradingSchemeResolver();
+    const priorAttempts = missingStudentIds.length
+      ? await loadPriorAttempts(missingStudentIds, session, semNum)
+      : new Map();
+    // A record approved by the Dean since the read above is left as it is
+    const lockedStudents = new Set((await findLockedTerms(
+      missingStudentIds.map((student) => ({ student, session, semester: semNum, level: lvlNum }))
+    )).map((term) => term.student));
 
     for (const sid of missingStudentIds) {
-      const attempted = makeAttemptedFor(sid);
+      if (lockedStudents.has(sid)) {
+        metricsNeedingRefresh.add(sid);
+        continue;
+      }
+      const attempted = annotateRepeatAttempts(makeAttemptedFor(sid), sid, priorAttempts);
       if (!attempted.length) {
         continue;
       }
@@ -399,7 +417,8 @@ export const getComprehensiveResults = async (req, res) => {
         CGPA: prev.CGPA || 0,
       };
 
-      const current = calculateAcademicMetrics(attempted, previousMetrics);
+      const gradingScheme = await gradingResolver.forProgramme(studentInfo.get(sid)?.programme, session);
+      const current = calculateAcademicMetrics(attempted, previousMetrics, gradingScheme);
 
       metricsBulkOps.push({
         updateOne: {
@@ -418,6 +437,7 @@ export const getComprehensiveResults = async (req, res) => {
               CCE: current.CCE,
               CPE: current.CPE,
               CGPA: current.CGPA,
+              repeatedCourses: current.repeatedCourses,
             },
           },
           upsert: true,
@@ -437,7 +457,7 @@ export const getComprehensiveResults = async (req, res) => {
         semester: semNum,
         level: lvlNum,
       })
-        .select('student TCC TCE TPE GPA CCC CCE CPE CGPA previousMetrics ceoApproval hodApproval deanApproval')
+        .select('student TCC TCE TPE GPA CCC CCE CPE CGPA previousMetrics repeatedCourses ceoApproval hodApproval deanApproval')
         .lean();
 
       refreshedDocs.forEach((doc) => {
@@ -445,6 +465,8 @@ export const getComprehensiveResults = async (req, res) => {
       });
     }
 
+    const academicStatusByStudent = await loadAcademicStatusMap([...regByStudent.keys()], session);
+
     // 7) Build students array (registered students only), attach metrics & strictly registered results
     const students = [];
     for (const sid of regByStudent.keys()) {
@@ -505,6 +527,8 @@ export const getComprehensiveResults = async (req, res) => {
         ceoApproval,
         hodApproval,
         deanApproval,
+        repeatedCourses: m?.repeatedCourses || [],
+        academicStatus: academicStatusByStudent.get(sid) || null,
       });
     }
 
@@ -672,7 +696,13 @@ export const searchMetrics = async (req, res) => {
 
 // --- SIMPLE UPDATE: allow updating previous + current + cumulative fields ---
 // Accepts any subset of fields: previousMetrics object, and/or TCC/TCE/TPE/GPA,
-// and/or CCC/CCE/CPE/CGPA. Does not recompute anything.
+// and/or CCC/CCE/CPE/CGPA. Does not recompute anything. Approvals go through the
+// /api/approvals stage endpoints; an override clears any approvals already given, and a
+// Dean-approved record is locked (change its results through an amendment instead).
+
+const APPROVAL_BODY_FIELDS = ['ceo', 'hod', 'dean'].flatMap((stage) => [
+  `${stage}Approval`, `${stage}Approved`, `${stage}Flagged`, `${stage}Name`, `${stage}Note`,
+]);
 
 export const updateMetrics = async (req, res) => {
   try {
@@ -681,6 +711,13 @@ export const updateMetrics = async (req, res) => {
       return res.status(400).json({ error: 'Invalid metrics ID' });
     }
 
+    const body = req.body || {};
+    if (APPROVAL_BODY_FIELDS.some((field) => field in body)) {
+      return res.status(400).json({
+        error: 'Approvals are recorded through POST /api/approvals/:metricsId/{ceo|hod|dean}/{approve|reject}.',
+      });
+    }
+
     const existingDoc = await AcademicMetrics.findById(metricsId).lean();
     if (!existingDoc) {
       return res.status(404).json({ error: 'Metrics not found' });
@@ -693,52 +730,20 @@ export const updateMetrics = async (req, res) => {
       }
     }
 
+    if (existingDoc.deanApproval?.approved) {
+      return res.status(423).json({
+        error: 'These metrics are locked after Dean approval; submit a result amendment instead.',
+      });
+    }
+
     // Whitelist only fields we want to allow from the client
     const {
       previousMetrics, // { CCC, CCE, CPE, CGPA }
       TCC, TCE, TPE, GPA, // current
       CCC, CCE, CPE, CGPA, // cumulative
-      ceoApproval,
-      ceoApproved,
-      ceoFlagged,
-      ceoName,
-      ceoNote,
-      ceoTitle,
-      ceoSurname,
-      ceoFirstname,
-      ceoMiddlename,
-      ceoDepartment,
-      ceoCollege,
-      hodApproval,
-      hodApproved,
-      hodFlagged,
-      hodName,
-      hodNote,
-      hodTitle,
-      hodSurname,
-      hodFirstname,
-      hodMiddlename,
-      hodDepartment,
-      hodCollege,
-      deanApproval,
-      deanApproved,
-      deanFlagged,
-      deanName,
-      deanNote,
-      deanTitle,
-      deanSurname,
-      deanFirstname,
-      deanMiddlename,
-      deanDepartment,
-      deanCollege,
-    } = req.body || {};
+    } = body;
 
     const $set = { lastUpdated: new Date() };
-    const isAdmin = req.user?.roles?.includes('ADMIN');
-    const adminNote =
-      isAdmin && (req.user?.pfNo || req.user?.email)
-        ? `Admin override by ${req.user.pfNo || req.user.email}`
-        : 'Admin override';
 
     if (previousMetrics && typeof previousMetrics === 'object') {
       $set.previousMetrics = {
@@ -759,144 +764,29 @@ export const updateMetrics = async (req, res) => {
     if (CPE !== undefined) $set.CPE = Number(CPE || 0);
     if (CGPA !== undefined) $set.CGPA = Number(CGPA || 0);
 
-    const ceoPayload = {
-      ...((ceoApproval && typeof ceoApproval === 'object') ? ceoApproval : {}),
-    };
-    if (ceoApproved !== undefined) ceoPayload.approved = ceoApproved;
-    if (ceoFlagged !== undefined) ceoPayload.flagged = ceoFlagged;
-    if (ceoName !== undefined) ceoPayload.name = ceoName;
-    if (ceoNote !== undefined) ceoPayload.note = ceoNote;
-    if (ceoTitle !== undefined) ceoPayload.title = String(ceoTitle ?? '').trim();
-    if (ceoSurname !== undefined) ceoPayload.surname = String(ceoSurname ?? '').trim();
-    if (ceoFirstname !== undefined) ceoPayload.firstname = String(ceoFirstname ?? '').trim();
-    if (ceoMiddlename !== undefined) ceoPayload.middlename = String(ceoMiddlename ?? '').trim();
-    if (ceoDepartment !== undefined) ceoPayload.department = String(ceoDepartment ?? '').trim();
-    if (ceoCollege !== undefined) ceoPayload.college = String(ceoCollege ?? '').trim();
-    if (isAdmin && ('approved' in ceoPayload || 'flagged' in ceoPayload)) {
-      if (!('note' in ceoPayload) || !ceoPayload.note) {
-        ceoPayload.note = adminNote;
-      }
-    }
-
-    const ceoSet = {};
-    if ('approved' in ceoPayload) ceoSet['ceoApproval.approved'] = Boolean(ceoPayload.approved);
-    if ('flagged' in ceoPayload) ceoSet['ceoApproval.flagged'] = Boolean(ceoPayload.flagged);
-    if ('name' in ceoPayload) ceoSet['ceoApproval.name'] = String(ceoPayload.name ?? '').trim();
-    if ('note' in ceoPayload) ceoSet['ceoApproval.note'] = String(ceoPayload.note ?? '').trim();
-    if ('title' in ceoPayload) ceoSet['ceoApproval.title'] = String(ceoPayload.title ?? '').trim();
-    if ('surname' in ceoPayload) ceoSet['ceoApproval.surname'] = String(ceoPayload.surname ?? '').trim();
-    if ('firstname' in ceoPayload) ceoSet['ceoApproval.firstname'] = String(ceoPayload.firstname ?? '').trim();
-    if ('middlename' in ceoPayload) ceoSet['ceoApproval.middlename'] = String(ceoPayload.middlename ?? '').trim();
-    if ('department' in ceoPayload) ceoSet['ceoApproval.department'] = String(ceoPayload.department ?? '').trim();
-    if ('college' in ceoPayload) ceoSet['ceoApproval.college'] = String(ceoPayload.college ?? '').trim();
-    if (Object.keys(ceoSet).length) {
-      ceoSet['ceoApproval.updatedAt'] = new Date();
-      Object.assign($set, ceoSet);
-    }
-
-    const hodPayload = {
-      ...((hodApproval && typeof hodApproval === 'object') ? hodApproval : {}),
-    };
-    if (hodApproved !== undefined) hodPayload.approved = hodApproved;
-    if (hodFlagged !== undefined) hodPayload.flagged = hodFlagged;
-    if (hodName !== undefined) hodPayload.name = hodName;
-    if (hodNote !== undefined) hodPayload.note = hodNote;
-    if (hodTitle !== undefined) hodPayload.title = String(hodTitle ?? '').trim();
-    if (hodSurname !== undefined) hodPayload.surname = String(hodSurname ?? '').trim();
-    if (hodFirstname !== undefined) hodPayload.firstname = String(hodFirstname ?? '').trim();
-    if (hodMiddlename !== undefined) hodPayload.middlename = String(hodMiddlename ?? '').trim();
-    if (hodDepartment !== undefined) hodPayload.department = String(hodDepartment ?? '').trim();
-    if (hodCollege !== undefined) hodPayload.college = String(hodCollege ?? '').trim();
-    if (isAdmin && ('approved' in hodPayload || 'flagged' in hodPayload)) {
-      if (!('note' in hodPayload) || !hodPayload.note) {
-        hodPayload.note = adminNote;
-      }
-    }
-
-    const hodSet = {};
-    if ('approved' in hodPayload) hodSet['hodApproval.approved'] = Boolean(hodPayload.approved);
-    if ('flagged' in hodPayload) hodSet['hodApproval.flagged'] = Boolean(hodPayload.flagged);
-    if ('name' in hodPayload) hodSet['hodApproval.name'] = String(hodPayload.name ?? '').trim();
-    if ('note' in hodPayload) hodSet['hodApproval.note'] = String(hodPayload.note ?? '').trim();
-    if ('title' in hodPayload) hodSet['hodApproval.title'] = String(hodPayload.title ?? '').trim();
-    if ('surname' in hodPayload) hodSet['hodApproval.surname'] = String(hodPayload.surname ?? '').trim();
-    if ('firstname' in hodPayload) hodSet['hodApproval.firstname'] = String(hodPayload.firstname ?? '').trim();
-    if ('middlename' in hodPayload) hodSet['hodApproval.middlename'] = String(hodPayload.middlename ?? '').trim();
-    if ('department' in hodPayload) hodSet['hodApproval.department'] = String(hodPayload.department ?? '').trim();
-    if ('college' in hodPayload) hodSet['hodApproval.college'] = String(hodPayload.college ?? '').trim();
-    if (Object.keys(hodSet).length) {
-      hodSet['hodApproval.updatedAt'] = new Date();
-      Object.assign($set, hodSet);
-    }
-
-    const deanPayload = {
-      ...((deanApproval && typeof deanApproval === 'object') ? deanApproval : {}),
-    };
-    if (deanApproved !== undefined) deanPayload.approved = deanApproved;
-    if (deanFlagged !== undefined) deanPayload.flagged = deanFlagged;
-    if (deanName !== undefined) deanPayload.name = deanName;
-    if (deanNote !== undefined) deanPayload.note = deanNote;
-    if (deanTitle !== undefined) deanPayload.title = String(deanTitle ?? '').trim();
-    if (deanSurname !== undefined) deanPayload.surname = String(deanSurname ?? '').trim();
-    if (deanFirstname !== undefined) deanPayload.firstname = String(deanFirstname ?? '').trim();
-    if (deanMiddlename !== undefined) deanPayload.middlename = String(deanMiddlename ?? '').trim();
-    if (deanDepartment !== undefined) deanPayload.department = String(deanDepartment ?? '').trim();
-    if (deanCollege !== undefined) deanPayload.college = String(deanCollege ?? '').trim();
-    if (isAdmin && ('approved' in deanPayload || 'flagged' in deanPayload)) {
-      if (!('note' in deanPayload) || !deanPayload.note) {
-        deanPayload.note = adminNote;
-      }
+    const figureFields = Object.keys($set).filter((field) => field !== 'lastUpdated');
+    if (!figureFields.length) {
+      return res.status(400).json({ error: 'No metric figures to update.' });
     }
-
-    const deanSet = {};
-    if ('approved' in deanPayload) deanSet['deanApproval.approved'] = Boolean(deanPayload.approved);
-    if ('flagged' in deanPayload) deanSet['deanApproval.flagged'] = Boolean(deanPayload.flagged);
-    if ('name' in deanPayload) deanSet['deanApproval.name'] = String(deanPayload.name ?? '').trim();
-    if ('note' in deanPayload) deanSet['deanApproval.note'] = String(deanPayload.note ?? '').trim();
-    if ('title' in deanPayload) deanSet['deanApproval.title'] = String(deanPayload.title ?? '').trim();
-    if ('surname' in deanPayload) deanSet['deanApproval.surname'] = String(deanPayload.surname ?? '').trim();
-    if ('firstname' in deanPayload) deanSet['deanApproval.firstname'] = String(deanPayload.firstname ?? '').trim();
-    if ('middlename' in deanPayload) deanSet['deanApproval.middlename'] = String(deanPayload.middlename ?? '').trim();
-    if ('department' in deanPayload) deanSet['deanApproval.department'] = String(deanPayload.department ?? '').trim();
-    if ('college' in deanPayload) deanSet['deanApproval.college'] = String(deanPayload.college ?? '').trim();
-    if (Object.keys(deanSet).length) {
-      deanSet['deanApproval.updatedAt'] = new Date();
-      Object.assign($set, deanSet);
+    const sameFigure = (field) => (field === 'previousMetrics'
+      ? Object.keys($set.previousMetrics).every((key) => Number(existingDoc.previousMetrics?.[key] ?? 0) === $set.previousMetrics[key])
+      : Number(existingDoc[field] ?? 0) === $set[field]);
+
+    // Approvals only go when a figure actually changes; resending the same figures is a no-op
+    const changed = figureFields.some((field) => !sameFigure(field));
+    if (changed) {
+      await resetApprovals({ _id: existingDoc._id }, { user: req.user, reason: 'Figures overridden' });
     }
-
-    const currentCeoApproved = Boolean(existingDoc?.ceoApproval?.approved);
-    const currentHodApproved = Boolean(existingDoc?.hodApproval?.approved);
-    const currentDeanApproved = Boolean(existingDoc?.deanApproval?.approved);
-
-    let targetCeoApproved = currentCeoApproved;
-    if ('approved' in ceoPayload) targetCeoApproved = Boolean(ceoPayload.approved);
-
-    let targetHodApproved = currentHodApproved;
-    if ('approved' in hodPayload) targetHodApproved = Boolean(hodPayload.approved);
-
-    let targetDeanApproved = currentDeanApproved;
-    if ('approved' in deanPayload) targetDeanApproved = Boolean(deanPayload.approved);
-
-    if (targetHodApproved && !targetCeoApproved) {
-      return res.status(400).json({
-        error: 'Head of Department cannot approve before the College Exam Officer has approved.',
-      });
-    }
-
-    if (targetDeanApproved && (!targetCeoApproved || !targetHodApproved)) {
-      return res.status(400).json({
-        error: 'Dean cannot approve before both the College Exam Officer and Head of Department have approved.',
-      });
-    }
-
-    const updated = await AcademicMetrics.findByIdAndUpdate(
-      metricsId,
-      { $set },
-      { new: true, runValidators: true }
+    const updated = await (changed
+      ? AcademicMetrics.findByIdAndUpdate(metricsId, { $set }, { new: true, runValidators: true })
+      : AcademicMetrics.findById(metricsId)
     ).populate({ path: 'student', select: 'surname firstname middlename regNo' });
     if (!updated) {
       return res.status(404).json({ error: 'Metrics not found' });
     }
+    annotateAudit(res, {
+      changes: buildAuditChanges(existingDoc, updated.toObject(), figureFields),
+    });
 
     // Return in the same shape the table expects
     const fullName = updated.student
@@ -933,40 +823,30 @@ export const updateMetrics = async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating metrics:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to update metrics', details: error.message });
   }
 };
 
 
 
-// RECOMPUTE metrics for a term (session+semester+level) from scratch
-export const recomputeTermMetrics = async (req, res) => {
-  try {
-    const { session = req.query.session, semester = req.query.semester, level = req.query.level } = {
-      ...req.body,
-      ...req.query,
-    };
-    if (!session || !semester || !level) {
-      return res.status(400).json({ error: 'session, semester, level are required' });
-    }
-
-    const parseListParam = (raw) => {
-      if (!raw) return [];
-      const arr = Array.isArray(raw) ? raw : [raw];
-      return arr
-        .flatMap((value) => String(value).split(','))
-        .map((value) => value.trim())
-        .filter(Boolean);
-    };
-
-    const requestedStudentIds = new Set(parseListParam(req.body?.studentIds));
-    const requestedRegNos = new Set(parseListParam(req.body?.studentRegNos || req.body?.regNos).map(normalizeRegNo));
+/**
+ * Recomputes a term's (session+semester+level) metrics from scratch for the cohort or the
+ * selected students. Runs in the job worker; each student is recomputed on its own, so a
+ * cancelled or interrupted run leaves every student either fully updated or untouched and
+ * the run can simply be repeated.
+ */
+async function recomputeTermMetricsForCohort({ session, semester, level, studentIds = [], regNos = [] }, user, job) {
+    const requestedStudentIds = new Set(studentIds);
+    const requestedRegNos = new Set(regNos.map(normalizeRegNo));
 
     const sem = Number(semester);
     const lvlStr = String(level);  // for Result/CourseRegistration
     const lvlNum = Number(level);  // for AcademicMetrics
 
-    const { departmentId, departmentObjectId } = resolveDepartmentScope(req.user);
+    const { departmentId, departmentObjectId } = resolveDepartmentScope(user);
 
     const resultFilter = { session, semester: sem, level: lvlStr };
 
@@ -1013,7 +893,7 @@ export const recomputeTermMetrics = async (req, res) => {
 
       targetStudentIds = [...selected];
       if (!targetStudentIds.length) {
-        return res.json({ ok: true, message: 'No matching students for the provided selection.', count: 0 });
+        return { ok: true, message: 'No matching students for the provided selection.', count: 0 };
       }
     }
 
@@ -1027,13 +907,13 @@ export const recomputeTermMetrics = async (req, res) => {
     }
 
     if (!targetStudentIds.length) {
-      return res.json({ ok: true, message: 'No matching students for the provided selection.', count: 0 });
+      return { ok: true, message: 'No matching students for the provided selection.', count: 0 };
     }
 
     const studentDocsForMetrics = await Student.find({ _id: { $in: targetStudentIds } })
       .populate('department', 'name')
       .populate('college', 'name')
-      .select('_id department college')
+      .select('_id department college programme')
       .lean();
     const studentInfoById = new Map(
       studentDocsForMetrics.map((doc) => [String(doc._id), doc])
@@ -1051,6 +931,8 @@ export const recomputeTermMetrics = async (req, res) => {
     const courses = await Course.find({ _id: { $in: [...allCourseIds] } }).select('_id unit').lean();
     const courseUnitById = new Map(courses.map(c => [String(c._id), Number(c.unit) || 0]));
 
+    const priorAttempts = await loadPriorAttempts(targetStudentIds, session, sem);
+
     async function attemptedFor(studentId) {
       const sid = new mongoose.Types.ObjectId(studentId);
       const results = await Result.find({ student: sid, session, semester: sem, level: lvlStr })
@@ -1058,7 +940,10 @@ export const recomputeTermMetrics = async (req, res) => {
         .lean();
 
       const byCourse = new Map(
-        results.map(r => [String(r.course?._id), { unit: Number(r.course?.unit) || 0, grade: String(r.grade || 'F') }])
+        results.map(r => [
+          String(r.course?._id),
+          { course: String(r.course?._id), unit: Number(r.course?.unit) || 0, grade: String(r.grade || 'F') },
+        ])
       );
 
       const regsSet = regByStudent.get(String(studentId)) || new Set();
@@ -1067,21 +952,26 @@ export const recomputeTermMetrics = async (req, res) => {
       const attempted = [];
       regsSet.forEach(cid => {
         if (byCourse.has(cid)) attempted.push(byCourse.get(cid));
-        else attempted.push({ unit: courseUnitById.get(cid) || 0, grade: 'F' });
+        else attempted.push({ course: cid, unit: courseUnitById.get(cid) || 0, grade: 'F' });
       });
 
-      return attempted;
+      return annotateRepeatAttempts(attempted, studentId, priorAttempts);
     }
 
-    const targetFilter = targetStudentIds.length ? { student: { $in: targetStudentIds } } : {};
+    // Dean-approved terms are frozen; they change only through a result amendment
+    const lockedTerms = await findLockedTerms(
+      targetStudentIds.map((student) => ({ student, session, semester: sem, level: lvlNum }))
+    );
+    const lockedStudents = new Set(lockedTerms.map((term) => term.student));
 
-    if (targetStudentIds.length === combinedStudents.length && !requestedStudentIds.size && !requestedRegNos.size) {
-      await AcademicMetrics.deleteMany({ session, semester: sem, level: lvlNum });
-    } else if (targetStudentIds.length) {
-      await AcademicMetrics.deleteMany({ session, semester: sem, level: lvlNum, ...targetFilter });
-    }
+    const gradingResolver = createGradingSchemeResolver();
+    for (const [index, sid] of targetStudentIds.entries()) {
+      job.throwIfCancelled();
+      if (lockedStudents.has(String(sid))) {
+        await job.progress(index + 1, targetStudentIds.length, `Skipped ${index + 1} of ${targetStudentIds.length} students (locked)`);
+        continue;
+      }
 
-    for (const sid of targetStudentIds) {
       const attempted = await attemptedFor(sid);
       const previousMetrics = await findPreviousMetrics(sid, session, sem);
 
@@ -1091,28 +981,99 @@ export const recomputeTermMetrics = async (req, res) => {
       const normalizedDepartmentName = departmentName || DEFAULT_DEPARTMENT_NAME;
       const normalizedCollegeName = collegeName || DEFAULT_COLLEGE_NAME;
 
+      // Figures are rewritten in place, so approvals already given on the record are kept
+      const filter = { student: sid, session, semester: sem, level: lvlNum };
       if (attempted.length) {
-        const current = calculateAcademicMetrics(attempted, previousMetrics);
+        const gradingScheme = await gradingResolver.forProgramme(studentInfo?.programme, session);
+        const current = calculateAcademicMetrics(attempted, previousMetrics, gradingScheme);
         await AcademicMetrics.findOneAndUpdate(
-          { student: sid, session, semester: sem, level: lvlNum },
+          filter,
           {
-            ...current,
-            previousMetrics,
-            lastUpdated: new Date(),
-            department: normalizedDepartmentName,
-            college: normalizedCollegeName,
+            $set: {
+              ...current,
+              previousMetrics,
+              lastUpdated: new Date(),
+              department: normalizedDepartmentName,
+              college: normalizedCollegeName,
+            },
           },
           { upsert: true, new: true }
         );
       } else {
-        await AcademicMetrics.deleteOne({ student: sid, session, semester: sem, level: lvlNum });
+        await AcademicMetrics.deleteOne(filter);
       }
+
+      await job.progress(index + 1, targetStudentIds.length, `Recomputed ${index + 1} of ${targetStudentIds.length} students`);
     }
 
-    return res.json({
+    // A whole-cohort run also drops records of students no longer in the term
+    if (targetStudentIds.length === combinedStudents.length && !requestedStudentIds.size && !requestedRegNos.size) {
+      const strays = await AcademicMetrics.find({ session, semester: sem, level: lvlNum, student: { $nin: targetStudentIds } })
+        .select('_id student session semester level')
+        .lean();
+      const lockedStrays = await findLockedTerms(strays);
+      const lockedStrayKeys = new Set(lockedStrays.map(termKey));
+      const removable = strays.filter((doc) => !lockedStrayKeys.has(termKey(doc))).map((doc) => doc._id);
+      if (removable.length) {
+        await AcademicMetrics.deleteMany({ _id: { $in: removable } });
+      }
+      lockedTerms.push(...lockedStrays);
+    }
+
+    // Probation/withdrawal rules run on the freshly stored metrics
+    const academicStatus = await applyAcademicStatusRules({
+      studentIds: targetStudentIds,
+      session,
+      semester: sem,
+      evaluatedBy: user?.id,
+    });
+
+    return {
       ok: true,
-      message: 'Metrics recomputed for selected students',
-      count: targetStudentIds.length,
+      message: lockedTerms.length
+        ? 'Metrics recomputed for selected students; Dean-approved terms were skipped'
+        : 'Metrics recomputed for selected students',
+      count: targetStudentIds.length - lockedStudents.size,
+      skipped: lockedTerms.map((term) => ({ ...term, reason: 'RESULT_LOCKED' })),
+      academicStatus,
+    };
+}
+
+registerJobHandler('term_metrics_recompute', {
+  // Each student is recomputed independently, so an interrupted run is safe to repeat
+  resumable: true,
+  run: (job, context) => recomputeTermMetricsForCohort(context.params, context.user, context),
+});
+
+// RECOMPUTE metrics for a term (session+semester+level) from scratch, as a background job.
+// Responds 202 with the job; poll GET /api/jobs/:id for progress and the final report.
+export const recomputeTermMetrics = async (req, res) => {
+  try {
+    const { session = req.query.session, semester = req.query.semester, level = req.query.level } = {
+      ...req.body,
+      ...req.query,
+    };
+    if (!session || !semester || !level) {
+      return res.status(400).json({ error: 'session, semester, level are required' });
+    }
+
+    const job = await enqueueJob({
+      type: 'term_metrics_recompute',
+      req,
+      params: {
+        session: String(session),
+        semester: Number(semester),
+        level: String(level),
+        studentIds: parseListParam(req.body?.studentIds),
+        regNos: parseListParam(req.body?.studentRegNos || req.body?.regNos),
+      },
+    });
+
+    return res.status(202).json({
+      ok: true,
+      message: 'Metrics recompute queued',
+      jobId: job._id,
+      job: serializeJob(job.toObject()),
     });
   } catch (err) {
     console.error('recomputeTermMetrics error:', err);
@@ -1169,7 +1130,7 @@ export const computeStudentTermMetrics = async (req, res) => {
     const byCourse = new Map();
     results.forEach(r => {
       const cid = String(r.course?._id);
-      byCourse.set(cid, { unit: Number(r.course?.unit) || 0, grade: String(r.grade || 'F') });
+      byCourse.set(cid, { course: cid, unit: Number(r.course?.unit) || 0, grade: String(r.grade || 'F') });
     });
 
     const allCourseIds = new Set([...registeredCourseIds, ...Array.from(byCourse.keys())]);
@@ -1182,11 +1143,13 @@ export const computeStudentTermMetrics = async (req, res) => {
     const attempted = [];
     registeredCourseIds.forEach(cid => {
       if (byCourse.has(cid)) attempted.push(byCourse.get(cid));
-      else attempted.push({ unit: courseUnits.get(cid) || 0, grade: 'F' });
+      else attempted.push({ course: cid, unit: courseUnits.get(cid) || 0, grade: 'F' });
     });
+    await withRepeatAttempts(attempted, student._id, session, sem);
 
     const previousMetrics = await findPreviousMetrics(student._id, session, sem);
-    const current = calculateAcademicMetrics(attempted, previousMetrics);
+    const gradingScheme = await resolveGradingScheme(student.programme, session);
+    const current = calculateAcademicMetrics(attempted, previousMetrics, gradingScheme);
     const departmentName =
       student.department && typeof student.department === 'object'
         ? student.department.name || ''
@@ -1198,6 +1161,9 @@ export const computeStudentTermMetrics = async (req, res) => {
     const normalizedDepartmentName = departmentName || DEFAULT_DEPARTMENT_NAME;
     const normalizedCollegeName = collegeName || DEFAULT_COLLEGE_NAME;
 
+    // A Dean-approved term is reported as stored, without writing
+    const [lockedTerm] = await findLockedTerms([{ student: student._id, session, semester: sem, level: lvlNum }]);
+
     // BEFORE (overwrites edited fields every time)
 // const updated = await AcademicMetrics.findOneAndUpdate(
 //   { student: stu.id, session, semester: semNum, level: lvlNum },
@@ -1206,7 +1172,9 @@ export const computeStudentTermMetrics = async (req, res) => {
 // );
 
 // AFTER (only set metrics on first insert; preserve edits on subsequent runs)
-const updated = await AcademicMetrics.findOneAndUpdate(
+const updated = lockedTerm
+  ? await AcademicMetrics.findOne({ student: student._id, session, semester: sem, level: lvlNum }).lean()
+  : await AcademicMetrics.findOneAndUpdate(
   { student: student._id, session, semester: sem, level: lvlNum },
   {
     $set: {
@@ -1224,6 +1192,7 @@ const updated = await AcademicMetrics.findOneAndUpdate(
       CCE: current.CCE,
       CPE: current.CPE,
       CGPA: current.CGPA,
+      repeatedCourses: current.repeatedCourses,
       session,
       semester: sem,
       level: lvlNum,
@@ -1241,8 +1210,10 @@ const updated = await AcademicMetrics.findOneAndUpdate(
       previousMetrics,
       currentMetrics: { TCC: current.TCC, TCE: current.TCE, TPE: current.TPE, GPA: current.GPA },
       metrics: { CCC: updated.CCC, CCE: updated.CCE, CPE: updated.CPE, CGPA: updated.CGPA, _id: updated._id },
+      repeatedCourses: updated.repeatedCourses || [],
       department: normalizedDepartmentName,
       college: normalizedCollegeName,
+      locked: Boolean(lockedTerm),
     });
   } catch (err) {
     console.error('computeStudentTermMetrics error:', err);
@@ -0,0 +1,189 @@
+import mongoose from 'mongoose';
+import AcademicStatus from '../models/academicStatus.js';
+import AcademicStatusPolicy from '../models/academicStatusPolicy.js';
+import Programme from '../models/programme.js';
+import Student from '../models/student.js';
+import {
+  buildDepartmentScopeFilter,
+  ensureUserCanAccessDepartment,
+} from '../services/accessControl.js';
+import {
+  normalizeAcademicStatusRules,
+  serializeAcademicStatus,
+} from '../services/academicStatusService.js';
+import { ACADEMIC_STATUSES, ACADEMIC_STATUS_LABELS } from '../constants/academicStatusDefaults.js';
+
+const SESSION_PATTERN = /^\d{4}\/\d{4}$/;
+
+const serializePolicy = (policy) => ({
+  id: policy._id,
+  name: policy.name,
+  description: policy.description || null,
+  programmeId: policy.programme?._id || policy.programme,
+  programmeName: policy.programme?.name || null,
+  departmentId: policy.department,
+  collegeId: policy.college,
+  effectiveFromSession: policy.effectiveFromSession,
+  rules: policy.rules,
+  createdAt: policy.createdAt,
+  updatedAt: policy.updatedAt,
+});
+
+export const listAcademicStatusPolicies = async (req, res) => {
+  try {
+    const { programmeId } = req.query || {};
+    const filter = { ...buildDepartmentScopeFilter(req.user) };
+    if (programmeId) {
+      if (!mongoose.Types.ObjectId.isValid(programmeId)) {
+        return res.status(400).json({ success: false, message: 'Invalid programmeId.' });
+      }
+      filter.programme = programmeId;
+    }
+
+    const policies = await AcademicStatusPolicy.find(filter)
+      .populate('programme', 'name')
+      .sort({ programme: 1, effectiveFromSession: -1 })
+      .lean();
+
+    res.status(200).json({ success: true, policies: policies.map(serializePolicy) });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('listAcademicStatusPolicies error:', err);
+    res.status(500).json({ success: false, message: 'Unable to fetch academic status policies.' });
+  }
+};
+
+// Policies are immutable like grading schemes; a change in Senate rules is a new policy
+// with a later effectiveFromSession.
+export const createAcademicStatusPolicy = async (req, res) => {
+  try {
+    const { name, description, programmeId, effectiveFromSession, rules } = req.body || {};
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ success: false, message: 'Policy name is required.' });
+    }
+    if (!programmeId || !mongoose.Types.ObjectId.isValid(programmeId)) {
+      return res.status(400).json({ success: false, message: 'Valid programmeId is required.' });
+    }
+    const session = String(effectiveFromSession || '').trim();
+    if (!SESSION_PATTERN.test(session)) {
+      return res.status(400).json({ success: false, message: 'effectiveFromSession must look like 2023/2024.' });
+    }
+
+    const programme = await Programme.findById(programmeId).lean();
+    if (!programme) {
+      return res.status(404).json({ success: false, message: 'Programme not found.' });
+    }
+    ensureUserCanAccessDepartment(req.user, programme.department, programme.college);
+
+    const policy = await AcademicStatusPolicy.create({
+      name: String(name).trim(),
+      ...(description ? { description: String(description).trim() } : {}),
+      programme: programme._id,
+      department: programme.department,
+      college: programme.college,
+      effectiveFromSession: session,
+      rules: normalizeAcademicStatusRules(rules),
+      createdBy: req.user?.id,
+    });
+
+    res.status(201).json({ success: true, policy: serializePolicy(policy) });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'An academic status policy already takes effect from this session for the programme.',
+      });
+    }
+    console.error('createAcademicStatusPolicy error:', err);
+    res.status(500).json({ success: false, message: 'Unable to create academic status policy.' });
+  }
+};
+
+// GET /api/academic-status?session=2023/2024&status=probation&level=200
+export const listAcademicStatuses = async (req, res) => {
+  try {
+    const { session, status, level } = req.query || {};
+    if (!SESSION_PATTERN.test(String(session || '').trim())) {
+      return res.status(400).json({ success: false, message: 'session must look like 2023/2024.' });
+    }
+    const filter = { session: String(session).trim(), ...buildDepartmentScopeFilter(req.user) };
+    if (status) {
+      if (!ACADEMIC_STATUSES.includes(String(status))) {
+        return res.status(400).json({ success: false, message: `status must be one of ${ACADEMIC_STATUSES.join(', ')}.` });
+      }
+      filter.status = String(status);
+    }
+    if (level) filter.level = Number(level);
+
+    const records = await AcademicStatus.find(filter)
+      .populate('student', 'surname firstname middlename regNo level')
+      .sort({ status: -1, CGPA: 1 })
+      .lean();
+
+    const counts = Object.fromEntries(ACADEMIC_STATUSES.map((value) => [value, 0]));
+    const items = records.map((record) => {
+      counts[record.status] += 1;
+      const s = record.student;
+      return {
+        studentId: s?._id || record.student,
+        regNo: s?.regNo || '',
+        fullName: s ? `${s.surname} ${s.firstname} ${s.middlename || ''}`.trim() : '',
+        ...serializeAcademicStatus(record),
+      };
+    });
+
+    res.status(200).json({ success: true, session: filter.session, counts, items });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('listAcademicStatuses error:', err);
+    res.status(500).json({ success: false, message: 'Unable to fetch academic statuses.' });
+  }
+};
+
+// GET /api/academic-status/students/:studentId — every session's status with its evaluation history
+export const getStudentAcademicStatusHistory = async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(studentId)) {
+      return res.status(400).json({ success: false, message: 'Invalid studentId.' });
+    }
+    const student = await Student.findById(studentId).select('surname firstname middlename regNo department college').lean();
+    if (!student) {
+      return res.status(404).json({ success: false, message: 'Student not found.' });
+    }
+    ensureUserCanAccessDepartment(req.user, student.department, student.college);
+
+    const records = await AcademicStatus.find({ student: student._id }).lean();
+    records.sort((a, b) => String(b.session).localeCompare(String(a.session)));
+
+    res.status(200).json({
+      success: true,
+      student: {
+        id: student._id,
+        regNo: student.regNo,
+        fullName: `${student.surname} ${student.firstname} ${student.middlename || ''}`.trim(),
+      },
+      sessions: records.map((record) => ({
+        ...serializeAcademicStatus(record),
+        history: (record.history || []).map((entry) => ({
+          ...entry,
+          label: ACADEMIC_STATUS_LABELS[entry.status] || entry.status,
+        })),
+      })),
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('getStudentAcademicStatusHistory error:', err);
+    res.status(500).json({ success: false, message: 'Unable to fetch academic status history.' });
+  }
+};
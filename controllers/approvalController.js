@@ -1,7 +1,19 @@
 import mongoose from 'mongoose';
 import AcademicMetrics from '../models/academicMetrics.js';
+import Student from '../models/student.js';
 import Result from '../models/result.js';
 import CourseRegistration from '../models/courseRegistration.js';
+import { buildDepartmentScopeFilter } from '../services/accessControl.js';
+import { loadAcademicStatusMap } from '../services/academicStatusService.js';
+import { createGradingSchemeResolver, isPassingGrade } from '../services/gradingService.js';
+import {
+  bulkApprove,
+  defaultApprovalStageFor,
+  pendingApprovalFilter,
+  transitionApproval,
+  userCanActOnApprovalStage,
+} from '../services/approvalService.js';
+import { APPROVAL_STAGES } from '../constants/approvalDefaults.js';
 
 const normalizeApproval = (approval = {}) => ({
   approved: Boolean(approval?.approved),
@@ -17,29 +29,7 @@ const normalizeApproval = (approval = {}) => ({
   updatedAt: approval?.updatedAt || null,
 });
 
-const ROLE_CONFIG = {
-  EXAM_OFFICER: {
-    filter: { 'ceoApproval.approved': { $ne: true } },
-  },
-  COLLEGE_OFFICER: {
-    filter: { 'ceoApproval.approved': { $ne: true } },
-  },
-  HOD: {
-    filter: {
-      'ceoApproval.approved': true,
-      'hodApproval.approved': { $ne: true },
-    },
-  },
-  DEAN: {
-    filter: {
-      'ceoApproval.approved': true,
-      'hodApproval.approved': true,
-      'deanApproval.approved': { $ne: true },
-    },
-  },
-};
-
-const buildStudentPayload = (metricsDoc, studentDoc, courses = [], department = null, college = null) => ({
+const buildStudentPayload = (metricsDoc, studentDoc, courses = [], department = null, college = null, academicStatus = null) => ({
   metricsId: metricsDoc._id,
   session: metricsDoc.session,
   semester: metricsDoc.semester,
@@ -64,6 +54,7 @@ const buildStudentPayload = (metricsDoc, studentDoc, courses = [], department =
     CPE: metricsDoc.CPE,
     CGPA: metricsDoc.CGPA,
   },
+  repeatedCourses: metricsDoc.repeatedCourses || [],
   student: studentDoc
     ? {
         id: studentDoc._id,
@@ -73,6 +64,7 @@ const buildStudentPayload = (metricsDoc, studentDoc, courses = [], department =
         standing: studentDoc.standing,
       }
     : null,
+  academicStatus,
   approvals: {
     ceo: normalizeApproval(metricsDoc.ceoApproval),
     hod: normalizeApproval(metricsDoc.hodApproval),
@@ -81,26 +73,29 @@ const buildStudentPayload = (metricsDoc, studentDoc, courses = [], department =
   courses,
 });
 
+// GET /api/approvals/pending?role=HOD — records waiting at the stage of `role` (default:
+// the caller's own stage), i.e. every earlier stage approved and this one not yet
 export const getPendingApprovals = async (req, res) => {
   try {
     const roleParam = String(req.query.role || '').toUpperCase();
-    const config = ROLE_CONFIG[roleParam];
-    if (!config) {
+    const stage = roleParam
+      ? APPROVAL_STAGES.find((entry) => entry.roles.includes(roleParam))
+      : defaultApprovalStageFor(req.user);
+    if (!stage) {
       return res.status(400).json({ success: false, message: 'Invalid role supplied.' });
     }
 
-    const userRoles = req.user?.roles || [];
-    const isAllowed = userRoles.includes(roleParam) || userRoles.includes('ADMIN');
-    if (!isAllowed) {
+    if (!userCanActOnApprovalStage(req.user, stage)) {
       return res.status(403).json({ success: false, message: 'Forbidden.' });
     }
 
-  const departmentScopeFilter = buildDepartmentScopeFilter(req.user);
+  // AcademicMetrics keeps the department by name, so scope through the students' department id
+  const { department: scopedDepartmentId } = buildDepartmentScopeFilter(req.user);
 
-  const match = {
-    ...config.filter,
-    ...departmentScopeFilter,
-  };
+  const match = pendingApprovalFilter(stage);
+  if (scopedDepartmentId) {
+    match.student = { $in: await Student.distinct('_id', { department: scopedDepartmentId }) };
+  }
   if (req.query.session) match.session = req.query.session;
   if (req.query.semester) match.semester = Number(req.query.semester);
   if (req.query.level) match.level = Number(req.query.level);
@@ -190,6 +185,19 @@ export const getPendingApprovals = async (req, res) => {
       }, new Map());
     }
 
+    // Academic status (probation / advised to withdraw) for each student's session
+    const academicStatusByKey = new Map(); // `${session}|${studentId}` -> status
+    const studentsBySession = new Map();
+    comboList.forEach(({ student, session }) => {
+      if (!studentsBySession.has(session)) studentsBySession.set(session, []);
+      studentsBySession.get(session).push(student);
+    });
+    for (const [sessionValue, studentIds] of studentsBySession.entries()) {
+      const statusMap = await loadAcademicStatusMap(studentIds, sessionValue);
+      statusMap.forEach((status, sid) => academicStatusByKey.set(`${sessionValue}|${sid}`, status));
+    }
+
+    const gradingResolver = createGradingSchemeResolver();
     const items = await Promise.all(
       metricsDocs.map(async (metrics) => {
         const studentId = metrics.student?._id;
@@ -233,11 +241,11 @@ export const getPendingApprovals = async (req, res) => {
           });
 
           const combinedCourses = [];
+          const gradingScheme = await gradingResolver.forStudent(studentId, metrics.session);
 
           registeredCourseMap.forEach((courseDoc, courseId) => {
             const result = resultMap.get(courseId);
             if (result) {
-              const numericScore = Number(result.grandtotal ?? 0);
               combinedCourses.push({
                 id: result._id,
               courseId,
@@ -248,7 +256,7 @@ export const getPendingApprovals = async (req, res) => {
               resultType: result.resultType,
               score: result.grandtotal ?? null,
               grade: result.grade || '',
-              flagged: (result.grade || '').toUpperCase() === 'F' || numericScore < 40,
+              flagged: !isPassingGrade(result.grade, gradingScheme),
               date: result.date || null,
               registeredOnly: false,
             });
@@ -284,14 +292,104 @@ export const getPendingApprovals = async (req, res) => {
           metrics.student,
           courses,
           departmentName,
-          collegeName
+          collegeName,
+          academicStatusByKey.get(`${metrics.session}|${studentId}`) || null
         );
       })
     );
 
-    res.status(200).json({ success: true, items: items.filter(Boolean) });
+    res.status(200).json({ success: true, stage: stage.key, items: items.filter(Boolean) });
   } catch (err) {
     console.error('getPendingApprovals error:', err);
     res.status(500).json({ success: false, message: 'Failed to fetch pending approvals.' });
   }
 };
+
+// POST /api/approvals/:metricsId/<stage>/approve { comment }
+// POST /api/approvals/:metricsId/<stage>/reject { reason } — back to the exam officer
+const approvalTransition = (stageKey, action) => async (req, res) => {
+  try {
+    const { metricsId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(metricsId)) {
+      return res.status(400).json({ success: false, message: 'Invalid metrics ID.' });
+    }
+    const updated = await transitionApproval({
+      metricsId,
+      stageKey,
+      action,
+      user: req.user,
+      reason: action === 'reject' ? req.body?.reason : req.body?.comment,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: action === 'approve' ? 'Approval recorded.' : 'Rejected and sent back to the exam officer.',
+      metricsId: updated._id,
+      student: updated.student,
+      session: updated.session,
+      semester: updated.semester,
+      level: updated.level,
+      approvals: {
+        ceo: normalizeApproval(updated.ceoApproval),
+        hod: normalizeApproval(updated.hodApproval),
+        dean: normalizeApproval(updated.deanApproval),
+      },
+      history: updated.approvalHistory,
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({
+        success: false,
+        message: err.message,
+        ...(err.anomalies ? { anomalies: err.anomalies } : {}),
+      });
+    }
+    console.error(`approval ${stageKey} ${action} error:`, err);
+    res.status(500).json({ success: false, message: 'Failed to record the approval decision.' });
+  }
+};
+
+export const approveAsExamOfficer = approvalTransition('ceo', 'approve');
+export const rejectAsExamOfficer = approvalTransition('ceo', 'reject');
+export const approveAsHod = approvalTransition('hod', 'approve');
+export const rejectAsHod = approvalTransition('hod', 'reject');
+export const approveAsDean = approvalTransition('dean', 'approve');
+export const rejectAsDean = approvalTransition('dean', 'reject');
+
+// POST /api/approvals/<stage>/bulk-approve { session, semester, level, programmeId, comment }
+//   or { metricsIds: [...], comment } — ineligible records are skipped and listed with reasons
+const bulkApproval = (stageKey) => async (req, res) => {
+  try {
+    const { session, semester, level, programmeId, metricsIds, comment } = req.body || {};
+    if (metricsIds !== undefined && !Array.isArray(metricsIds)) {
+      return res.status(400).json({ success: false, message: 'metricsIds must be an array.' });
+    }
+    const { batch, approved, skipped } = await bulkApprove({
+      stageKey,
+      user: req.user,
+      criteria: { session, semester, level, programmeId },
+      metricsIds,
+      comment,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${approved.length} record(s) approved, ${skipped.length} skipped.`,
+      batchId: batch._id,
+      stage: stageKey,
+      requested: batch.requested,
+      approved,
+      skipped,
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error(`bulk approval ${stageKey} error:`, err);
+    res.status(500).json({ success: false, message: 'Failed to record the bulk approval.' });
+  }
+};
+
+export const bulkApproveAsExamOfficer = bulkApproval('ceo');
+export const bulkApproveAsHod = bulkApproval('hod');
+export const bulkApproveAsDean = bulkApproval('dean');
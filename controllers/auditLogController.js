@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+import AuditLog from '../models/auditLog.js';
+import { serializeAuditLog } from '../services/auditLogService.js';
+import { AUDITED_METHODS, DEFAULT_AUDIT_SETTINGS } from '../constants/auditDefaults.js';
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// GET /api/audit-logs?userId=&resource=&action=&method=&targetId=&statusCode=&from=&to=&page=&limit=
+export const listAuditLogs = async (req, res) => {
+  try {
+    const { userId, resource, action, method, targetId, statusCode, from, to } = req.query || {};
+    const { pageSize, maxPageSize } = DEFAULT_AUDIT_SETTINGS;
+    const limit = Math.min(Math.max(parseInt(req.query?.limit, 10) || pageSize, 1), maxPageSize);
+    const page = Math.max(parseInt(req.query?.page, 10) || 1, 1);
+
+    const filter = {};
+    if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ success: false, message: 'Invalid userId.' });
+      }
+      filter.user = userId;
+    }
+    if (resource) filter.resource = String(resource).trim();
+    if (action) filter.action = String(action).trim();
+    if (method) {
+      const normalized = String(method).trim().toUpperCase();
+      if (!AUDITED_METHODS.includes(normalized)) {
+        return res.status(400).json({ success: false, message: `method must be one of ${AUDITED_METHODS.join(', ')}.` });
+      }
+      filter.method = normalized;
+    }
+    if (targetId) filter.targetIds = String(targetId).trim();
+    if (statusCode) filter['outcome.statusCode'] = Number(statusCode);
+    if (from || to) {
+      const fromDate = from ? parseDate(from) : null;
+      const toDate = to ? parseDate(to) : null;
+      if ((from && !fromDate) || (to && !toDate)) {
+        return res.status(400).json({ success: false, message: 'from and to must be valid dates.' });
+      }
+      filter.at = {
+        ...(fromDate ? { $gte: fromDate } : {}),
+        ...(toDate ? { $lte: toDate } : {}),
+      };
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter).sort({ at: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      AuditLog.countDocuments(filter),
+    ]);
+    res.status(200).json({
+      success: true,
+      items: entries.map(serializeAuditLog),
+      page,
+      limit,
+      total,
+    });
+  } catch (err) {
+    console.error('listAuditLogs error:', err);
+    res.status(500).json({ success: false, message: 'Unable to fetch audit logs.' });
+  }
+};
+
+// GET /api/audit-logs/:id
+export const getAuditLog = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid audit log id.' });
+    }
+    const entry = await AuditLog.findById(id).lean();
+    if (!entry) {
+      return res.status(404).json({ success: false, message: 'Audit log entry not found.' });
+    }
+    res.status(200).json({ success: true, entry: serializeAuditLog(entry) });
+  } catch (err) {
+    console.error('getAuditLog error:', err);
+    res.status(500).json({ success: false, message: 'Unable to fetch audit log entry.' });
+  }
+};
@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
@@ -5,6 +6,9 @@ import User, { USER_ROLES } from '../models/user.js';
 import Lecturer from '../models/lecturer.js';
 import College from '../models/college.js';
 import Department from '../models/department.js';
+import { queueEmail } from '../services/emailService.js';
+import { annotateAudit, buildAuditChanges } from '../services/auditLogService.js';
+import { DEFAULT_EMAIL_SETTINGS, EMAIL_OPTIONAL_CATEGORIES } from '../constants/emailDefaults.js';
 
 const ACCESS_TOKEN_TTL = process.env.JWT_TTL || '1h';
 const ALLOWED_TITLES = ['Professor', 'Doctor', 'Mr', 'Mrs'];
@@ -413,6 +417,14 @@ export const updateUserStatus = async (req, res) => {
       { $set: updates },
       { new: true }
     );
+    annotateAudit(res, {
+      changes: buildAuditChanges(
+        existingUser.toObject(),
+        // passwordHash is not selected; a new one still shows as a (redacted) change
+        { ...user.toObject(), passwordHash: updates.passwordHash },
+        Object.keys(updates)
+      ),
+    });
 
     res.status(200).json({ success: true, user: buildUserPayload(user) });
   } catch (err) {
@@ -612,3 +624,123 @@ export const updateCurrentUserPassword = async (req, res) => {
     res.status(500).json({ success: false, message: 'Unable to update password.' });
   }
 };
+
+const hashResetToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// POST /api/auth/password/forgot { identifier } — answers the same whether or not the
+// account exists, so it cannot be used to discover accounts
+export const requestPasswordReset = async (req, res) => {
+  const reply = () => res.status(200).json({
+    success: true,
+    message: 'If the account exists and has an email address, a reset link has been sent to it.',
+  });
+  try {
+    const identifier = String(req.body?.identifier || '').trim();
+    if (!identifier) {
+      return res.status(400).json({ success: false, message: 'Email or PF number is required.' });
+    }
+
+    const user = await User.findOne({
+      $or: [{ email: identifier.toLowerCase() }, { pfNo: identifier.toUpperCase() }],
+    });
+    if (!user || user.status !== 'active' || !user.email) {
+      return reply();
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    user.passwordResetTokenHash = hashResetToken(token);
+    user.passwordResetExpiresAt = new Date(Date.now() + DEFAULT_EMAIL_SETTINGS.passwordResetTtlMs);
+    await user.save({ validateBeforeSave: false });
+
+    await queueEmail(user, 'password_reset', {
+      resetUrl: `${process.env.CLIENT_URL || ''}/reset-password?token=${token}`,
+      expiresInMinutes: Math.round(DEFAULT_EMAIL_SETTINGS.passwordResetTtlMs / 60000),
+    });
+    reply();
+  } catch (err) {
+    console.error('Password reset request error:', err);
+    res.status(500).json({ success: false, message: 'Unable to start password reset.' });
+  }
+};
+
+// POST /api/auth/password/reset { token, newPassword }
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body || {};
+    if (!token || !newPassword) {
+      return res.status(400).json({ success: false, message: 'Token and new password are required.' });
+    }
+    if (String(newPassword).length < 8) {
+      return res.status(400).json({ success: false, message: 'Password must be at least 8 characters.' });
+    }
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashResetToken(token),
+      passwordResetExpiresAt: { $gt: new Date() },
+      status: 'active',
+    }).select('+passwordHash +passwordResetTokenHash +passwordResetExpiresAt');
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'This reset link is invalid or has expired.' });
+    }
+
+    user.passwordHash = await bcrypt.hash(String(newPassword), 10);
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpiresAt = undefined;
+    user.audit.push({ action: 'password_reset', note: 'Password reset by email link.' });
+    await user.save();
+
+    res.status(200).json({ success: true, message: 'Password has been reset. You can now log in.' });
+  } catch (err) {
+    console.error('Password reset error:', err);
+    res.status(500).json({ success: false, message: 'Unable to reset password.' });
+  }
+};
+
+const emailPreferencesPayload = (user) => ({
+  categories: EMAIL_OPTIONAL_CATEGORIES,
+  optOut: user.emailOptOut || [],
+});
+
+export const getEmailPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('emailOptOut').lean();
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found.' });
+    }
+    res.status(200).json({ success: true, preferences: emailPreferencesPayload(user) });
+  } catch (err) {
+    console.error('Fetch email preferences error:', err);
+    res.status(500).json({ success: false, message: 'Unable to fetch email preferences.' });
+  }
+};
+
+// PATCH /api/auth/me/email-preferences { optOut: ['approval', 'amendment'] }
+export const updateEmailPreferences = async (req, res) => {
+  try {
+    const { optOut } = req.body || {};
+    if (!Array.isArray(optOut)) {
+      return res.status(400).json({ success: false, message: 'optOut must be an array of categories.' });
+    }
+    const categories = [...new Set(optOut.map((category) => String(category).trim().toLowerCase()))];
+    const invalid = categories.filter((category) => !EMAIL_OPTIONAL_CATEGORIES.includes(category));
+    if (invalid.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown or required email categories: ${invalid.join(', ')}. Choose from ${EMAIL_OPTIONAL_CATEGORIES.join(', ')}.`,
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: { emailOptOut: categories } },
+      { new: true }
+    ).select('emailOptOut');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found.' });
+    }
+    res.status(200).json({ success: true, preferences: emailPreferencesPayload(user) });
+  } catch (err) {
+    console.error('Update email preferences error:', err);
+    res.status(500).json({ success: false, message: 'Unable to update email preferences.' });
+  }
+};
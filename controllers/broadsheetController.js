@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import { BROADSHEET_FORMATS } from '../constants/broadsheetDefaults.js';
+import { buildBroadsheet } from '../services/broadsheetService.js';
+import {
+  broadsheetFileName,
+  renderBroadsheetPdf,
+  renderBroadsheetXlsx,
+} from '../services/broadsheetExportService.js';
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// GET /api/broadsheets?session=2023/2024&semester=1&level=300&programme=<id>&format=pdf|xlsx|json
+export const getBroadsheet = async (req, res) => {
+  try {
+    const { session, semester, level, programme } = req.query || {};
+    const format = String(req.query?.format || 'pdf').trim().toLowerCase();
+
+    if (!session || !semester || !level || !programme) {
+      return res.status(400).json({ success: false, message: 'session, semester, level and programme are required.' });
+    }
+    if (![1, 2].includes(Number(semester))) {
+      return res.status(400).json({ success: false, message: 'semester must be 1 or 2.' });
+    }
+    if (!['100', '200', '300', '400', '500'].includes(String(level))) {
+      return res.status(400).json({ success: false, message: 'level must be one of 100, 200, 300, 400, 500.' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(programme)) {
+      return res.status(400).json({ success: false, message: 'Invalid programme id.' });
+    }
+    if (!BROADSHEET_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, message: `format must be one of ${BROADSHEET_FORMATS.join(', ')}.` });
+    }
+
+    const data = await buildBroadsheet({
+      session: String(session).trim(),
+      semester,
+      level,
+      programmeId: programme,
+      user: req.user,
+    });
+
+    if (format === 'json') {
+      return res.status(200).json({ success: true, broadsheet: data });
+    }
+
+    const file = format === 'xlsx' ? await renderBroadsheetXlsx(data) : await renderBroadsheetPdf(data);
+    res.set({
+      'Content-Type': format === 'xlsx' ? XLSX_MIME_TYPE : 'application/pdf',
+      'Content-Disposition': `attachment; filename="${broadsheetFileName(data, format)}"`,
+      'Content-Length': file.length,
+    });
+    res.status(200).send(file);
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('getBroadsheet error:', err);
+    res.status(500).json({ success: false, message: 'Unable to generate broadsheet.' });
+  }
+};
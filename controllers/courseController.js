@@ -6,6 +6,7 @@ import {
   ensureResourceMatchesUserScope,
   ensureUserCanAccessDepartment,
 } from "../services/accessControl.js";
+import { normalizeAssessmentConfig } from "../services/assessmentService.js";
 
 const COURSE_POPULATE = [
   { path: 'college', select: 'name code' },
@@ -35,6 +36,7 @@ export const createCourse = async (req, res) => {
       collegeId,
       departmentId,
       programmeId,
+      assessment,
     } = req.body || {};
 
     if (!title || !code || unit == null || semester == null || !option || !level) {
@@ -60,6 +62,7 @@ export const createCourse = async (req, res) => {
       department: department._id,
       programme: programme._id,
       programmeType: programme.degreeType || DEFAULT_PROGRAMME.degreeType,
+      ...(assessment ? { assessment: normalizeAssessmentConfig(assessment) } : {}),
     };
 
     if (!Number.isFinite(payload.unit) || payload.unit <= 0) {
@@ -83,6 +86,9 @@ export const createCourse = async (req, res) => {
     res.status(201).json(populated);
   } catch (error) {
     console.error("Error creating course:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     if (error.name === "ValidationError") {
       return res
         .status(400)
@@ -189,6 +195,9 @@ export const updateCourse = async (req, res) => {
     if (updates.host) {
       updates.host = String(updates.host).trim();
     }
+    if (updates.assessment !== undefined) {
+      updates.assessment = normalizeAssessmentConfig(updates.assessment);
+    }
 
     const updatedCourse = await Course.findByIdAndUpdate(req.params.id, updates, {
       new: true,
@@ -203,6 +212,9 @@ export const updateCourse = async (req, res) => {
     res.status(200).json(updatedCourse);
   } catch (error) {
     console.error("Error updating course:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     if (error.name === "ValidationError") {
       return res
         .status(400)
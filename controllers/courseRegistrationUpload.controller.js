@@ -14,8 +14,14 @@ import {
   ensureResourceMatchesUserScope,
   ensureUserCanAccessDepartment,
 } from '../services/accessControl.js';
+import {
+  closeInterruptedImportBatch,
+  createImportRecorder,
+  startImportBatch,
+} from '../services/importBatchService.js';
+import { enqueueJob, registerJobHandler, serializeJob } from '../services/jobService.js';
 
-const buildRegistrationPayload = ({ courseDoc, session, semesterNum, levelStr, studentIds, fallbackInstitution }) => {
+const buildRegistrationPayload = ({ courseDoc, session, semesterNum, levelStr, studentIds, fallbackInstitution, importBatch }) => {
   const collegeId = courseDoc.college || fallbackInstitution?.college?._id;
   const departmentId = courseDoc.department || fallbackInstitution?.department?._id;
   const programmeId = courseDoc.programme || fallbackInstitution?.programme?._id;
@@ -35,6 +41,7 @@ const buildRegistrationPayload = ({ courseDoc, session, semesterNum, levelStr, s
     department: departmentId,
     programme: programmeId,
     programmeType,
+    ...(importBatch && { importBatch }),
   };
 };
 
@@ -209,16 +216,88 @@ export async function uploadCourseRegistrations(req, res) {
 
     ensureUserCanAccessDepartment(req.user, fallbackInstitution.department._id, fallbackInstitution.college._id);
 
+    // Up to 30 exam-card PDFs take too long for one request; the worker reports back through the job
+    const job = await enqueueJob({
+      type: 'course_registration_upload',
+      req,
+      params: { session, semester: semesterNum, curriculumType, collegeId, departmentId, programmeId },
+      files: req.files,
+    });
+
+    return res.status(202).json({
+      ok: true,
+      message: 'Registration upload queued',
+      jobId: job._id,
+      job: serializeJob(job),
+    });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({
+      ok: false,
+      message: 'Unable to queue registration upload',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Background job behind uploadCourseRegistrations. Safe to run again after an interruption:
+ * students already registered for a course are skipped as duplicates. The final report is
+ * what the upload used to return directly.
+ */
+async function processRegistrationUpload(job, context) {
+  const { session, semester: semesterNum, curriculumType, collegeId, departmentId, programmeId } = context.params;
+  const curriculumPrefix = curriculumType ? CURRICULUM_PREFIX[curriculumType] : null;
+  const user = context.user;
+
+  const fallbackInstitution = await validateInstitutionHierarchy({ collegeId, departmentId, programmeId });
+  const files = await context.loadFiles();
+
+  let recorder = null;
+  try {
+    const batch = await startImportBatch({
+      kind: 'course_registrations',
+      user,
+      params: { session, semester: semesterNum, curriculumType, collegeId, departmentId, programmeId },
+      files,
+    });
+    recorder = createImportRecorder(batch);
+    // Lets the batch be closed properly if the server stops mid-upload
+    await context.saveState({ importBatchId: batch._id });
+
+    // One outcome row per registration document created and per student skipped as a duplicate
+    const recordRegistration = (fileName, doc, courseDoc, levelStr, count) => {
+      recorder.created('CourseRegistration', doc);
+      recorder.department(doc.department);
+      recorder.row({
+        fileName,
+        key: `${courseDoc.code} (${levelStr})`,
+        outcome: 'created',
+        message: `${count} student(s) registered`,
+        target: doc._id,
+      });
+    };
+    const recordDuplicates = (fileName, courseDoc, regNos) => regNos.forEach((regNo) => recorder.row({
+      fileName,
+      key: regNo,
+      outcome: 'skipped',
+      code: 'DUPLICATE_REGISTRATION',
+      message: `Already registered for ${courseDoc.code}`,
+    }));
+
     const results = {
       ok: true,
-      summary: { totalFiles: req.files.length, succeeded: 0, failed: 0 },
+      summary: { totalFiles: files.length, succeeded: 0, failed: 0 },
       files: [],
+      importBatchId: batch._id,
     };
 
-    // request-level cache of already-registered ids per (course, session, semester, level)
+    // upload-level cache of already-registered ids per (course, session, semester, level)
     const alreadySetByKey = new Map();
 
-    for (const file of req.files) {
+    for (const [index, file] of files.entries()) {
+      context.throwIfCancelled();
+      await context.progress(index, files.length, `Processing ${file.originalname}`);
+
       const report = {
         fileName: file.originalname,
         status: 'failed',
@@ -287,7 +366,7 @@ export async function uploadCourseRegistrations(req, res) {
             ? await Course.find({ code: { $in: prefixedCodes } })
                 .select('_id code title level semester unit college department programme programmeType')
             : [];
-          courseDocs.forEach((doc) => ensureUserCanAccessDepartment(req.user, doc.department, doc.college));
+          courseDocs.forEach((doc) => ensureUserCanAccessDepartment(user, doc.department, doc.college));
           const courseByCode = new Map(courseDocs.map((c) => [c.code.toUpperCase(), c]));
 
           const missingCourseSummaries = [];
@@ -403,15 +482,18 @@ export async function uploadCourseRegistrations(req, res) {
                   levelStr,
                   studentIds: freshIds,
                   fallbackInstitution,
+                  importBatch: batch._id,
                 })
               );
                 docId = newDoc._id;
+                recordRegistration(file.originalname, newDoc, courseDoc, levelStr, freshIds.length);
                 totalCreated += freshIds.length;
                 levelSummary.successfulRegistrations += freshIds.length;
               }
             }
 
             totalDuplicates += duplicateRegNos.length;
+            recordDuplicates(file.originalname, courseDoc, duplicateRegNos);
 
             courseStats.push({
               course: {
@@ -528,7 +610,7 @@ export async function uploadCourseRegistrations(req, res) {
           continue;
         }
 
-        ensureUserCanAccessDepartment(req.user, course.department, course.college);
+        ensureUserCanAccessDepartment(user, course.department, course.college);
 
         let regNos;
         try {
@@ -628,9 +710,11 @@ export async function uploadCourseRegistrations(req, res) {
                   levelStr,
                   studentIds: freshIds,
                   fallbackInstitution,
+                  importBatch: batch._id,
                 })
               );
               docId = doc._id;
+              recordRegistration(file.originalname, doc, course, levelStr, freshIds.length);
               freshIds.forEach((id) => seen.add(String(id)));
               totalCreatedForCsv += freshIds.length;
               insertedRegNos.push(...freshRegNos);
@@ -638,6 +722,7 @@ export async function uploadCourseRegistrations(req, res) {
           }
 
           duplicateRegNos.push(...levelDuplicates);
+          recordDuplicates(file.originalname, course, levelDuplicates);
           perLevelResults.push({
             level: levelStr,
             attempted: records.length,
@@ -686,21 +771,35 @@ export async function uploadCourseRegistrations(req, res) {
         report.errors.push('SAVE_ERROR');
         report.details.mongooseError = e.message;
       } finally {
+        if (report.status === 'failed') {
+          recorder.row({
+            fileName: report.fileName,
+            outcome: 'failed',
+            code: report.errors[0] || null,
+            message: report.errors.join(', '),
+          });
+        }
         results.files.push(report);
       }
     }
 
     results.summary.failed = results.files.filter(f => f.status === 'failed').length;
-    return res.status(207).json(results);
+    await recorder.finish({ stats: results.summary });
+    return results;
   } catch (error) {
-    return res.status(500).json({
-      ok: false,
-      message: 'Internal server error during upload',
-      error: error.message
-    });
+    await recorder?.fail(error);
+    throw error;
   }
 }
 
+registerJobHandler('course_registration_upload', {
+  resumable: true,
+  run: processRegistrationUpload,
+  // Registrations created before the interruption stay, recorded on the batch for rollback
+  onInterrupted: (job) => job.state?.importBatchId
+    && closeInterruptedImportBatch(job.state.importBatchId, { createdModels: ['CourseRegistration'] }),
+});
+
 export async function searchCourseRegistrations(req, res) {
   try {
     const { session, semester, level, course } = req.query;
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import EmailMessage from '../models/emailMessage.js';
+import { retryEmail, serializeEmail } from '../services/emailService.js';
+import { EMAIL_STATUSES } from '../constants/emailDefaults.js';
+
+// GET /api/emails?status=&template=&to=&limit= — the outbox, newest first
+export const listEmails = async (req, res) => {
+  try {
+    const { status, template, to } = req.query || {};
+    const limit = Math.min(Math.max(parseInt(req.query?.limit, 10) || 50, 1), 200);
+    const filter = {};
+    if (status) {
+      if (!EMAIL_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, message: `status must be one of ${EMAIL_STATUSES.join(', ')}.` });
+      }
+      filter.status = status;
+    }
+    if (template) filter.template = String(template);
+    if (to) filter.to = String(to).trim().toLowerCase();
+
+    const emails = await EmailMessage.find(filter)
+      .select('-text -html -deliveryLog')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+    res.status(200).json({ success: true, items: emails.map((email) => serializeEmail(email)) });
+  } catch (err) {
+    console.error('listEmails error:', err);
+    res.status(500).json({ success: false, message: 'Unable to fetch emails.' });
+  }
+};
+
+// GET /api/emails/:id — with the body and the delivery log
+export const getEmail = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid email id.' });
+    }
+    const email = await EmailMessage.findById(id).lean();
+    if (!email) {
+      return res.status(404).json({ success: false, message: 'Email not found.' });
+    }
+    res.status(200).json({ success: true, email: serializeEmail(email, { detailed: true }) });
+  } catch (err) {
+    console.error('getEmail error:', err);
+    res.status(500).json({ success: false, message: 'Unable to fetch email.' });
+  }
+};
+
+// POST /api/emails/:id/retry — one more attempt at a failed email
+export const retryEmailById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid email id.' });
+    }
+    const email = await retryEmail(id);
+    res.status(200).json({ success: true, email: serializeEmail(email) });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('retryEmail error:', err);
+    res.status(500).json({ success: false, message: 'Unable to retry email.' });
+  }
+};
@@ -0,0 +1,148 @@
+import mongoose from 'mongoose';
+import GradingScheme from '../models/gradingScheme.js';
+import Programme from '../models/programme.js';
+import {
+  buildDepartmentScopeFilter,
+  ensureUserCanAccessDepartment,
+} from '../services/accessControl.js';
+import {
+  normalizeGradingBands,
+  normalizeRepeatPolicy,
+  resolveGradingScheme,
+} from '../services/gradingService.js';
+
+const SESSION_PATTERN = /^\d{4}\/\d{4}$/;
+
+const serializeScheme = (scheme) => ({
+  id: scheme._id,
+  name: scheme.name,
+  description: scheme.description || null,
+  programmeId: scheme.programme?._id || scheme.programme,
+  programmeName: scheme.programme?.name || null,
+  departmentId: scheme.department,
+  collegeId: scheme.college,
+  effectiveFromSession: scheme.effectiveFromSession,
+  bands: scheme.bands,
+  repeatPolicy: scheme.repeatPolicy,
+  createdAt: scheme.createdAt,
+  updatedAt: scheme.updatedAt,
+});
+
+export const listGradingSchemes = async (req, res) => {
+  try {
+    const { programmeId } = req.query || {};
+    const filter = { ...buildDepartmentScopeFilter(req.user) };
+
+    if (programmeId) {
+      if (!mongoose.Types.ObjectId.isValid(programmeId)) {
+        return res.status(400).json({ success: false, message: 'Invalid programmeId.' });
+      }
+      filter.programme = programmeId;
+    }
+
+    const schemes = await GradingScheme.find(filter)
+      .populate('programme', 'name')
+      .sort({ programme: 1, effectiveFromSession: -1 })
+      .lean();
+
+    res.status(200).json({ success: true, schemes: schemes.map(serializeScheme) });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('listGradingSchemes error:', err);
+    res.status(500).json({ success: false, message: 'Unable to fetch grading schemes.' });
+  }
+};
+
+// Schemes are never edited in place: a policy change is a new scheme with a later
+// effectiveFromSession, so results from earlier sessions keep the rules they were graded under.
+export const createGradingScheme = async (req, res) => {
+  try {
+    const { name, description, programmeId, effectiveFromSession, bands, repeatPolicy } = req.body || {};
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ success: false, message: 'Scheme name is required.' });
+    }
+    if (!programmeId || !mongoose.Types.ObjectId.isValid(programmeId)) {
+      return res.status(400).json({ success: false, message: 'Valid programmeId is required.' });
+    }
+    const session = String(effectiveFromSession || '').trim();
+    if (!SESSION_PATTERN.test(session)) {
+      return res.status(400).json({ success: false, message: 'effectiveFromSession must look like 2023/2024.' });
+    }
+
+    const programme = await Programme.findById(programmeId).lean();
+    if (!programme) {
+      return res.status(404).json({ success: false, message: 'Programme not found.' });
+    }
+    ensureUserCanAccessDepartment(req.user, programme.department, programme.college);
+
+    const normalizedBands = normalizeGradingBands(bands);
+
+    const scheme = await GradingScheme.create({
+      name: String(name).trim(),
+      ...(description ? { description: String(description).trim() } : {}),
+      programme: programme._id,
+      department: programme.department,
+      college: programme.college,
+      effectiveFromSession: session,
+      bands: normalizedBands,
+      repeatPolicy: normalizeRepeatPolicy(repeatPolicy, normalizedBands),
+      createdBy: req.user?.id,
+    });
+
+    res.status(201).json({ success: true, scheme: serializeScheme(scheme) });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A grading scheme already takes effect from this session for the programme.',
+      });
+    }
+    console.error('createGradingScheme error:', err);
+    res.status(500).json({ success: false, message: 'Unable to create grading scheme.' });
+  }
+};
+
+// GET /api/grading-schemes/resolve?programmeId=...&session=2023/2024
+export const resolveGradingSchemeForTerm = async (req, res) => {
+  try {
+    const { programmeId, session } = req.query || {};
+    if (!programmeId || !mongoose.Types.ObjectId.isValid(programmeId)) {
+      return res.status(400).json({ success: false, message: 'Valid programmeId is required.' });
+    }
+    if (!SESSION_PATTERN.test(String(session || '').trim())) {
+      return res.status(400).json({ success: false, message: 'session must look like 2023/2024.' });
+    }
+
+    const programme = await Programme.findById(programmeId).select('department college').lean();
+    if (!programme) {
+      return res.status(404).json({ success: false, message: 'Programme not found.' });
+    }
+    ensureUserCanAccessDepartment(req.user, programme.department, programme.college);
+
+    const scheme = await resolveGradingScheme(programme._id, String(session).trim());
+    res.status(200).json({
+      success: true,
+      session: String(session).trim(),
+      scheme: {
+        id: scheme._id,
+        name: scheme.name,
+        effectiveFromSession: scheme.effectiveFromSession,
+        isDefault: Boolean(scheme.isDefault),
+        bands: scheme.bands,
+        repeatPolicy: scheme.repeatPolicy,
+      },
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('resolveGradingSchemeForTerm error:', err);
+    res.status(500).json({ success: false, message: 'Unable to resolve grading scheme.' });
+  }
+};
@@ -5,6 +5,15 @@ import Student from '../models/student.js';
 import Result from '../models/result.js';
 import CourseRegistration from '../models/courseRegistration.js';
 import ApprovedCourses from '../models/approvedCourses.js';
+import Programme from '../models/programme.js';
+import { buildDepartmentScopeFilter } from '../services/accessControl.js';
+import {
+  createDegreeClassResolver,
+  classifyCGPA,
+  rawCgpaFromMetrics,
+} from '../services/degreeClassificationService.js';
+import { createGradingSchemeResolver, isPassingGrade } from '../services/gradingService.js';
+import { DEGREE_CLASS_CODES } from '../constants/degreeClassDefaults.js';
 
 export const isGraduationHookAvailable = async (req, res) => {
   try {
@@ -45,7 +54,7 @@ export const getGraduatingList = async (req, res) => {
     })
       .populate({
         path: 'student',
-        select: 'surname firstname middlename regNo regNoSuffix regNoNumeric level status',
+        select: 'surname firstname middlename regNo regNoSuffix regNoNumeric level status programme',
       })
       .lean();
 
@@ -148,10 +157,14 @@ export const getGraduatingList = async (req, res) => {
       }
     }
 
-    // Student → list of unresolved failed course details
+    // Student → list of unresolved failed course details; pass or fail under the grading
+    // scheme in force for the programme in the session of the attempt
+    const gradingResolver = createGradingSchemeResolver();
+    const programmeByStudent = new Map(metrics.filter(m => m.student).map(m => [String(m.student._id), m.student.programme]));
     const failedByStudent = new Map(); // sid -> [{code, unit, score, grade, session, semester}]
     for (const [key, row] of latestAttempt.entries()) {
-      if ((row.grade || '').toUpperCase() === 'F') {
+      const scheme = await gradingResolver.forProgramme(programmeByStudent.get(String(row.student)), row.session);
+      if (!isPassingGrade(row.grade, scheme)) {
         const sid = String(row.student);
         const cid = key.split('|')[1];
         if (!failedByStudent.has(sid)) failedByStudent.set(sid, []);
@@ -183,6 +196,16 @@ export const getGraduatingList = async (req, res) => {
       if (!latestCgpaByStudentLevel.has(key)) latestCgpaByStudentLevel.set(key, row.CGPA || 0);
     }
 
+    // Degree class scheme in force for each programme in this graduating session
+    const classResolver = createDegreeClassResolver();
+    const classSchemeByProgramme = new Map();
+    for (const m of metrics) {
+      const pid = String(m.student?.programme || '');
+      if (m.student && !classSchemeByProgramme.has(pid)) {
+        classSchemeByProgramme.set(pid, await classResolver.forProgramme(m.student.programme, session));
+      }
+    }
+
     const rows = metrics
       .filter(m => m.student)
       .map(m => {
@@ -236,6 +259,9 @@ export const getGraduatingList = async (req, res) => {
           noOutstandingFail &&
           meetsCCE;
 
+        const classScheme = classSchemeByProgramme.get(String(s.programme || ''));
+        const classification = classifyCGPA(rawCgpaFromMetrics(m), classScheme);
+
         const cgpa100 = latestCgpaByStudentLevel.get(`${sid}-100`) || 0;
         const cgpa200 = latestCgpaByStudentLevel.get(`${sid}-200`) || 0;
         const cgpa300 = latestCgpaByStudentLevel.get(`${sid}-300`) || 0;
@@ -281,6 +307,11 @@ export const getGraduatingList = async (req, res) => {
           cgpaByLevel: { L100: cgpa100, L200: cgpa200, L300: cgpa300 },
           cumulative: { CCC: m.CCC, CCE: m.CCE, CPE: m.CPE, CGPA: m.CGPA },
           current:     { TCC: m.TCC, TCE: m.TCE, TPE: m.TPE, GPA: m.GPA },
+          classification: {
+            ...classification,
+            schemeId: classScheme?._id || null,
+            schemeName: classScheme?.name || null,
+          },
           failedCourseDetails: fails,
           compliance: {
             registeredAllApproved,
@@ -315,9 +346,19 @@ export const getGraduatingList = async (req, res) => {
 
     const eligibleCount = rows.filter(r => r.eligibility.eligible).length;
 
+    const classCounts = {};
+    rows
+      .filter(r => r.eligibility.eligible)
+      .forEach((r) => {
+        const key = r.classification.code || 'UNCLASSIFIED';
+        classCounts[key] = (classCounts[key] || 0) + 1;
+      });
+
     return res.status(200).json({
       session, semester: semNum, level: 400,
       total: rows.length, eligibleCount, ineligibleCount: rows.length - eligibleCount,
+      classCounts,
+      borderlineCount: rows.filter(r => r.eligibility.eligible && r.classification.borderline).length,
       students: rows,
       header: {
         college: 'Biological Sciences',
@@ -344,6 +385,8 @@ export const getGraduatingList = async (req, res) => {
 };
 
 
+// Marks the selected students graduated and records the class and final CGPA from the
+// AcademicMetrics snapshot of the graduating term. Students without that snapshot are skipped.
 export const finalizeGraduation = async (req, res) => {
   try {
     const { studentIds, session, semester } = req.body;
@@ -353,14 +396,120 @@ export const finalizeGraduation = async (req, res) => {
     if (!session || !semester) {
       return res.status(400).json({ error: 'session and semester are required' });
     }
+    const semNum = Number(semester);
+    if (![1, 2].includes(semNum)) {
+      return res.status(400).json({ error: 'semester must be 1 or 2' });
+    }
     const validIds = studentIds.filter(id => mongoose.Types.ObjectId.isValid(id));
-    const { modifiedCount } = await Student.updateMany(
-      { _id: { $in: validIds } },
-      { $set: { status: 'graduated' } }
-    );
-    return res.status(200).json({ message: 'Graduation finalized', updated: modifiedCount });
+
+    const [students, metrics] = await Promise.all([
+      Student.find({ _id: { $in: validIds } }).select('regNo programme').lean(),
+      AcademicMetrics.find({ student: { $in: validIds }, session, semester: semNum })
+        .select('student CGPA CPE CCC')
+        .lean(),
+    ]);
+    const metricsByStudent = new Map(metrics.map((m) => [String(m.student), m]));
+
+    const classResolver = createDegreeClassResolver();
+    const finalizedAt = new Date();
+    const operations = [];
+    const skipped = [];
+    const classCounts = {};
+
+    for (const student of students) {
+      const snapshot = metricsByStudent.get(String(student._id));
+      if (!snapshot) {
+        skipped.push({ id: student._id, regNo: student.regNo, reason: `No academic metrics for ${session} semester ${semNum}` });
+        continue;
+      }
+      const scheme = await classResolver.forProgramme(student.programme, session);
+      const classification = classifyCGPA(rawCgpaFromMetrics(snapshot), scheme);
+      const key = classification.code || 'UNCLASSIFIED';
+      classCounts[key] = (classCounts[key] || 0) + 1;
+
+      operations.push({
+        updateOne: {
+          filter: { _id: student._id },
+          update: {
+            $set: {
+              status: 'graduated',
+              graduation: {
+                session,
+                semester: semNum,
+                degreeClass: classification.code,
+                degreeClassLabel: classification.label,
+                finalCGPA: classification.cgpa,
+                rawCGPA: classification.rawCGPA,
+                borderline: Boolean(classification.borderline),
+                classScheme: scheme._id || undefined,
+                finalizedAt,
+              },
+            },
+          },
+        },
+      });
+    }
+
+    const { modifiedCount } = operations.length
+      ? await Student.bulkWrite(operations, { ordered: false })
+      : { modifiedCount: 0 };
+    return res.status(200).json({ message: 'Graduation finalized', updated: modifiedCount, classCounts, skipped });
   } catch (err) {
     console.error('Error finalizing graduation:', err);
     return res.status(500).json({ error: 'Failed to finalize graduation', details: err.message });
   }
 };
+
+// GET /api/graduation/classification-summary?session=2023/2024&programmeId=...
+// Counts finalized graduates per programme and graduating session, broken down by class.
+export const getClassificationSummary = async (req, res) => {
+  try {
+    const { session, programmeId } = req.query || {};
+    const filter = {
+      status: 'graduated',
+      'graduation.session': { $exists: true },
+      ...buildDepartmentScopeFilter(req.user),
+    };
+    if (session) filter['graduation.session'] = String(session).trim();
+    if (programmeId) {
+      if (!mongoose.Types.ObjectId.isValid(programmeId)) {
+        return res.status(400).json({ success: false, message: 'Invalid programmeId.' });
+      }
+      filter.programme = programmeId;
+    }
+
+    const graduates = await Student.find(filter)
+      .select('programme graduation.session graduation.degreeClass graduation.borderline')
+      .lean();
+
+    const groups = new Map(); // `${programmeId}|${session}` -> summary row
+    for (const g of graduates) {
+      const pid = String(g.programme || '');
+      const key = `${pid}|${g.graduation.session}`;
+      if (!groups.has(key)) {
+        const classes = Object.fromEntries([...DEGREE_CLASS_CODES, 'UNCLASSIFIED'].map((code) => [code, 0]));
+        groups.set(key, { programmeId: pid, session: g.graduation.session, total: 0, borderline: 0, classes });
+      }
+      const row = groups.get(key);
+      row.total += 1;
+      row.classes[g.graduation.degreeClass || 'UNCLASSIFIED'] += 1;
+      if (g.graduation.borderline) row.borderline += 1;
+    }
+
+    const programmeIds = [...new Set([...groups.values()].map((row) => row.programmeId))].filter(Boolean);
+    const programmes = await Programme.find({ _id: { $in: programmeIds } }).select('name').lean();
+    const programmeNames = new Map(programmes.map((p) => [String(p._id), p.name]));
+
+    const summary = [...groups.values()]
+      .map((row) => ({ ...row, programmeName: programmeNames.get(row.programmeId) || null }))
+      .sort((a, b) => b.session.localeCompare(a.session) || (a.programmeName || '').localeCompare(b.programmeName || ''));
+
+    return res.status(200).json({ success: true, summary });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('Error in getClassificationSummary:', err);
+    return res.status(500).json({ success: false, message: 'Failed to compute classification summary' });
+  }
+};
@@ -0,0 +1,148 @@
+import fs from 'fs';
+import mongoose from 'mongoose';
+import ImportBatch from '../models/importBatch.js';
+import { IMPORT_BATCH_KINDS, IMPORT_BATCH_STATUSES } from '../constants/importBatchDefaults.js';
+import { actorFromRequest } from '../services/resultRevisionService.js';
+import {
+  buildImportBatchScopeFilter,
+  ensureUserCanAccessImportBatch,
+  resolveImportFilePath,
+  revertImportBatch,
+  serializeImportBatch,
+} from '../services/importBatchService.js';
+
+const loadBatch = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: 'Invalid import batch id.' });
+    return null;
+  }
+  const batch = await ImportBatch.findById(id).lean();
+  if (!batch) {
+    res.status(404).json({ success: false, message: 'Import batch not found.' });
+    return null;
+  }
+  ensureUserCanAccessImportBatch(req.user, batch);
+  return batch;
+};
+
+// GET /api/import-batches?kind=results&status=completed&page=1&limit=20
+export const listImportBatches = async (req, res) => {
+  try {
+    const { kind, status } = req.query || {};
+    const page = Math.max(parseInt(req.query?.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query?.limit, 10) || 20, 1), 100);
+    const filter = { ...buildImportBatchScopeFilter(req.user) };
+
+    if (kind) {
+      if (!IMPORT_BATCH_KINDS.includes(kind)) {
+        return res.status(400).json({ success: false, message: `kind must be one of ${IMPORT_BATCH_KINDS.join(', ')}.` });
+      }
+      filter.kind = kind;
+    }
+    if (status) {
+      if (!IMPORT_BATCH_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, message: `status must be one of ${IMPORT_BATCH_STATUSES.join(', ')}.` });
+      }
+      filter.status = status;
+    }
+
+    const [batches, total] = await Promise.all([
+      ImportBatch.find(filter)
+        .select('-rows -changes')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ImportBatch.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      batches: batches.map((batch) => serializeImportBatch(batch)),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('listImportBatches error:', err);
+    res.status(500).json({ success: false, message: 'Unable to fetch import batches.' });
+  }
+};
+
+// GET /api/import-batches/:id — includes the per-row outcomes
+export const getImportBatch = async (req, res) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+    res.status(200).json({ success: true, batch: serializeImportBatch(batch, { detailed: true }) });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('getImportBatch error:', err);
+    res.status(500).json({ success: false, message: 'Unable to fetch import batch.' });
+  }
+};
+
+// GET /api/import-batches/:id/files/:index — the file exactly as it was uploaded
+export const downloadImportBatchFile = async (req, res) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+
+    const file = batch.files?.[Number(req.params.index)];
+    const filePath = file?.path ? resolveImportFilePath(file) : null;
+    if (!filePath || !fs.existsSync(filePath)) {
+      return res.status(404).json({ success: false, message: 'File not found for this import batch.' });
+    }
+    res.download(filePath, file.fileName);
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('downloadImportBatchFile error:', err);
+    res.status(500).json({ success: false, message: 'Unable to download import file.' });
+  }
+};
+
+// POST /api/import-batches/:id/rollback { reason, force }
+export const rollbackImportBatch = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid import batch id.' });
+    }
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'A reason is required to roll back an import.' });
+    }
+    const force = req.body?.force === true || String(req.body?.force || '').toLowerCase() === 'true';
+
+    const { batch, report, complete } = await revertImportBatch(id, {
+      user: req.user,
+      actor: actorFromRequest(req),
+      reason,
+      force,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: complete
+        ? 'Import batch rolled back.'
+        : report.skipped.some((entry) => entry.reason === 'RESULT_LOCKED')
+          ? 'Import batch partly rolled back; records in Dean-approved terms were left in place and need a result amendment.'
+          : 'Import batch partly rolled back; some records changed since the import were left in place.',
+      complete,
+      report,
+      batch: serializeImportBatch(batch.toObject()),
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('rollbackImportBatch error:', err);
+    res.status(500).json({ success: false, message: 'Unable to roll back import batch.' });
+  }
+};
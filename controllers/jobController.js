@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+import Job from '../models/job.js';
+import { JOB_STATUSES, JOB_TYPES } from '../constants/jobDefaults.js';
+import { cancelJob, ensureUserCanAccessJob, serializeJob } from '../services/jobService.js';
+
+const loadJob = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: 'Invalid job id.' });
+    return null;
+  }
+  const job = await Job.findById(id).lean();
+  if (!job) {
+    res.status(404).json({ success: false, message: 'Job not found.' });
+    return null;
+  }
+  ensureUserCanAccessJob(req.user, job);
+  return job;
+};
+
+// GET /api/jobs?type=...&status=... — the caller's jobs; ADMIN sees everyone's
+export const listJobs = async (req, res) => {
+  try {
+    const { type, status } = req.query || {};
+    const limit = Math.min(Math.max(parseInt(req.query?.limit, 10) || 20, 1), 100);
+    const filter = (req.user?.roles || []).includes('ADMIN') ? {} : { 'requestedBy.id': req.user?.id };
+
+    if (type) {
+      if (!JOB_TYPES.includes(type)) {
+        return res.status(400).json({ success: false, message: `type must be one of ${JOB_TYPES.join(', ')}.` });
+      }
+      filter.type = type;
+    }
+    if (status) {
+      if (!JOB_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, message: `status must be one of ${JOB_STATUSES.join(', ')}.` });
+      }
+      filter.status = status;
+    }
+
+    const jobs = await Job.find(filter)
+      .select('-logs -result -state')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.status(200).json({ success: true, jobs: jobs.map((job) => serializeJob(job)) });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('listJobs error:', err);
+    res.status(500).json({ success: false, message: 'Unable to fetch jobs.' });
+  }
+};
+
+// GET /api/jobs/:id — poll for progress, logs and, once finished, the report
+export const getJob = async (req, res) => {
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+    res.status(200).json({ success: true, job: serializeJob(job, { detailed: true }) });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('getJob error:', err);
+    res.status(500).json({ success: false, message: 'Unable to fetch job.' });
+  }
+};
+
+// POST /api/jobs/:id/cancel
+export const cancelJobById = async (req, res) => {
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    const updated = await cancelJob(job);
+    res.status(200).json({
+      success: true,
+      message: updated.status === 'cancelled'
+        ? 'Job cancelled.'
+        : 'Cancellation requested; the job stops at its next checkpoint.',
+      job: serializeJob(updated.toObject()),
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('cancelJob error:', err);
+    res.status(500).json({ success: false, message: 'Unable to cancel job.' });
+  }
+};
@@ -0,0 +1,473 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import Moderation from '../models/moderation.js';
+import ModerationWorkflow from '../models/moderationWorkflow.js';
+import Course from '../models/course.js';
+import Result from '../models/result.js';
+import User from '../models/user.js';
+import {
+  buildDepartmentScopeFilter,
+  ensureUserCanAccessDepartment,
+} from '../services/accessControl.js';
+import {
+  applyModeration,
+  findOpenModerationsForResults,
+  resolveModerationStages,
+  userCanActOnStage,
+} from '../services/moderationService.js';
+import { findLockedTerms } from '../services/resultLockService.js';
+import { notifyRoles } from '../services/notificationService.js';
+import { actorFromRequest } from '../services/resultRevisionService.js';
+import { MODERATION_STAGE_ROLES, MODERATION_STATUSES } from '../constants/moderationDefaults.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SESSION_PATTERN = /^\d{4}\/\d{4}$/;
+
+const discardUploads = async (files = []) => {
+  await Promise.all(files.map((file) => fs.promises.unlink(file.path).catch(() => {})));
+};
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+
+const toEvidence = (files = [], userId) =>
+  files.map((file) => ({
+    fileName: file.originalname,
+    path: path.relative(PROJECT_ROOT, file.path).split(path.sep).join('/'),
+    mimeType: file.mimetype,
+    size: file.size,
+    uploadedBy: userId,
+  }));
+
+const displayName = (user) =>
+  [user?.title, user?.surname, user?.firstname].filter(Boolean).join(' ').trim() || user?.email || '';
+
+// Items arrive as a JSON string when the request is multipart (evidence upload)
+const parseItems = (raw) => {
+  if (Array.isArray(raw)) return raw;
+  if (typeof raw === 'string' && raw.trim()) {
+    try {
+      const parsed = JSON.parse(raw);
+      return Array.isArray(parsed) ? parsed : null;
+    } catch {
+      return null;
+    }
+  }
+  return null;
+};
+
+// Tells the officers of the moderation's current stage that it is waiting for them
+const notifyModerationStage = (moderation, courseCode, { user }) => notifyRoles({
+  roles: [moderation.stages[moderation.currentStage]?.role].filter(Boolean),
+  department: moderation.department,
+  college: moderation.college,
+  exclude: [user?.id],
+  type: 'moderation_submitted',
+  title: `Moderation request for ${courseCode || 'a course'} awaits you`,
+  message: `${moderation.items.length} result(s), ${moderation.session} semester ${moderation.semester}: ${moderation.reason}`,
+  link: { kind: 'Moderation', id: moderation._id },
+  data: { session: moderation.session, semester: moderation.semester, stage: moderation.stages[moderation.currentStage]?.role },
+});
+
+const loadScopedModeration = async (req) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw Object.assign(new Error('Invalid moderation id.'), { statusCode: 400 });
+  }
+  const moderation = await Moderation.findById(id);
+  if (!moderation) {
+    throw Object.assign(new Error('Moderation request not found.'), { statusCode: 404 });
+  }
+  ensureUserCanAccessDepartment(req.user, moderation.department, moderation.college);
+  return moderation;
+};
+
+// POST /api/moderations (multipart: evidence[] + courseId, session, semester, reason, items)
+export const createModeration = async (req, res) => {
+  const files = req.files || [];
+  try {
+    const { courseId, session, semester, reason } = req.body || {};
+    const items = parseItems(req.body?.items);
+    const semNum = Number(semester);
+
+    const fail = async (status, message, extra = {}) => {
+      await discardUploads(files);
+      return res.status(status).json({ success: false, message, ...extra });
+    };
+
+    if (!courseId || !mongoose.Types.ObjectId.isValid(courseId)) {
+      return fail(400, 'Valid courseId is required.');
+    }
+    if (!SESSION_PATTERN.test(String(session || '').trim())) {
+      return fail(400, 'session must look like 2023/2024.');
+    }
+    if (![1, 2].includes(semNum)) {
+      return fail(400, 'semester must be 1 or 2.');
+    }
+    if (!reason || !String(reason).trim()) {
+      return fail(400, 'A reason for the moderation is required.');
+    }
+    if (!files.length) {
+      return fail(400, 'Attach at least one evidence file.');
+    }
+    if (!items || !items.length) {
+      return fail(400, 'items must be a non-empty array of { resultId, proposedGrandtotal }.');
+    }
+
+    const course = await Course.findById(courseId).select('_id code department college').lean();
+    if (!course) {
+      return fail(404, 'Course not found.');
+    }
+    ensureUserCanAccessDepartment(req.user, course.department, course.college);
+
+    const seen = new Set();
+    for (const [index, item] of items.entries()) {
+      const resultId = String(item?.resultId || '');
+      const proposed = Number(item?.proposedGrandtotal);
+      if (!mongoose.Types.ObjectId.isValid(resultId)) {
+        return fail(400, `Item ${index + 1}: resultId is invalid.`);
+      }
+      if (seen.has(resultId)) {
+        return fail(400, `Item ${index + 1}: result ${resultId} appears more than once.`);
+      }
+      seen.add(resultId);
+      if (!Number.isFinite(proposed) || proposed < 0 || proposed > 100) {
+        return fail(400, `Item ${index + 1}: proposedGrandtotal must be between 0 and 100.`);
+      }
+    }
+
+    const resultIds = [...seen];
+    const results = await Result.find({
+      _id: { $in: resultIds },
+      course: course._id,
+      session: String(session).trim(),
+      semester: semNum,
+    })
+      .select('_id student session semester level grandtotal grade')
+      .lean();
+    const resultById = new Map(results.map((r) => [String(r._id), r]));
+    const missing = resultIds.filter((id) => !resultById.has(id));
+    if (missing.length) {
+      return fail(400, 'Some results do not belong to this course and term.', { resultIds: missing });
+    }
+
+    const lockedTerms = await findLockedTerms(results);
+    if (lockedTerms.length) {
+      return fail(423, 'Some results are locked after Dean approval; submit a result amendment instead.', { lockedTerms });
+    }
+
+    const open = await findOpenModerationsForResults(resultIds);
+    if (open.length) {
+      return fail(409, 'Some results are already part of a pending moderation request.', {
+        moderationIds: open.map((m) => m._id),
+      });
+    }
+
+    const unchanged = items.filter(
+      (item) => Number(item.proposedGrandtotal) === Number(resultById.get(String(item.resultId)).grandtotal)
+    );
+    if (unchanged.length) {
+      return fail(400, 'Proposed scores must differ from the current scores.', {
+        resultIds: unchanged.map((item) => item.resultId),
+      });
+    }
+
+    const [stages, requester] = await Promise.all([
+      resolveModerationStages(course.department),
+      User.findById(req.user?.id).select('title surname firstname email').lean(),
+    ]);
+
+    const moderation = await Moderation.create({
+      course: course._id,
+      department: course.department,
+      college: course.college,
+      session: String(session).trim(),
+      semester: semNum,
+      reason: String(reason).trim(),
+      items: items.map((item) => {
+        const result = resultById.get(String(item.resultId));
+        return {
+          result: result._id,
+          student: result.student,
+          originalGrandtotal: result.grandtotal,
+          originalGrade: result.grade,
+          proposedGrandtotal: Number(item.proposedGrandtotal),
+          note: String(item.note || '').trim(),
+        };
+      }),
+      evidence: toEvidence(files, req.user?.id),
+      stages: stages.map((role) => ({ role })),
+      requestedBy: req.user?.id,
+      requestedByName: displayName(requester),
+    });
+    await notifyModerationStage(moderation, course.code, { user: req.user });
+
+    res.status(201).json({ success: true, moderation });
+  } catch (err) {
+    await discardUploads(files);
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('createModeration error:', err);
+    res.status(500).json({ success: false, message: 'Unable to create moderation request.' });
+  }
+};
+
+// GET /api/moderations?status=pending&courseId=&session=&semester=&awaitingMe=true
+export const listModerations = async (req, res) => {
+  try {
+    const { status, courseId, session, semester, awaitingMe } = req.query || {};
+    const filter = { ...buildDepartmentScopeFilter(req.user) };
+    if (status) {
+      if (!MODERATION_STATUSES.includes(String(status))) {
+        return res.status(400).json({ success: false, message: `status must be one of ${MODERATION_STATUSES.join(', ')}.` });
+      }
+      filter.status = String(status);
+    }
+    if (courseId) {
+      if (!mongoose.Types.ObjectId.isValid(courseId)) {
+        return res.status(400).json({ success: false, message: 'Invalid courseId.' });
+      }
+      filter.course = courseId;
+    }
+    if (session) filter.session = String(session).trim();
+    if (semester) filter.semester = Number(semester);
+
+    let moderations = await Moderation.find(filter)
+      .populate('course', 'code title')
+      .sort({ createdAt: -1 })
+      .limit(200)
+      .lean();
+
+    if (String(awaitingMe || '').toLowerCase() === 'true') {
+      moderations = moderations.filter(
+        (m) => m.status === 'pending' && userCanActOnStage(req.user, m.stages[m.currentStage])
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      items: moderations.map((m) => ({
+        id: m._id,
+        course: m.course,
+        session: m.session,
+        semester: m.semester,
+        reason: m.reason,
+        status: m.status,
+        resultCount: m.items.length,
+        evidenceCount: m.evidence.length,
+        currentStage: m.status === 'pending' ? m.stages[m.currentStage] || null : null,
+        stages: m.stages,
+        requestedByName: m.requestedByName,
+        createdAt: m.createdAt,
+        appliedAt: m.appliedAt || null,
+      })),
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('listModerations error:', err);
+    res.status(500).json({ success: false, message: 'Unable to fetch moderation requests.' });
+  }
+};
+
+export const getModeration = async (req, res) => {
+  try {
+    const moderation = await loadScopedModeration(req);
+    await moderation.populate([
+      { path: 'course', select: 'code title unit' },
+      { path: 'items.student', select: 'surname firstname middlename regNo' },
+    ]);
+    res.status(200).json({ success: true, moderation });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('getModeration error:', err);
+    res.status(500).json({ success: false, message: 'Unable to fetch moderation request.' });
+  }
+};
+
+// POST /api/moderations/:id/evidence — more files while the request is still pending
+export const addModerationEvidence = async (req, res) => {
+  const files = req.files || [];
+  try {
+    if (!files.length) {
+      return res.status(400).json({ success: false, message: 'No evidence files uploaded.' });
+    }
+    const moderation = await loadScopedModeration(req);
+    if (moderation.status !== 'pending') {
+      await discardUploads(files);
+      return res.status(400).json({ success: false, message: 'Evidence can only be added to a pending request.' });
+    }
+    moderation.evidence.push(...toEvidence(files, req.user?.id));
+    await moderation.save();
+    res.status(200).json({ success: true, evidence: moderation.evidence });
+  } catch (err) {
+    await discardUploads(files);
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('addModerationEvidence error:', err);
+    res.status(500).json({ success: false, message: 'Unable to add evidence.' });
+  }
+};
+
+// GET /api/moderations/:id/evidence/:index — one evidence file, to users in the request's department
+export const downloadModerationEvidence = async (req, res) => {
+  try {
+    const moderation = await loadScopedModeration(req);
+    const file = moderation.evidence?.[Number(req.params.index)];
+    const filePath = file?.path ? path.join(PROJECT_ROOT, file.path) : null;
+    if (!filePath || !fs.existsSync(filePath)) {
+      return res.status(404).json({ success: false, message: 'Evidence file not found.' });
+    }
+    res.download(filePath, file.fileName);
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('downloadModerationEvidence error:', err);
+    res.status(500).json({ success: false, message: 'Unable to download evidence file.' });
+  }
+};
+
+// POST /api/moderations/:id/decision { decision: 'approve' | 'reject', comment }
+export const decideModeration = async (req, res) => {
+  try {
+    const decision = String(req.body?.decision || '').trim().toLowerCase();
+    const comment = String(req.body?.comment || '').trim();
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({ success: false, message: 'decision must be "approve" or "reject".' });
+    }
+    if (decision === 'reject' && !comment) {
+      return res.status(400).json({ success: false, message: 'A comment is required when rejecting.' });
+    }
+
+    const moderation = await loadScopedModeration(req);
+    if (moderation.status !== 'pending') {
+      return res.status(400).json({ success: false, message: `This request is already ${moderation.status}.` });
+    }
+    const stage = moderation.stages[moderation.currentStage];
+    if (!userCanActOnStage(req.user, stage)) {
+      return res.status(403).json({
+        success: false,
+        message: `This request is waiting for the ${stage?.role || 'next'} stage.`,
+      });
+    }
+
+    const approver = await User.findById(req.user?.id).select('title surname firstname email pfNo').lean();
+    stage.status = decision === 'approve' ? 'approved' : 'rejected';
+    stage.decidedBy = req.user?.id;
+    stage.decidedByName = displayName(approver);
+    stage.decidedByPfNo = approver?.pfNo || '';
+    stage.comment = comment;
+    stage.decidedAt = new Date();
+
+    let applied = null;
+    let advanced = false;
+    if (decision === 'reject') {
+      moderation.status = 'rejected';
+    } else if (moderation.currentStage + 1 < moderation.stages.length) {
+      moderation.currentStage += 1;
+      advanced = true;
+    } else {
+      applied = await applyModeration(moderation, {
+        actor: actorFromRequest(req),
+        approverPfNo: approver?.pfNo || '',
+      });
+      moderation.status = 'approved';
+    }
+
+    await moderation.save();
+    if (advanced) {
+      const course = await Course.findById(moderation.course).select('code').lean();
+      await notifyModerationStage(moderation, course?.code, { user: req.user });
+    }
+    res.status(200).json({ success: true, moderation, ...(applied ? { applied } : {}) });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({
+        success: false,
+        message: err.message,
+        ...(err.drift ? { drift: err.drift } : {}),
+        ...(err.lockedTerms ? { lockedTerms: err.lockedTerms } : {}),
+      });
+    }
+    console.error('decideModeration error:', err);
+    res.status(500).json({ success: false, message: 'Unable to record moderation decision.' });
+  }
+};
+
+// POST /api/moderations/:id/cancel — by the requester (or an admin) while still pending
+export const cancelModeration = async (req, res) => {
+  try {
+    const moderation = await loadScopedModeration(req);
+    if (moderation.status !== 'pending') {
+      return res.status(400).json({ success: false, message: `This request is already ${moderation.status}.` });
+    }
+    const isRequester = String(moderation.requestedBy || '') === String(req.user?.id || '');
+    if (!isRequester && !(req.user?.roles || []).includes('ADMIN')) {
+      return res.status(403).json({ success: false, message: 'Only the requester can cancel this moderation.' });
+    }
+    moderation.status = 'cancelled';
+    await moderation.save();
+    res.status(200).json({ success: true, moderation });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('cancelModeration error:', err);
+    res.status(500).json({ success: false, message: 'Unable to cancel moderation request.' });
+  }
+};
+
+// GET /api/moderations/workflow?departmentId= — the stages a new request would follow
+export const getModerationWorkflow = async (req, res) => {
+  try {
+    const { departmentId } = req.query || {};
+    if (departmentId && !mongoose.Types.ObjectId.isValid(departmentId)) {
+      return res.status(400).json({ success: false, message: 'Invalid departmentId.' });
+    }
+    const stages = await resolveModerationStages(departmentId || null);
+    res.status(200).json({ success: true, departmentId: departmentId || null, stages });
+  } catch (err) {
+    console.error('getModerationWorkflow error:', err);
+    res.status(500).json({ success: false, message: 'Unable to fetch moderation workflow.' });
+  }
+};
+
+// PUT /api/moderations/workflow { departmentId?, stages: ['HOD', 'DEAN'] } (ADMIN)
+export const updateModerationWorkflow = async (req, res) => {
+  try {
+    const { departmentId, stages } = req.body || {};
+    if (departmentId && !mongoose.Types.ObjectId.isValid(departmentId)) {
+      return res.status(400).json({ success: false, message: 'Invalid departmentId.' });
+    }
+    const normalized = Array.isArray(stages) ? stages.map((role) => String(role).trim().toUpperCase()) : [];
+    if (!normalized.length) {
+      return res.status(400).json({ success: false, message: 'stages must be a non-empty array of roles.' });
+    }
+    const invalid = normalized.filter((role) => !MODERATION_STAGE_ROLES.includes(role));
+    if (invalid.length) {
+      return res.status(400).json({ success: false, message: `Invalid stage role(s): ${invalid.join(', ')}.` });
+    }
+    if (new Set(normalized).size !== normalized.length) {
+      return res.status(400).json({ success: false, message: 'A role can only appear once in the route.' });
+    }
+
+    const workflow = await ModerationWorkflow.findOneAndUpdate(
+      { department: departmentId || null },
+      { $set: { stages: normalized, updatedBy: req.user?.id } },
+      { upsert: true, new: true, runValidators: true }
+    );
+    res.status(200).json({ success: true, workflow });
+  } catch (err) {
+    console.error('updateModerationWorkflow error:', err);
+    res.status(500).json({ success: false, message: 'Unable to update moderation workflow.' });
+  }
+};
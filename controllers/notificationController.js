@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+import Notification from '../models/notification.js';
+import { serializeNotification } from '../services/notificationService.js';
+import { DEFAULT_NOTIFICATION_SETTINGS, NOTIFICATION_TYPES } from '../constants/notificationDefaults.js';
+
+// Validated ?type=; resolves to { type } (possibly undefined) or { error }
+const typeFromQuery = (raw) => {
+  if (!raw) return {};
+  const type = String(raw).trim();
+  return NOTIFICATION_TYPES.includes(type)
+    ? { type }
+    : { error: `type must be one of ${NOTIFICATION_TYPES.join(', ')}.` };
+};
+
+// GET /api/notifications?type=&unread=true&page=1&limit=20 — the caller's inbox, newest first
+export const listNotifications = async (req, res) => {
+  try {
+    const { type, error } = typeFromQuery(req.query.type);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    const { pageSize, maxPageSize } = DEFAULT_NOTIFICATION_SETTINGS;
+    const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(maxPageSize, Math.max(1, Number.parseInt(req.query.limit, 10) || pageSize));
+
+    const filter = { recipient: req.user.id };
+    if (type) filter.type = type;
+    if (String(req.query.unread || '').toLowerCase() === 'true') filter.readAt = null;
+
+    const [items, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ recipient: req.user.id, readAt: null }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      items: items.map(serializeNotification),
+      page,
+      limit,
+      total,
+      unreadCount,
+    });
+  } catch (err) {
+    console.error('listNotifications error:', err);
+    res.status(500).json({ success: false, message: 'Unable to fetch notifications.' });
+  }
+};
+
+// GET /api/notifications/unread-count — total and per type, for the inbox badge
+export const getUnreadCount = async (req, res) => {
+  try {
+    const rows = await Notification.aggregate([
+      { $match: { recipient: new mongoose.Types.ObjectId(String(req.user.id)), readAt: null } },
+      { $group: { _id: '$type', count: { $sum: 1 } } },
+    ]);
+    const byType = Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, 0]));
+    rows.forEach((row) => {
+      byType[row._id] = row.count;
+    });
+    res.status(200).json({
+      success: true,
+      unreadCount: rows.reduce((sum, row) => sum + row.count, 0),
+      byType,
+    });
+  } catch (err) {
+    console.error('getUnreadCount error:', err);
+    res.status(500).json({ success: false, message: 'Unable to count unread notifications.' });
+  }
+};
+
+// PATCH /api/notifications/:id/read
+export const markNotificationRead = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid notification id.' });
+    }
+    const notification = await Notification.findOne({ _id: id, recipient: req.user.id });
+    if (!notification) {
+      return res.status(404).json({ success: false, message: 'Notification not found.' });
+    }
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+    res.status(200).json({ success: true, notification: serializeNotification(notification) });
+  } catch (err) {
+    console.error('markNotificationRead error:', err);
+    res.status(500).json({ success: false, message: 'Unable to update notification.' });
+  }
+};
+
+// POST /api/notifications/read-all { type? }
+export const markAllNotificationsRead = async (req, res) => {
+  try {
+    const { type, error } = typeFromQuery(req.body?.type);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    const filter = { recipient: req.user.id, readAt: null };
+    if (type) filter.type = type;
+    const { modifiedCount } = await Notification.updateMany(filter, { $set: { readAt: new Date() } });
+    res.status(200).json({ success: true, updated: modifiedCount });
+  } catch (err) {
+    console.error('markAllNotificationsRead error:', err);
+    res.status(500).json({ success: false, message: 'Unable to update notifications.' });
+  }
+};
@@ -0,0 +1,284 @@
+import mongoose from 'mongoose';
+import Course from '../models/course.js';
+import Result from '../models/result.js';
+import ResultAmendment from '../models/resultAmendment.js';
+import User from '../models/user.js';
+import {
+  buildDepartmentScopeFilter,
+  ensureUserCanAccessDepartment,
+} from '../services/accessControl.js';
+import {
+  applyAmendment,
+  buildProposedScores,
+  findOpenAmendment,
+} from '../services/resultAmendmentService.js';
+import { findLockedTerms } from '../services/resultLockService.js';
+import { actorFromRequest, snapshotResult } from '../services/resultRevisionService.js';
+import {
+  AMENDMENT_ACTIONS,
+  AMENDMENT_AUTHORITY_BY_ROLE,
+  AMENDMENT_STATUSES,
+} from '../constants/amendmentDefaults.js';
+
+const displayName = (user) =>
+  [user?.title, user?.surname, user?.firstname].filter(Boolean).join(' ').trim() || user?.email || '';
+
+// Dean authority wins over Senate when the user holds both roles
+const authorityFor = (user) => {
+  const roles = user?.roles || [];
+  const role = Object.keys(AMENDMENT_AUTHORITY_BY_ROLE).find((key) => roles.includes(key));
+  return role ? AMENDMENT_AUTHORITY_BY_ROLE[role] : null;
+};
+
+const loadScopedAmendment = async (req) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw Object.assign(new Error('Invalid amendment id.'), { statusCode: 400 });
+  }
+  const amendment = await ResultAmendment.findById(id);
+  if (!amendment) {
+    throw Object.assign(new Error('Amendment request not found.'), { statusCode: 404 });
+  }
+  ensureUserCanAccessDepartment(req.user, amendment.department, amendment.college);
+  return amendment;
+};
+
+// POST /api/result-amendments { resultId, action: 'update' | 'delete', changes: { ca, totalexam, grandtotal, q1.. }, reason }
+export const createAmendment = async (req, res) => {
+  try {
+    const { resultId, changes } = req.body || {};
+    const action = String(req.body?.action || 'update').trim().toLowerCase();
+    const reason = String(req.body?.reason || '').trim();
+
+    if (!resultId || !mongoose.Types.ObjectId.isValid(resultId)) {
+      return res.status(400).json({ success: false, message: 'Valid resultId is required.' });
+    }
+    if (!AMENDMENT_ACTIONS.includes(action)) {
+      return res.status(400).json({ success: false, message: `action must be one of ${AMENDMENT_ACTIONS.join(', ')}.` });
+    }
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'A reason for the amendment is required.' });
+    }
+
+    const result = await Result.findById(resultId).lean();
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Result not found.' });
+    }
+    const course = await Course.findById(result.course).select('_id department college assessment').lean();
+    if (!course) {
+      return res.status(404).json({ success: false, message: 'Associated course not found.' });
+    }
+    ensureUserCanAccessDepartment(req.user, course.department, course.college);
+
+    const [locked] = await findLockedTerms([result]);
+    if (!locked) {
+      return res.status(400).json({
+        success: false,
+        message: 'This result is not in a Dean-approved term; edit it directly.',
+      });
+    }
+    const open = await findOpenAmendment(result._id);
+    if (open) {
+      return res.status(409).json({
+        success: false,
+        message: 'This result already has a pending amendment request.',
+        amendmentId: open._id,
+      });
+    }
+
+    let proposed = null;
+    if (action === 'update') {
+      const built = buildProposedScores(result, course, changes && typeof changes === 'object' ? changes : {});
+      if (built.issues.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Score components do not match the course assessment configuration.',
+          issues: built.issues,
+        });
+      }
+      proposed = built.proposed;
+      if (Object.keys(proposed).every((key) => (result[key] ?? null) === proposed[key])) {
+        return res.status(400).json({ success: false, message: 'Proposed scores must differ from the current scores.' });
+      }
+    }
+
+    const requester = await User.findById(req.user?.id).select('title surname firstname email').lean();
+    const amendment = await ResultAmendment.create({
+      result: result._id,
+      student: result.student,
+      course: course._id,
+      department: course.department,
+      college: course.college,
+      session: result.session,
+      semester: result.semester,
+      level: result.level,
+      action,
+      before: snapshotResult(result),
+      proposed,
+      reason,
+      requestedBy: req.user?.id,
+      requestedByName: displayName(requester),
+    });
+
+    res.status(201).json({ success: true, amendment });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('createAmendment error:', err);
+    res.status(500).json({ success: false, message: 'Unable to create amendment request.' });
+  }
+};
+
+// GET /api/result-amendments?status=pending&studentId=&session=&semester=
+export const listAmendments = async (req, res) => {
+  try {
+    const { status, studentId, session, semester } = req.query || {};
+    const filter = { ...buildDepartmentScopeFilter(req.user) };
+    if (status) {
+      if (!AMENDMENT_STATUSES.includes(String(status))) {
+        return res.status(400).json({ success: false, message: `status must be one of ${AMENDMENT_STATUSES.join(', ')}.` });
+      }
+      filter.status = String(status);
+    }
+    if (studentId) {
+      if (!mongoose.Types.ObjectId.isValid(studentId)) {
+        return res.status(400).json({ success: false, message: 'Invalid studentId.' });
+      }
+      filter.student = studentId;
+    }
+    if (session) filter.session = String(session).trim();
+    if (semester) filter.semester = Number(semester);
+
+    const amendments = await ResultAmendment.find(filter)
+      .populate('course', 'code title')
+      .populate('student', 'surname firstname regNo')
+      .sort({ createdAt: -1 })
+      .limit(200)
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      items: amendments.map((a) => ({
+        id: a._id,
+        result: a.result,
+        student: a.student,
+        course: a.course,
+        session: a.session,
+        semester: a.semester,
+        level: a.level,
+        action: a.action,
+        before: { grandtotal: a.before?.grandtotal ?? null, grade: a.before?.grade ?? null },
+        proposed: a.proposed,
+        reason: a.reason,
+        status: a.status,
+        requestedByName: a.requestedByName,
+        decision: a.decision || null,
+        createdAt: a.createdAt,
+        appliedAt: a.appliedAt || null,
+      })),
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('listAmendments error:', err);
+    res.status(500).json({ success: false, message: 'Unable to fetch amendment requests.' });
+  }
+};
+
+export const getAmendment = async (req, res) => {
+  try {
+    const amendment = await loadScopedAmendment(req);
+    await amendment.populate([
+      { path: 'course', select: 'code title unit' },
+      { path: 'student', select: 'surname firstname middlename regNo' },
+    ]);
+    res.status(200).json({ success: true, amendment });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('getAmendment error:', err);
+    res.status(500).json({ success: false, message: 'Unable to fetch amendment request.' });
+  }
+};
+
+// POST /api/result-amendments/:id/decision { decision: 'approve' | 'reject', comment, reference }
+// DEAN decides as the Dean; ADMIN records a Senate decision and must cite its reference.
+export const decideAmendment = async (req, res) => {
+  try {
+    const decision = String(req.body?.decision || '').trim().toLowerCase();
+    const comment = String(req.body?.comment || '').trim();
+    const reference = String(req.body?.reference || '').trim();
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({ success: false, message: 'decision must be "approve" or "reject".' });
+    }
+    if (decision === 'reject' && !comment) {
+      return res.status(400).json({ success: false, message: 'A comment is required when rejecting.' });
+    }
+
+    const authority = authorityFor(req.user);
+    if (!authority) {
+      return res.status(403).json({ success: false, message: 'Only the Dean or Senate can decide amendments.' });
+    }
+    if (authority === 'senate' && !reference) {
+      return res.status(400).json({ success: false, message: 'Cite the Senate decision reference.' });
+    }
+
+    const amendment = await loadScopedAmendment(req);
+    if (amendment.status !== 'pending') {
+      return res.status(400).json({ success: false, message: `This request is already ${amendment.status}.` });
+    }
+
+    const approver = await User.findById(req.user?.id).select('title surname firstname email').lean();
+    amendment.decision = {
+      authority,
+      decidedBy: req.user?.id,
+      decidedByName: displayName(approver),
+      reference,
+      comment,
+      decidedAt: new Date(),
+    };
+
+    let applied = null;
+    if (decision === 'reject') {
+      amendment.status = 'rejected';
+    } else {
+      applied = await applyAmendment(amendment, { actor: actorFromRequest(req) });
+      amendment.status = 'applied';
+    }
+
+    await amendment.save();
+    res.status(200).json({ success: true, amendment, ...(applied ? { applied } : {}) });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('decideAmendment error:', err);
+    res.status(500).json({ success: false, message: 'Unable to record amendment decision.' });
+  }
+};
+
+// POST /api/result-amendments/:id/cancel — by the requester (or an admin) while still pending
+export const cancelAmendment = async (req, res) => {
+  try {
+    const amendment = await loadScopedAmendment(req);
+    if (amendment.status !== 'pending') {
+      return res.status(400).json({ success: false, message: `This request is already ${amendment.status}.` });
+    }
+    const isRequester = String(amendment.requestedBy || '') === String(req.user?.id || '');
+    if (!isRequester && !(req.user?.roles || []).includes('ADMIN')) {
+      return res.status(403).json({ success: false, message: 'Only the requester can cancel this amendment.' });
+    }
+    amendment.status = 'cancelled';
+    await amendment.save();
+    res.status(200).json({ success: true, amendment });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('cancelAmendment error:', err);
+    res.status(500).json({ success: false, message: 'Unable to cancel amendment request.' });
+  }
+};
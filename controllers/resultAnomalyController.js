@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+import Course from '../models/course.js';
+import ResultAnomaly from '../models/resultAnomaly.js';
+import User from '../models/user.js';
+import {
+  buildDepartmentScopeFilter,
+  ensureUserCanAccessDepartment,
+} from '../services/accessControl.js';
+import { checkCourseResultSet, serializeAnomaly } from '../services/resultAnomalyService.js';
+import { RESULT_ANOMALY_STATUSES } from '../constants/anomalyDefaults.js';
+
+const SESSION_PATTERN = /^\d{4}\/\d{4}$/;
+
+// GET /api/result-anomalies?status=open&session=&semester=&courseId=
+export const listResultAnomalies = async (req, res) => {
+  try {
+    const { status, session, semester, courseId } = req.query || {};
+    const filter = { ...buildDepartmentScopeFilter(req.user) };
+
+    if (status) {
+      if (!RESULT_ANOMALY_STATUSES.includes(String(status))) {
+        return res.status(400).json({ success: false, message: `status must be one of ${RESULT_ANOMALY_STATUSES.join(', ')}.` });
+      }
+      filter.status = String(status);
+    } else {
+      filter.status = { $ne: 'resolved' };
+    }
+    if (session) filter.session = String(session).trim();
+    if (semester) filter.semester = Number(semester);
+    if (courseId) {
+      if (!mongoose.Types.ObjectId.isValid(courseId)) {
+        return res.status(400).json({ success: false, message: 'Invalid courseId.' });
+      }
+      filter.course = courseId;
+    }
+
+    const anomalies = await ResultAnomaly.find(filter)
+      .populate('course', 'code title')
+      .sort({ lastDetectedAt: -1 })
+      .limit(500)
+      .lean();
+
+    res.status(200).json({ success: true, items: anomalies.map(serializeAnomaly) });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('listResultAnomalies error:', err);
+    res.status(500).json({ success: false, message: 'Unable to fetch result anomalies.' });
+  }
+};
+
+// POST /api/result-anomalies/:id/acknowledge { note }
+export const acknowledgeResultAnomaly = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const note = String(req.body?.note || '').trim();
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid anomaly id.' });
+    }
+    if (!note) {
+      return res.status(400).json({ success: false, message: 'A note explaining the acknowledgement is required.' });
+    }
+
+    const anomaly = await ResultAnomaly.findById(id);
+    if (!anomaly) {
+      return res.status(404).json({ success: false, message: 'Anomaly not found.' });
+    }
+    ensureUserCanAccessDepartment(req.user, anomaly.department, anomaly.college);
+    if (anomaly.status !== 'open') {
+      return res.status(400).json({ success: false, message: `This anomaly is already ${anomaly.status}.` });
+    }
+
+    const user = await User.findById(req.user?.id).select('title surname firstname email').lean();
+    anomaly.status = 'acknowledged';
+    anomaly.acknowledgement = {
+      by: req.user?.id,
+      byName: [user?.title, user?.surname, user?.firstname].filter(Boolean).join(' ') || user?.email || '',
+      note,
+      at: new Date(),
+    };
+    await anomaly.save();
+    await anomaly.populate('course', 'code title');
+
+    res.status(200).json({ success: true, anomaly: serializeAnomaly(anomaly.toObject()) });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('acknowledgeResultAnomaly error:', err);
+    res.status(500).json({ success: false, message: 'Unable to acknowledge anomaly.' });
+  }
+};
+
+// POST /api/result-anomalies/check { courseId, session, semester, level } — re-run on demand
+export const checkResultSetAnomalies = async (req, res) => {
+  try {
+    const { courseId, session, semester, level } = req.body || {};
+    if (!courseId || !mongoose.Types.ObjectId.isValid(courseId)) {
+      return res.status(400).json({ success: false, message: 'Valid courseId is required.' });
+    }
+    if (!SESSION_PATTERN.test(String(session || '').trim())) {
+      return res.status(400).json({ success: false, message: 'session must look like 2023/2024.' });
+    }
+    if (![1, 2].includes(Number(semester)) || !level) {
+      return res.status(400).json({ success: false, message: 'semester (1 or 2) and level are required.' });
+    }
+
+    const course = await Course.findById(courseId).select('department college').lean();
+    if (!course) {
+      return res.status(404).json({ success: false, message: 'Course not found.' });
+    }
+    ensureUserCanAccessDepartment(req.user, course.department, course.college);
+
+    const anomalies = await checkCourseResultSet({
+      course: course._id,
+      session: String(session).trim(),
+      semester: Number(semester),
+      level: String(level).trim(),
+    });
+    res.status(200).json({ success: true, items: anomalies.map(serializeAnomaly) });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('checkResultSetAnomalies error:', err);
+    res.status(500).json({ success: false, message: 'Unable to check result set.' });
+  }
+};
@@ -3,85 +3,54 @@ import Result from "../models/result.js";
 import Course from "../models/course.js";
 import Student from "../models/student.js";
 import Lecturer from "../models/lecturer.js";
-import CourseRegistration from "../models/courseRegistration.js";
-import calculateAcademicMetrics from '../utills/calculateAcademicMetrics.js';
-import AcademicMetrics from '../models/academicMetrics.js';
 import mongoose from 'mongoose';
 import {
   buildDepartmentScopeFilter,
   ensureResourceMatchesUserScope,
   ensureUserCanAccessDepartment,
 } from '../services/accessControl.js';
+import {
+  createGradingSchemeResolver,
+  findGradeBand,
+  gradeFromScore,
+  resolveGradingScheme,
+  resolveGradingSchemeForStudent,
+} from '../services/gradingService.js';
+import { recomputeStudentTermMetrics } from '../services/termMetricsService.js';
+import ResultRevision from '../models/resultRevision.js';
+import {
+  actorFromRequest,
+  diffSnapshots,
+  recordResultRevision,
+  recordResultRevisions,
+  restorableFields,
+  snapshotResult,
+} from '../services/resultRevisionService.js';
+import {
+  checkScoreComponents,
+  resolveAssessmentConfig,
+} from '../services/assessmentService.js';
+import { QUESTION_FIELDS } from '../constants/assessmentDefaults.js';
+import {
+  resultSetsFromResults,
+  runAnomalyChecks,
+  serializeAnomaly,
+} from '../services/resultAnomalyService.js';
+import ResultAnomaly from '../models/resultAnomaly.js';
+import { ensureResultsUnlocked } from '../services/resultLockService.js';
+import { annotateAudit, buildAuditChanges } from '../services/auditLogService.js';
 
 const DEFAULT_DEPARTMENT_NAME = 'Biochemistry';
 const DEFAULT_COLLEGE_NAME = 'Biological Science';
 
-
-// === helper: letter grade from numeric total ===
-function gradeFromScore(score) {
-  const s = Number(score) || 0;
-  if (s >= 70) return 'A';
-  if (s >= 60) return 'B';
-  if (s >= 50) return 'C';
-  if (s >= 45) return 'D';
-  if (s >= 40) return 'E';
-  return 'F';
-}
-
-// Helper: build attempted courses for a student in a term using registrations ∪ results
-async function computeAttemptedCourses(studentId, session, semester, level) {
-  const sem = Number(semester);
-  const lvl = String(level);
-  const sid = new mongoose.Types.ObjectId(studentId);
-
-  // All registered courseIds for this student in the term
-  const regAgg = await CourseRegistration.aggregate([
-    { $match: { session, semester: sem, level: lvl } },
-    { $unwind: '$student' },
-    { $match: { student: sid } },
-    { $group: { _id: null, courses: { $addToSet: '$course' } } },
-  ]);
-
-  const regCourseIds = new Set((regAgg[0]?.courses || []).map((id) => String(id)));
-
-  // Existing results for the term (with units)
-  const resDocs = await Result.find({ student: sid, session, semester: sem, level: lvl })
-    .populate('course', 'unit')
-    .lean();
-
-  const byCourse = new Map(
-    resDocs.map((r) => [String(r.course._id), { unit: Number(r.course.unit) || 0, grade: String(r.grade || 'F') }])
-  );
-
-  // Missing courses (registered but no score)
-  const missingIds = [...regCourseIds].filter((cid) => !byCourse.has(cid));
-  let missingCourses = [];
-  if (missingIds.length) {
-    missingCourses = await Course.find({ _id: { $in: missingIds } }).select('_id unit').lean();
-  }
-  const infoById = new Map(missingCourses.map((c) => [String(c._id), Number(c.unit) || 0]));
-
-  const attempted = [];
-
-  // Count every registered course (results first, else F)
-  for (const cid of regCourseIds) {
-    if (byCourse.has(cid)) {
-      attempted.push(byCourse.get(cid));
-    } else {
-      attempted.push({ unit: infoById.get(cid) || 0, grade: 'F' });
-    }
-  }
-
-  // If somehow there is a result but no registration row, count the result (safety)
-  if (!regCourseIds.size) {
-    for (const v of byCourse.values()) attempted.push(v);
-  }
-
-  return attempted;
-}
-
 const studentInstitutionCache = new Map();
 
+// Body for errors raised with a statusCode (scope checks, result locks)
+const statusErrorBody = (error) => ({
+  message: error.message,
+  ...(error.lockedTerms ? { code: error.code, lockedTerms: error.lockedTerms } : {}),
+});
+
 async function getStudentInstitution(studentId) {
   if (!studentId) {
     return { departmentName: '', collegeName: '' };
@@ -120,6 +89,7 @@ export const createResult = async (req, res) => {
       // detailed inputs (optional)
       q1, q2, q3, q4, q5, q6, q7, q8,
       ca,
+      totalexam,
       // optional simple input
       grandtotal,
       // optional incoming grade (ignored; we recompute)
@@ -133,7 +103,7 @@ export const createResult = async (req, res) => {
 
     // --- resolve course/student/lecturer ---
     const courseDoc = await Course.findById(course)
-      .select("_id unit department college programme programmeType")
+      .select("_id unit department college programme programmeType assessment")
       .lean();
     if (!courseDoc) return res.status(404).json({ message: "Course not found." });
 
@@ -142,30 +112,36 @@ export const createResult = async (req, res) => {
     const student = await Student.findOne({ regNo: studentRegNo })
       .populate('department', 'name')
       .populate('college', 'name')
-      .select("_id level department college")
+      .select("_id level department college programme")
       .lean();
     if (!student) return res.status(404).json({ message: `Student with regNo "${studentRegNo}" not found.` });
 
+    await ensureResultsUnlocked([{ student: student._id, session: String(session), semester, level }]);
+
+    const gradingScheme = await resolveGradingScheme(student.programme, String(session));
+
     const lecturer = await Lecturer.findOne({ pfNo: lecturerStaffId }).select("_id").lean();
     if (!lecturer) return res.status(404).json({ message: `Lecturer with staff ID "${lecturerStaffId}" not found.` });
 
-    const n = (v) => (v === undefined || v === null || v === "" ? undefined : Math.round(Number(v)));
-
     // Detect which fields were actually sent (so we can distinguish 0 vs not provided)
     const hasKey = (k) => Object.prototype.hasOwnProperty.call(req.body, k) && req.body[k] !== "" && req.body[k] !== null;
 
     const qValsRaw = { q1, q2, q3, q4, q5, q6, q7, q8 };
-    const hasAnyQ  = Object.keys(qValsRaw).some((k) => hasKey(k));
+    const hasAnyQ  = QUESTION_FIELDS.some((k) => hasKey(k));
     const hasCA    = hasKey('ca');
+    const hasExam  = hasKey('totalexam');
     const hasGrand = hasKey('grandtotal');
 
-    // Normalize numbers only for provided fields
-    const qNums = {};
-    for (const k of ['q1','q2','q3','q4','q5','q6','q7','q8']) {
-      if (hasKey(k)) qNums[k] = Math.max(0, Number(n(qValsRaw[k]) || 0));
+    const { values, examTotal, issues } = checkScoreComponents(
+      { ...qValsRaw, ca, totalexam, grandtotal },
+      resolveAssessmentConfig(courseDoc)
+    );
+    if (issues.length) {
+      return res.status(400).json({
+        message: "Score components do not match the course assessment configuration.",
+        issues,
+      });
     }
-    const caNumProvided = hasCA ? Math.max(0, Number(n(ca) || 0)) : undefined;
-    const grandProvided = hasGrand ? Math.min(100, Math.max(0, Number(n(grandtotal) || 0))) : undefined;
 
     const resolvedDepartment =
       (student.department && typeof student.department === 'object' && student.department !== null
@@ -180,8 +156,8 @@ export const createResult = async (req, res) => {
     const fallbackCollege = resolvedCollege || DEFAULT_COLLEGE_NAME;
 
     // === Mode selection ===
-    // SIMPLE: grandtotal provided AND no CA AND no Q’s → trust grand total
-    // DETAILED: otherwise, compute from CA + Q’s (missing pieces default to 0)
+    // SIMPLE: grandtotal provided AND no CA, exam or Q’s → trust grand total
+    // DETAILED: otherwise, compute from CA + exam (sent or summed from Q’s)
     let payload = {
       course: courseDoc._id,
       student: student._id,
@@ -195,10 +171,10 @@ export const createResult = async (req, res) => {
       resultType: String(resultType),
     };
 
-    if (hasGrand && !hasCA && !hasAnyQ) {
+    if (hasGrand && !hasCA && !hasAnyQ && !hasExam) {
       // ----- SIMPLE MODE -----
-      const gt = grandProvided ?? 0; // already clamped 0..100
-      const gradeAuto = gradeFromScore(gt);
+      const gt = Math.round(values.grandtotal);
+      const gradeAuto = gradeFromScore(gt, gradingScheme);
 
       payload = {
         ...payload,
@@ -209,46 +185,36 @@ export const createResult = async (req, res) => {
 
     } else {
       // ----- DETAILED MODE -----
-      // Use 0 for any missing question values in computation
-      const qSum = ['q1','q2','q3','q4','q5','q6','q7','q8']
-        .reduce((acc, k) => acc + (qNums[k] ?? 0), 0);
-
-      // clamp exam and CA
-      const examClamped = Math.min(70, Math.max(0, qSum));
-      const caClamped   = Math.min(30, Math.max(0, caNumProvided ?? 0));
+      // Exam is the sent totalexam or the sum of the questions; missing pieces count as 0
+      const examScore = Math.round(examTotal ?? 0);
+      const caScore = Math.round(values.ca ?? 0);
+      const grand = caScore + examScore;
+      const gradeAuto = gradeFromScore(grand, gradingScheme);
 
-      // validations (only in detailed mode)
-      if (caClamped > 30) {
-        return res.status(400).json({ message: "CA must be between 0 and 30" });
-      }
-      if (examClamped > 70) {
-        return res.status(400).json({ message: "Exam total must be between 0 and 70" });
-      }
-
-      const grand = Math.min(100, caClamped + examClamped);
-      const gradeAuto = gradeFromScore(grand);
-
-      // Only store Q fields that were actually sent (and non-zero is optional — up to you)
+      // Only store Q fields that were actually sent
       payload = {
         ...payload,
-        ...(qNums.q1 !== undefined ? { q1: qNums.q1 } : {}),
-        ...(qNums.q2 !== undefined ? { q2: qNums.q2 } : {}),
-        ...(qNums.q3 !== undefined ? { q3: qNums.q3 } : {}),
-        ...(qNums.q4 !== undefined ? { q4: qNums.q4 } : {}),
-        ...(qNums.q5 !== undefined ? { q5: qNums.q5 } : {}),
-        ...(qNums.q6 !== undefined ? { q6: qNums.q6 } : {}),
-        ...(qNums.q7 !== undefined ? { q7: qNums.q7 } : {}),
-        ...(qNums.q8 !== undefined ? { q8: qNums.q8 } : {}),
-        ca: caClamped,
-        totalexam: examClamped,
+        ...Object.fromEntries(
+          QUESTION_FIELDS.filter((k) => values[k] !== undefined).map((k) => [k, Math.round(values[k])])
+        ),
+        ca: caScore,
+        totalexam: examScore,
         grandtotal: grand,
         grade: gradeAuto,
       };
     }
 
     const newResult = await Result.create(payload);
+    await recordResultRevision(
+      { before: null, after: snapshotResult(newResult) },
+      { action: 'create', source: 'manual_entry', reason: req.body?.reason, actor: actorFromRequest(req) }
+    );
+    await runAnomalyChecks(resultSetsFromResults([newResult]));
     return res.status(201).json(newResult);
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(statusErrorBody(error));
+    }
     console.error("Error creating result:", error);
     if (error.name === "ValidationError") {
       return res.status(400).json({ message: "Validation Error", errors: error.errors });
@@ -581,9 +547,30 @@ export const getResultsSummary = async (req, res) => {
     const totalCourses = doc.totalCourses || 0;
     const avgPerCourse = totalCourses ? Math.round(totalResults / totalCourses) : 0;
 
+    // Unresolved anomaly flags per result set; open ones block Dean approval
+    const anomalyDocs = items.length
+      ? await ResultAnomaly.find({
+        ...baseMatch,
+        course: { $in: items.map((item) => item.courseId) },
+        status: { $ne: 'resolved' },
+      }).lean()
+      : [];
+    const anomaliesBySet = new Map();
+    anomalyDocs.forEach((doc) => {
+      const key = `${doc.course}|${doc.session}|${doc.semester}|${doc.level}`;
+      if (!anomaliesBySet.has(key)) anomaliesBySet.set(key, []);
+      anomaliesBySet.get(key).push(serializeAnomaly(doc));
+    });
+    items.forEach((item) => {
+      const anomalies = anomaliesBySet.get(`${item.courseId}|${item.session}|${item.semester}|${item.level}`) || [];
+      item.anomalies = anomalies;
+      item.openAnomalies = anomalies.filter((anomaly) => anomaly.status === 'open').length;
+    });
+
     return res.status(200).json({
       success: true,
       items,
+      openAnomalies: items.reduce((sum, item) => sum + item.openAnomalies, 0),
       totalResults,
       totalCourses,
       avgPerCourse,
@@ -617,7 +604,7 @@ export const getResultById = async (req, res) => {
   }
 };
 
-// === Update with moderation support & metrics recompute ===
+// === Update & metrics recompute ===
 export const updateResult = async (req, res) => {
   try {
     const id = req.params.id;
@@ -626,29 +613,57 @@ export const updateResult = async (req, res) => {
     const result = await Result.findById(id);
     if (!result) return res.status(404).json({ message: "Result not found" });
 
-    const courseDoc = await Course.findById(result.course).select('_id department college').lean();
+    const courseDoc = await Course.findById(result.course).select('_id department college assessment').lean();
     if (!courseDoc) {
       return res.status(404).json({ message: "Associated course not found" });
     }
     ensureUserCanAccessDepartment(req.user, courseDoc.department, courseDoc.college);
+    await ensureResultsUnlocked([result]);
+
+    const gradingScheme = await resolveGradingSchemeForStudent(result.student, result.session);
+    const beforeSnapshot = snapshotResult(result);
 
     const payload = req.body || {};
     const hasGrand = Object.prototype.hasOwnProperty.call(payload, 'grandtotal');
     const hasGrade = Object.prototype.hasOwnProperty.call(payload, 'grade');
-    const hasModerationProof = Object.prototype.hasOwnProperty.call(payload, 'moderationProof');
-    const hasModerationPfNo = Object.prototype.hasOwnProperty.call(payload, 'moderationAuthorizedPfNo');
-    const hasModerationGrand = Object.prototype.hasOwnProperty.call(payload, 'moderationGrandtotal');
-    const moderationAction = typeof payload.moderationAction === 'string'
-      ? payload.moderationAction.trim().toLowerCase()
-      : null;
-
-    // Direct updates to grand total (outside moderation approval flow)
-    if (hasGrand) {
-      const gtNum = Number(payload.grandtotal);
-      if (Number.isNaN(gtNum)) {
-        return res.status(400).json({ message: "grandtotal must be a number" });
+    const componentFields = [...QUESTION_FIELDS, 'ca', 'totalexam'];
+    const sentComponents = componentFields.filter((k) => Object.prototype.hasOwnProperty.call(payload, k));
+    const sentQuestions = sentComponents.some((k) => QUESTION_FIELDS.includes(k));
+
+    // Score moderation goes through /api/moderations so it is batched, evidenced and approved per stage
+    if (['moderationGrandtotal', 'moderationAction'].some((key) => Object.prototype.hasOwnProperty.call(payload, key))) {
+      return res.status(400).json({
+        message: "Per-result moderation is no longer supported; submit a moderation request via /api/moderations.",
+      });
+    }
+
+    // Direct score updates (outside moderation approval flow)
+    if (hasGrand || sentComponents.length) {
+      // Validate the result as it will look after the edit; totals not sent are re-derived from the parts
+      const merged = {};
+      [...componentFields, 'grandtotal'].forEach((k) => {
+        merged[k] = Object.prototype.hasOwnProperty.call(payload, k) ? payload[k] : result[k];
+      });
+      if (sentQuestions && !sentComponents.includes('totalexam')) merged.totalexam = undefined;
+      if (sentComponents.length && !hasGrand) merged.grandtotal = undefined;
+
+      const { values, examTotal, issues } = checkScoreComponents(merged, resolveAssessmentConfig(courseDoc));
+      if (issues.length) {
+        return res.status(400).json({
+          message: "Score components do not match the course assessment configuration.",
+          issues,
+        });
       }
-      result.grandtotal = gtNum;
+
+      sentComponents.forEach((k) => {
+        result[k] = values[k] === undefined ? undefined : Math.round(values[k]);
+      });
+      if (sentQuestions && !sentComponents.includes('totalexam')) {
+        result.totalexam = examTotal === undefined ? undefined : Math.round(examTotal);
+      }
+      result.grandtotal = hasGrand
+        ? Math.round(values.grandtotal ?? 0)
+        : Math.round((values.ca ?? 0) + (examTotal ?? 0));
 
       // Reset moderation state on manual edits
       result.moderated = false;
@@ -656,13 +671,17 @@ export const updateResult = async (req, res) => {
       result.moderationPendingGrandtotal = undefined;
       result.moderationOriginalGrandtotal = undefined;
       result.moderationApprovedAt = undefined;
+      result.moderationRequest = undefined;
     }
 
     // Direct grade updates (outside moderation approval flow)
     if (hasGrade) {
       const g = String(payload.grade || '').toUpperCase();
+      if (g !== 'AUTO' && g !== '' && !findGradeBand(g, gradingScheme)) {
+        return res.status(400).json({ message: `Grade "${g}" is not defined in the grading scheme for ${result.session}.` });
+      }
       result.grade = (g === 'AUTO' || g === '')
-        ? gradeFromScore(result.grandtotal)
+        ? gradeFromScore(result.grandtotal, gradingScheme)
         : g;
 
       result.moderated = false;
@@ -672,93 +691,9 @@ export const updateResult = async (req, res) => {
         result.moderationOriginalGrandtotal = undefined;
         result.moderationApprovedAt = undefined;
       }
-    } else if (hasGrand) {
+    } else if (hasGrand || sentComponents.length) {
       // If total changed but grade not sent, keep consistency by recomputing grade
-      result.grade = gradeFromScore(result.grandtotal);
-    }
-
-    if (hasModerationGrand) {
-      const proposed = Number(payload.moderationGrandtotal);
-      if (Number.isNaN(proposed)) {
-        return res.status(400).json({ message: "moderationGrandtotal must be a number" });
-      }
-
-      const proofProvided = String(payload.moderationProof ?? '').trim();
-      const pfProvided = String(payload.moderationAuthorizedPfNo ?? '').trim();
-      if (!proofProvided || !pfProvided) {
-        return res.status(400).json({ message: "Provide proof and authorizing PF No to submit moderation." });
-      }
-
-      if (result.moderationStatus !== 'pending') {
-        result.moderationOriginalGrandtotal = result.grandtotal;
-      }
-
-      result.moderationPendingGrandtotal = proposed;
-      result.moderationStatus = 'pending';
-      result.moderated = false;
-      result.moderationApprovedAt = undefined;
-      result.moderationProof = proofProvided;
-      result.moderationAuthorizedPfNo = pfProvided;
-    } else {
-      if (hasModerationProof) {
-        result.moderationProof = String(payload.moderationProof ?? '').trim();
-      }
-      if (hasModerationPfNo) {
-        result.moderationAuthorizedPfNo = String(payload.moderationAuthorizedPfNo ?? '').trim();
-      }
-    }
-
-    if (moderationAction) {
-      if (!['approve', 'reject'].includes(moderationAction)) {
-        return res.status(400).json({ message: `Unknown moderationAction "${moderationAction}"` });
-      }
-
-      if (moderationAction === 'approve') {
-        if (result.moderationStatus !== 'pending') {
-          return res.status(400).json({ message: "No pending moderation request to approve." });
-        }
-        const pendingGrand = result.moderationPendingGrandtotal;
-        if (pendingGrand === undefined || pendingGrand === null) {
-          return res.status(400).json({ message: "Pending moderation is missing a proposed grand total." });
-        }
-
-        const proofCurrent = String(result.moderationProof ?? '').trim();
-        const pfCurrent = String(result.moderationAuthorizedPfNo ?? '').trim();
-        if (!proofCurrent || !pfCurrent) {
-          return res.status(400).json({ message: "Moderation proof and authorizer PF No must be recorded before approval." });
-        }
-
-        result.grandtotal = pendingGrand;
-        result.grade = gradeFromScore(pendingGrand);
-        result.moderationStatus = 'approved';
-        result.moderated = true;
-        result.moderationApprovedAt = new Date();
-        result.moderationPendingGrandtotal = undefined;
-      } else if (moderationAction === 'reject') {
-        if (result.moderationStatus === 'pending') {
-          result.moderationStatus = 'none';
-          result.moderated = false;
-          result.moderationPendingGrandtotal = undefined;
-          result.moderationOriginalGrandtotal = undefined;
-          result.moderationApprovedAt = undefined;
-          result.moderationProof = "";
-          result.moderationAuthorizedPfNo = "";
-        } else if (result.moderationStatus === 'approved') {
-          const original = result.moderationOriginalGrandtotal;
-          if (original === undefined || original === null) {
-            return res.status(400).json({ message: "Cannot unapprove because original score is unavailable." });
-          }
-          result.grandtotal = original;
-          result.grade = gradeFromScore(original);
-          result.moderated = false;
-          result.moderationStatus = 'none';
-          result.moderationPendingGrandtotal = undefined;
-          result.moderationOriginalGrandtotal = undefined;
-          result.moderationApprovedAt = undefined;
-          result.moderationProof = "";
-          result.moderationAuthorizedPfNo = "";
-        }
-      }
+      result.grade = gradeFromScore(result.grandtotal, gradingScheme);
     }
 
     const { departmentName: currentDepartmentName, collegeName: currentCollegeName } = await getStudentInstitution(result.student);
@@ -775,54 +710,29 @@ export const updateResult = async (req, res) => {
 
     // Persist the result first (validates enum grade etc.)
     const saved = await result.save();
-
-    // === Recompute academic metrics for this student's term ===
-    const attempted = await computeAttemptedCourses(
-      saved.student, saved.session, saved.semester, saved.level
+    const afterSnapshot = snapshotResult(saved);
+    await recordResultRevision(
+      { before: beforeSnapshot, after: afterSnapshot },
+      {
+        action: 'update',
+        source: 'manual_edit',
+        reason: payload.reason,
+        actor: actorFromRequest(req),
+      }
     );
+    annotateAudit(res, {
+      changes: buildAuditChanges(beforeSnapshot, afterSnapshot, diffSnapshots(beforeSnapshot, afterSnapshot)),
+    });
 
-    // previous snapshot
-    const previousMetricsDoc = await AcademicMetrics.findOne({
+    // === Recompute academic metrics for this student's term ===
+    await recomputeStudentTermMetrics({
       student: saved.student,
-      $or: [
-        { session: { $lt: saved.session } },
-        { session: saved.session, semester: { $lt: saved.semester } }
-      ]
-    }).sort({ session: -1, semester: -1, level: -1 }).lean();
-
-    const previousMetrics = previousMetricsDoc ? {
-      CCC: previousMetricsDoc.CCC,
-      CCE: previousMetricsDoc.CCE,
-      CPE: previousMetricsDoc.CPE,
-      CGPA: previousMetricsDoc.CGPA
-    } : { CCC: 0, CCE: 0, CPE: 0, CGPA: 0 };
-
-    if (attempted.length > 0) {
-      const current = calculateAcademicMetrics(attempted, previousMetrics);
-      await AcademicMetrics.findOneAndUpdate(
-        {
-          student: saved.student,
-          session: saved.session,
-          semester: saved.semester,
-          level: saved.level
-        },
-        {
-          ...current,
-          previousMetrics,
-          department: normalizedDepartmentName,
-          college: normalizedCollegeName,
-          lastUpdated: new Date(),
-        },
-        { upsert: true }
-      );
-    } else {
-      await AcademicMetrics.deleteOne({
-        student: saved.student,
-        session: saved.session,
-        semester: saved.semester,
-        level: saved.level
-      });
-    }
+      session: saved.session,
+      semester: saved.semester,
+      level: saved.level,
+    });
+
+    await runAnomalyChecks(resultSetsFromResults([beforeSnapshot, saved]));
 
     // Optionally re-populate like getAllResults projection (lightweight here)
     const updated = await Result.findById(saved._id)
@@ -832,6 +742,9 @@ export const updateResult = async (req, res) => {
 
     return res.status(200).json(updated);
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(statusErrorBody(error));
+    }
     console.error("Error updating result:", error);
     if (error.name === "ValidationError") {
       return res.status(400).json({ message: "Validation Error", errors: error.errors });
@@ -849,64 +762,34 @@ export const deleteResult = async (req, res) => {
       return res.status(404).json({ message: "Associated course not found" });
     }
     ensureResourceMatchesUserScope(req.user, result.course);
+    await ensureResultsUnlocked([result]);
 
     await Result.findByIdAndDelete(result._id);
-
-    // Build attempted courses (includes registered-no-score as F)
-    const attempted = await computeAttemptedCourses(
-      result.student._id, result.session, result.semester, result.level
+    await recordResultRevision(
+      { before: snapshotResult(result), after: null },
+      {
+        action: 'delete',
+        source: 'manual_delete',
+        reason: req.body?.reason || req.query?.reason,
+        actor: actorFromRequest(req),
+      }
     );
 
-    // Previous snapshot
-    const previousMetricsDoc = await AcademicMetrics.findOne({
+    // Recompute from registrations ∪ results (registered-no-score counts as F)
+    await recomputeStudentTermMetrics({
       student: result.student._id,
-      $or: [
-        { session: { $lt: result.session } },
-        { session: result.session, semester: { $lt: result.semester } }
-      ]
-    }).sort({ session: -1, semester: -1, level: -1 }).lean();
-
-    const previousMetrics = previousMetricsDoc ? {
-      CCC: previousMetricsDoc.CCC,
-      CCE: previousMetricsDoc.CCE,
-      CPE: previousMetricsDoc.CPE,
-      CGPA: previousMetricsDoc.CGPA
-    } : { CCC: 0, CCE: 0, CPE: 0, CGPA: 0 };
-
-    const { departmentName: deletedDepartmentName, collegeName: deletedCollegeName } = await getStudentInstitution(result.student._id);
-    const deletedDepartment = deletedDepartmentName || result.department || DEFAULT_DEPARTMENT_NAME;
-    const deletedCollege = deletedCollegeName || result.college || DEFAULT_COLLEGE_NAME;
-
-    if (attempted.length > 0) {
-      const current = calculateAcademicMetrics(attempted, previousMetrics);
-      await AcademicMetrics.findOneAndUpdate(
-        {
-          student: result.student._id,
-          session: result.session,
-          semester: result.semester,
-          level: result.level
-        },
-        {
-          ...current,
-          previousMetrics,
-          department: deletedDepartment,
-          college: deletedCollege,
-          lastUpdated: new Date(),
-        },
-        { upsert: true }
-      );
-    } else {
-      // No registration & no results → remove per-term metrics doc
-      await AcademicMetrics.deleteOne({
-        student: result.student._id,
-        session: result.session,
-        semester: result.semester,
-        level: result.level
-      });
-    }
+      session: result.session,
+      semester: result.semester,
+      level: result.level,
+    });
+
+    await runAnomalyChecks(resultSetsFromResults([snapshotResult(result)]));
 
     res.status(200).json({ message: "Result deleted successfully" });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(statusErrorBody(error));
+    }
     console.error("Error deleting result:", error);
     res.status(500).json({ message: "Server Error", error: error.message });
   }
@@ -932,8 +815,18 @@ export const deleteAllResultsForCourse = async (req, res) => {
     if (resultsToDelete.length === 0) {
       return res.status(404).json({ message: "No results found for the specified filters" });
     }
+    await ensureResultsUnlocked(resultsToDelete);
 
     await Result.deleteMany(matchFilter);
+    await recordResultRevisions(
+      resultsToDelete.map((r) => ({ before: snapshotResult(r), after: null })),
+      {
+        action: 'delete',
+        source: 'bulk_delete',
+        reason: req.body?.reason || req.query?.reason,
+        actor: actorFromRequest(req),
+      }
+    );
 
     // Group affected students/terms
     const groups = resultsToDelete.reduce((acc, r) => {
@@ -942,42 +835,16 @@ export const deleteAllResultsForCourse = async (req, res) => {
       return acc;
     }, {});
 
-    await Promise.all(Object.values(groups).map(async (g) => {
-      const attempted = await computeAttemptedCourses(g.student, g.session, g.semester, g.level);
-
-      const previousMetricsDoc = await AcademicMetrics.findOne({
-        student: g.student,
-        $or: [{ session: { $lt: g.session } }, { session: g.session, semester: { $lt: g.semester } }]
-      }).sort({ session: -1, semester: -1, level: -1 }).lean();
-
-      const previousMetrics = previousMetricsDoc ? {
-        CCC: previousMetricsDoc.CCC, CCE: previousMetricsDoc.CCE,
-        CPE: previousMetricsDoc.CPE, CGPA: previousMetricsDoc.CGPA
-      } : { CCC: 0, CCE: 0, CPE: 0, CGPA: 0 };
-
-      if (attempted.length > 0) {
-        const current = calculateAcademicMetrics(attempted, previousMetrics);
-        const { departmentName, collegeName } = await getStudentInstitution(g.student);
-        const normalizedDepartment = departmentName || DEFAULT_DEPARTMENT_NAME;
-        const normalizedCollege = collegeName || DEFAULT_COLLEGE_NAME;
-        await AcademicMetrics.findOneAndUpdate(
-          { student: g.student, session: g.session, semester: g.semester, level: g.level },
-          {
-            ...current,
-            previousMetrics,
-            department: normalizedDepartment,
-            college: normalizedCollege,
-            lastUpdated: new Date(),
-          },
-          { upsert: true }
-        );
-      } else {
-        await AcademicMetrics.deleteOne({ student: g.student, session: g.session, semester: g.semester, level: g.level });
-      }
-    }));
+    const gradingResolver = createGradingSchemeResolver();
+    await Promise.all(Object.values(groups).map((g) => recomputeStudentTermMetrics({ ...g, gradingResolver })));
+
+    await runAnomalyChecks(resultSetsFromResults(resultsToDelete));
 
     res.status(200).json({ message: "Filtered results deleted and metrics updated" });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(statusErrorBody(error));
+    }
     console.error("Error deleting filtered results:", error);
     res.status(500).json({ message: "Server Error", error: error.message });
   }
@@ -1002,6 +869,7 @@ export const deleteMultipleResults = async (req, res) => {
       }
       ensureResourceMatchesUserScope(req.user, r.course);
     }
+    await ensureResultsUnlocked(results);
 
     const groups = results.reduce((acc, r) => {
       const key = `${r.student._id}-${r.session}-${r.semester}-${r.level}`;
@@ -1010,44 +878,149 @@ export const deleteMultipleResults = async (req, res) => {
     }, {});
 
     await Result.deleteMany({ _id: { $in: ids } });
+    await recordResultRevisions(
+      results.map((r) => ({ before: snapshotResult(r), after: null })),
+      { action: 'delete', source: 'bulk_delete', reason: req.body?.reason, actor: actorFromRequest(req) }
+    );
 
+    const gradingResolver = createGradingSchemeResolver();
     for (const g of Object.values(groups)) {
-      const attempted = await computeAttemptedCourses(g.student, g.session, g.semester, g.level);
-
-      const previousMetricsDoc = await AcademicMetrics.findOne({
-        student: g.student,
-        $or: [{ session: { $lt: g.session } }, { session: g.session, semester: { $lt: g.semester } }]
-      }).sort({ session: -1, semester: -1, level: -1 }).lean();
-
-      const previousMetrics = previousMetricsDoc ? {
-        CCC: previousMetricsDoc.CCC, CCE: previousMetricsDoc.CCE,
-        CPE: previousMetricsDoc.CPE, CGPA: previousMetricsDoc.CGPA
-      } : { CCC: 0, CCE: 0, CPE: 0, CGPA: 0 };
-
-      if (attempted.length > 0) {
-        const current = calculateAcademicMetrics(attempted, previousMetrics);
-        const { departmentName, collegeName } = await getStudentInstitution(g.student);
-        const normalizedDepartment = departmentName || DEFAULT_DEPARTMENT_NAME;
-        const normalizedCollege = collegeName || DEFAULT_COLLEGE_NAME;
-        await AcademicMetrics.findOneAndUpdate(
-          { student: g.student, session: g.session, semester: g.semester, level: g.level },
-          {
-            ...current,
-            previousMetrics,
-            department: normalizedDepartment,
-            college: normalizedCollege,
-            lastUpdated: new Date(),
-          },
-          { upsert: true }
-        );
-      } else {
-        await AcademicMetrics.deleteOne({ student: g.student, session: g.session, semester: g.semester, level: g.level });
-      }
+      await recomputeStudentTermMetrics({ ...g, gradingResolver });
     }
 
+    await runAnomalyChecks(resultSetsFromResults(results));
+
     res.status(200).json({ message: "Multiple results deleted and metrics updated" });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(statusErrorBody(error));
+    }
     console.error("Bulk delete error:", error);
     res.status(500).json({ message: "Server Error", error: error.message });
   }
 };
+
+const ensureCanAccessResultCourse = async (user, courseId) => {
+  const courseDoc = await Course.findById(courseId).select('_id department college').lean();
+  if (!courseDoc) {
+    const error = new Error('Associated course not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  ensureUserCanAccessDepartment(user, courseDoc.department, courseDoc.college);
+};
+
+// GET /api/results/:id/revisions — works for deleted results too
+export const getResultRevisions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    const revisions = await ResultRevision.find({ result: id })
+      .populate('actor.user', 'title surname firstname email')
+      .sort({ revision: -1 })
+      .lean();
+    if (!revisions.length) {
+      return res.status(404).json({ message: 'No revisions recorded for this result' });
+    }
+    await ensureCanAccessResultCourse(req.user, revisions[0].course);
+
+    const current = await Result.findById(id).select('_id').lean();
+    return res.status(200).json({
+      success: true,
+      resultId: id,
+      deleted: !current,
+      revisions,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error fetching result revisions:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
+
+// POST /api/results/:id/revisions/:revisionId/restore { reason }
+// Puts the result back to the state recorded by that revision (re-creating it if it was
+// deleted), records the restore as a new revision and recomputes the affected term metrics.
+export const restoreResultRevision = async (req, res) => {
+  try {
+    const { id, revisionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(revisionId)) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({ message: 'A reason is required to restore a revision.' });
+    }
+
+    const revision = await ResultRevision.findOne({ _id: revisionId, result: id }).lean();
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found for this result' });
+    }
+    // A deletion revision restores the state the result had just before it was deleted
+    const target = revision.after || revision.before;
+    await ensureCanAccessResultCourse(req.user, target.course);
+
+    const existing = await Result.findById(id);
+    await ensureResultsUnlocked([existing, target]);
+    const beforeSnapshot = snapshotResult(existing);
+    let restored;
+
+    if (existing) {
+      await ensureCanAccessResultCourse(req.user, existing.course);
+      existing.set(restorableFields(target));
+      restored = await existing.save();
+    } else {
+      const clash = await Result.findOne({
+        student: target.student,
+        course: target.course,
+        session: target.session,
+        semester: target.semester,
+      }).select('_id').lean();
+      if (clash) {
+        return res.status(409).json({
+          message: 'Another result already exists for this student, course and term; delete or edit it instead.',
+          conflictingResultId: clash._id,
+        });
+      }
+      restored = await Result.create({ _id: id, ...restorableFields(target) });
+    }
+
+    const restoreRevision = await recordResultRevision(
+      { before: beforeSnapshot, after: snapshotResult(restored), restoredFrom: revision._id },
+      { action: 'restore', source: 'restore', reason, actor: actorFromRequest(req) }
+    );
+
+    const terms = new Map();
+    [beforeSnapshot, restored].filter(Boolean).forEach((r) => {
+      terms.set(`${r.student}|${r.session}|${r.semester}|${r.level}`, {
+        student: r.student, session: r.session, semester: r.semester, level: r.level,
+      });
+    });
+    const gradingResolver = createGradingSchemeResolver();
+    for (const term of terms.values()) {
+      await recomputeStudentTermMetrics({ ...term, gradingResolver });
+    }
+    await runAnomalyChecks(resultSetsFromResults([beforeSnapshot, restored]));
+
+    return res.status(200).json({
+      success: true,
+      message: `Result restored to revision ${revision.revision}`,
+      result: restored,
+      revision: restoreRevision,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(statusErrorBody(error));
+    }
+    console.error('Error restoring result revision:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Validation Error', errors: error.errors });
+    }
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+import ResultSeal from '../models/resultSeal.js';
+import { verifySeals } from '../services/resultSealService.js';
+
+const SESSION_PATTERN = /^\d{4}\/\d{4}$/;
+
+// Shared session/semester/level/studentId query filter; resolves to { filter } or { error }
+const sealFilterFromQuery = (query = {}) => {
+  const { session, semester, level, studentId } = query;
+  const filter = {};
+  if (session) {
+    if (!SESSION_PATTERN.test(String(session).trim())) return { error: 'session must look like 2023/2024.' };
+    filter.session = String(session).trim();
+  }
+  if (semester) {
+    if (![1, 2].includes(Number(semester))) return { error: 'semester must be 1 or 2.' };
+    filter.semester = Number(semester);
+  }
+  if (level) filter.level = Number(level);
+  if (studentId) {
+    if (!mongoose.Types.ObjectId.isValid(studentId)) return { error: 'Invalid studentId.' };
+    filter.student = studentId;
+  }
+  return { filter };
+};
+
+// GET /api/result-seals?session=&semester=&level=&studentId= — newest first, without snapshots
+export const listResultSeals = async (req, res) => {
+  try {
+    const { filter, error } = sealFilterFromQuery(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    const seals = await ResultSeal.find(filter)
+      .select('-snapshot')
+      .sort({ sequence: -1 })
+      .limit(200)
+      .lean();
+    res.status(200).json({ success: true, items: seals });
+  } catch (err) {
+    console.error('listResultSeals error:', err);
+    res.status(500).json({ success: false, message: 'Unable to fetch result seals.' });
+  }
+};
+
+// GET /api/result-seals/verify?session=&semester=&level=&studentId=
+// The chain is always checked end to end; the filters narrow which terms are compared
+export const verifyResultSeals = async (req, res) => {
+  try {
+    const { filter, error } = sealFilterFromQuery(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    const report = await verifySeals(filter);
+    const intact = report.chain.intact && !report.terms.altered.length;
+    res.status(200).json({
+      success: true,
+      intact,
+      message: intact
+        ? 'Every sealed term matches its seal.'
+        : 'Some seals or sealed terms no longer match; see the report.',
+      ...report,
+    });
+  } catch (err) {
+    console.error('verifyResultSeals error:', err);
+    res.status(500).json({ success: false, message: 'Unable to verify result seals.' });
+  }
+};
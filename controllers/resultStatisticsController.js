@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import Course from '../models/course.js';
+import {
+  buildDepartmentScopeFilter,
+  ensureUserCanAccessDepartment,
+} from '../services/accessControl.js';
+import { buildCourseStatistics } from '../services/resultStatisticsService.js';
+
+const SESSION_PATTERN = /^\d{4}\/\d{4}$/;
+
+// GET /api/results/statistics?session=2023/2024&semester=1&level=300&courseId=&compareSessions=3&bucketSize=10
+export const getCourseResultStatistics = async (req, res) => {
+  try {
+    const { session, semester, level, courseId } = req.query || {};
+    const compareSessions = req.query?.compareSessions === undefined ? 3 : Number(req.query.compareSessions);
+    const bucketSize = req.query?.bucketSize === undefined ? 10 : Number(req.query.bucketSize);
+
+    if (!session && !courseId) {
+      return res.status(400).json({ success: false, message: 'Provide a session or a courseId.' });
+    }
+    if (session && !SESSION_PATTERN.test(String(session).trim())) {
+      return res.status(400).json({ success: false, message: 'session must look like 2023/2024.' });
+    }
+    if (semester && ![1, 2].includes(Number(semester))) {
+      return res.status(400).json({ success: false, message: 'semester must be 1 or 2.' });
+    }
+    if (!Number.isInteger(compareSessions) || compareSessions < 0 || compareSessions > 10) {
+      return res.status(400).json({ success: false, message: 'compareSessions must be a whole number from 0 to 10.' });
+    }
+    if (!Number.isInteger(bucketSize) || bucketSize < 1 || bucketSize > 50) {
+      return res.status(400).json({ success: false, message: 'bucketSize must be a whole number from 1 to 50.' });
+    }
+
+    const match = {};
+    if (session) match.session = String(session).trim();
+    if (semester) match.semester = Number(semester);
+    if (level) match.level = String(level).trim();
+
+    if (courseId) {
+      if (!mongoose.Types.ObjectId.isValid(courseId)) {
+        return res.status(400).json({ success: false, message: 'Invalid courseId.' });
+      }
+      const course = await Course.findById(courseId).select('department college').lean();
+      if (!course) {
+        return res.status(404).json({ success: false, message: 'Course not found.' });
+      }
+      ensureUserCanAccessDepartment(req.user, course.department, course.college);
+      match.course = course._id;
+    } else {
+      // Result.department holds a name, so department scope goes through the course
+      const scopeFilter = buildDepartmentScopeFilter(req.user);
+      if (scopeFilter.department) {
+        match.course = { $in: await Course.distinct('_id', scopeFilter) };
+      }
+    }
+
+    const items = await buildCourseStatistics(match, { compareSessions, bucketSize });
+    res.status(200).json({ success: true, items, totalCourses: items.length });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('getCourseResultStatistics error:', err);
+    res.status(500).json({ success: false, message: 'Unable to compute result statistics.' });
+  }
+};
@@ -1,3 +1,4 @@
+import ExcelJS from "exceljs";
 import mongoose from "mongoose";
 import Result from "../models/result.js";
 import Course from "../models/course.js";
@@ -23,38 +24,109 @@ export async function ensureExportIndexes() {
 }
 
 /**
- * GET /api/results-export
- * Query params: regNo?, courseCode?, session?, level?, semester?, resultType?
- * Returns export-friendly rows with the minimal fields the frontend needs to build CSV.
+ * Lookup/match/project pipeline behind the export endpoints, sorted by regNo.
  * Health guard: excludes results whose course.uamId is missing/empty.
  */
-// controllers/resultsExport.controller.js
-// controllers/resultsExport.controller.js
-// controllers/resultsExport.controller.js
-export async function listForExport(req, res) {
-  try {
-    const { regNo, courseCode, session, level, semester, resultType } = req.query;
-
-    const pipeline = [
-      { $lookup: { from: 'students', localField: 'student', foreignField: '_id', as: 'studentInfo' } },
-      { $unwind: '$studentInfo' },
-      { $lookup: { from: 'courses', localField: 'course', foreignField: '_id', as: 'courseInfo' } },
-      { $unwind: '$courseInfo' },
-      { $lookup: { from: 'lecturers', localField: 'lecturer', foreignField: '_id', as: 'lecturerInfo' } },
-      { $unwind: { path: '$lecturerInfo', preserveNullAndEmptyArrays: true } },
+function buildExportPipeline({ regNo, courseCode, session, level, semester, resultType }, scopeFilter = {}) {
+  const pipeline = [
+    { $lookup: { from: 'students', localField: 'student', foreignField: '_id', as: 'studentInfo' } },
+    { $unwind: '$studentInfo' },
+    { $lookup: { from: 'courses', localField: 'course', foreignField: '_id', as: 'courseInfo' } },
+    { $unwind: '$courseInfo' },
+    { $lookup: { from: 'lecturers', localField: 'lecturer', foreignField: '_id', as: 'lecturerInfo' } },
+    { $unwind: { path: '$lecturerInfo', preserveNullAndEmptyArrays: true } },
 
-      {
-        $addFields: {
-          regNoNumeric: {
-            $toInt: { $arrayElemAt: [{ $split: ['$studentInfo.regNo', '/'] }, 1] }
-          },
-          courseCodeNoSpace: {
-            $replaceAll: { input: '$courseInfo.code', find: ' ', replacement: '' }
-          }
+    {
+      $addFields: {
+        regNoNumeric: {
+          $toInt: { $arrayElemAt: [{ $split: ['$studentInfo.regNo', '/'] }, 1] }
+        },
+        courseCodeNoSpace: {
+          $replaceAll: { input: '$courseInfo.code', find: ' ', replacement: '' }
         }
       }
+    }
+  ];
+
+  if (scopeFilter.department) {
+    pipeline.push({
+      $match: {
+        'courseInfo.department': new mongoose.Types.ObjectId(scopeFilter.department),
+      },
+    });
+  }
+
+  const matchStage = {};
+  if (session) matchStage.session = session;
+  if (level) matchStage.level = level;
+  if (semester) matchStage.semester = parseInt(semester, 10);
+  if (resultType) matchStage.resultType = resultType;
+  if (regNo) matchStage['studentInfo.regNo'] = { $regex: regNo, $options: 'i' };
+
+  if (courseCode) {
+    const patternSpaces = courseCode.replace(/\s+/g, '\\s*');
+    const normalized = courseCode.replace(/\s+/g, '');
+    matchStage.$or = [
+      { 'courseInfo.code': { $regex: patternSpaces, $options: 'i' } },
+      { courseCodeNoSpace: { $regex: normalized, $options: 'i' } }
     ];
+  }
+
+  // exclude missing/blank/null uamId
+  matchStage['courseInfo.uamId'] = { $nin: ['', null] };
+
+  if (Object.keys(matchStage).length) pipeline.push({ $match: matchStage });
+
+  pipeline.push({
+    $project: {
+      _id: 1,
+      department: 1,
+      session: 1,
+      semester: 1,
+      level: 1,
+      resultType: 1,
+      grandtotal: 1,
+      grade: 1,
+      student: {
+        _id: '$studentInfo._id',
+        surname: '$studentInfo.surname',
+        firstname: '$studentInfo.firstname',
+        middlename: '$studentInfo.middlename',
+        regNo: '$studentInfo.regNo'
+      },
+      course: {
+        _id: '$courseInfo._id',
+        title: '$courseInfo.title',
+        code: '$courseInfo.code',
+        unit: '$courseInfo.unit',
+        uamId: '$courseInfo.uamId'
+      },
+      regNoNumeric: 1
+    }
+  });
+
+  pipeline.push({ $sort: { regNoNumeric: 1 } });
+  return pipeline;
+}
+
+// ✅ Clean course code (remove leading B-/C-, trim) and derive the portal id
+function withExportFields(row) {
+  const cleanedCode = row.course.code.replace(/^\s*(?:B|C)-\s*/i, '').trim();
+  return {
+    ...row,
+    courseCodeCleaned: cleanedCode,
+    portalId: `${row.student.regNo}${cleanedCode}${row.semester}${row.session}${String(row.resultType).toUpperCase()}`
+  };
+}
 
+/**
+ * GET /api/results-export
+ * Query params: regNo?, courseCode?, session?, level?, semester?, resultType?
+ * Returns export-friendly rows with the minimal fields the frontend needs to build CSV.
+ * Prefer /download for large exports; this buffers every row.
+ */
+export async function listForExport(req, res) {
+  try {
     let scopeFilter = {};
     try {
       scopeFilter = buildDepartmentScopeFilter(req.user);
@@ -65,88 +137,158 @@ export async function listForExport(req, res) {
       throw error;
     }
 
-    if (scopeFilter.department) {
-      pipeline.push({
-        $match: {
-          'courseInfo.department': new mongoose.Types.ObjectId(scopeFilter.department),
-        },
-      });
+    const rows = await Result.aggregate(buildExportPipeline(req.query, scopeFilter)).allowDiskUse(true);
+
+    res.status(200).json(rows.map(withExportFields));
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
     }
+    console.error('listForExport error:', err);
+    res.status(500).json({ message: 'Server Error', error: err.message });
+  }
+}
 
-    const matchStage = {};
-    if (session) matchStage.session = session;
-    if (level) matchStage.level = level;
-    if (semester) matchStage.semester = parseInt(semester, 10);
-    if (resultType) matchStage.resultType = resultType;
-    if (regNo) matchStage['studentInfo.regNo'] = { $regex: regNo, $options: 'i' };
+// Columns the download can include, in their default order
+const EXPORT_COLUMNS = {
+  portalId: { header: 'Portal ID', value: (row) => row.portalId },
+  regNo: { header: 'Reg No', value: (row) => row.student.regNo },
+  surname: { header: 'Surname', value: (row) => row.student.surname },
+  firstname: { header: 'First Name', value: (row) => row.student.firstname },
+  middlename: { header: 'Middle Name', value: (row) => row.student.middlename },
+  courseCode: { header: 'Course Code', value: (row) => row.courseCodeCleaned },
+  rawCourseCode: { header: 'Course Code (as stored)', value: (row) => row.course.code },
+  courseTitle: { header: 'Course Title', value: (row) => row.course.title },
+  unit: { header: 'Unit', value: (row) => row.course.unit },
+  uamId: { header: 'UAM ID', value: (row) => row.course.uamId },
+  session: { header: 'Session', value: (row) => row.session },
+  semester: { header: 'Semester', value: (row) => row.semester },
+  level: { header: 'Level', value: (row) => row.level },
+  resultType: { header: 'Result Type', value: (row) => row.resultType },
+  grandtotal: { header: 'Total Score', value: (row) => row.grandtotal },
+  grade: { header: 'Grade', value: (row) => row.grade },
+};
 
-    if (courseCode) {
-      const patternSpaces = courseCode.replace(/\s+/g, '\\s*');
-      const normalized = courseCode.replace(/\s+/g, '');
-      matchStage.$or = [
-        { 'courseInfo.code': { $regex: patternSpaces, $options: 'i' } },
-        { courseCodeNoSpace: { $regex: normalized, $options: 'i' } }
-      ];
-    }
+const DEFAULT_EXPORT_COLUMNS = [
+  'portalId', 'regNo', 'surname', 'firstname', 'middlename', 'courseCode', 'courseTitle',
+  'unit', 'uamId', 'session', 'semester', 'level', 'resultType', 'grandtotal',
+];
 
-    // exclude missing/blank/null uamId
-    matchStage['courseInfo.uamId'] = { $nin: ['', null] };
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
 
-    if (Object.keys(matchStage).length) pipeline.push({ $match: matchStage });
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
 
-    pipeline.push({
-      $project: {
-        _id: 1,
-        department: 1,
-        session: 1,
-        semester: 1,
-        level: 1,
-        resultType: 1,
-        grandtotal: 1,
-        student: {
-          _id: '$studentInfo._id',
-          surname: '$studentInfo.surname',
-          firstname: '$studentInfo.firstname',
-          middlename: '$studentInfo.middlename',
-          regNo: '$studentInfo.regNo'
-        },
-        course: {
-          _id: '$courseInfo._id',
-          title: '$courseInfo.title',
-          code: '$courseInfo.code',
-          unit: '$courseInfo.unit',
-          uamId: '$courseInfo.uamId'
-        },
-        regNoNumeric: 1
-      }
+const exportFileName = ({ session, semester, level }, extension) =>
+  ['results', session, semester && `S${semester}`, level && `${level}L`]
+    .filter(Boolean)
+    .join('-')
+    .replace(/[^\w.-]+/g, '_') + `.${extension}`;
+
+// Resolves true once `res` drains, or false when the client goes away first (no drain then)
+const waitForDrain = (res) => new Promise((resolve) => {
+  const finish = (drained) => {
+    res.off('drain', onDrain);
+    res.off('close', onGone);
+    res.off('error', onGone);
+    resolve(drained);
+  };
+  const onDrain = () => finish(true);
+  const onGone = () => finish(false);
+  if (res.destroyed) return resolve(false);
+  res.on('drain', onDrain);
+  res.on('close', onGone);
+  res.on('error', onGone);
+});
+
+/**
+ * GET /api/results-export/download?format=csv|xlsx&columns=portalId,regNo,...
+ * Same filters as listForExport. Rows are streamed from the aggregation cursor straight
+ * into the response, so a full-session export never sits in memory.
+ */
+export async function downloadExport(req, res) {
+  const format = String(req.query.format || 'csv').trim().toLowerCase();
+  if (!['csv', 'xlsx'].includes(format)) {
+    return res.status(400).json({ message: 'format must be csv or xlsx.' });
+  }
+
+  const requested = String(req.query.columns || '')
+    .split(',')
+    .map((key) => key.trim())
+    .filter(Boolean);
+  const unknown = requested.filter((key) => !EXPORT_COLUMNS[key]);
+  if (unknown.length) {
+    return res.status(400).json({
+      message: `Unknown column(s): ${unknown.join(', ')}. Available: ${Object.keys(EXPORT_COLUMNS).join(', ')}.`,
     });
+  }
+  const columns = (requested.length ? [...new Set(requested)] : DEFAULT_EXPORT_COLUMNS)
+    .map((key) => EXPORT_COLUMNS[key]);
 
-    pipeline.push({ $sort: { regNoNumeric: 1 } });
+  let scopeFilter = {};
+  try {
+    scopeFilter = buildDepartmentScopeFilter(req.user);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('downloadExport error:', error);
+    return res.status(500).json({ message: 'Server Error', error: error.message });
+  }
 
-    let rows = await Result.aggregate(pipeline).allowDiskUse(true);
+  const cursor = Result.aggregate(buildExportPipeline(req.query, scopeFilter))
+    .allowDiskUse(true)
+    .cursor({ batchSize: 500 });
+  // Stop reading once the client has gone away
+  res.on('close', () => {
+    cursor.close().catch(() => {});
+  });
 
-    // ✅ Clean course code in JS (remove leading B-/C-, trim)
-    rows = rows.map(r => {
-      const cleanedCode = r.course.code.replace(/^\s*(?:B|C)-\s*/i, '').trim();
-      return {
-        ...r,
-        courseCodeCleaned: cleanedCode,
-        portalId: `${r.student.regNo}${cleanedCode}${r.semester}${r.session}${String(r.resultType).toUpperCase()}`
-      };
+  try {
+    res.status(200).set({
+      'Content-Type': format === 'xlsx' ? XLSX_MIME_TYPE : 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${exportFileName(req.query, format)}"`,
     });
 
-    res.status(200).json(rows);
+    if (format === 'csv') {
+      // False once the client has gone away
+      const writeLine = async (values) =>
+        res.write(`${values.map(csvCell).join(',')}\r\n`) || waitForDrain(res);
+
+      let connected = await writeLine(columns.map((column) => column.header));
+      for await (const row of cursor) {
+        if (!connected || res.destroyed) break;
+        const exportRow = withExportFields(row);
+        connected = await writeLine(columns.map((column) => column.value(exportRow)));
+      }
+      if (connected && !res.destroyed) res.end();
+      return;
+    }
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useSharedStrings: false, useStyles: false });
+    const sheet = workbook.addWorksheet('Results');
+    sheet.addRow(columns.map((column) => column.header)).commit();
+    for await (const row of cursor) {
+      if (res.destroyed) break;
+      const exportRow = withExportFields(row);
+      sheet.addRow(columns.map((column) => column.value(exportRow) ?? '')).commit();
+    }
+    sheet.commit();
+    await workbook.commit();
   } catch (err) {
-    if (err.statusCode) {
-      return res.status(err.statusCode).json({ message: err.message });
+    console.error('downloadExport error:', err);
+    if (!res.headersSent) {
+      return res.status(500).json({ message: 'Server Error', error: err.message });
     }
-    console.error('listForExport error:', err);
-    res.status(500).json({ message: 'Server Error', error: err.message });
+    // Part of the file has gone out already; cut the response so it is not taken as complete
+    res.destroy(err);
   }
 }
 
 
-
 /**
  * GET /api/results-export/health
  * Same filters as listForExport, but *only* returns problem groups:
@@ -1,12 +1,16 @@
 import mongoose from 'mongoose';
 import Session from '../models/session.js';
 import Lecturer from '../models/lecturer.js';
-import Student from '../models/student.js';
 import {
   buildDepartmentScopeFilter,
   ensureUserCanAccessDepartment,
 } from '../services/accessControl.js';
 import { getSessionReadiness } from '../services/sessionReadinessService.js';
+import {
+  applyPromotionPlan,
+  planPromotion,
+  restorePromotionSnapshot,
+} from '../services/promotionService.js';
 
 const fetchOfficerDetails = async (pfNo) => {
   if (!pfNo) return null;
@@ -175,48 +179,100 @@ export const closeSession = async (req, res) => {
       });
     }
 
-    // 1. Promote lower-level students
-    const promotionMap = [
-      { from: '100', to: '200', key: 'hundredToTwo' },
-      { from: '200', to: '300', key: 'twoToThree' },
-      { from: '300', to: '400', key: 'threeToFour' },
-    ];
-    const promotedBreakdown = {};
-    let totalPromoted = 0;
-
-    for (const { from, to, key } of promotionMap) {
-      const { modifiedCount } = await Student.updateMany(
-        { level: from, status: 'undergraduate' },
-        { $set: { level: to } },
-      );
-      promotedBreakdown[key] = modifiedCount;
-      totalPromoted += modifiedCount;
-    }
+    // 1. Decide each student's outcome from their results, standing and CGPA rules, and
+    // apply it after snapshotting everyone's level and status for a possible reopen
+    const plan = await planPromotion(session);
+    const { snapshot } = await applyPromotionPlan(plan, { session, user: req.user });
 
-    // 2. Handle final year students (this is a simplified logic)
-    // A more robust implementation would check for outstanding courses.
-    const { modifiedCount: graduatedCount } = await Student.updateMany(
-      { level: '400', status: 'undergraduate' },
-      { $set: { status: 'graduated' } },
-    );
-
-    // 3. Update the session document
+    // 2. Update the session document
     session.status = 'completed';
     session.isCurrent = false;
     session.endDate = endDate ? new Date(endDate) : new Date();
     session.closedAt = new Date();
-    session.promotionStats = {
-      promoted: totalPromoted,
-      promotedBreakdown,
-      graduated: graduatedCount,
-      extraYear: 0, // Simplified for now
-      totalProcessed: totalPromoted + graduatedCount,
-    };
+    session.promotionStats = plan.stats;
     await session.save();
 
-    res.status(200).json({ success: true, message: 'Session closed and students promoted.', session });
+    res.status(200).json({
+      success: true,
+      message: 'Session closed and students promoted.',
+      session,
+      snapshotId: snapshot._id,
+      promotion: plan.decisions,
+    });
   } catch (error) {
     console.error('Error closing session:', error);
     res.status(500).json({ success: false, message: 'An error occurred while closing the session.' });
   }
-};
\ No newline at end of file
+};
+
+// Loads a session the user may act on; errors carry a statusCode
+const loadAccessibleSession = async (id, user) => {
+  const session = mongoose.Types.ObjectId.isValid(id) ? await Session.findById(id) : null;
+  if (!session) {
+    throw Object.assign(new Error('Session not found.'), { statusCode: 404 });
+  }
+  ensureUserCanAccessDepartment(user, session.department, session.college);
+  return session;
+};
+
+// Runs the close logic without writing anything: readiness plus each student's outcome
+export const previewSessionClose = async (req, res) => {
+  try {
+    const session = await loadAccessibleSession(req.params.id, req.user);
+    if (session.status === 'completed') {
+      return res.status(400).json({ success: false, message: 'Session is already closed.' });
+    }
+
+    const [readiness, plan] = await Promise.all([getSessionReadiness(session), planPromotion(session)]);
+    res.status(200).json({
+      success: true,
+      session: { id: session._id, sessionTitle: session.sessionTitle, department: session.department },
+      canClose: readiness.canClose,
+      blockingReasons: readiness.blockingReasons,
+      stats: plan.stats,
+      outcomes: plan.decisions,
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Error previewing session close:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// Undoes a close: students go back to the level and status in the close snapshot and the
+// session becomes active again (current too, unless the department has moved on).
+export const reopenSession = async (req, res) => {
+  try {
+    const session = await loadAccessibleSession(req.params.id, req.user);
+    if (session.status !== 'completed') {
+      return res.status(400).json({ success: false, message: 'Only a closed session can be reopened.' });
+    }
+
+    const { snapshot, restored, conflicts } = await restorePromotionSnapshot(session, { user: req.user });
+
+    const otherCurrent = await Session.exists({
+      _id: { $ne: session._id },
+      department: session.department,
+      isCurrent: true,
+    });
+    session.status = 'active';
+    session.isCurrent = !otherCurrent;
+    session.closedAt = undefined;
+    session.reopenedAt = new Date();
+    session.promotionStats = {};
+    await session.save();
+
+    res.status(200).json({
+      success: true,
+      message: conflicts.length
+        ? `Session reopened. ${restored} student(s) restored; ${conflicts.length} changed since the close and were left as they are.`
+        : `Session reopened. ${restored} student(s) restored.`,
+      session,
+      snapshotId: snapshot._id,
+      restored,
+      conflicts,
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Error reopening session:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
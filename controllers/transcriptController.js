@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+import Transcript from '../models/transcript.js';
+import { buildDepartmentScopeFilter, ensureResourceMatchesUserScope } from '../services/accessControl.js';
+import { issueTranscript, serializeTranscript } from '../services/transcriptService.js';
+
+// POST /api/transcripts/students/:studentId { purpose } — issues a new serial and returns the PDF
+export const generateTranscript = async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(studentId)) {
+      return res.status(400).json({ success: false, message: 'Invalid student id.' });
+    }
+
+    const { transcript, pdf } = await issueTranscript({
+      studentId,
+      user: req.user,
+      purpose: String(req.body?.purpose || '').trim(),
+    });
+
+    const fileName = `transcript-${transcript.regNo.replace(/\//g, '-')}-${transcript.serialNumber}.pdf`;
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Content-Length': pdf.length,
+      'X-Transcript-Serial': transcript.serialNumber,
+    });
+    res.status(201).send(pdf);
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('generateTranscript error:', err);
+    res.status(500).json({ success: false, message: 'Unable to generate transcript.' });
+  }
+};
+
+// GET /api/transcripts?student=<id>&regNo=...&page=1&limit=20 — transcripts issued so far
+export const listTranscripts = async (req, res) => {
+  try {
+    const { student, regNo } = req.query || {};
+    const page = Math.max(parseInt(req.query?.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query?.limit, 10) || 20, 1), 100);
+    const filter = { ...buildDepartmentScopeFilter(req.user) };
+
+    if (student) {
+      if (!mongoose.Types.ObjectId.isValid(student)) {
+        return res.status(400).json({ success: false, message: 'Invalid student id.' });
+      }
+      filter.student = student;
+    }
+    if (regNo) {
+      filter.regNo = String(regNo).trim().toUpperCase();
+    }
+
+    const [transcripts, total] = await Promise.all([
+      Transcript.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Transcript.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      transcripts: transcripts.map(serializeTranscript),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('listTranscripts error:', err);
+    res.status(500).json({ success: false, message: 'Unable to fetch transcripts.' });
+  }
+};
+
+// GET /api/transcripts/:serialNumber — what was issued under a serial, to check a copy against
+export const getTranscriptBySerial = async (req, res) => {
+  try {
+    const serialNumber = String(req.params.serialNumber || '').trim().toUpperCase();
+    const transcript = await Transcript.findOne({ serialNumber }).lean();
+    if (!transcript) {
+      return res.status(404).json({ success: false, message: 'No transcript was issued with this serial number.' });
+    }
+    ensureResourceMatchesUserScope(req.user, transcript);
+
+    res.status(200).json({ success: true, transcript: serializeTranscript(transcript) });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    console.error('getTranscriptBySerial error:', err);
+    res.status(500).json({ success: false, message: 'Unable to fetch transcript.' });
+  }
+};
@@ -1,17 +1,19 @@
 // controllers/uploadAcademicMetricsController.js
 import multer from 'multer';
-import csvParser from 'csv-parser';
-import stream from 'stream';
 import AcademicMetrics from '../models/academicMetrics.js';
 import Student from '../models/student.js';
+import { ensureUserCanAccessDepartment } from '../services/accessControl.js';
+import {
+  createImportRecorder,
+  metricsBeforeImport,
+  startImportBatch,
+} from '../services/importBatchService.js';
+import { readSpreadsheetRows, spreadsheetFileFilter } from '../utills/spreadsheetReader.js';
 
 const storage = multer.memoryStorage();
 export const uploadOldMetricsMulter = multer({
   storage,
-  fileFilter: (req, file, cb) => {
-    const ok = file.mimetype === 'text/csv' || /\.csv$/i.test(file.originalname);
-    cb(ok ? null : new Error('Only CSV files are allowed!'), ok);
-  },
+  fileFilter: spreadsheetFileFilter,
   limits: { files: 20, fileSize: 5 * 1024 * 1024 },
 }).array('files'); // <— MULTI-FILE, field name: "files"
 
@@ -22,13 +24,16 @@ function parseLevelFromName(name = '') {
 }
 
 export const uploadOldMetrics = async (req, res) => {
+  let recorder = null;
   try {
     const { session, semester } = req.body || {};
+    // Worksheet read from each XLSX file, by name or 1-based position
+    const sheet = String(req.body?.sheet || '').trim() || null;
     if (!session || !semester) {
       return res.status(400).json({ message: 'session and semester are required' });
     }
     if (!req.files || !req.files.length) {
-      return res.status(400).json({ message: 'No CSV files uploaded (field name: files)' });
+      return res.status(400).json({ message: 'No CSV or XLSX files uploaded (field name: files)' });
     }
 
     // Header mapping (tolerant to case/spacing)
@@ -49,12 +54,26 @@ export const uploadOldMetrics = async (req, res) => {
     };
     const num = (v) => (v === '' || v == null ? 0 : (Number.isFinite(Number(v)) ? Number(v) : 0));
 
+    const batch = await startImportBatch({
+      kind: 'academic_metrics',
+      req,
+      params: { session, semester: Number(semester), sheet },
+      files: req.files,
+    });
+    recorder = createImportRecorder(batch);
+
     const overall = { total: 0, success: 0, failed: 0 };
     const perFile = [];
 
     for (const file of req.files) {
       const fileLevel = parseLevelFromName(file.originalname);
       if (![100, 200, 300, 400].includes(fileLevel)) {
+        recorder.row({
+          fileName: file.originalname,
+          outcome: 'failed',
+          code: 'LEVEL_NOT_IN_FILE_NAME',
+          message: 'Could not infer level from file name.',
+        });
         perFile.push({
           file: file.originalname,
           level: null,
@@ -64,26 +83,31 @@ export const uploadOldMetrics = async (req, res) => {
         continue;
       }
 
-      const bufferStream = new stream.PassThrough();
-      bufferStream.end(file.buffer);
-
-      const rows = [];
-      await new Promise((resolve, reject) => {
-        bufferStream
-          .pipe(csvParser({
-            separator: ',',
-            mapHeaders: ({ header }) => String(header || '').toLowerCase().replace(/\s+/g, ' ').trim(),
-            mapValues: ({ value }) => (typeof value === 'string' ? value.trim() : value),
-          }))
-          .on('data', (row) => rows.push(row))
-          .on('end', resolve)
-          .on('error', reject);
-      });
+      let sheetName;
+      let rows;
+      let rowNumbers;
+      try {
+        ({ sheetName, rows, rowNumbers } = await readSpreadsheetRows(file, {
+          sheet,
+          mapHeaders: ({ header }) => String(header || '').toLowerCase().replace(/\s+/g, ' ').trim(),
+          mapValues: ({ value }) => (typeof value === 'string' ? value.trim() : value),
+        }));
+      } catch (readError) {
+        if (!readError.statusCode) throw readError;
+        recorder.row({ fileName: file.originalname, outcome: 'failed', code: 'FILE_ERROR', message: readError.message });
+        perFile.push({
+          file: file.originalname,
+          level: fileLevel,
+          stats: { total: 0, success: 0, failed: 0 },
+          failures: [{ error: readError.message }],
+        });
+        continue;
+      }
 
       const successes = [];
       const failures = [];
 
-      for (const r of rows) {
+      for (const [index, r] of rows.entries()) {
         try {
           // normalize row
           const rec = {};
@@ -119,17 +143,46 @@ export const uploadOldMetrics = async (req, res) => {
             CGPA: num(rec.CGPA),
             previousMetrics,
             lastUpdated: new Date(),
+            importBatch: batch._id,
           };
-console.log(set)
-          const doc = await AcademicMetrics.findOneAndUpdate(
-            { student: student._id, session, semester: Number(semester), level: fileLevel },
-            { $set: set, $setOnInsert: { student: student._id, session, semester: Number(semester), level: fileLevel } },
-            { upsert: true, new: true, runValidators: true }
-          );
-            
-          successes.push({ regNo, metricsId: doc._id });
+
+          // Fetch the record as it was before the write, so the batch can put it back
+          const key = { student: student._id, session, semester: Number(semester), level: fileLevel };
+          const raw = await AcademicMetrics.findOneAndUpdate(
+            key,
+            { $set: set, $setOnInsert: key },
+            { upsert: true, new: false, runValidators: true, includeResultMetadata: true }
+          ).lean();
+          const previous = raw.value;
+          const metricsId = previous?._id || raw.lastErrorObject?.upserted;
+
+          if (previous) {
+            recorder.updated('AcademicMetrics', previous, metricsBeforeImport(previous));
+          } else {
+            recorder.created('AcademicMetrics', metricsId);
+          }
+          recorder.department(student.department);
+          recorder.row({
+            fileName: file.originalname,
+            sheet: sheetName,
+            row: rowNumbers[index],
+            key: regNo,
+            outcome: previous ? 'updated' : 'created',
+            target: metricsId,
+          });
+
+          successes.push({ regNo, metricsId });
         } catch (e) {
-          failures.push({ error: e.message, rowHint: r['reg no'] ?? r['Reg No'] ?? null });
+          const rowHint = r['reg no'] ?? r['Reg No'] ?? null;
+          recorder.row({
+            fileName: file.originalname,
+            sheet: sheetName,
+            row: rowNumbers[index],
+            key: rowHint || '',
+            outcome: 'failed',
+            message: e.message,
+          });
+          failures.push({ error: e.message, rowHint, sheet: sheetName, row: rowNumbers[index] });
         }
       }
 
@@ -139,6 +192,7 @@ console.log(set)
 
       perFile.push({
         file: file.originalname,
+        sheet: sheetName,
         level: fileLevel,
         stats: { total: rows.length, success: successes.length, failed: failures.length },
         successes,
@@ -146,14 +200,18 @@ console.log(set)
       });
     }
 
+    await recorder.finish({ stats: overall });
+
     return res.status(201).json({
       message: 'Old academic metrics processed',
       session,
       semester: Number(semester),
       summary: overall,
       perFile,
+      importBatchId: batch._id,
     });
   } catch (err) {
+    await recorder?.fail(err);
     console.error('uploadOldMetrics error:', err);
     return res.status(500).json({ message: 'Failed to upload metrics', error: err.message });
   }
@@ -1,21 +1,15 @@
 import multer from 'multer';
-import csvParser from 'csv-parser';
-import stream from 'stream';
 import Course from '../models/course.js';
 import { validateInstitutionHierarchy } from '../services/institutionService.js';
 import { DEFAULT_PROGRAMME } from '../constants/institutionDefaults.js';
 import { ensureUserCanAccessDepartment } from '../services/accessControl.js';
+import { createImportRecorder, startImportBatch } from '../services/importBatchService.js';
+import { readSpreadsheetRows, spreadsheetFileFilter } from '../utills/spreadsheetReader.js';
 
 const storage = multer.memoryStorage();
 export const upload = multer({ 
   storage: storage,
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/csv') {
-      cb(null, true);
-    } else {
-      cb(new Error('Only CSV files are allowed'), false);
-    }
-  },
+  fileFilter: spreadsheetFileFilter,
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
 });
  // This must match your frontend field name
@@ -23,9 +17,11 @@ export const upload = multer({
 export const uploadCourses = async (req, res) => {
   // 1. Validate input parameters
   const { level, semester, collegeId, departmentId, programmeId } = req.body;
+  // Worksheet of an XLSX upload, by name or 1-based position
+  const sheet = String(req.body.sheet || '').trim() || null;
   
   if (!req.file) {
-    return res.status(400).json({ message: 'No CSV file uploaded' });
+    return res.status(400).json({ message: 'No CSV or XLSX file uploaded' });
   }
 
   if (!level || !semester || !collegeId || !departmentId || !programmeId) {
@@ -67,26 +63,36 @@ export const uploadCourses = async (req, res) => {
 
   const programmeType = institution.programme.degreeType || DEFAULT_PROGRAMME.degreeType;
 
-  // 3. Process CSV
-  const rows = [];
-  const bufferStream = new stream.PassThrough();
-  bufferStream.end(req.file.buffer);
-
+  // 3. Process CSV / XLSX
+  let recorder = null;
   try {
-    await new Promise((resolve, reject) => {
-      bufferStream
-        .pipe(csvParser({
-          separator: '\,',
-          mapHeaders: ({ header }) => header.trim(),
-          mapValues: ({ value }) => value.trim(), // Trim all values
-        }))
-        .on('data', (data) => rows.push(data))
-        .on('end', resolve)
-        .on('error', reject);
+    const batch = await startImportBatch({
+      kind: 'courses',
+      req,
+      params: { level, semester: Number(semester), collegeId, departmentId, programmeId, sheet },
+      files: [req.file],
     });
+    recorder = createImportRecorder(batch);
+    recorder.department(institution.department._id);
+
+    let sheetName;
+    let rows;
+    let rowNumbers;
+    try {
+      ({ sheetName, rows, rowNumbers } = await readSpreadsheetRows(req.file, {
+        sheet,
+        mapHeaders: ({ header }) => header.trim(),
+        mapValues: ({ value }) => value.trim(), // Trim all values
+      }));
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      await recorder.fail(err);
+      return res.status(err.statusCode).json({ message: err.message, importBatchId: batch._id });
+    }
 
     if (rows.length === 0) {
-      return res.status(400).json({ message: 'CSV file is empty or invalid' });
+      await recorder.fail(new Error('CSV file is empty or invalid'));
+      return res.status(400).json({ message: 'CSV file is empty or invalid', importBatchId: batch._id });
     }
 
     // 4. Validate CSV data and prepare documents
@@ -98,6 +104,8 @@ export const uploadCourses = async (req, res) => {
       if (!row.title || !row.code || !row.unit || !row.option) {
         validationErrors.push({
           line: index + 1,
+          sheet: sheetName,
+          row: rowNumbers[index],
           code: row.code || 'N/A',
           error: 'Missing required field(s)'
         });
@@ -108,6 +116,8 @@ export const uploadCourses = async (req, res) => {
       if (!['C', 'E'].includes(row.option.toUpperCase())) {
         validationErrors.push({
           line: index + 1,
+          sheet: sheetName,
+          row: rowNumbers[index],
           code: row.code,
           error: 'Option must be either C (Compulsory) or E (Elective)'
         });
@@ -118,6 +128,8 @@ export const uploadCourses = async (req, res) => {
       if (isNaN(row.unit) || !Number.isInteger(Number(row.unit))) {
         validationErrors.push({
           line: index + 1,
+          sheet: sheetName,
+          row: rowNumbers[index],
           code: row.code,
           error: 'Unit must be a whole number'
         });
@@ -136,17 +148,27 @@ export const uploadCourses = async (req, res) => {
         department: institution.department._id,
         programme: institution.programme._id,
         programmeType,
+        importBatch: batch._id,
       });
     });
 
     if (validationErrors.length > 0) {
+      validationErrors.forEach((failure) => recorder.row({
+        sheet: failure.sheet,
+        row: failure.row,
+        key: failure.code,
+        outcome: 'failed',
+        message: failure.error,
+      }));
+      await recorder.fail(new Error('CSV validation failed'));
       return res.status(400).json({
         message: 'CSV validation failed',
         validationErrors,
         stats: {
           total: rows.length,
           failed: validationErrors.length
-        }
+        },
+        importBatchId: batch._id,
       });
     }
 
@@ -179,6 +201,7 @@ export const uploadCourses = async (req, res) => {
             };
           });
       } else {
+        await recorder.fail(e);
         return res.status(500).json({ 
           message: 'Error processing courses', 
           error: e.message 
@@ -186,6 +209,13 @@ export const uploadCourses = async (req, res) => {
       }
     }
 
+    recorder.created('Course', successfulRecords);
+    successfulRecords.forEach((doc) => recorder.row({ key: doc.code, outcome: 'created', target: doc._id }));
+    failedRecords.forEach((doc) => recorder.row({ key: doc.code, outcome: 'failed', message: doc.error }));
+    await recorder.finish({
+      stats: { total: rows.length, success: successfulRecords.length, failed: failedRecords.length },
+    });
+
     // 6. Return response
     res.status(201).json({
       message: 'CSV processed successfully',
@@ -195,9 +225,11 @@ export const uploadCourses = async (req, res) => {
         failed: failedRecords.length + validationErrors.length,
       },
       failed: [...validationErrors, ...failedRecords],
+      importBatchId: batch._id,
     });
 
   } catch (error) {
+    await recorder?.fail(error);
     console.error('CSV processing error:', error);
     res.status(500).json({ 
       message: 'Error processing CSV file', 
@@ -1,299 +1,413 @@
 import multer from 'multer';
-import csvParser from 'csv-parser';
-import stream from 'stream';
-import Student from "../models/student.js";
-import Course from "../models/course.js";
+import crypto from 'crypto';
 import Lecturer from "../models/lecturer.js";
-import Result from "../models/result.js";
-import PassFail from "../models/passFailList.js";
-import { ensureUserCanAccessDepartment } from '../services/accessControl.js';
-
-function calculateGrade(score) {
-  if (typeof score !== 'number') return 'F';
-  if (score >= 70) return 'A';
-  if (score >= 60) return 'B';
-  if (score >= 50) return 'C';
-  if (score >= 45) return 'D';
-  if (score >= 40) return 'E';
-  return 'F';
-}
+import ResultUploadPreview from "../models/resultUploadPreview.js";
+import { createGradingSchemeResolver } from '../services/gradingService.js';
+import { actorFromRequest } from '../services/resultRevisionService.js';
+import { serializeAnomaly } from '../services/resultAnomalyService.js';
+import { createImportRecorder, startImportBatch } from '../services/importBatchService.js';
+import {
+  applyResultFilePlan,
+  describeFilePlan,
+  planResultFile,
+  readResultFile,
+} from '../services/resultUploadService.js';
+import { spreadsheetFileFilter } from '../utills/spreadsheetReader.js';
+
+const PREVIEW_TTL_HOURS = 24;
+// Stay well under MongoDB's 16MB document limit when storing parsed rows
+const MAX_PREVIEW_BYTES = 12 * 1024 * 1024;
 
 const storage = multer.memoryStorage();
 export const upload = multer({ 
   storage,
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/csv' || file.originalname.match(/\.(csv)$/)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only CSV files are allowed!'), false);
-    }
-  },
+  fileFilter: spreadsheetFileFilter,
   limits: {
     files: 20,
     fileSize: 5 * 1024 * 1024
   }
 }).array('csvFiles');
 
+const readUploadParams = (body = {}) => ({
+  lecturerStaffId: body.lecturerStaffId,
+  session: body.session,
+  semester: body.semester,
+  date: body.date,
+  department: body.department,
+  resultType: body.resultType,
+  overwriteExisting: String(body.overwriteExisting || '').toLowerCase() === 'true',
+  // Worksheet to read from XLSX files, by name or 1-based position; the first when unset
+  sheet: String(body.sheet || '').trim() || null,
+});
+
+const missingUploadParams = (params) =>
+  !params.lecturerStaffId || !params.session || !params.semester || !params.date || !params.department || !params.resultType;
+
+const parseUploadedFiles = async (files, { sheet }) => {
+  const parsed = [];
+  for (const file of files) {
+    try {
+      parsed.push({ fileName: file.originalname, ...await readResultFile(file, { sheet }) });
+    } catch (parseError) {
+      parsed.push({ fileName: file.originalname, sheetName: null, rows: [], rowNumbers: [], parseError });
+    }
+  }
+  return parsed;
+};
+
+const fileErrorPlan = (fileName, error) => ({
+  fileName,
+  sheetName: null,
+  courseCode: null,
+  course: null,
+  inserts: [],
+  overwrites: [],
+  unregistered: [],
+  failures: [{ error: `File processing error: ${error.message}`, code: 'FILE_ERROR', fileName }],
+});
+
+const planFile = async (file, { params, lecturer, user, gradingResolver }) => {
+  if (file.parseError) {
+    return fileErrorPlan(file.fileName, file.parseError);
+  }
+  try {
+    return await planResultFile({
+      fileName: file.fileName,
+      sheetName: file.sheetName,
+      rows: file.rows,
+      rowNumbers: file.rowNumbers,
+      params,
+      lecturer,
+      user,
+      gradingResolver,
+    });
+  } catch (error) {
+    console.error(`Error processing file ${file.fileName}:`, error);
+    return fileErrorPlan(file.fileName, error);
+  }
+};
+
+// Plans every file against the current data without writing anything
+const planFiles = async (files, { params, lecturer, user }) => {
+  const gradingResolver = createGradingSchemeResolver();
+  const plans = [];
+  for (const file of files) {
+    plans.push(await planFile(file, { params, lecturer, user, gradingResolver }));
+  }
+  return plans;
+};
+
+const summarizePlans = (plans) => plans.reduce((summary, plan) => {
+  const described = describeFilePlan(plan);
+  summary.files += 1;
+  summary.newRows += described.newRows.length;
+  summary.overwrites += described.overwrites.length;
+  summary.unknownRegNos += described.unknownRegNos.length;
+  summary.unregistered += described.unregistered.length;
+  summary.failures += described.failures.length;
+  return summary;
+}, { files: 0, newRows: 0, overwrites: 0, unknownRegNos: 0, unregistered: 0, failures: 0 });
+
+const overwriteTargetsOf = (plans) => plans.flatMap((plan) => plan.overwrites.map((item) => ({
+  result: item.resultId,
+  updatedAt: item.resultUpdatedAt || null,
+})));
+
+const failureRegNo = (failure) => (failure.studentRegNos
+  ? failure.studentRegNos.join(', ')
+  : String(failure.rowData?.regNo || '').trim().toUpperCase());
+
+// Per-row outcomes of one file for its import batch
+const recordFileOutcome = (recorder, plan, outcome, fileError = null) => {
+  const written = new Map([...outcome.created, ...outcome.updated].map((doc) => [String(doc.student), doc._id]));
+  const rowOf = (item, result) => ({
+    fileName: plan.fileName,
+    sheet: plan.sheetName || null,
+    row: item.rowNumber,
+    key: item.regNo,
+    ...(fileError
+      ? { outcome: 'failed', code: 'FILE_ERROR', message: fileError.message }
+      : { outcome: result, target: written.get(String(item.studentId)) || null }),
+  });
+  plan.inserts.forEach((item) => recorder.row(rowOf(item, 'created')));
+  plan.overwrites.forEach((item) => recorder.row(rowOf(item, 'updated')));
+  plan.failures.forEach((failure) => recorder.row({
+    fileName: plan.fileName,
+    sheet: failure.sheet || null,
+    row: failure.rowNumber ?? null,
+    key: failureRegNo(failure),
+    outcome: 'failed',
+    code: failure.code || null,
+    message: failure.error,
+  }));
+};
+
+/**
+ * Plans and writes each file in turn, so a later file in the batch sees rows written by an
+ * earlier one, and builds the upload response body. Also returns the plans for comparison.
+ */
+const processBatch = async ({ files, params, lecturer, req, recorder }) => {
+  const gradingResolver = createGradingSchemeResolver();
+  const plans = [];
+  const allResults = [];
+  const allUpdated = [];
+  const allFailedRecords = [];
+  const allAnomalies = [];
+
+  for (const file of files) {
+    const plan = await planFile(file, { params, lecturer, user: req.user, gradingResolver });
+    plans.push(plan);
+    allFailedRecords.push(...plan.failures);
+    try {
+      const outcome = await applyResultFilePlan(plan, { actor: actorFromRequest(req), recorder });
+      allResults.push(...outcome.created);
+      allUpdated.push(...outcome.updated);
+      allAnomalies.push(...outcome.anomalies);
+      recordFileOutcome(recorder, plan, outcome);
+    } catch (fileError) {
+      console.error(`Error processing file ${plan.fileName}:`, fileError);
+      recordFileOutcome(recorder, plan, { created: [], updated: [] }, fileError);
+      allFailedRecords.push({
+        error: `File processing error: ${fileError.message}`,
+        code: 'FILE_ERROR',
+        fileName: plan.fileName
+      });
+    }
+  }
+
+  const totalProcessed = allResults.length + allUpdated.length + allFailedRecords.length;
+  const body = {
+    message: 'CSV files processed with partial success',
+    stats: {
+      total: totalProcessed,
+      success: allResults.length + allUpdated.length,
+      created: allResults.length,
+      updated: allUpdated.length,
+      failed: allFailedRecords.length
+    },
+    created: allResults,
+    updated: allUpdated,
+    failed: allFailedRecords.map(f => ({
+      error: f.error,
+      code: f.code || null,
+      row: f.rowNumber ?? null,
+      sheet: f.sheet || null,
+      ...(f.issues ? { issues: f.issues } : {}),
+      studentRegNo: f.studentRegNos
+        ? f.studentRegNos.join(', ')
+        : (f.rowData?.regNo || 'N/A'),
+      fileName: f.fileName
+    })),
+    anomalies: allAnomalies.map(serializeAnomaly),
+  };
+  return { plans, body };
+};
+
 export const uploadResults = async (req, res) => {
+  let recorder = null;
   try {
-    const { lecturerStaffId, session, semester, date, department, resultType } = req.body;
+    const params = readUploadParams(req.body);
     // NOTE: level is intentionally NOT read from body anymore
 
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({ message: 'No CSV files uploaded' });
     }
     
-    if (!lecturerStaffId || !session || !semester || !date || !department || !resultType) {
+    if (missingUploadParams(params)) {
       return res.status(400).json({ 
         message: 'Lecturer, Session, Semester, Department, Result Type, and Date are required.' 
       });
     }
 
-    const lecturer = await Lecturer.findOne({ pfNo: lecturerStaffId });
+    const lecturer = await Lecturer.findOne({ pfNo: params.lecturerStaffId });
     if (!lecturer) {
-      return res.status(404).json({ message: `Lecturer with staff ID "${lecturerStaffId}" not found.` });
+      return res.status(404).json({ message: `Lecturer with staff ID "${params.lecturerStaffId}" not found.` });
     }
 
-    const allResults = [];
-    const allFailedRecords = [];
-
-    for (const file of req.files) {
-      try {
-        const fileName = file.originalname;
-        const courseCode = fileName.split('.')[0].toUpperCase();
-
-        const buffer = file.buffer;
-        const bufferStream = new stream.PassThrough();
-        bufferStream.end(buffer);
-
-        const rows = [];
-        await new Promise((resolve, reject) => {
-          bufferStream
-            .pipe(csvParser({
-              separator: ',',
-              mapHeaders: ({ header }) => header.trim(),
-              mapValues: ({ value }) => (typeof value === 'string' ? value.trim() : value),
-            }))
-            .on('data', row => rows.push(row))
-            .on('end', resolve)
-            .on('error', reject);
-        });
+    const batch = await startImportBatch({ kind: 'results', req, params, files: req.files });
+    recorder = createImportRecorder(batch);
 
-        const course = await Course.findOne({ code: courseCode })
-          .select('_id code title department college programme programmeType');
-        if (!course) {
-          allFailedRecords.push(...rows.map(row => ({
-            error: `Course with code "${courseCode}" not found.`,
-            rowData: row,
-            fileName
-          })));
-          continue;
-        }
-
-        ensureUserCanAccessDepartment(req.user, course.department, course.college);
-
-        const regNoSet = new Set();
-        rows.forEach((row) => {
-          const reg = String(row.regNo || '').trim().toUpperCase();
-          if (reg) regNoSet.add(reg);
-        });
-        const uniqueRegNos = Array.from(regNoSet);
-
-        const students = uniqueRegNos.length
-          ? await Student.find({ regNo: { $in: uniqueRegNos } }).select('_id regNo level')
-          : [];
-        const studentByReg = new Map(students.map((stu) => [String(stu.regNo).toUpperCase(), stu]));
-
-        const perRowPayload = [];
-
-        for (const row of rows) {
-          const regNo = String(row.regNo || '').trim().toUpperCase();
-          if (!regNo) {
-            allFailedRecords.push({
-              error: 'Missing registration number in row',
-              rowData: row,
-              fileName,
-            });
-            continue;
-          }
-
-          const student = studentByReg.get(regNo);
-          if (!student) {
-            allFailedRecords.push({
-              error: `Student with registration number "${regNo}" not found.`,
-              rowData: row,
-              fileName,
-            });
-            continue;
-          }
-          if (!student.level) {
-            allFailedRecords.push({
-              error: `Student "${regNo}" has no level set on profile.`,
-              rowData: row,
-              fileName,
-            });
-            continue;
-          }
-
-          const parseScore = (value) => {
-            if (value === undefined || value === null || value === '') return null;
-            const parsed = Math.round(Number(value));
-            return Number.isFinite(parsed) ? parsed : null;
-          };
-
-          const ca = parseScore(row.ca);
-          const totalexam = parseScore(row.totalexam);
-
-          if (ca !== null && (ca < 0 || ca > 30)) {
-            allFailedRecords.push({
-              error: `CA score ${row.ca} for ${regNo} must be between 0 and 30`,
-              rowData: row,
-              fileName,
-            });
-            continue;
-          }
-          if (totalexam !== null && (totalexam < 0 || totalexam > 70)) {
-            allFailedRecords.push({
-              error: `Exam score ${row.totalexam} for ${regNo} must be between 0 and 70`,
-              rowData: row,
-              fileName,
-            });
-            continue;
-          }
-
-          let grandtotal = null;
-          if (ca !== null && totalexam !== null) {
-            grandtotal = ca + totalexam;
-          } else if (row.grandTotal != null && row.grandTotal !== '') {
-            const parsedGrand = Math.round(Number(row.grandTotal));
-            grandtotal = Number.isFinite(parsedGrand) ? parsedGrand : null;
-          }
-          if (grandtotal === null) grandtotal = 0;
-
-          const grade = calculateGrade(grandtotal);
-
-          perRowPayload.push({
-            data: {
-              student: student._id,
-              course: course._id,
-              lecturer: lecturer._id,
-              session,
-              semester,
-              date,
-              department,
-              level: student.level,
-              resultType,
-              ...(row.q1 && { q1: Number(row.q1) }),
-              ...(row.q2 && { q2: Number(row.q2) }),
-              ...(row.q3 && { q3: Number(row.q3) }),
-              ...(row.q4 && { q4: Number(row.q4) }),
-              ...(row.q5 && { q5: Number(row.q5) }),
-              ...(row.q6 && { q6: Number(row.q6) }),
-              ...(row.q7 && { q7: Number(row.q7) }),
-              ...(row.q8 && { q8: Number(row.q8) }),
-              ...(totalexam !== null && { totalexam }),
-              ...(ca !== null && { ca }),
-              grandtotal,
-              grade,
-            },
-            studentId: student._id,
-            regNo,
-          });
-        }
-
-        if (!perRowPayload.length) {
-          continue;
-        }
-
-        const studentIds = perRowPayload.map((item) => item.studentId);
-        const existing = await Result.find({
-          student: { $in: studentIds },
-          course: course._id,
-          session,
-          semester,
-        }).select('student');
-
-        const existingSet = new Set(existing.map((doc) => String(doc.student)));
-
-        const duplicates = [];
-        const toInsertData = [];
-        perRowPayload.forEach((item) => {
-          if (existingSet.has(String(item.studentId))) {
-            duplicates.push(item.regNo);
-          } else {
-            toInsertData.push(item.data);
-          }
-        });
+    const files = await parseUploadedFiles(req.files, params);
+    const { body } = await processBatch({ files, params, lecturer, req, recorder });
+    await recorder.finish({ stats: body.stats });
+    res.status(201).json({ ...body, importBatchId: batch._id });
+
+  } catch (error) {
+    await recorder?.fail(error);
+    console.error('CSV processing error:', error);
+    res.status(500).json({
+      message: 'Error processing CSV',
+      error: error.message
+    });
+  }
+};
+
+// POST /api/results/upload-results/preview — same form as uploadResults, nothing is written
+export const previewResultUpload = async (req, res) => {
+  try {
+    const params = readUploadParams(req.body);
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'No CSV files uploaded' });
+    }
+    if (missingUploadParams(params)) {
+      return res.status(400).json({
+        message: 'Lecturer, Session, Semester, Department, Result Type, and Date are required.'
+      });
+    }
+
+    const lecturer = await Lecturer.findOne({ pfNo: params.lecturerStaffId });
+    if (!lecturer) {
+      return res.status(404).json({ message: `Lecturer with staff ID "${params.lecturerStaffId}" not found.` });
+    }
+
+    const files = await parseUploadedFiles(req.files, params);
+    const plans = await planFiles(files, { params, lecturer, user: req.user });
+    const summary = summarizePlans(plans);
+    const overwriteTargets = overwriteTargetsOf(plans);
+
+    const storedFiles = files.map(({ fileName, sheetName, rows, rowNumbers }, index) => ({
+      fileName,
+      sheetName,
+      rows,
+      rowNumbers,
+      mimeType: req.files[index].mimetype,
+      content: req.files[index].buffer,
+    }));
+    const storedBytes = Buffer.byteLength(JSON.stringify(files.map(({ rows, rowNumbers }) => ({ rows, rowNumbers }))))
+      + req.files.reduce((sum, file) => sum + file.buffer.length, 0);
+    if (storedBytes > MAX_PREVIEW_BYTES) {
+      return res.status(413).json({ message: 'Batch is too large to preview; split it into smaller uploads.' });
+    }
+
+    const preview = await ResultUploadPreview.create({
+      token: crypto.randomBytes(24).toString('hex'),
+      createdBy: req.user?.id,
+      params: { ...params, session: String(params.session), semester: String(params.semester), date: String(params.date) },
+      files: storedFiles,
+      summary,
+      overwriteTargets,
+      expiresAt: new Date(Date.now() + PREVIEW_TTL_HOURS * 60 * 60 * 1000),
+    });
+
+    res.status(200).json({
+      message: 'Preview generated; nothing has been saved.',
+      token: preview.token,
+      expiresAt: preview.expiresAt,
+      overwriteExisting: params.overwriteExisting,
+      summary,
+      files: plans.map(describeFilePlan),
+    });
+  } catch (error) {
+    console.error('CSV preview error:', error);
+    res.status(500).json({
+      message: 'Error previewing CSV',
+      error: error.message
+    });
+  }
+};
+
+const summaryChanged = (summary, previous = {}) => Object.keys(summary).some((key) => summary[key] !== previous[key]);
 
-        let createdThisBatch = [];
-        if (toInsertData.length) {
-          createdThisBatch = await Result.insertMany(toInsertData, { ordered: false });
-          allResults.push(...createdThisBatch);
-
-          const passingStudents = toInsertData
-            .filter((d) => d.grade !== 'F')
-            .map((d) => d.student);
-          const failingStudents = toInsertData
-            .filter((d) => d.grade === 'F')
-            .map((d) => d.student);
-
-          if (passingStudents.length) {
-            await PassFail.updateMany(
-              { course: course._id },
-              { $pull: { fail: { $in: passingStudents } } }
-            );
-          }
-
-          await PassFail.findOneAndUpdate(
-            { course: course._id, session, semester },
-            {
-              $addToSet: {
-                pass: { $each: passingStudents },
-                fail: { $each: failingStudents },
-              },
-            },
-            { upsert: true, new: true }
-          );
-        }
-
-        if (duplicates.length) {
-          allFailedRecords.push({
-            error: `Duplicate result detected for regNos: ${duplicates.join(', ')}`,
-            studentRegNos: duplicates,
-            fileName
-          });
-        }
-      } catch (fileError) {
-        console.error(`Error processing file ${file.originalname}:`, fileError);
-        allFailedRecords.push({
-          error: `File processing error: ${fileError.message}`,
-          fileName: file.originalname
+const timeOf = (value) => (value ? new Date(value).getTime() : null);
+
+// True when the batch would now overwrite other results, or results edited since the preview
+const overwriteTargetsChanged = (targets, previous = []) => {
+  if (targets.length !== previous.length) return true;
+  const previousById = new Map(previous.map((target) => [String(target.result), timeOf(target.updatedAt)]));
+  return targets.some((target) => {
+    const id = String(target.result);
+    return !previousById.has(id) || previousById.get(id) !== timeOf(target.updatedAt);
+  });
+};
+
+const planChanged = (plans, preview) => summaryChanged(summarizePlans(plans), preview.summary)
+  || overwriteTargetsChanged(overwriteTargetsOf(plans), preview.overwriteTargets);
+
+// POST /api/results/upload-results/commit { token, force } — writes a previewed batch exactly as uploaded.
+// When the data changed since the preview (the same files would now do something else) the
+// commit is refused with a fresh preview, which becomes the one the token commits; `force`
+// writes anyway.
+export const commitResultUpload = async (req, res) => {
+  let recorder = null;
+  try {
+    const token = String(req.body?.token || '').trim();
+    if (!token) {
+      return res.status(400).json({ message: 'Preview token is required.' });
+    }
+
+    const preview = await ResultUploadPreview.findOne({ token }).lean();
+    if (!preview || preview.expiresAt < new Date()) {
+      return res.status(404).json({ message: 'Preview not found or expired; upload the files again.' });
+    }
+    if (preview.status === 'committed') {
+      return res.status(409).json({ message: 'This preview has already been committed.' });
+    }
+    const isOwner = String(preview.createdBy || '') === String(req.user?.id || '');
+    if (!isOwner && !(req.user?.roles || []).includes('ADMIN')) {
+      return res.status(403).json({ message: 'Only the user who generated the preview can commit it.' });
+    }
+
+    const lecturer = await Lecturer.findOne({ pfNo: preview.params.lecturerStaffId });
+    if (!lecturer) {
+      return res.status(404).json({ message: `Lecturer with staff ID "${preview.params.lecturerStaffId}" not found.` });
+    }
+
+    const force = req.body?.force === true || String(req.body?.force || '').toLowerCase() === 'true';
+    if (!force) {
+      const plans = await planFiles(preview.files, { params: preview.params, lecturer, user: req.user });
+      const summary = summarizePlans(plans);
+      if (planChanged(plans, preview)) {
+        await ResultUploadPreview.updateOne(
+          { _id: preview._id, status: 'pending' },
+          { $set: { summary, overwriteTargets: overwriteTargetsOf(plans) } }
+        );
+        return res.status(409).json({
+          message: 'Results changed since this preview; review the updated preview and commit again, or commit with force.',
+          token,
+          changedSincePreview: true,
+          previousSummary: preview.summary,
+          summary,
+          files: plans.map(describeFilePlan),
         });
       }
     }
 
-    const totalProcessed = allResults.length + allFailedRecords.length;
-    res.status(201).json({
-      message: 'CSV files processed with partial success',
-      stats: {
-        total: totalProcessed,
-        success: allResults.length,
-        failed: allFailedRecords.length
-      },
-      created: allResults,
-      failed: allFailedRecords.map(f => ({
-        error: f.error,
-        studentRegNo: f.studentRegNos
-          ? f.studentRegNos.join(', ')
-          : (f.rowData?.regNo || 'N/A'),
-        fileName: f.fileName
-      }))
+    // Claim the token first so two concurrent commits cannot both write the batch
+    const claimed = await ResultUploadPreview.findOneAndUpdate(
+      { _id: preview._id, status: 'pending' },
+      { $set: { status: 'committed', committedAt: new Date(), committedBy: req.user?.id } }
+    );
+    if (!claimed) {
+      return res.status(409).json({ message: 'This preview has already been committed.' });
+    }
+
+    const batch = await startImportBatch({
+      kind: 'results',
+      req,
+      params: { ...preview.params, previewToken: token },
+      files: preview.files
+        .map((file) => ({
+          originalname: file.fileName,
+          mimetype: file.mimeType || 'text/csv',
+          // Lean reads return BSON Binary rather than a Buffer
+          buffer: file.content ? Buffer.from(file.content.buffer ?? file.content) : Buffer.alloc(0),
+        }))
+        .filter((file) => file.buffer.length),
     });
+    recorder = createImportRecorder(batch);
+
+    const { plans, body } = await processBatch({ files: preview.files, params: preview.params, lecturer, req, recorder });
+    await recorder.finish({ stats: body.stats });
+    const summary = summarizePlans(plans);
+    const changedSincePreview = planChanged(plans, preview);
 
+    res.status(201).json({ ...body, summary, changedSincePreview, importBatchId: batch._id });
   } catch (error) {
-    console.error('CSV processing error:', error);
+    await recorder?.fail(error);
+    console.error('CSV commit error:', error);
     res.status(500).json({
-      message: 'Error processing CSV',
+      message: 'Error committing CSV preview',
       error: error.message
     });
   }
@@ -1,24 +1,26 @@
 import multer from 'multer';
-import csvParser from 'csv-parser';
-import stream from 'stream';
 import Student from '../models/student.js';
 import {
   buildInstitutionLookups,
   resolveInstitutionByNames,
 } from '../services/institutionService.js';
 import { ensureUserCanAccessDepartment } from '../services/accessControl.js';
+import { createImportRecorder, startImportBatch } from '../services/importBatchService.js';
+import { readSpreadsheetRows, spreadsheetFileFilter } from '../utills/spreadsheetReader.js';
 
 const storage = multer.memoryStorage();
 
-export const upload = multer({ storage });
+export const upload = multer({ storage, fileFilter: spreadsheetFileFilter });
 
 const validLevels = ['100', '200', '300', '400', '500'];
 
 export const uploadStudents = async (req, res) => {
   const { level } = req.body;
+  // Worksheet of an XLSX upload, by name or 1-based position
+  const sheet = String(req.body.sheet || '').trim() || null;
 
   if (!req.file) {
-    return res.status(400).json({ message: 'No CSV file uploaded' });
+    return res.status(400).json({ message: 'No CSV or XLSX file uploaded' });
   }
 
   if (!level) {
@@ -29,25 +31,29 @@ export const uploadStudents = async (req, res) => {
     return res.status(400).json({ message: "Level must be 100, 200, 300, 400, or 500" });
   }
 
-  const rows = [];
-  const bufferStream = new stream.PassThrough();
-  bufferStream.end(req.file.buffer);
-
+  let recorder = null;
   try {
-    await new Promise((resolve, reject) => {
-      bufferStream
-        .pipe(csvParser({
-          separator: ',',
-          mapHeaders: ({ header }) => header.trim(),
-          mapValues: ({ value }) => value.trim(),
-        }))
-        .on('data', (data) => rows.push(data))
-        .on('end', resolve)
-        .on('error', reject);
-    });
+    const batch = await startImportBatch({ kind: 'students', req, params: { level, sheet }, files: [req.file] });
+    recorder = createImportRecorder(batch);
+
+    let sheetName;
+    let rows;
+    let rowNumbers;
+    try {
+      ({ sheetName, rows, rowNumbers } = await readSpreadsheetRows(req.file, {
+        sheet,
+        mapHeaders: ({ header }) => header.trim(),
+        mapValues: ({ value }) => value.trim(),
+      }));
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      await recorder.fail(err);
+      return res.status(err.statusCode).json({ message: err.message, importBatchId: batch._id });
+    }
 
     if (rows.length === 0) {
-      return res.status(400).json({ message: 'CSV file is empty or invalid' });
+      await recorder.fail(new Error('CSV file is empty or invalid'));
+      return res.status(400).json({ message: 'CSV file is empty or invalid', importBatchId: batch._id });
     }
      
     // Process rows with case-insensitive regNo checking
@@ -72,6 +78,8 @@ export const uploadStudents = async (req, res) => {
       if (!regNo || !surname || !firstname) {
         validationErrors.push({
           line: index + 1,
+          sheet: sheetName,
+          row: rowNumbers[index],
           regNo: regNo || 'N/A',
           error: 'Missing Required Field(s)',
           rowData: row
@@ -82,6 +90,8 @@ export const uploadStudents = async (req, res) => {
       if (!collegeValue || !departmentValue || !programmeValue) {
         validationErrors.push({
           line: index + 1,
+          sheet: sheetName,
+          row: rowNumbers[index],
           regNo,
           error: 'College, department, and programme are required for each row.',
           rowData: row,
@@ -93,6 +103,8 @@ export const uploadStudents = async (req, res) => {
       if (regNos.has(regNo)) {
         validationErrors.push({
           line: index + 1,
+          sheet: sheetName,
+          row: rowNumbers[index],
           regNo,
           error: 'Duplicate regNo within CSV file'
         });
@@ -113,6 +125,8 @@ export const uploadStudents = async (req, res) => {
       } catch (err) {
         validationErrors.push({
           line: index + 1,
+          sheet: sheetName,
+          row: rowNumbers[index],
           regNo,
           error: err.message || 'Invalid institution details provided.',
           rowData: row,
@@ -125,6 +139,8 @@ export const uploadStudents = async (req, res) => {
       } catch (err) {
         validationErrors.push({
           line: index + 1,
+          sheet: sheetName,
+          row: rowNumbers[index],
           regNo,
           error: err.message || 'You are not authorized to manage the specified department.',
           rowData: row,
@@ -143,19 +159,30 @@ export const uploadStudents = async (req, res) => {
         college: institution.college._id,
         department: institution.department._id,
         programme: institution.programme._id,
+        importBatch: batch._id,
       });
+      recorder.department(institution.department._id);
     }
 
     
 
     if (validationErrors.length > 0) {
+      validationErrors.forEach((failure) => recorder.row({
+        sheet: failure.sheet,
+        row: failure.row,
+        key: failure.regNo,
+        outcome: 'failed',
+        message: failure.error,
+      }));
+      await recorder.fail(new Error('CSV validation failed'));
       return res.status(400).json({
         message: 'CSV validation failed',
         validationErrors,
         stats: {
           total: rows.length,
           failed: validationErrors.length
-        }
+        },
+        importBatchId: batch._id,
       });
     }
 
@@ -195,6 +222,7 @@ export const uploadStudents = async (req, res) => {
       regNo: doc.regNo,
       error: e.message
     }));
+    await recorder.fail(e);
     return res.status(400).json({ 
       message: 'Error processing students', 
       error: e.message,
@@ -207,6 +235,11 @@ export const uploadStudents = async (req, res) => {
 const successCount = successfulRecords.length;
 const failureCount = failedRecords.length;
 
+recorder.created('Student', successfulRecords);
+successfulRecords.forEach(doc => recorder.row({ key: doc.regNo, outcome: 'created', target: doc._id }));
+failedRecords.forEach(doc => recorder.row({ key: doc.regNo, outcome: 'failed', message: doc.error }));
+await recorder.finish({ stats: { total: rows.length, success: successCount, failed: failureCount } });
+
 res.status(201).json({
   message: 'CSV processed.',
   stats: {
@@ -215,10 +248,12 @@ res.status(201).json({
     failed: failureCount,
   },
   failed: failedRecords,
+  importBatchId: batch._id,
 });
 
 
   } catch (error) {
+    await recorder?.fail(error);
     console.error('CSV processing error:', error);
     res.status(500).json({ 
       message: 'Error processing CSV file', 
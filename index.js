@@ -32,11 +32,28 @@ import authRouter from './routes/authRoute.js';
 import approvalRouter from './routes/approvalRoute.js';
 import programmeRouter from './routes/programmeRoute.js';
 import syncRouter from './routes/syncRoute.js';
+import gradingSchemeRouter from './routes/gradingSchemeRoute.js';
+import degreeClassSchemeRouter from './routes/degreeClassSchemeRoute.js';
+import academicStatusRouter from './routes/academicStatusRoute.js';
+import moderationRouter from './routes/moderationRoute.js';
+import resultAnomalyRouter from './routes/resultAnomalyRoute.js';
+import importBatchRouter from './routes/importBatchRoute.js';
+import jobRouter from './routes/jobRoute.js';
+import transcriptRouter from './routes/transcriptRoute.js';
+import broadsheetRouter from './routes/broadsheetRoute.js';
+import resultAmendmentRouter from './routes/resultAmendmentRoute.js';
+import resultSealRouter from './routes/resultSealRoute.js';
+import notificationRouter from './routes/notificationRoute.js';
+import emailRouter from './routes/emailRoute.js';
+import auditLogRouter from './routes/auditLogRoute.js';
 import { backfillStudentInstitution } from './utils/studentBackfill.js';
 import { backfillCourseInstitution } from './utils/courseBackfill.js';
 import { backfillApprovedCoursesInstitution } from './utils/approvedCoursesBackfill.js';
 import { backfillCourseRegistrationInstitution } from './utils/courseRegistrationBackfill.js';
 import readOnlyGuard from './middlewares/readOnlyGuard.js';
+import auditTrail from './middlewares/auditTrail.js';
+import { startJobWorker } from './services/jobService.js';
+import { startEmailWorker } from './services/emailService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -67,7 +84,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Content-Disposition'] // Added for file downloads
+  allowedHeaders: ['Content-Type', 'Authorization', 'Content-Disposition'], // Added for file downloads
+  exposedHeaders: ['Content-Disposition', 'X-Transcript-Serial']
 }));
 
 // Security Headers
@@ -122,6 +140,8 @@ app.get('/api/env', (_req, res) => {
 
 // Apply read-only guard after lightweight routes/health checks
 app.use(readOnlyGuard);
+// Every POST/PUT/PATCH/DELETE past this point is written to the audit log
+app.use(auditTrail);
 
 // Routes
 app.get('/', (req, res) => res.json({ status: "healthy" }));
@@ -142,6 +162,20 @@ app.use('/api/registration-forms', registrationFormsRouter);
 app.use('/api/auth', authRouter);
 app.use('/api/approvals', approvalRouter);
 app.use('/api/sync', syncRouter);
+app.use('/api/grading-schemes', gradingSchemeRouter);
+app.use('/api/degree-class-schemes', degreeClassSchemeRouter);
+app.use('/api/academic-status', academicStatusRouter);
+app.use('/api/moderations', moderationRouter);
+app.use('/api/result-anomalies', resultAnomalyRouter);
+app.use('/api/import-batches', importBatchRouter);
+app.use('/api/jobs', jobRouter);
+app.use('/api/transcripts', transcriptRouter);
+app.use('/api/broadsheets', broadsheetRouter);
+app.use('/api/result-amendments', resultAmendmentRouter);
+app.use('/api/result-seals', resultSealRouter);
+app.use('/api/notifications', notificationRouter);
+app.use('/api/emails', emailRouter);
+app.use('/api/audit-logs', auditLogRouter);
 
 // 404 Handler
 app.use((req, res) => {
@@ -202,6 +236,13 @@ mongoose.connection.once('open', async () => {
     }
   }
 
+  // Background jobs and the email outbox write to the database, so a read-only server
+  // leaves them to the primary
+  if (!isReadOnlyMode()) {
+    startJobWorker();
+    startEmailWorker();
+  }
+
   app.listen(PORT, () =>
     console.log(`Server running on port ${PORT} in ${process.env.NODE_ENV || 'development'}`)
   );
@@ -0,0 +1,37 @@
+import { isReadOnlyMode } from '../config/mongoDB.js';
+import { recordAuditEntry } from '../services/auditLogService.js';
+import { AUDITED_METHODS } from '../constants/auditDefaults.js';
+
+// Records every mutating request in the AuditLog once its response is done. Controllers
+// can add to the entry through annotateAudit(res, ...). Writing the entry never affects
+// the response.
+const auditTrail = (req, res, next) => {
+  if (!AUDITED_METHODS.includes(req.method) || isReadOnlyMode()) {
+    return next();
+  }
+
+  const audit = {
+    startedAt: new Date(),
+    action: null,
+    targetIds: [],
+    changes: [],
+    responseMessage: '',
+    completed: false,
+  };
+  res.locals.audit = audit;
+
+  // Keep the message of error responses
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body && typeof body === 'object') audit.responseMessage = body.message || body.error || '';
+    return json(body);
+  };
+
+  res.once('close', () => {
+    audit.completed = res.writableFinished;
+    recordAuditEntry(req, res, audit).catch((err) => console.error('Unable to write audit log entry:', err));
+  });
+  next();
+};
+
+export default auditTrail;
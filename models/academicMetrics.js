@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { APPROVAL_ACTIONS, APPROVAL_STAGES } from '../constants/approvalDefaults.js';
 
 const officerApprovalSchema = new mongoose.Schema({
   approved: {
@@ -54,6 +55,74 @@ const officerApprovalSchema = new mongoose.Schema({
   },
 }, { _id: false });
 
+// One entry per approval transition, oldest first; `reset` is recorded when the figures
+// change under the approvals (overrides, amendments) and every stage starts again.
+const approvalEventSchema = new mongoose.Schema({
+  stage: {
+    type: String,
+    enum: APPROVAL_STAGES.map((stage) => stage.key),
+  },
+  action: {
+    type: String,
+    enum: APPROVAL_ACTIONS,
+    required: true,
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  // Set when the event came from a bulk approval
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApprovalBatch',
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+// One row per course in the term that the student had attempted before, showing which
+// attempt(s) the repeat policy counted towards the cumulative totals.
+const repeatedCourseSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+  },
+  attempt: {
+    type: Number,
+    min: 2,
+  },
+  grade: {
+    type: String,
+    trim: true,
+  },
+  countedGrade: {
+    type: String,
+    trim: true,
+  },
+  previousAttempt: {
+    session: { type: String, trim: true },
+    semester: { type: Number },
+    grade: { type: String, trim: true },
+    counted: { type: Boolean, default: true },
+  },
+  policy: {
+    type: String,
+    trim: true,
+  },
+}, { _id: false });
+
 const academicMetricsSchema = new mongoose.Schema({
   student: {
     type: mongoose.Schema.Types.ObjectId,
@@ -160,6 +229,10 @@ const academicMetricsSchema = new mongoose.Schema({
       default: 0
     }
   },
+  repeatedCourses: {
+    type: [repeatedCourseSchema],
+    default: [],
+  },
   ceoApproval: {
     type: officerApprovalSchema,
     default: () => ({}),
@@ -172,6 +245,16 @@ const academicMetricsSchema = new mongoose.Schema({
     type: officerApprovalSchema,
     default: () => ({}),
   },
+  approvalHistory: {
+    type: [approvalEventSchema],
+    default: [],
+  },
+  // Upload of old metrics that last created or overwrote this record
+  importBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportBatch',
+    index: true,
+  },
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
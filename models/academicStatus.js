@@ -0,0 +1,91 @@
+import mongoose, { Schema } from 'mongoose';
+import { ACADEMIC_STATUSES } from '../constants/academicStatusDefaults.js';
+
+const statusEvaluationSchema = new Schema(
+  {
+    status: {
+      type: String,
+      enum: ACADEMIC_STATUSES,
+      required: true,
+    },
+    semester: {
+      type: Number,
+      enum: [1, 2],
+    },
+    level: {
+      type: Number,
+    },
+    CGPA: { type: Number, default: 0 },
+    GPA: { type: Number, default: 0 },
+    reasons: [{ type: String, trim: true }],
+    policy: {
+      type: Schema.Types.ObjectId,
+      ref: 'AcademicStatusPolicy',
+    },
+    evaluatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    evaluatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// One record per student per session. The top-level fields hold the latest evaluation;
+// `history` keeps every evaluation that changed the outcome, oldest first.
+const academicStatusSchema = new Schema(
+  {
+    student: {
+      type: Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true,
+      index: true,
+    },
+    department: {
+      type: Schema.Types.ObjectId,
+      ref: 'Department',
+      index: true,
+    },
+    session: {
+      type: String,
+      required: true,
+      match: [/^\d{4}\/\d{4}$/, 'Session must look like 2023/2024'],
+    },
+    semester: {
+      type: Number,
+      enum: [1, 2],
+    },
+    level: {
+      type: Number,
+    },
+    status: {
+      type: String,
+      enum: ACADEMIC_STATUSES,
+      required: true,
+      index: true,
+    },
+    CGPA: { type: Number, default: 0 },
+    GPA: { type: Number, default: 0 },
+    reasons: [{ type: String, trim: true }],
+    policy: {
+      type: Schema.Types.ObjectId,
+      ref: 'AcademicStatusPolicy',
+    },
+    evaluatedAt: {
+      type: Date,
+    },
+    history: {
+      type: [statusEvaluationSchema],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+academicStatusSchema.index({ student: 1, session: 1 }, { unique: true });
+academicStatusSchema.index({ session: 1, status: 1 });
+
+export default mongoose.model('AcademicStatus', academicStatusSchema);
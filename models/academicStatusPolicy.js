@@ -0,0 +1,83 @@
+import mongoose, { Schema } from 'mongoose';
+import { ACADEMIC_STATUSES, ACADEMIC_STATUS_METRICS } from '../constants/academicStatusDefaults.js';
+
+const statusRuleSchema = new Schema(
+  {
+    status: {
+      type: String,
+      required: true,
+      enum: ACADEMIC_STATUSES.filter((status) => status !== 'good_standing'),
+    },
+    metric: {
+      type: String,
+      enum: ACADEMIC_STATUS_METRICS,
+      default: 'CGPA',
+    },
+    // The rule holds for a term when the metric is strictly below this value.
+    below: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 5,
+    },
+    // Number of most recent consecutive terms (ending at the evaluated term) the rule must hold for.
+    consecutiveTerms: {
+      type: Number,
+      min: 1,
+      max: 8,
+      default: 1,
+    },
+  },
+  { _id: false }
+);
+
+const academicStatusPolicySchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    programme: {
+      type: Schema.Types.ObjectId,
+      ref: 'Programme',
+      required: true,
+      index: true,
+    },
+    department: {
+      type: Schema.Types.ObjectId,
+      ref: 'Department',
+      required: true,
+      index: true,
+    },
+    college: {
+      type: Schema.Types.ObjectId,
+      ref: 'College',
+      required: true,
+    },
+    effectiveFromSession: {
+      type: String,
+      required: true,
+      trim: true,
+      match: [/^\d{4}\/\d{4}$/, 'Session must look like 2023/2024'],
+    },
+    // Checked most severe first; the first rule that holds decides the status.
+    rules: {
+      type: [statusRuleSchema],
+      validate: [(value) => Array.isArray(value) && value.length > 0, 'At least one rule is required'],
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+academicStatusPolicySchema.index({ programme: 1, effectiveFromSession: 1 }, { unique: true });
+
+export default mongoose.model('AcademicStatusPolicy', academicStatusPolicySchema);
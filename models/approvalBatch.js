@@ -0,0 +1,39 @@
+import mongoose, { Schema } from 'mongoose';
+import { APPROVAL_STAGES } from '../constants/approvalDefaults.js';
+
+const skippedRecordSchema = new Schema(
+  {
+    metricsId: { type: Schema.Types.ObjectId, ref: 'AcademicMetrics' },
+    regNo: { type: String, trim: true, default: '' },
+    reason: { type: String, trim: true, required: true },
+  },
+  { _id: false }
+);
+
+// One bulk approval: what was asked for, who asked, which records were approved and
+// which were skipped and why. Each approved record's history points back here.
+const approvalBatchSchema = new Schema(
+  {
+    stage: {
+      type: String,
+      enum: APPROVAL_STAGES.map((stage) => stage.key),
+      required: true,
+    },
+    criteria: {
+      session: { type: String },
+      semester: { type: Number },
+      level: { type: Number },
+      programme: { type: Schema.Types.ObjectId, ref: 'Programme' },
+      metricsIds: [{ type: Schema.Types.ObjectId, ref: 'AcademicMetrics' }],
+    },
+    approvedBy: { type: Schema.Types.ObjectId, ref: 'User', index: true },
+    approvedByName: { type: String, trim: true, default: '' },
+    comment: { type: String, trim: true, default: '' },
+    requested: { type: Number, default: 0 },
+    approved: [{ type: Schema.Types.ObjectId, ref: 'AcademicMetrics' }],
+    skipped: { type: [skippedRecordSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('ApprovalBatch', approvalBatchSchema);
@@ -0,0 +1,68 @@
+import mongoose, { Schema } from 'mongoose';
+
+const APPEND_ONLY_MESSAGE = 'Audit log entries are append-only.';
+
+const fieldChangeSchema = new Schema(
+  {
+    field: { type: String, required: true },
+    before: { type: Schema.Types.Mixed, default: null },
+    after: { type: Schema.Types.Mixed, default: null },
+  },
+  { _id: false }
+);
+
+// One mutating API request, written by the auditTrail middleware once the response is
+// done. Entries are never changed or removed: every update and delete path is refused.
+const auditLogSchema = new Schema(
+  {
+    at: { type: Date, default: Date.now },
+    user: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    userEmail: { type: String, default: '' },
+    roles: { type: [String], default: [] },
+    method: { type: String, required: true },
+    // Route pattern (e.g. /api/results/:id) and the path actually requested
+    route: { type: String, default: '' },
+    path: { type: String, required: true },
+    resource: { type: String, default: '' },
+    action: { type: String, required: true },
+    targetIds: { type: [String], default: [] },
+    request: {
+      params: { type: Schema.Types.Mixed, default: {} },
+      query: { type: Schema.Types.Mixed, default: {} },
+      body: { type: Schema.Types.Mixed, default: {} },
+      files: { type: [Schema.Types.Mixed], default: [] },
+    },
+    outcome: {
+      statusCode: { type: Number },
+      success: { type: Boolean },
+      // false when the client went away before the response was sent
+      completed: { type: Boolean, default: true },
+      message: { type: String, default: '' },
+    },
+    changes: { type: [fieldChangeSchema], default: [] },
+    ip: { type: String, default: '' },
+    userAgent: { type: String, default: '' },
+    durationMs: { type: Number },
+  },
+  { versionKey: false }
+);
+
+auditLogSchema.index({ at: -1 });
+auditLogSchema.index({ user: 1, at: -1 });
+auditLogSchema.index({ resource: 1, action: 1, at: -1 });
+auditLogSchema.index({ targetIds: 1 });
+
+const rejectChange = () => {
+  throw new Error(APPEND_ONLY_MESSAGE);
+};
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete',
+].forEach((operation) => auditLogSchema.pre(operation, { document: true, query: true }, rejectChange));
+auditLogSchema.pre('bulkWrite', rejectChange);
+auditLogSchema.pre('save', function rejectResave() {
+  if (!this.isNew) rejectChange();
+});
+
+export default mongoose.model('AuditLog', auditLogSchema);
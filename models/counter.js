@@ -0,0 +1,23 @@
+import mongoose, { Schema } from 'mongoose';
+
+// Named running numbers (e.g. transcript serials per year), advanced atomically with $inc
+const counterSchema = new Schema(
+  {
+    key: {
+      type: String,
+      unique: true,
+      required: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
@@ -1,5 +1,6 @@
 import mongoose, { Schema } from "mongoose";
 import { DEFAULT_COLLEGE } from "../constants/institutionDefaults.js";
+import { QUESTION_FIELDS } from "../constants/assessmentDefaults.js";
 
 const courseSchema = new Schema({
     title:{
@@ -65,6 +66,19 @@ const courseSchema = new Schema({
         type: String,
         required: true,
         trim: true,
+    },
+    // Mark split used to validate uploaded and edited scores; unset fields fall back to DEFAULT_ASSESSMENT_CONFIG
+    assessment: {
+        caMax: { type: Number, min: 0, max: 100 },
+        examMax: { type: Number, min: 0, max: 100 },
+        questionCount: { type: Number, min: 0, max: QUESTION_FIELDS.length },
+        questionsToAnswer: { type: Number, min: 1, max: QUESTION_FIELDS.length, default: null },
+    },
+    // Upload that created this course, if any
+    importBatch: {
+        type: Schema.Types.ObjectId,
+        ref: 'ImportBatch',
+        index: true
     }
 
 }, { timestamps: true });
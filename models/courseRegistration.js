@@ -17,6 +17,9 @@ const CourseRegistrationSchema = new Schema({
   // all registered students for this document
   student: [{ type: Schema.Types.ObjectId, ref: 'Student' }],
 
+  // Upload that created this registration, if any
+  importBatch: { type: Schema.Types.ObjectId, ref: 'ImportBatch', index: true },
+
   createdAt: { type: Date, default: Date.now }
 }, { timestamps: true });
 
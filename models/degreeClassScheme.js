@@ -0,0 +1,88 @@
+import mongoose, { Schema } from 'mongoose';
+import {
+  DEGREE_CLASS_CODES,
+  CGPA_ROUNDING_MODES,
+  BORDERLINE_ACTIONS,
+} from '../constants/degreeClassDefaults.js';
+
+const classBandSchema = new Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      enum: DEGREE_CLASS_CODES,
+    },
+    label: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Inclusive lower bound on the rounded CGPA; the band runs up to the next class's minimum.
+    minCGPA: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 5,
+    },
+  },
+  { _id: false }
+);
+
+const degreeClassSchemeSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    programme: {
+      type: Schema.Types.ObjectId,
+      ref: 'Programme',
+      required: true,
+      index: true,
+    },
+    department: {
+      type: Schema.Types.ObjectId,
+      ref: 'Department',
+      required: true,
+      index: true,
+    },
+    college: {
+      type: Schema.Types.ObjectId,
+      ref: 'College',
+      required: true,
+    },
+    // Applies to students graduating in this session or later, until a newer scheme takes over.
+    effectiveFromSession: {
+      type: String,
+      required: true,
+      trim: true,
+      match: [/^\d{4}\/\d{4}$/, 'Session must look like 2023/2024'],
+    },
+    bands: {
+      type: [classBandSchema],
+      validate: [(value) => Array.isArray(value) && value.length > 0, 'At least one class band is required'],
+    },
+    rounding: {
+      mode: { type: String, enum: CGPA_ROUNDING_MODES, default: 'round' },
+      decimals: { type: Number, min: 0, max: 4, default: 2 },
+    },
+    borderline: {
+      margin: { type: Number, min: 0, max: 1, default: 0 },
+      action: { type: String, enum: BORDERLINE_ACTIONS, default: 'flag' },
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+degreeClassSchemeSchema.index({ programme: 1, effectiveFromSession: 1 }, { unique: true });
+
+export default mongoose.model('DegreeClassScheme', degreeClassSchemeSchema);
@@ -0,0 +1,48 @@
+import mongoose, { Schema } from 'mongoose';
+import { DEFAULT_EMAIL_SETTINGS, EMAIL_CATEGORIES, EMAIL_STATUSES } from '../constants/emailDefaults.js';
+
+const deliveryAttemptSchema = new Schema(
+  {
+    at: { type: Date, default: Date.now },
+    attempt: { type: Number, required: true },
+    transport: { type: String, default: '' },
+    ok: { type: Boolean, required: true },
+    // Provider message id on success, the error on failure
+    detail: { type: String, default: '' },
+  },
+  { _id: false }
+);
+
+// One outgoing email. The outbox worker sends queued messages whose `nextAttemptAt` has
+// passed and records every attempt in `deliveryLog`.
+const emailMessageSchema = new Schema(
+  {
+    to: { type: String, trim: true, lowercase: true, default: '' },
+    recipient: { type: Schema.Types.ObjectId, ref: 'User', index: true },
+    template: { type: String, required: true },
+    category: { type: String, enum: EMAIL_CATEGORIES, required: true },
+    subject: { type: String, required: true },
+    text: { type: String, required: true },
+    html: { type: String, default: '' },
+    status: { type: String, enum: EMAIL_STATUSES, default: 'queued' },
+    skipReason: { type: String, default: '' },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: DEFAULT_EMAIL_SETTINGS.maxAttempts },
+    nextAttemptAt: { type: Date, default: Date.now },
+    claimedAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+    sentAt: { type: Date, default: null },
+    finishedAt: { type: Date, default: null },
+    deliveryLog: { type: [deliveryAttemptSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ createdAt: -1 });
+emailMessageSchema.index(
+  { finishedAt: 1 },
+  { expireAfterSeconds: DEFAULT_EMAIL_SETTINGS.retentionDays * 24 * 60 * 60 }
+);
+
+export default mongoose.model('EmailMessage', emailMessageSchema);
@@ -0,0 +1,101 @@
+import mongoose, { Schema } from 'mongoose';
+import { REPEAT_POLICY_MODES } from '../constants/gradingDefaults.js';
+
+const gradeBandSchema = new Schema(
+  {
+    grade: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+    },
+    minScore: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+    maxScore: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+    gradePoint: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 5,
+    },
+    isPass: {
+      type: Boolean,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const gradingSchemeSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    programme: {
+      type: Schema.Types.ObjectId,
+      ref: 'Programme',
+      required: true,
+      index: true,
+    },
+    department: {
+      type: Schema.Types.ObjectId,
+      ref: 'Department',
+      required: true,
+      index: true,
+    },
+    college: {
+      type: Schema.Types.ObjectId,
+      ref: 'College',
+      required: true,
+    },
+    // First session this scheme applies to; it stays in force until a later scheme takes over.
+    effectiveFromSession: {
+      type: String,
+      required: true,
+      trim: true,
+      match: [/^\d{4}\/\d{4}$/, 'Session must look like 2023/2024'],
+    },
+    bands: {
+      type: [gradeBandSchema],
+      validate: [(value) => Array.isArray(value) && value.length > 0, 'At least one grade band is required'],
+    },
+    repeatPolicy: {
+      mode: {
+        type: String,
+        enum: REPEAT_POLICY_MODES,
+        default: 'count_all',
+      },
+      // Highest grade a retake can earn under cap_carryover
+      capGrade: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        default: null,
+      },
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+gradingSchemeSchema.index({ programme: 1, effectiveFromSession: 1 }, { unique: true });
+
+export default mongoose.model('GradingScheme', gradingSchemeSchema);
@@ -0,0 +1,106 @@
+import mongoose, { Schema } from 'mongoose';
+import {
+  IMPORT_BATCH_KINDS,
+  IMPORT_BATCH_STATUSES,
+  IMPORT_CHANGE_MODELS,
+  IMPORT_ROW_OUTCOMES,
+} from '../constants/importBatchDefaults.js';
+
+const importFileSchema = new Schema(
+  {
+    fileName: { type: String, required: true },
+    // Relative to the project root, e.g. storage/import-batches/<id>/0-BCH301.csv
+    path: { type: String, default: null },
+    mimeType: { type: String, default: '' },
+    size: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const rowOutcomeSchema = new Schema(
+  {
+    fileName: { type: String, default: '' },
+    // Worksheet of an XLSX upload; null for CSV
+    sheet: { type: String, default: null },
+    row: { type: Number, default: null },
+    // regNo, course code, ... whatever identifies the row to a person reading the report
+    key: { type: String, default: '' },
+    outcome: { type: String, enum: IMPORT_ROW_OUTCOMES, required: true },
+    code: { type: String, default: null },
+    message: { type: String, default: '' },
+    target: { type: Schema.Types.ObjectId, default: null },
+  },
+  { _id: false }
+);
+
+// Every document the batch created or modified; `before` holds the overwritten values
+// for updates so a rollback can put them back.
+const changeSchema = new Schema(
+  {
+    model: { type: String, enum: IMPORT_CHANGE_MODELS, required: true },
+    doc: { type: Schema.Types.ObjectId, required: true },
+    action: { type: String, enum: ['create', 'update'], required: true },
+    before: { type: Schema.Types.Mixed, default: null },
+    // Set once a rollback has undone this change, so a retried rollback skips it
+    rolledBack: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const importBatchSchema = new Schema(
+  {
+    kind: {
+      type: String,
+      enum: IMPORT_BATCH_KINDS,
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: IMPORT_BATCH_STATUSES,
+      default: 'processing',
+      index: true,
+    },
+    uploadedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    uploadedByEmail: {
+      type: String,
+      default: '',
+    },
+    // Departments whose records the batch touched, for department-scoped listing
+    departments: [{ type: Schema.Types.ObjectId, ref: 'Department', index: true }],
+    params: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+    files: [importFileSchema],
+    stats: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+    rows: [rowOutcomeSchema],
+    changes: [changeSchema],
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    // Why the upload stopped early, when it did
+    error: {
+      type: String,
+      default: null,
+    },
+    rollback: {
+      at: { type: Date, default: null },
+      by: { type: Schema.Types.ObjectId, ref: 'User' },
+      reason: { type: String, trim: true, default: '' },
+      report: { type: Schema.Types.Mixed, default: null },
+    },
+  },
+  { timestamps: true }
+);
+
+importBatchSchema.index({ createdAt: -1 });
+
+export default mongoose.model('ImportBatch', importBatchSchema);
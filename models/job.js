@@ -0,0 +1,116 @@
+import mongoose, { Schema } from 'mongoose';
+import {
+  DEFAULT_JOB_SETTINGS,
+  JOB_LOG_LEVELS,
+  JOB_STATUSES,
+  JOB_TYPES,
+} from '../constants/jobDefaults.js';
+
+const jobFileSchema = new Schema(
+  {
+    fileName: { type: String, required: true },
+    // Relative to the project root; removed once the job has finished
+    path: { type: String, required: true },
+    mimeType: { type: String, default: '' },
+    size: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const jobLogSchema = new Schema(
+  {
+    at: { type: Date, default: Date.now },
+    level: { type: String, enum: JOB_LOG_LEVELS, default: 'info' },
+    message: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+const jobSchema = new Schema(
+  {
+    type: {
+      type: String,
+      enum: JOB_TYPES,
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: 'queued',
+      index: true,
+    },
+    // The requesting user as authenticate() saw them; the job runs with this access scope
+    requestedBy: {
+      id: { type: Schema.Types.ObjectId, ref: 'User', index: true },
+      email: { type: String, default: '' },
+      pfNo: { type: String, default: null },
+      roles: { type: [String], default: [] },
+      collegeId: { type: String, default: null },
+      departmentId: { type: String, default: null },
+    },
+    params: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+    files: [jobFileSchema],
+    progress: {
+      percent: { type: Number, min: 0, max: 100, default: 0 },
+      current: { type: Number, default: 0 },
+      total: { type: Number, default: 0 },
+      message: { type: String, default: '' },
+    },
+    logs: [jobLogSchema],
+    // Final report, the same body the endpoint used to return synchronously
+    result: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    // Working state a handler keeps across an interruption (e.g. its import batch)
+    state: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+    cancelRequested: {
+      type: Boolean,
+      default: false,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: DEFAULT_JOB_SETTINGS.maxAttempts,
+    },
+    workerId: {
+      type: String,
+      default: null,
+    },
+    heartbeatAt: {
+      type: Date,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+jobSchema.index({ status: 1, createdAt: 1 });
+jobSchema.index(
+  { finishedAt: 1 },
+  { expireAfterSeconds: DEFAULT_JOB_SETTINGS.retentionDays * 24 * 60 * 60 }
+);
+
+export default mongoose.model('Job', jobSchema);
@@ -0,0 +1,144 @@
+import mongoose, { Schema } from 'mongoose';
+import { MODERATION_STAGE_ROLES, MODERATION_STATUSES } from '../constants/moderationDefaults.js';
+
+const moderationItemSchema = new Schema(
+  {
+    result: {
+      type: Schema.Types.ObjectId,
+      ref: 'Result',
+      required: true,
+    },
+    student: {
+      type: Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true,
+    },
+    originalGrandtotal: {
+      type: Number,
+      required: true,
+    },
+    originalGrade: {
+      type: String,
+      trim: true,
+    },
+    proposedGrandtotal: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+    // Grade the proposed score received under the grading scheme when it was applied
+    appliedGrade: {
+      type: String,
+      trim: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+  },
+  { _id: false }
+);
+
+const evidenceSchema = new Schema(
+  {
+    fileName: { type: String, trim: true },
+    path: { type: String, trim: true },
+    mimeType: { type: String, trim: true },
+    size: { type: Number },
+    uploadedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    uploadedAt: { type: Date, default: Date.now },
+  },
+  { _id: true }
+);
+
+const approvalStageSchema = new Schema(
+  {
+    role: {
+      type: String,
+      enum: MODERATION_STAGE_ROLES,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending',
+    },
+    decidedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    decidedByName: { type: String, trim: true, default: '' },
+    decidedByPfNo: { type: String, trim: true, default: '' },
+    comment: { type: String, trim: true, default: '' },
+    decidedAt: { type: Date },
+  },
+  { _id: false }
+);
+
+// One moderation request covers many results of a single course-term. Stages are copied
+// from the ModerationWorkflow when the request is created, so later configuration changes
+// do not reroute requests already in flight.
+const moderationSchema = new Schema(
+  {
+    course: {
+      type: Schema.Types.ObjectId,
+      ref: 'Course',
+      required: true,
+      index: true,
+    },
+    department: {
+      type: Schema.Types.ObjectId,
+      ref: 'Department',
+      index: true,
+    },
+    college: {
+      type: Schema.Types.ObjectId,
+      ref: 'College',
+    },
+    session: {
+      type: String,
+      required: true,
+      match: [/^\d{4}\/\d{4}$/, 'Session must look like 2023/2024'],
+    },
+    semester: {
+      type: Number,
+      enum: [1, 2],
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    items: {
+      type: [moderationItemSchema],
+      validate: [(value) => Array.isArray(value) && value.length > 0, 'At least one result is required'],
+    },
+    evidence: {
+      type: [evidenceSchema],
+      default: [],
+    },
+    stages: {
+      type: [approvalStageSchema],
+      default: [],
+    },
+    currentStage: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: MODERATION_STATUSES,
+      default: 'pending',
+      index: true,
+    },
+    requestedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    requestedByName: { type: String, trim: true, default: '' },
+    appliedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+moderationSchema.index({ 'items.result': 1, status: 1 });
+moderationSchema.index({ course: 1, session: 1, semester: 1 });
+
+export default mongoose.model('Moderation', moderationSchema);
@@ -0,0 +1,27 @@
+import mongoose, { Schema } from 'mongoose';
+import { MODERATION_STAGE_ROLES } from '../constants/moderationDefaults.js';
+
+// Approval route for moderation requests. A row without a department is the institution
+// default; a department row overrides it for that department's courses.
+const moderationWorkflowSchema = new Schema(
+  {
+    department: {
+      type: Schema.Types.ObjectId,
+      ref: 'Department',
+      default: null,
+    },
+    stages: {
+      type: [{ type: String, enum: MODERATION_STAGE_ROLES }],
+      validate: [(value) => Array.isArray(value) && value.length > 0, 'At least one approval stage is required'],
+    },
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+moderationWorkflowSchema.index({ department: 1 }, { unique: true });
+
+export default mongoose.model('ModerationWorkflow', moderationWorkflowSchema);
@@ -0,0 +1,32 @@
+import mongoose, { Schema } from 'mongoose';
+import { DEFAULT_NOTIFICATION_SETTINGS, NOTIFICATION_TYPES } from '../constants/notificationDefaults.js';
+
+// One inbox entry for one user. Unread entries sharing a `groupKey` are merged: `count`
+// goes up and the text is refreshed instead of a new entry being added.
+const notificationSchema = new Schema(
+  {
+    recipient: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+    title: { type: String, trim: true, required: true },
+    message: { type: String, trim: true, default: '' },
+    // What the entry is about, for the client to open (e.g. { kind: 'Moderation', id })
+    link: {
+      kind: { type: String, trim: true, default: '' },
+      id: { type: Schema.Types.ObjectId, default: null },
+    },
+    data: { type: Schema.Types.Mixed, default: {} },
+    groupKey: { type: String, default: null },
+    count: { type: Number, default: 1 },
+    readAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ recipient: 1, readAt: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, type: 1, groupKey: 1, readAt: 1 });
+notificationSchema.index(
+  { readAt: 1 },
+  { expireAfterSeconds: DEFAULT_NOTIFICATION_SETTINGS.readRetentionDays * 24 * 60 * 60 }
+);
+
+export default mongoose.model('Notification', notificationSchema);
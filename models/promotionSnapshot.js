@@ -0,0 +1,48 @@
+import mongoose, { Schema } from 'mongoose';
+import { PROMOTION_OUTCOMES } from '../constants/promotionDefaults.js';
+
+// A student's level and status before the close, and what the close set them to
+const promotionSnapshotEntrySchema = new Schema(
+  {
+    student: { type: Schema.Types.ObjectId, ref: 'Student', required: true },
+    regNo: { type: String },
+    level: { type: String, required: true },
+    status: { type: String, required: true },
+    toLevel: { type: String, required: true },
+    toStatus: { type: String, required: true },
+    outcome: { type: String, enum: PROMOTION_OUTCOMES, required: true },
+  },
+  { _id: false }
+);
+
+// Written each time a session is closed so the close can be undone by reopening it
+const promotionSnapshotSchema = new Schema(
+  {
+    session: {
+      type: Schema.Types.ObjectId,
+      ref: 'Session',
+      required: true,
+      index: true,
+    },
+    sessionTitle: { type: String, required: true },
+    department: { type: Schema.Types.ObjectId, ref: 'Department', required: true },
+    students: { type: [promotionSnapshotEntrySchema], default: [] },
+    stats: { type: Schema.Types.Mixed },
+    closedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    closedByEmail: { type: String },
+    restoredAt: { type: Date },
+    restoredBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    restoredByEmail: { type: String },
+    restoreSummary: {
+      restored: { type: Number, default: 0 },
+      conflicts: { type: Number, default: 0 },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const PromotionSnapshot = mongoose.model('PromotionSnapshot', promotionSnapshotSchema);
+
+export default PromotionSnapshot;
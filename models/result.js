@@ -80,11 +80,12 @@ const resultSchema = new Schema({
         type: Number,
         required: true
     },
+    // Letter grade from the GradingScheme in force for this result's session
     grade: {
         type: String,
-        enum: ['A', 'B', 'C', 'D', 'E', 'F'],
+        uppercase: true,
+        trim: true,
         required: true
-        
     },
     moderated:{
         type: Boolean,
@@ -111,6 +112,17 @@ const resultSchema = new Schema({
     moderationAuthorizedPfNo: {
         type: String,
         default: ""
+    },
+    // Moderation request whose approval last changed this score
+    moderationRequest: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Moderation'
+    },
+    // Upload that last created or overwrote this result
+    importBatch: {
+        type: Schema.Types.ObjectId,
+        ref: 'ImportBatch',
+        index: true
     }
 }, { timestamps: true });
 
@@ -0,0 +1,81 @@
+import mongoose, { Schema } from 'mongoose';
+import {
+  AMENDMENT_ACTIONS,
+  AMENDMENT_AUTHORITIES,
+  AMENDMENT_STATUSES,
+} from '../constants/amendmentDefaults.js';
+
+const amendmentDecisionSchema = new Schema(
+  {
+    authority: { type: String, enum: AMENDMENT_AUTHORITIES },
+    decidedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    decidedByName: { type: String, trim: true, default: '' },
+    // Senate minute or other reference the decision rests on
+    reference: { type: String, trim: true, default: '' },
+    comment: { type: String, trim: true, default: '' },
+    decidedAt: { type: Date },
+  },
+  { _id: false }
+);
+
+// A requested change to a result in a Dean-approved (locked) term. Nothing changes until
+// the Dean or Senate authorises it; applying it resets the approvals on the affected
+// AcademicMetrics and recomputes them.
+const resultAmendmentSchema = new Schema(
+  {
+    result: {
+      type: Schema.Types.ObjectId,
+      ref: 'Result',
+      required: true,
+      index: true,
+    },
+    student: { type: Schema.Types.ObjectId, ref: 'Student', required: true },
+    course: { type: Schema.Types.ObjectId, ref: 'Course', required: true },
+    department: {
+      type: Schema.Types.ObjectId,
+      ref: 'Department',
+      index: true,
+    },
+    college: { type: Schema.Types.ObjectId, ref: 'College' },
+    session: { type: String, required: true },
+    semester: { type: Number, enum: [1, 2], required: true },
+    level: { type: String, required: true },
+    action: {
+      type: String,
+      enum: AMENDMENT_ACTIONS,
+      required: true,
+    },
+    // Result snapshot when the request was made; the amendment is refused if it has moved on
+    before: { type: Schema.Types.Mixed, required: true },
+    // Score fields the result will take (update only); the grade is derived when applied
+    proposed: { type: Schema.Types.Mixed, default: null },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: AMENDMENT_STATUSES,
+      default: 'pending',
+      index: true,
+    },
+    requestedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    requestedByName: { type: String, trim: true, default: '' },
+    decision: { type: amendmentDecisionSchema, default: undefined },
+    appliedAt: { type: Date },
+    termsRecomputed: [
+      {
+        _id: false,
+        session: String,
+        semester: Number,
+        level: Number,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+resultAmendmentSchema.index({ result: 1, status: 1 });
+
+export default mongoose.model('ResultAmendment', resultAmendmentSchema);
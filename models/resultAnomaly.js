@@ -0,0 +1,81 @@
+import mongoose, { Schema } from 'mongoose';
+import { RESULT_ANOMALY_CODES, RESULT_ANOMALY_STATUSES } from '../constants/anomalyDefaults.js';
+
+// One document per check per course result set. Re-running the checks updates the
+// same document, so an acknowledgement survives later uploads to the set.
+const resultAnomalySchema = new Schema(
+  {
+    course: {
+      type: Schema.Types.ObjectId,
+      ref: 'Course',
+      required: true,
+    },
+    department: {
+      type: Schema.Types.ObjectId,
+      ref: 'Department',
+      index: true,
+    },
+    college: {
+      type: Schema.Types.ObjectId,
+      ref: 'College',
+    },
+    session: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    semester: {
+      type: Number,
+      enum: [1, 2],
+      required: true,
+    },
+    level: {
+      type: String,
+      required: true,
+    },
+    code: {
+      type: String,
+      enum: RESULT_ANOMALY_CODES,
+      required: true,
+    },
+    message: {
+      type: String,
+      trim: true,
+      required: true,
+    },
+    details: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: RESULT_ANOMALY_STATUSES,
+      default: 'open',
+      index: true,
+    },
+    firstDetectedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastDetectedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    acknowledgement: {
+      by: { type: Schema.Types.ObjectId, ref: 'User' },
+      byName: { type: String, trim: true, default: '' },
+      note: { type: String, trim: true, default: '' },
+      at: { type: Date, default: null },
+    },
+  },
+  { timestamps: true }
+);
+
+resultAnomalySchema.index({ course: 1, session: 1, semester: 1, level: 1, code: 1 }, { unique: true });
+resultAnomalySchema.index({ session: 1, semester: 1, status: 1 });
+
+export default mongoose.model('ResultAnomaly', resultAnomalySchema);
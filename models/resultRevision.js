@@ -0,0 +1,94 @@
+import mongoose, { Schema } from 'mongoose';
+
+export const RESULT_REVISION_ACTIONS = ['create', 'update', 'delete', 'restore'];
+
+export const RESULT_REVISION_SOURCES = [
+  'manual_entry',
+  'manual_edit',
+  'csv_upload',
+  'moderation',
+  'manual_delete',
+  'bulk_delete',
+  'restore',
+  'import_rollback',
+  'amendment',
+];
+
+// Append-only history of every change to a Result. `result` keeps the original id even
+// after the result itself has been deleted, so its full history stays queryable.
+const resultRevisionSchema = new Schema(
+  {
+    result: {
+      type: Schema.Types.ObjectId,
+      ref: 'Result',
+      required: true,
+      index: true,
+    },
+    revision: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    student: {
+      type: Schema.Types.ObjectId,
+      ref: 'Student',
+      index: true,
+    },
+    course: {
+      type: Schema.Types.ObjectId,
+      ref: 'Course',
+      index: true,
+    },
+    session: {
+      type: String,
+      trim: true,
+    },
+    semester: {
+      type: Number,
+    },
+    level: {
+      type: String,
+      trim: true,
+    },
+    action: {
+      type: String,
+      enum: RESULT_REVISION_ACTIONS,
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: RESULT_REVISION_SOURCES,
+      required: true,
+    },
+    // Full result snapshots; `before` is null for creations and `after` is null for deletions.
+    before: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    after: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    changedFields: [{ type: String }],
+    reason: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    actor: {
+      user: { type: Schema.Types.ObjectId, ref: 'User' },
+      email: { type: String, trim: true },
+      roles: [{ type: String }],
+    },
+    restoredFrom: {
+      type: Schema.Types.ObjectId,
+      ref: 'ResultRevision',
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+resultRevisionSchema.index({ result: 1, revision: 1 }, { unique: true });
+resultRevisionSchema.index({ session: 1, semester: 1, course: 1 });
+
+export default mongoose.model('ResultRevision', resultRevisionSchema);
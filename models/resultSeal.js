@@ -0,0 +1,26 @@
+import mongoose, { Schema } from 'mongoose';
+
+// A frozen copy of one student-term (its AcademicMetrics and result lines) taken at Dean
+// approval. `hash` covers the snapshot and the previous seal's hash, so seals form a
+// single chain in `sequence` order and no seal can be edited or dropped unnoticed.
+const resultSealSchema = new Schema(
+  {
+    sequence: { type: Number, required: true, unique: true },
+    metrics: { type: Schema.Types.ObjectId, ref: 'AcademicMetrics', required: true, index: true },
+    student: { type: Schema.Types.ObjectId, ref: 'Student', required: true, index: true },
+    regNo: { type: String, trim: true, default: '' },
+    session: { type: String, required: true },
+    semester: { type: Number, enum: [1, 2], required: true },
+    level: { type: Number },
+    snapshot: { type: Schema.Types.Mixed, required: true },
+    previousHash: { type: String, required: true },
+    hash: { type: String, required: true, unique: true },
+    sealedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    sealedByName: { type: String, trim: true, default: '' },
+  },
+  { timestamps: true, minimize: false }
+);
+
+resultSealSchema.index({ session: 1, semester: 1, level: 1 });
+
+export default mongoose.model('ResultSeal', resultSealSchema);
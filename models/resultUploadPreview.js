@@ -0,0 +1,75 @@
+import mongoose, { Schema } from 'mongoose';
+
+// Parsed CSV/XLSX rows from a dry-run upload, kept so the same batch can be committed by token
+// without uploading the files again. Expired previews are removed by the TTL index.
+const resultUploadPreviewSchema = new Schema(
+  {
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    params: {
+      lecturerStaffId: { type: String, required: true },
+      session: { type: String, required: true },
+      semester: { type: String, required: true },
+      date: { type: String, required: true },
+      department: { type: String, required: true },
+      resultType: { type: String, required: true },
+      overwriteExisting: { type: Boolean, default: false },
+      sheet: { type: String, default: null },
+    },
+    files: [
+      {
+        _id: false,
+        fileName: { type: String, required: true },
+        sheetName: { type: String, default: null },
+        rows: { type: [Schema.Types.Mixed], default: [] },
+        rowNumbers: { type: [Number], default: [] },
+        mimeType: { type: String, default: '' },
+        // The file as uploaded, so the import batch created on commit keeps the original
+        content: { type: Buffer },
+      },
+    ],
+    // Counts shown in the preview, compared at commit time to spot changes since
+    summary: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+    // Results the preview would overwrite, as last updated when previewed; a commit whose
+    // targets were edited in between is refused even when the counts still match
+    overwriteTargets: [
+      {
+        _id: false,
+        result: { type: Schema.Types.ObjectId, ref: 'Result', required: true },
+        updatedAt: { type: Date, default: null },
+      },
+    ],
+    status: {
+      type: String,
+      enum: ['pending', 'committed'],
+      default: 'pending',
+    },
+    committedAt: {
+      type: Date,
+      default: null,
+    },
+    committedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+resultUploadPreviewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('ResultUploadPreview', resultUploadPreviewSchema);
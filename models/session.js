@@ -27,6 +27,8 @@ const promotionStatsSchema = new Schema(
     },
     graduated: { type: Number, default: 0 },
     extraYear: { type: Number, default: 0 },
+    repeated: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
     totalProcessed: { type: Number, default: 0 },
   },
   { _id: false }
@@ -91,6 +93,7 @@ const sessionSchema = new Schema(
     },
     promotionStats: { type: promotionStatsSchema, default: () => ({}) },
     closedAt: { type: Date },
+    reopenedAt: { type: Date },
   },
   { timestamps: true }
 );
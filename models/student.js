@@ -1,4 +1,5 @@
 import mongoose, { Schema } from "mongoose";
+import { DEGREE_CLASS_CODES } from "../constants/degreeClassDefaults.js";
 
 const studentSchema = new Schema({
     surname: {
@@ -80,6 +81,18 @@ const studentSchema = new Schema({
         documentNumber: { type: String },
         updatedAt: { type: Date }
     },
+    // Set by finalizeGraduation from the DegreeClassScheme in force for the graduating session
+    graduation: {
+        session: { type: String, trim: true },
+        semester: { type: Number, enum: [1, 2] },
+        degreeClass: { type: String, enum: [...DEGREE_CLASS_CODES, null] },
+        degreeClassLabel: { type: String, trim: true },
+        finalCGPA: { type: Number, min: 0, max: 5 },
+        rawCGPA: { type: Number, min: 0, max: 5 },
+        borderline: { type: Boolean, default: undefined },
+        classScheme: { type: mongoose.Schema.Types.ObjectId, ref: 'DegreeClassScheme' },
+        finalizedAt: { type: Date }
+    },
     passport: {
         data: {
             type: Buffer,
@@ -87,6 +100,12 @@ const studentSchema = new Schema({
         },
         contentType: { type: String },
         updatedAt: { type: Date }
+    },
+    // Upload that created this student, if any
+    importBatch: {
+        type: Schema.Types.ObjectId,
+        ref: 'ImportBatch',
+        index: true
     }
 }, { timestamps: true });
 
@@ -117,5 +136,6 @@ studentSchema.pre(/^find/, function(next) {
 
 // Compound index for efficient queries
 studentSchema.index({ regNoNumeric: 1, regNoSuffix: 1 });
+studentSchema.index({ 'graduation.session': 1, programme: 1 });
 
 export default mongoose.model("Student", studentSchema);
@@ -0,0 +1,55 @@
+import mongoose, { Schema } from 'mongoose';
+
+// What a transcript showed for one term when it was issued
+const transcriptTermSchema = new Schema(
+  {
+    session: { type: String, required: true },
+    semester: { type: Number, enum: [1, 2], required: true },
+    level: { type: Number },
+    courseCount: { type: Number, default: 0 },
+    GPA: { type: Number },
+    CGPA: { type: Number },
+  },
+  { _id: false }
+);
+
+// One row per transcript issued; the serial number printed on the PDF points back here
+const transcriptSchema = new Schema(
+  {
+    serialNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    student: {
+      type: Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true,
+      index: true,
+    },
+    regNo: { type: String, required: true, uppercase: true, trim: true },
+    studentName: { type: String, trim: true, default: '' },
+    college: { type: Schema.Types.ObjectId, ref: 'College' },
+    department: { type: Schema.Types.ObjectId, ref: 'Department', index: true },
+    programme: { type: Schema.Types.ObjectId, ref: 'Programme' },
+    terms: { type: [transcriptTermSchema], default: [] },
+    finalCGPA: { type: Number },
+    degreeClass: { type: String, default: null },
+    degreeClassLabel: { type: String, default: '' },
+    // false when the class comes from the latest approved CGPA rather than finalized graduation
+    degreeClassFinal: { type: Boolean, default: false },
+    pageCount: { type: Number, default: 0 },
+    // SHA-256 of the PDF as issued, to check a copy presented later
+    sha256: { type: String, default: '' },
+    issuedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    issuedByEmail: { type: String, default: '' },
+    purpose: { type: String, trim: true, default: '' },
+  },
+  { timestamps: true }
+);
+
+transcriptSchema.index({ createdAt: -1 });
+
+export default mongoose.model('Transcript', transcriptSchema);
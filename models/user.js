@@ -1,4 +1,5 @@
 import mongoose, { Schema } from 'mongoose';
+import { EMAIL_OPTIONAL_CATEGORIES } from '../constants/emailDefaults.js';
 
 export const USER_ROLES = ['ADMIN', 'EXAM_OFFICER', 'COLLEGE_OFFICER', 'HOD', 'DEAN'];
 
@@ -71,6 +72,20 @@ const userSchema = new Schema({
   lastLoginAt: {
     type: Date,
   },
+  // Email categories the user does not want (see EMAIL_OPTIONAL_CATEGORIES)
+  emailOptOut: [{
+    type: String,
+    enum: EMAIL_OPTIONAL_CATEGORIES,
+  }],
+  // SHA-256 of the outstanding password reset token; the token itself is only emailed
+  passwordResetTokenHash: {
+    type: String,
+    select: false,
+  },
+  passwordResetExpiresAt: {
+    type: Date,
+    select: false,
+  },
   audit: [{
     action: { type: String },
     note: { type: String },
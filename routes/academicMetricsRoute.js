@@ -50,11 +50,11 @@ academicMetricsRouter.delete(
 academicMetricsRouter.get('/', authenticate, getMetrics);
 academicMetricsRouter.get('/search', authenticate, searchMetrics);
 
-// Approval updates
+// Figure overrides; approvals go through /api/approvals
 academicMetricsRouter.put(
   '/:metricsId',
   authenticate,
-  requireRoles('EXAM_OFFICER', 'COLLEGE_OFFICER', 'HOD', 'DEAN', 'ADMIN'),
+  requireRoles('EXAM_OFFICER', 'ADMIN'),
   updateMetrics
 );
 
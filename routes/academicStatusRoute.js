@@ -0,0 +1,19 @@
+import express from 'express';
+import { authenticate, requireRoles } from '../middlewares/authMiddleware.js';
+import {
+  listAcademicStatusPolicies,
+  createAcademicStatusPolicy,
+  listAcademicStatuses,
+  getStudentAcademicStatusHistory,
+} from '../controllers/academicStatusController.js';
+
+const academicStatusRouter = express.Router();
+
+academicStatusRouter.use(authenticate);
+
+academicStatusRouter.get('/', listAcademicStatuses);
+academicStatusRouter.get('/students/:studentId', getStudentAcademicStatusHistory);
+academicStatusRouter.get('/policies', listAcademicStatusPolicies);
+academicStatusRouter.post('/policies', requireRoles('ADMIN'), createAcademicStatusPolicy);
+
+export default academicStatusRouter;
@@ -1,5 +1,16 @@
 import express from 'express';
-import { getPendingApprovals } from '../controllers/approvalController.js';
+import {
+  getPendingApprovals,
+  approveAsExamOfficer,
+  rejectAsExamOfficer,
+  approveAsHod,
+  rejectAsHod,
+  approveAsDean,
+  rejectAsDean,
+  bulkApproveAsExamOfficer,
+  bulkApproveAsHod,
+  bulkApproveAsDean,
+} from '../controllers/approvalController.js';
 import { authenticate, requireRoles } from '../middlewares/authMiddleware.js';
 
 const approvalRouter = express.Router();
@@ -7,8 +18,21 @@ const approvalRouter = express.Router();
 approvalRouter.get(
   '/pending',
   authenticate,
-  requireRoles('COLLEGE_OFFICER', 'HOD', 'DEAN', 'ADMIN'),
+  requireRoles('EXAM_OFFICER', 'COLLEGE_OFFICER', 'HOD', 'DEAN', 'ADMIN'),
   getPendingApprovals
 );
 
+// Bulk approval of a cohort or an id list at one stage
+approvalRouter.post('/ceo/bulk-approve', authenticate, requireRoles('EXAM_OFFICER', 'COLLEGE_OFFICER', 'ADMIN'), bulkApproveAsExamOfficer);
+approvalRouter.post('/hod/bulk-approve', authenticate, requireRoles('HOD', 'ADMIN'), bulkApproveAsHod);
+approvalRouter.post('/dean/bulk-approve', authenticate, requireRoles('DEAN', 'ADMIN'), bulkApproveAsDean);
+
+// One endpoint per transition: exam officer, then HOD, then Dean
+approvalRouter.post('/:metricsId/ceo/approve', authenticate, requireRoles('EXAM_OFFICER', 'COLLEGE_OFFICER', 'ADMIN'), approveAsExamOfficer);
+approvalRouter.post('/:metricsId/ceo/reject', authenticate, requireRoles('EXAM_OFFICER', 'COLLEGE_OFFICER', 'ADMIN'), rejectAsExamOfficer);
+approvalRouter.post('/:metricsId/hod/approve', authenticate, requireRoles('HOD', 'ADMIN'), approveAsHod);
+approvalRouter.post('/:metricsId/hod/reject', authenticate, requireRoles('HOD', 'ADMIN'), rejectAsHod);
+approvalRouter.post('/:metricsId/dean/approve', authenticate, requireRoles('DEAN', 'ADMIN'), approveAsDean);
+approvalRouter.post('/:metricsId/dean/reject', authenticate, requireRoles('DEAN', 'ADMIN'), rejectAsDean);
+
 export default approvalRouter;
@@ -0,0 +1,12 @@
+import express from 'express';
+import { authenticate, requireRoles } from '../middlewares/authMiddleware.js';
+import { listAuditLogs, getAuditLog } from '../controllers/auditLogController.js';
+
+const auditLogRouter = express.Router();
+
+auditLogRouter.use(authenticate, requireRoles('ADMIN'));
+
+auditLogRouter.get('/', listAuditLogs);
+auditLogRouter.get('/:id', getAuditLog);
+
+export default auditLogRouter;
@@ -12,6 +12,10 @@ import {
   updateCurrentUserPassword,
   googleAuthSuccess,
   logoutSession,
+  requestPasswordReset,
+  resetPassword,
+  getEmailPreferences,
+  updateEmailPreferences,
 } from '../controllers/authController.js';
 import { authenticate, requireRoles } from '../middlewares/authMiddleware.js';
 
@@ -19,6 +23,8 @@ const router = express.Router();
 
 router.post('/login', login);
 router.post('/bootstrap-admin', bootstrapAdmin);
+router.post('/password/forgot', requestPasswordReset);
+router.post('/password/reset', resetPassword);
 router.get(
   '/google',
   passport.authenticate('google', {
@@ -41,6 +47,8 @@ router.use(authenticate);
 router.get('/me', getCurrentUser);
 router.patch('/me', updateCurrentUserProfile);
 router.patch('/me/password', updateCurrentUserPassword);
+router.get('/me/email-preferences', getEmailPreferences);
+router.patch('/me/email-preferences', updateEmailPreferences);
 router.post('/logout', logoutSession);
 
 router.get('/users', requireRoles('ADMIN'), listUsers);
@@ -0,0 +1,11 @@
+import express from 'express';
+import { authenticate } from '../middlewares/authMiddleware.js';
+import { getBroadsheet } from '../controllers/broadsheetController.js';
+
+const broadsheetRouter = express.Router();
+
+broadsheetRouter.use(authenticate);
+
+broadsheetRouter.get('/', getBroadsheet);
+
+export default broadsheetRouter;
@@ -0,0 +1,17 @@
+import express from 'express';
+import { authenticate, requireRoles } from '../middlewares/authMiddleware.js';
+import {
+  listDegreeClassSchemes,
+  createDegreeClassScheme,
+  resolveDegreeClassSchemeForSession,
+} from '../controllers/degreeClassSchemeController.js';
+
+const degreeClassSchemeRouter = express.Router();
+
+degreeClassSchemeRouter.use(authenticate);
+
+degreeClassSchemeRouter.get('/', listDegreeClassSchemes);
+degreeClassSchemeRouter.get('/resolve', resolveDegreeClassSchemeForSession);
+degreeClassSchemeRouter.post('/', requireRoles('ADMIN'), createDegreeClassScheme);
+
+export default degreeClassSchemeRouter;
@@ -0,0 +1,13 @@
+import express from 'express';
+import { authenticate, requireRoles } from '../middlewares/authMiddleware.js';
+import { listEmails, getEmail, retryEmailById } from '../controllers/emailController.js';
+
+const emailRouter = express.Router();
+
+emailRouter.use(authenticate, requireRoles('ADMIN'));
+
+emailRouter.get('/', listEmails);
+emailRouter.get('/:id', getEmail);
+emailRouter.post('/:id/retry', retryEmailById);
+
+export default emailRouter;
@@ -0,0 +1,17 @@
+import express from 'express';
+import { authenticate, requireRoles } from '../middlewares/authMiddleware.js';
+import {
+  listGradingSchemes,
+  createGradingScheme,
+  resolveGradingSchemeForTerm,
+} from '../controllers/gradingSchemeController.js';
+
+const gradingSchemeRouter = express.Router();
+
+gradingSchemeRouter.use(authenticate);
+
+gradingSchemeRouter.get('/', listGradingSchemes);
+gradingSchemeRouter.get('/resolve', resolveGradingSchemeForTerm);
+gradingSchemeRouter.post('/', requireRoles('ADMIN'), createGradingScheme);
+
+export default gradingSchemeRouter;
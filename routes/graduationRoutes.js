@@ -1,9 +1,11 @@
 // routes/graduationRoutes.js
 import express from 'express';
+import { authenticate } from '../middlewares/authMiddleware.js';
 import {
   isGraduationHookAvailable,
   getGraduatingList,
   finalizeGraduation,
+  getClassificationSummary,
 } from '../controllers/graduationController.js';
 
 const graduationRouter = express.Router();
@@ -17,4 +19,7 @@ graduationRouter.get('/list', getGraduatingList);
 // Optional: flip status to "graduated" for approved candidates
 graduationRouter.post('/finalize', finalizeGraduation);
 
+// Class counts per programme and graduating session (department-scoped)
+graduationRouter.get('/classification-summary', authenticate, getClassificationSummary);
+
 export default graduationRouter;
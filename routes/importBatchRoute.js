@@ -0,0 +1,23 @@
+import express from 'express';
+import { authenticate, requireRoles } from '../middlewares/authMiddleware.js';
+import {
+  listImportBatches,
+  getImportBatch,
+  downloadImportBatchFile,
+  rollbackImportBatch,
+} from '../controllers/importBatchController.js';
+
+const importBatchRouter = express.Router();
+
+importBatchRouter.use(authenticate);
+
+importBatchRouter.get('/', listImportBatches);
+importBatchRouter.get('/:id', getImportBatch);
+importBatchRouter.get('/:id/files/:index', downloadImportBatchFile);
+importBatchRouter.post(
+  '/:id/rollback',
+  requireRoles('HOD', 'EXAM_OFFICER', 'COLLEGE_OFFICER', 'ADMIN'),
+  rollbackImportBatch
+);
+
+export default importBatchRouter;
@@ -0,0 +1,13 @@
+import express from 'express';
+import { authenticate } from '../middlewares/authMiddleware.js';
+import { listJobs, getJob, cancelJobById } from '../controllers/jobController.js';
+
+const jobRouter = express.Router();
+
+jobRouter.use(authenticate);
+
+jobRouter.get('/', listJobs);
+jobRouter.get('/:id', getJob);
+jobRouter.post('/:id/cancel', cancelJobById);
+
+export default jobRouter;
@@ -0,0 +1,65 @@
+import express from 'express';
+import multer from 'multer';
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { authenticate, requireRoles } from '../middlewares/authMiddleware.js';
+import {
+  createModeration,
+  listModerations,
+  getModeration,
+  addModerationEvidence,
+  downloadModerationEvidence,
+  decideModeration,
+  cancelModeration,
+  getModerationWorkflow,
+  updateModerationWorkflow,
+} from '../controllers/moderationController.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+// Outside the public uploads/ tree: evidence is only served through GET /:id/evidence/:index
+const evidenceUploadsDir = path.resolve(__dirname, '..', 'storage', 'moderation-evidence');
+
+if (!fs.existsSync(evidenceUploadsDir)) {
+  fs.mkdirSync(evidenceUploadsDir, { recursive: true });
+}
+
+const EVIDENCE_TYPES = new Set(['application/pdf', 'image/jpeg', 'image/png', 'image/jpg', 'image/webp']);
+
+const evidenceUpload = multer({
+  storage: multer.diskStorage({
+    destination: (_req, _file, cb) => cb(null, evidenceUploadsDir),
+    filename: (_req, file, cb) => {
+      const uniqueSuffix = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
+      const safeName = file.originalname.replace(/\s+/g, '_').replace(/[^\w.-]/g, '');
+      cb(null, `${uniqueSuffix}-${safeName}`);
+    },
+  }),
+  limits: { files: 10, fileSize: 5 * 1024 * 1024 },
+  fileFilter: (_req, file, cb) => {
+    if (!EVIDENCE_TYPES.has(file.mimetype)) {
+      const error = new Error('Evidence must be PDF or image files');
+      error.statusCode = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  },
+}).array('evidence');
+
+const moderationRouter = express.Router();
+
+moderationRouter.use(authenticate);
+
+moderationRouter.get('/workflow', getModerationWorkflow);
+moderationRouter.put('/workflow', requireRoles('ADMIN'), updateModerationWorkflow);
+
+moderationRouter.get('/', listModerations);
+moderationRouter.post('/', evidenceUpload, createModeration);
+moderationRouter.get('/:id', getModeration);
+moderationRouter.post('/:id/evidence', evidenceUpload, addModerationEvidence);
+moderationRouter.get('/:id/evidence/:index', downloadModerationEvidence);
+moderationRouter.post('/:id/decision', decideModeration);
+moderationRouter.post('/:id/cancel', cancelModeration);
+
+export default moderationRouter;
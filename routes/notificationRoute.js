@@ -0,0 +1,19 @@
+import express from 'express';
+import { authenticate } from '../middlewares/authMiddleware.js';
+import {
+  listNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+} from '../controllers/notificationController.js';
+
+const notificationRouter = express.Router();
+
+notificationRouter.use(authenticate);
+
+notificationRouter.get('/', listNotifications);
+notificationRouter.get('/unread-count', getUnreadCount);
+notificationRouter.post('/read-all', markAllNotificationsRead);
+notificationRouter.patch('/:id/read', markNotificationRead);
+
+export default notificationRouter;
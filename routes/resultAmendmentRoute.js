@@ -0,0 +1,21 @@
+import express from 'express';
+import { authenticate, requireRoles } from '../middlewares/authMiddleware.js';
+import {
+  createAmendment,
+  listAmendments,
+  getAmendment,
+  decideAmendment,
+  cancelAmendment,
+} from '../controllers/resultAmendmentController.js';
+
+const resultAmendmentRouter = express.Router();
+
+resultAmendmentRouter.use(authenticate);
+
+resultAmendmentRouter.get('/', listAmendments);
+resultAmendmentRouter.post('/', createAmendment);
+resultAmendmentRouter.get('/:id', getAmendment);
+resultAmendmentRouter.post('/:id/decision', requireRoles('DEAN', 'ADMIN'), decideAmendment);
+resultAmendmentRouter.post('/:id/cancel', cancelAmendment);
+
+export default resultAmendmentRouter;
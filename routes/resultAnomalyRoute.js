@@ -0,0 +1,21 @@
+import express from 'express';
+import { authenticate, requireRoles } from '../middlewares/authMiddleware.js';
+import {
+  listResultAnomalies,
+  acknowledgeResultAnomaly,
+  checkResultSetAnomalies,
+} from '../controllers/resultAnomalyController.js';
+
+const resultAnomalyRouter = express.Router();
+
+resultAnomalyRouter.use(authenticate);
+
+resultAnomalyRouter.get('/', listResultAnomalies);
+resultAnomalyRouter.post('/check', checkResultSetAnomalies);
+resultAnomalyRouter.post(
+  '/:id/acknowledge',
+  requireRoles('HOD', 'DEAN', 'COLLEGE_OFFICER', 'ADMIN'),
+  acknowledgeResultAnomaly
+);
+
+export default resultAnomalyRouter;
@@ -8,10 +8,17 @@ import {
     deleteResult,
     deleteAllResultsForCourse,
     deleteMultipleResults,
-    getResultsSummary
+    getResultsSummary,
+    getResultRevisions,
+    restoreResultRevision
   } from "../controllers/resultController.js";
 
-  import { uploadResults } from '../controllers/uploadResultController.js';
+  import {
+    uploadResults,
+    previewResultUpload,
+    commitResultUpload,
+  } from '../controllers/uploadResultController.js';
+  import { getCourseResultStatistics } from '../controllers/resultStatisticsController.js';
 
 import { upload } from '../controllers/uploadResultController.js';
 import { authenticate } from '../middlewares/authMiddleware.js';
@@ -23,17 +30,23 @@ resultRouter.use(authenticate);
 
 resultRouter.post("/", createResult);
 resultRouter.get("/summary", getResultsSummary);
+resultRouter.get("/statistics", getCourseResultStatistics);
 resultRouter.get("/", getAllResults);
 
 // 🔁 Place before `/:id`
 resultRouter.delete("/bulk", deleteMultipleResults); // ← move this up
 resultRouter.delete("/course/:id", deleteAllResultsForCourse);
 
+resultRouter.get("/:id/revisions", getResultRevisions);
+resultRouter.post("/:id/revisions/:revisionId/restore", restoreResultRevision);
+
 resultRouter.get("/:id", getResultById);
 resultRouter.patch("/:id", updateResult);
 resultRouter.delete("/:id", deleteResult); // ← dynamic route LAST
 
 resultRouter.post('/upload-results', upload, uploadResults);
+resultRouter.post('/upload-results/preview', upload, previewResultUpload);
+resultRouter.post('/upload-results/commit', commitResultUpload);
 
 
 export default resultRouter
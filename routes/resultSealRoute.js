@@ -0,0 +1,12 @@
+import express from 'express';
+import { authenticate, requireRoles } from '../middlewares/authMiddleware.js';
+import { listResultSeals, verifyResultSeals } from '../controllers/resultSealController.js';
+
+const resultSealRouter = express.Router();
+
+resultSealRouter.use(authenticate, requireRoles('DEAN', 'ADMIN'));
+
+resultSealRouter.get('/', listResultSeals);
+resultSealRouter.get('/verify', verifyResultSeals);
+
+export default resultSealRouter;
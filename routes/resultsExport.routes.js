@@ -2,6 +2,7 @@
 import express from 'express';
 import {
   listForExport,
+  downloadExport,
   exportHealth
 } from '../controllers/resultsExport.controller.js';
 import { authenticate, requireRoles } from '../middlewares/authMiddleware.js';
@@ -14,6 +15,9 @@ resultsExportRouter.use(requireRoles('ADMIN', 'EXAM_OFFICER', 'COLLEGE_OFFICER',
 // List results for CSV export (only rows with valid uamId)
 resultsExportRouter.get('/', listForExport);
 
+// Streamed CSV/XLSX download of the same rows (?format=csv|xlsx&columns=...)
+resultsExportRouter.get('/download', downloadExport);
+
 // Health check for missing uamId in related courses
 resultsExportRouter.get('/health', exportHealth);
 
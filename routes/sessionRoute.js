@@ -4,6 +4,8 @@ import {
   getSessions,
   getCurrentSession,
   closeSession,
+  previewSessionClose,
+  reopenSession,
 } from '../controllers/sessionController.js';
 import { authenticate, requireRoles } from '../middlewares/authMiddleware.js';
 
@@ -18,9 +20,15 @@ sessionRouter.post('/', createSession);
 // Get all sessions
 sessionRouter.get('/', getSessions);
 
+// Preview what closing a session would do to each student, without writing anything
+sessionRouter.get('/:id/close/preview', previewSessionClose);
+
 // Close an existing session
 sessionRouter.post('/:id/close', closeSession);
 
+// Reopen a closed session and restore students from its close snapshot
+sessionRouter.post('/:id/reopen', requireRoles('ADMIN'), reopenSession);
+
 // Get current active session
 sessionRouter.get('/current', getCurrentSession);
 
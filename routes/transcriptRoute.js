@@ -0,0 +1,17 @@
+import express from 'express';
+import { authenticate } from '../middlewares/authMiddleware.js';
+import {
+  generateTranscript,
+  listTranscripts,
+  getTranscriptBySerial,
+} from '../controllers/transcriptController.js';
+
+const transcriptRouter = express.Router();
+
+transcriptRouter.use(authenticate);
+
+transcriptRouter.get('/', listTranscripts);
+transcriptRouter.post('/students/:studentId', generateTranscript);
+transcriptRouter.get('/:serialNumber', getTranscriptBySerial);
+
+export default transcriptRouter;
@@ -0,0 +1,234 @@
+import mongoose from 'mongoose';
+import AcademicStatus from '../models/academicStatus.js';
+import AcademicStatusPolicy from '../models/academicStatusPolicy.js';
+import AcademicMetrics from '../models/academicMetrics.js';
+import Student from '../models/student.js';
+import {
+  ACADEMIC_STATUSES,
+  ACADEMIC_STATUS_LABELS,
+  ACADEMIC_STATUS_METRICS,
+  DEFAULT_ACADEMIC_STATUS_POLICY,
+} from '../constants/academicStatusDefaults.js';
+import { compareTerms, isBeforeTerm, pickEffectiveForSession } from '../utills/sessionOrder.js';
+
+const httpError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const toIdString = (value) => {
+  if (!value) return '';
+  if (typeof value === 'object' && value._id) return String(value._id);
+  return String(value);
+};
+
+const severity = (status) => ACADEMIC_STATUSES.indexOf(status);
+
+/**
+ * Validates raw rule input and returns the rules ordered most severe first, which is
+ * the order evaluateAcademicStatus checks them in.
+ */
+export const normalizeAcademicStatusRules = (rawRules) => {
+  if (!Array.isArray(rawRules) || !rawRules.length) {
+    throw httpError('At least one status rule is required.');
+  }
+
+  const rules = rawRules.map((rule, index) => {
+    const status = String(rule?.status || '').trim().toLowerCase();
+    const metric = String(rule?.metric || 'CGPA').trim().toUpperCase();
+    const below = Number(rule?.below);
+    const consecutiveTerms = rule?.consecutiveTerms === undefined ? 1 : Number(rule.consecutiveTerms);
+
+    if (!ACADEMIC_STATUSES.includes(status) || status === 'good_standing') {
+      throw httpError(`Rule ${index + 1}: status must be one of ${ACADEMIC_STATUSES.slice(1).join(', ')}.`);
+    }
+    if (!ACADEMIC_STATUS_METRICS.includes(metric)) {
+      throw httpError(`Rule ${index + 1}: metric must be one of ${ACADEMIC_STATUS_METRICS.join(', ')}.`);
+    }
+    if (!Number.isFinite(below) || below <= 0 || below > 5) {
+      throw httpError(`Rule ${index + 1}: below must be greater than 0 and at most 5.`);
+    }
+    if (!Number.isInteger(consecutiveTerms) || consecutiveTerms < 1 || consecutiveTerms > 8) {
+      throw httpError(`Rule ${index + 1}: consecutiveTerms must be a whole number between 1 and 8.`);
+    }
+
+    return { status, metric, below, consecutiveTerms };
+  });
+
+  return rules.sort((a, b) => severity(b.status) - severity(a.status));
+};
+
+/**
+ * Decides a student's status from their term-by-term metrics, oldest first, ending with
+ * the term being evaluated. A rule holds when its metric has been below the threshold
+ * for at least `consecutiveTerms` terms in a row up to and including the last one.
+ */
+export const evaluateAcademicStatus = (terms = [], policy = DEFAULT_ACADEMIC_STATUS_POLICY) => {
+  const rules = [...(policy?.rules?.length ? policy.rules : DEFAULT_ACADEMIC_STATUS_POLICY.rules)]
+    .sort((a, b) => severity(b.status) - severity(a.status));
+
+  for (const rule of rules) {
+    const metric = rule.metric || 'CGPA';
+    const required = Number(rule.consecutiveTerms) || 1;
+    let streak = 0;
+    for (let i = terms.length - 1; i >= 0; i -= 1) {
+      if (Number(terms[i]?.[metric] || 0) < rule.below) streak += 1;
+      else break;
+    }
+    if (streak >= required) {
+      const window = terms.slice(-required).map((t) => Number(t[metric] || 0).toFixed(2));
+      return {
+        status: rule.status,
+        reasons: [
+          required > 1
+            ? `${metric} below ${rule.below.toFixed(2)} for ${required} consecutive terms (${window.join(', ')})`
+            : `${metric} ${window[0]} is below ${rule.below.toFixed(2)}`,
+        ],
+      };
+    }
+  }
+
+  return { status: 'good_standing', reasons: [] };
+};
+
+const toPlainPolicy = (doc) => ({
+  _id: doc._id,
+  name: doc.name,
+  programme: doc.programme,
+  effectiveFromSession: doc.effectiveFromSession,
+  rules: doc.rules,
+  isDefault: false,
+});
+
+// Per-request resolver, keyed by programme, mirroring createGradingSchemeResolver.
+export const createAcademicStatusPolicyResolver = () => {
+  const policiesByProgramme = new Map(); // programmeId -> Promise<[policy]>
+
+  const forProgramme = async (programme, session) => {
+    const programmeId = toIdString(programme);
+    if (!programmeId || !mongoose.Types.ObjectId.isValid(programmeId)) {
+      return DEFAULT_ACADEMIC_STATUS_POLICY;
+    }
+    if (!policiesByProgramme.has(programmeId)) {
+      policiesByProgramme.set(
+        programmeId,
+        AcademicStatusPolicy.find({ programme: programmeId })
+          .select('name programme effectiveFromSession rules')
+          .lean()
+      );
+    }
+    const policies = await policiesByProgramme.get(programmeId);
+    const match = pickEffectiveForSession(policies, session);
+    return match ? toPlainPolicy(match) : DEFAULT_ACADEMIC_STATUS_POLICY;
+  };
+
+  return { forProgramme };
+};
+
+export const resolveAcademicStatusPolicy = (programme, session) =>
+  createAcademicStatusPolicyResolver().forProgramme(programme, session);
+
+export const serializeAcademicStatus = (record) => {
+  if (!record) return null;
+  return {
+    status: record.status,
+    label: ACADEMIC_STATUS_LABELS[record.status] || record.status,
+    session: record.session,
+    semester: record.semester ?? null,
+    level: record.level ?? null,
+    CGPA: record.CGPA ?? 0,
+    GPA: record.GPA ?? 0,
+    reasons: record.reasons || [],
+    evaluatedAt: record.evaluatedAt || null,
+    changes: Array.isArray(record.history) ? record.history.length : 0,
+  };
+};
+
+/**
+ * Re-evaluates the session status of each student from their stored AcademicMetrics,
+ * treating (session, semester) as the latest term. Students with no metrics for that
+ * term are left untouched. A history entry is appended only when the outcome changes.
+ */
+export const applyAcademicStatusRules = async ({ studentIds = [], session, semester, evaluatedBy = null }) => {
+  const counts = Object.fromEntries(ACADEMIC_STATUSES.map((status) => [status, 0]));
+  const ids = [...new Set(studentIds.map(String))].filter((id) => mongoose.Types.ObjectId.isValid(id));
+  if (!ids.length) return { evaluated: 0, changed: 0, counts };
+
+  const sem = Number(semester);
+  const [students, metricsDocs, existingRecords] = await Promise.all([
+    Student.find({ _id: { $in: ids } }).select('_id programme department').lean(),
+    AcademicMetrics.find({ student: { $in: ids } })
+      .select('student session semester level CGPA GPA')
+      .lean(),
+    AcademicStatus.find({ student: { $in: ids }, session }).lean(),
+  ]);
+
+  const termsByStudent = new Map();
+  metricsDocs.forEach((doc) => {
+    if (isBeforeTerm(session, sem, doc.session, doc.semester)) return; // later than the evaluated term
+    const sid = String(doc.student);
+    if (!termsByStudent.has(sid)) termsByStudent.set(sid, []);
+    termsByStudent.get(sid).push(doc);
+  });
+  const existingByStudent = new Map(existingRecords.map((rec) => [String(rec.student), rec]));
+
+  const resolver = createAcademicStatusPolicyResolver();
+  const evaluatedAt = new Date();
+  const operations = [];
+  let changed = 0;
+
+  for (const student of students) {
+    const sid = String(student._id);
+    const terms = (termsByStudent.get(sid) || []).sort(compareTerms);
+    const current = terms[terms.length - 1];
+    if (!current || current.session !== session || Number(current.semester) !== sem) continue;
+
+    const policy = await resolver.forProgramme(student.programme, session);
+    const { status, reasons } = evaluateAcademicStatus(terms, policy);
+    counts[status] += 1;
+
+    const snapshot = {
+      status,
+      semester: sem,
+      level: current.level,
+      CGPA: Number(current.CGPA || 0),
+      GPA: Number(current.GPA || 0),
+      reasons,
+      policy: policy._id || undefined,
+    };
+
+    const existing = existingByStudent.get(sid);
+    const outcomeChanged =
+      !existing ||
+      existing.status !== status ||
+      Number(existing.semester) !== sem ||
+      (existing.reasons || []).join('|') !== reasons.join('|');
+
+    const update = {
+      $set: { ...snapshot, department: student.department, evaluatedAt },
+    };
+    if (outcomeChanged) {
+      changed += 1;
+      update.$push = { history: { ...snapshot, evaluatedBy: evaluatedBy || undefined, evaluatedAt } };
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { student: student._id, session },
+        update,
+        upsert: true,
+      },
+    });
+  }
+
+  if (operations.length) {
+    await AcademicStatus.bulkWrite(operations, { ordered: false });
+  }
+
+  return { evaluated: operations.length, changed, counts };
+};
+
+// studentId -> serialized status for the session (students without a record are absent)
+export const loadAcademicStatusMap = async (studentIds = [], session) => {
+  const records = await AcademicStatus.find({ student: { $in: studentIds }, session })
+    .select('student status session semester level CGPA GPA reasons evaluatedAt history')
+    .lean();
+  return new Map(records.map((rec) => [String(rec.student), serializeAcademicStatus(rec)]));
+};
@@ -0,0 +1,379 @@
+import mongoose from 'mongoose';
+import AcademicMetrics from '../models/academicMetrics.js';
+import ApprovalBatch from '../models/approvalBatch.js';
+import Student from '../models/student.js';
+import User from '../models/user.js';
+import { ensureUserCanAccessDepartment } from './accessControl.js';
+import { findBlockingAnomaliesForMetrics, serializeAnomaly } from './resultAnomalyService.js';
+import { sealApprovedTerm } from './resultSealService.js';
+import { notifyRoles } from './notificationService.js';
+import { APPROVAL_STAGES, BULK_APPROVAL_LIMIT } from '../constants/approvalDefaults.js';
+
+const httpError = (message, statusCode = 400, extra = {}) =>
+  Object.assign(new Error(message), { statusCode }, extra);
+
+export const findApprovalStage = (key) => APPROVAL_STAGES.find((stage) => stage.key === key) || null;
+
+const earlierStages = (stage) => APPROVAL_STAGES.slice(0, APPROVAL_STAGES.indexOf(stage));
+
+export const userCanActOnApprovalStage = (user, stage) => {
+  const roles = user?.roles || [];
+  return roles.includes('ADMIN') || stage.roles.some((role) => roles.includes(role));
+};
+
+// The first stage the user may act on, for callers that do not name one
+export const defaultApprovalStageFor = (user) => {
+  const roles = user?.roles || [];
+  return APPROVAL_STAGES.find((stage) => stage.roles.some((role) => roles.includes(role))) || null;
+};
+
+// Records waiting at `stage`: every earlier stage approved, this one not yet
+export const pendingApprovalFilter = (stage) => ({
+  ...Object.fromEntries(earlierStages(stage).map((earlier) => [`${earlier.field}.approved`, true])),
+  [`${stage.field}.approved`]: { $ne: true },
+});
+
+// Why `metrics` cannot move through `stage` now (null when it can)
+const stageBlocker = (metrics, stage) => {
+  const waiting = earlierStages(stage).find((earlier) => !metrics[earlier.field]?.approved);
+  if (waiting) return `Still waiting for the ${waiting.label}.`;
+  if (metrics[stage.field]?.approved) return `The ${stage.label} has already approved this record.`;
+  return null;
+};
+
+const studentName = (student) =>
+  [student?.surname, student?.firstname].filter(Boolean).join(' ');
+
+// Dean approval is final: freeze the term in the seal chain. A failure here leaves the
+// approval in place and the term shows up as unsealed when the seals are verified.
+const sealAfterDeanApproval = async (metricsIds, { user, name }) => {
+  for (const metricsId of metricsIds) {
+    try {
+      await sealApprovedTerm(metricsId, { user, name });
+    } catch (err) {
+      console.error(`Sealing metrics ${metricsId} failed:`, err);
+    }
+  }
+};
+
+const termLabel = ({ session, semester, level }) => `${session} semester ${semester}, ${level} level`;
+
+// Tells the officers of the next stage that `count` records of this term in `student`'s
+// department are waiting for them; one unread entry per term and stage keeps the tally.
+const notifyNextStage = (stage, metrics, student, { user, count = 1 }) => {
+  const next = APPROVAL_STAGES[APPROVAL_STAGES.indexOf(stage) + 1];
+  if (!next || !student) return null;
+  return notifyRoles({
+    roles: next.roles,
+    department: student.department,
+    college: student.college,
+    exclude: [user?.id],
+    type: 'approval_pending',
+    title: `Results awaiting ${next.label} approval`,
+    message: `Records for ${termLabel(metrics)} have passed the ${stage.label} and await your approval.`,
+    link: { kind: 'AcademicMetrics', id: null },
+    count,
+    email: {
+      template: 'approval_pending',
+      data: { termLabel: termLabel(metrics), stageLabel: next.label, previousStageLabel: stage.label },
+    },
+    data: { stage: next.key, session: metrics.session, semester: metrics.semester, level: metrics.level },
+    groupKey: `${next.key}|${student.department}|${metrics.session}|${metrics.semester}|${metrics.level}`,
+  });
+};
+
+// Cleared officer approvals, as a rejection, override or amendment leaves them
+const clearedApprovals = () => Object.fromEntries(APPROVAL_STAGES.map((stage) => [stage.field, {}]));
+
+const officerDetails = async (user) => {
+  const doc = await User.findById(user?.id).select('title surname firstname middlename department college email').lean();
+  const name = [doc?.title, doc?.surname, doc?.firstname].filter(Boolean).join(' ').trim() || doc?.email || user?.email || '';
+  return {
+    name,
+    title: doc?.title || '',
+    surname: doc?.surname || '',
+    firstname: doc?.firstname || '',
+    middlename: doc?.middlename || '',
+    department: doc?.department || '',
+    college: doc?.college || '',
+  };
+};
+
+/**
+ * Moves an AcademicMetrics record through `stageKey`. Approving needs every earlier stage
+ * approved (and, for the Dean, no open anomaly flags on the term's result sets); the Dean's
+ * approval also seals the term. Rejecting needs a reason and sends the record back to the
+ * first stage with every approval cleared. The write is conditional on the state checked,
+ * so two officers acting at once cannot both succeed. Resolves to the updated document.
+ */
+export const transitionApproval = async ({ metricsId, stageKey, action, user, reason = '' }) => {
+  const stage = findApprovalStage(stageKey);
+  if (!stage) {
+    throw httpError('Unknown approval stage.');
+  }
+  const note = String(reason || '').trim();
+  if (action === 'reject' && !note) {
+    throw httpError('A reason is required when rejecting.');
+  }
+
+  const metrics = await AcademicMetrics.findById(metricsId).lean();
+  if (!metrics) {
+    throw httpError('Metrics not found.', 404);
+  }
+  const student = await Student.findById(metrics.student).select('regNo department college').lean();
+  if (student) {
+    ensureUserCanAccessDepartment(user, student.department, student.college);
+  }
+  if (!userCanActOnApprovalStage(user, stage)) {
+    throw httpError(`Only the ${stage.label} can act on this stage.`, 403);
+  }
+
+  const blocker = stageBlocker(metrics, stage);
+  if (blocker) {
+    throw httpError(blocker, 409);
+  }
+  if (action === 'approve' && stage.key === 'dean') {
+    const blocking = await findBlockingAnomaliesForMetrics(metrics);
+    if (blocking.length) {
+      throw httpError(
+        'Dean cannot approve while result sets for this term have unacknowledged anomaly flags.',
+        409,
+        { anomalies: blocking.map(serializeAnomaly) }
+      );
+    }
+  }
+
+  const officer = await officerDetails(user);
+  const decidedAt = new Date();
+  const event = { stage: stage.key, action, by: user?.id, name: officer.name, reason: note, at: decidedAt };
+  const $set = action === 'approve'
+    ? { [stage.field]: { ...officer, approved: true, flagged: false, note, updatedAt: decidedAt } }
+    : { ...clearedApprovals(), [stage.field]: { ...officer, approved: false, flagged: true, note, updatedAt: decidedAt } };
+
+  const updated = await AcademicMetrics.findOneAndUpdate(
+    { _id: metrics._id, ...pendingApprovalFilter(stage) },
+    { $set, $push: { approvalHistory: event } },
+    { new: true, runValidators: true }
+  ).populate({ path: 'student', select: 'surname firstname middlename regNo' });
+  if (!updated) {
+    throw httpError('This record changed while you were acting on it; reload and try again.', 409);
+  }
+  if (action === 'approve' && stage.key === 'dean') {
+    await sealAfterDeanApproval([updated._id], { user, name: officer.name });
+  }
+  if (action === 'approve') {
+    await notifyNextStage(stage, metrics, student, { user });
+  } else if (student) {
+    await notifyRoles({
+      roles: APPROVAL_STAGES[0].roles,
+      department: student.department,
+      college: student.college,
+      exclude: [user?.id],
+      type: 'approval_rejected',
+      title: `Results rejected by the ${stage.label}`,
+      message: `${student.regNo || 'A record'} (${termLabel(metrics)}) was sent back: ${note}`,
+      link: { kind: 'AcademicMetrics', id: metrics._id },
+      data: { stage: stage.key, session: metrics.session, semester: metrics.semester, level: metrics.level },
+      email: {
+        template: 'approval_rejected',
+        data: { stageLabel: stage.label, regNo: student.regNo || 'a student', termLabel: termLabel(metrics), reason: note },
+      },
+    });
+  }
+  return updated;
+};
+
+/**
+ * Approves many AcademicMetrics records at `stageKey` in one write: a cohort (session,
+ * semester, level and programme) or an explicit `metricsIds` list. Records outside the
+ * caller's department, not yet at this stage, already approved, flagged by an earlier
+ * rejection or (for the Dean) with open anomaly flags are skipped with a reason. The
+ * batch is recorded as one ApprovalBatch, which each approved record's history points to.
+ * Resolves to { batch, approved, skipped }.
+ */
+export const bulkApprove = async ({ stageKey, user, criteria = {}, metricsIds = null, comment = '' }) => {
+  const stage = findApprovalStage(stageKey);
+  if (!stage) {
+    throw httpError('Unknown approval stage.');
+  }
+  if (!userCanActOnApprovalStage(user, stage)) {
+    throw httpError(`Only the ${stage.label} can act on this stage.`, 403);
+  }
+
+  const skipped = [];
+  let candidates;
+  let batchCriteria;
+  let requested;
+  if (Array.isArray(metricsIds) && metricsIds.length) {
+    const ids = [...new Set(metricsIds.map(String))];
+    if (ids.length > BULK_APPROVAL_LIMIT) {
+      throw httpError(`At most ${BULK_APPROVAL_LIMIT} records can be approved at once.`);
+    }
+    const invalid = ids.filter((id) => !mongoose.Types.ObjectId.isValid(id));
+    if (invalid.length) {
+      throw httpError(`Invalid metrics id(s): ${invalid.join(', ')}.`);
+    }
+    candidates = await AcademicMetrics.find({ _id: { $in: ids } }).lean();
+    const found = new Set(candidates.map((doc) => String(doc._id)));
+    ids.filter((id) => !found.has(id)).forEach((id) => skipped.push({ metricsId: id, regNo: '', reason: 'Metrics not found.' }));
+    batchCriteria = { metricsIds: ids };
+    requested = ids.length;
+  } else {
+    const { session, semester, level, programmeId } = criteria;
+    if (!session || !semester || !level || !programmeId) {
+      throw httpError('Provide session, semester, level and programmeId, or a list of metricsIds.');
+    }
+    if (!mongoose.Types.ObjectId.isValid(programmeId)) {
+      throw httpError('Invalid programmeId.');
+    }
+    const studentIds = await Student.distinct('_id', { programme: programmeId });
+    candidates = await AcademicMetrics.find({
+      student: { $in: studentIds },
+      session: String(session),
+      semester: Number(semester),
+      level: Number(level),
+    }).lean();
+    if (candidates.length > BULK_APPROVAL_LIMIT) {
+      throw httpError(`At most ${BULK_APPROVAL_LIMIT} records can be approved at once; narrow the selection.`);
+    }
+    batchCriteria = { session: String(session), semester: Number(semester), level: Number(level), programme: programmeId };
+    requested = candidates.length;
+  }
+
+  const students = await Student.find({ _id: { $in: candidates.map((doc) => doc.student) } })
+    .select('regNo surname firstname department college')
+    .lean();
+  const studentById = new Map(students.map((student) => [String(student._id), student]));
+
+  const eligible = [];
+  for (const metrics of candidates) {
+    const student = studentById.get(String(metrics.student));
+    const skip = (reason) => skipped.push({ metricsId: metrics._id, regNo: student?.regNo || '', reason });
+    try {
+      ensureUserCanAccessDepartment(user, student?.department, student?.college);
+    } catch {
+      skip('Outside your department.');
+      continue;
+    }
+    const blocker = stageBlocker(metrics, stage);
+    if (blocker) {
+      skip(blocker);
+      continue;
+    }
+    const flaggedBy = APPROVAL_STAGES.find((entry) => metrics[entry.field]?.flagged);
+    if (flaggedBy) {
+      const note = metrics[flaggedBy.field].note;
+      skip(`Flagged by the ${flaggedBy.label}${note ? `: ${note}` : ''}; approve it individually once resolved.`);
+      continue;
+    }
+    if (stage.key === 'dean') {
+      const blocking = await findBlockingAnomaliesForMetrics(metrics);
+      if (blocking.length) {
+        skip(`${blocking.length} open anomaly flag(s) on this term's results.`);
+        continue;
+      }
+    }
+    eligible.push({ metrics, student });
+  }
+
+  const officer = await officerDetails(user);
+  const decidedAt = new Date();
+  const note = String(comment || '').trim();
+  const batch = await ApprovalBatch.create({
+    stage: stage.key,
+    criteria: batchCriteria,
+    approvedBy: user?.id,
+    approvedByName: officer.name,
+    comment: note,
+    requested,
+    skipped,
+  });
+
+  const eligibleIds = eligible.map(({ metrics }) => metrics._id);
+  if (eligible.length) {
+    await AcademicMetrics.updateMany(
+      {
+        _id: { $in: eligibleIds },
+        ...pendingApprovalFilter(stage),
+        ...Object.fromEntries(APPROVAL_STAGES.map((entry) => [`${entry.field}.flagged`, { $ne: true }])),
+      },
+      {
+        $set: { [stage.field]: { ...officer, approved: true, flagged: false, note, updatedAt: decidedAt } },
+        $push: {
+          approvalHistory: {
+            stage: stage.key, action: 'approve', by: user?.id, name: officer.name, reason: note, batch: batch._id, at: decidedAt,
+          },
+        },
+      }
+    );
+  }
+
+  // Anything that changed between the checks and the write is reported, not approved
+  const approvedIds = eligible.length
+    ? new Set((await AcademicMetrics.find({ _id: { $in: eligibleIds }, 'approvalHistory.batch': batch._id })
+      .select('_id')
+      .lean()).map((doc) => String(doc._id)))
+    : new Set();
+  eligible
+    .filter(({ metrics }) => !approvedIds.has(String(metrics._id)))
+    .forEach(({ metrics, student }) => skipped.push({
+      metricsId: metrics._id,
+      regNo: student?.regNo || '',
+      reason: 'Changed while the batch was being approved; reload and try again.',
+    }));
+
+  batch.approved = [...approvedIds];
+  batch.skipped = skipped;
+  await batch.save();
+  if (stage.key === 'dean') {
+    await sealAfterDeanApproval(batch.approved, { user, name: officer.name });
+  }
+  const approvedEntries = eligible.filter(({ metrics }) => approvedIds.has(String(metrics._id)));
+  const byTerm = new Map();
+  approvedEntries.forEach((entry) => {
+    const { metrics, student } = entry;
+    const key = `${student?.department}|${metrics.session}|${metrics.semester}|${metrics.level}`;
+    if (!byTerm.has(key)) byTerm.set(key, []);
+    byTerm.get(key).push(entry);
+  });
+  for (const entries of byTerm.values()) {
+    await notifyNextStage(stage, entries[0].metrics, entries[0].student, { user, count: entries.length });
+  }
+
+  return {
+    batch,
+    approved: approvedEntries.map(({ metrics, student }) => ({ metricsId: metrics._id, regNo: student?.regNo || '', name: studentName(student) })),
+    skipped,
+  };
+};
+
+/**
+ * Users whose approval currently stands on the matching AcademicMetrics records: approvers
+ * since each record's last reset or rejection.
+ */
+export const findCurrentApprovers = async (filter) => {
+  const docs = await AcademicMetrics.find(filter).select('approvalHistory').lean();
+  const approvers = new Set();
+  docs.forEach((doc) => {
+    let standing = [];
+    (doc.approvalHistory || []).forEach((event) => {
+      if (event.action === 'approve') standing.push(event.by);
+      else standing = [];
+    });
+    standing.filter(Boolean).forEach((id) => approvers.add(String(id)));
+  });
+  return [...approvers];
+};
+
+/**
+ * Clears every approval on the matching AcademicMetrics records that has any, recording a
+ * `reset` event, so figures that changed underneath them are approved again from the start.
+ */
+export const resetApprovals = (filter, { user = null, reason = '' } = {}) =>
+  AcademicMetrics.updateMany(
+    { $and: [filter, { $or: APPROVAL_STAGES.map((stage) => ({ [`${stage.field}.approved`]: true })) }] },
+    {
+      $set: clearedApprovals(),
+      $push: { approvalHistory: { action: 'reset', by: user?.id, name: user?.email || '', reason, at: new Date() } },
+    }
+  );
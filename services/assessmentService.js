@@ -0,0 +1,142 @@
+import {
+  DEFAULT_ASSESSMENT_CONFIG,
+  QUESTION_FIELDS,
+  SCORE_ISSUE_CODES,
+} from '../constants/assessmentDefaults.js';
+
+const httpError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+// Scores are stored rounded, so sums only need to agree to within half a mark.
+const SCORE_SUM_TOLERANCE = 0.5;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Validates a course's assessment input (create/update) and fills unset fields from the defaults.
+ * CA and exam maxima must add up to 100 because grade bands are defined over 0–100.
+ */
+export const normalizeAssessmentConfig = (raw) => {
+  if (!raw || typeof raw !== 'object') {
+    throw httpError('assessment must be an object.');
+  }
+  const pick = (field) => (isBlank(raw[field]) ? DEFAULT_ASSESSMENT_CONFIG[field] : Number(raw[field]));
+
+  const caMax = pick('caMax');
+  const examMax = pick('examMax');
+  const questionCount = pick('questionCount');
+  const questionsToAnswer = isBlank(raw.questionsToAnswer) ? null : Number(raw.questionsToAnswer);
+
+  if (!Number.isFinite(caMax) || !Number.isFinite(examMax) || caMax < 0 || examMax < 0) {
+    throw httpError('assessment.caMax and assessment.examMax must be non-negative numbers.');
+  }
+  if (caMax + examMax !== 100) {
+    throw httpError('assessment.caMax and assessment.examMax must add up to 100.');
+  }
+  if (!Number.isInteger(questionCount) || questionCount < 0 || questionCount > QUESTION_FIELDS.length) {
+    throw httpError(`assessment.questionCount must be a whole number from 0 to ${QUESTION_FIELDS.length}.`);
+  }
+  if (questionsToAnswer !== null
+    && (!Number.isInteger(questionsToAnswer) || questionsToAnswer < 1 || questionsToAnswer > questionCount)) {
+    throw httpError('assessment.questionsToAnswer must be a whole number from 1 to questionCount.');
+  }
+
+  return { caMax, examMax, questionCount, questionsToAnswer };
+};
+
+// Effective configuration for a course document, tolerating courses saved before the field existed.
+export const resolveAssessmentConfig = (course) => {
+  const stored = course?.assessment || {};
+  const config = { ...DEFAULT_ASSESSMENT_CONFIG };
+  Object.keys(DEFAULT_ASSESSMENT_CONFIG).forEach((field) => {
+    if (!isBlank(stored[field])) config[field] = Number(stored[field]);
+  });
+  return config;
+};
+
+/**
+ * Checks one result's score components against a course's assessment configuration.
+ * `raw` may hold q1..q8, ca, totalexam and grandtotal as numbers or strings; blanks are skipped.
+ * Returns the parsed values, the exam total (sent, or summed from questions) and any issues
+ * as `{ code, field, message }` so callers can report them per row.
+ */
+export const checkScoreComponents = (raw = {}, config = DEFAULT_ASSESSMENT_CONFIG) => {
+  const issues = [];
+  const flag = (code, field, message) => issues.push({ code, field, message });
+  const values = {};
+
+  [...QUESTION_FIELDS, 'ca', 'totalexam', 'grandtotal'].forEach((field) => {
+    const value = raw[field];
+    if (isBlank(value)) return;
+    const num = Number(value);
+    if (!Number.isFinite(num)) {
+      flag(SCORE_ISSUE_CODES.INVALID_NUMBER, field, `${field} "${value}" is not a number.`);
+      return;
+    }
+    if (num < 0) {
+      flag(SCORE_ISSUE_CODES.NEGATIVE_SCORE, field, `${field} cannot be negative.`);
+      return;
+    }
+    values[field] = num;
+  });
+
+  const provided = QUESTION_FIELDS.filter((field) => values[field] !== undefined);
+  const notSet = provided.filter((field) => QUESTION_FIELDS.indexOf(field) >= config.questionCount);
+  if (notSet.length) {
+    flag(
+      SCORE_ISSUE_CODES.QUESTION_NOT_SET,
+      notSet.join(','),
+      `Only ${config.questionCount} question(s) are set for this course but ${notSet.join(', ')} carry scores.`
+    );
+  }
+
+  // Sheets usually zero-fill unanswered questions, so only non-zero scores count as answered.
+  const answerLimit = config.questionsToAnswer ?? config.questionCount;
+  const answered = provided.filter((field) => values[field] > 0);
+  if (answered.length > answerLimit) {
+    flag(
+      SCORE_ISSUE_CODES.TOO_MANY_QUESTIONS,
+      answered.join(','),
+      `${answered.length} questions answered but candidates may answer at most ${answerLimit}.`
+    );
+  }
+
+  // An all-zero question block is a blank template, not a breakdown that has to match totalexam.
+  const questionSum = provided.reduce((sum, field) => sum + values[field], 0);
+  if (answered.length && values.totalexam !== undefined
+    && Math.abs(questionSum - values.totalexam) > SCORE_SUM_TOLERANCE) {
+    flag(
+      SCORE_ISSUE_CODES.QUESTIONS_EXAM_MISMATCH,
+      'totalexam',
+      `Question scores add up to ${questionSum} but totalexam is ${values.totalexam}.`
+    );
+  }
+
+  const examTotal = values.totalexam ?? (provided.length ? questionSum : undefined);
+
+  if (values.ca !== undefined && values.ca > config.caMax) {
+    flag(SCORE_ISSUE_CODES.CA_EXCEEDS_MAX, 'ca', `CA ${values.ca} exceeds the maximum of ${config.caMax}.`);
+  }
+  if (examTotal !== undefined && examTotal > config.examMax) {
+    flag(SCORE_ISSUE_CODES.EXAM_EXCEEDS_MAX, 'totalexam', `Exam score ${examTotal} exceeds the maximum of ${config.examMax}.`);
+  }
+  const totalMax = config.caMax + config.examMax;
+  if (values.grandtotal !== undefined && values.grandtotal > totalMax) {
+    flag(
+      SCORE_ISSUE_CODES.GRANDTOTAL_EXCEEDS_MAX,
+      'grandtotal',
+      `Grand total ${values.grandtotal} exceeds the maximum of ${totalMax}.`
+    );
+  }
+  if (values.grandtotal !== undefined && values.ca !== undefined && examTotal !== undefined
+    && Math.abs(values.ca + examTotal - values.grandtotal) > SCORE_SUM_TOLERANCE) {
+    flag(
+      SCORE_ISSUE_CODES.TOTAL_MISMATCH,
+      'grandtotal',
+      `CA ${values.ca} + exam ${examTotal} does not equal grand total ${values.grandtotal}.`
+    );
+  }
+
+  return { values, examTotal, issues };
+};
+
+export const describeScoreIssues = (issues = []) => issues.map((issue) => issue.message).join(' ');
@@ -0,0 +1,153 @@
+import mongoose from 'mongoose';
+import AuditLog from '../models/auditLog.js';
+import {
+  AUDIT_ACTION_BY_METHOD,
+  AUDIT_REDACTED_KEY_PATTERN,
+  DEFAULT_AUDIT_SETTINGS,
+} from '../constants/auditDefaults.js';
+
+const REDACTED = '[redacted]';
+
+const isObjectIdLike = (value) =>
+  (typeof value === 'string' && /^[a-f\d]{24}$/i.test(value)) || value instanceof mongoose.Types.ObjectId;
+
+// Bounded, secret-free copy of a request value for the log
+export const summarizeValue = (value, depth = 0) => {
+  const { maxStringLength, maxArrayItems, maxDepth } = DEFAULT_AUDIT_SETTINGS;
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  if (typeof value === 'string') {
+    return value.length > maxStringLength ? `${value.slice(0, maxStringLength)}… (${value.length} chars)` : value;
+  }
+  if (typeof value !== 'object') return value;
+  if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+  if (depth >= maxDepth) return Array.isArray(value) ? `[${value.length} items]` : '[object]';
+  if (Array.isArray(value)) {
+    const items = value.slice(0, maxArrayItems).map((item) => summarizeValue(item, depth + 1));
+    return value.length > maxArrayItems ? [...items, `… ${value.length - maxArrayItems} more`] : items;
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      AUDIT_REDACTED_KEY_PATTERN.test(key) ? REDACTED : summarizeValue(item, depth + 1),
+    ])
+  );
+};
+
+const comparableValue = (value) => JSON.stringify(summarizeValue(value) ?? null);
+
+/**
+ * Field-level changes between two versions of a record, for the fields given (default:
+ * every field either side has). Secret-looking fields are listed without their values.
+ */
+export const buildAuditChanges = (before = {}, after = {}, fields = null) => {
+  const keys = fields || [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  return keys
+    .filter((field) => field !== '_id' && field !== '__v' && field !== 'updatedAt')
+    .filter((field) => comparableValue(before?.[field]) !== comparableValue(after?.[field]))
+    .map((field) => (AUDIT_REDACTED_KEY_PATTERN.test(field)
+      ? { field, before: REDACTED, after: REDACTED }
+      : { field, before: summarizeValue(before?.[field]), after: summarizeValue(after?.[field]) }));
+};
+
+/**
+ * What a controller adds to its request's audit entry: `action` (instead of the one
+ * derived from the route), `targetIds` (e.g. of records it created) and `changes`.
+ */
+export const annotateAudit = (res, { action, targetIds = [], changes = [] } = {}) => {
+  if (!res.locals.audit) return;
+  if (action) res.locals.audit.action = action;
+  res.locals.audit.targetIds.push(...targetIds.filter(Boolean).map(String));
+  res.locals.audit.changes.push(...changes);
+};
+
+// POST to a named sub-route records its last word (/:id/approve -> approve); otherwise the method's
+const deriveAuditAction = (method, routePath) => {
+  const words = String(routePath || '').split('/').filter((segment) => segment && !segment.startsWith(':'));
+  if (method === 'POST' && words.length) return words[words.length - 1];
+  return AUDIT_ACTION_BY_METHOD[method] || method.toLowerCase();
+};
+
+const OBJECT_ID_SEGMENT = /\/[a-f\d]{24}(?=\/|$)/gi;
+
+// Ids in the path and route parameters, and in body fields named like ids (ids, resultId, metricsIds, _id)
+const collectTargetIds = (req, path) => {
+  const ids = new Set();
+  const add = (value) => {
+    if (Array.isArray(value)) value.forEach(add);
+    else if (isObjectIdLike(value)) ids.add(String(value));
+  };
+  (path.match(OBJECT_ID_SEGMENT) || []).forEach((segment) => add(segment.slice(1)));
+  Object.values(req.params || {}).forEach(add);
+  Object.entries(req.body && typeof req.body === 'object' ? req.body : {}).forEach(([key, value]) => {
+    if (key === '_id' || /^ids?$|Ids?$/.test(key)) add(value);
+  });
+  return [...ids];
+};
+
+const describeFiles = (req) =>
+  [...(req.file ? [req.file] : []), ...(Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat())]
+    .map((file) => ({ field: file.fieldname, name: file.originalname, size: file.size, mimeType: file.mimetype }));
+
+/**
+ * Writes the audit entry for a finished request. `audit` is what the auditTrail middleware
+ * gathered in res.locals.audit.
+ */
+export const recordAuditEntry = async (req, res, audit) => {
+  const routePath = req.route?.path && typeof req.route.path === 'string' ? req.route.path : '';
+  const path = String(req.originalUrl || req.url || '').split('?')[0];
+  // Responses sent by the error handler have left their router, losing req.baseUrl
+  const matchedRoute = `${req.baseUrl || ''}${routePath}`;
+  const route = routePath && matchedRoute.startsWith('/api/') ? matchedRoute : path.replace(OBJECT_ID_SEGMENT, '/:id');
+  const statusCode = audit.completed ? res.statusCode : null;
+
+  await AuditLog.create({
+    at: audit.startedAt,
+    user: req.user?.id || null,
+    userEmail: req.user?.email || '',
+    roles: req.user?.roles || [],
+    method: req.method,
+    route,
+    path,
+    resource: path.replace(/^\/api\//, '').split('/')[0] || '',
+    action: audit.action || deriveAuditAction(req.method, routePath),
+    targetIds: [...new Set([...collectTargetIds(req, path), ...audit.targetIds])].slice(0, DEFAULT_AUDIT_SETTINGS.maxTargetIds),
+    request: {
+      params: summarizeValue(req.params || {}),
+      query: summarizeValue(req.query || {}),
+      body: summarizeValue(req.body && typeof req.body === 'object' ? req.body : {}),
+      files: describeFiles(req),
+    },
+    outcome: {
+      statusCode,
+      success: Boolean(statusCode && statusCode < 400),
+      completed: audit.completed,
+      message: statusCode >= 400 ? String(audit.responseMessage || '') : '',
+    },
+    changes: audit.changes,
+    ip: req.ip || req.socket?.remoteAddress || '',
+    userAgent: String(req.get?.('user-agent') || ''),
+    durationMs: Date.now() - audit.startedAt.getTime(),
+  });
+};
+
+export const serializeAuditLog = (entry) => ({
+  id: entry._id,
+  at: entry.at,
+  user: entry.user,
+  userEmail: entry.userEmail,
+  roles: entry.roles,
+  method: entry.method,
+  route: entry.route,
+  path: entry.path,
+  resource: entry.resource,
+  action: entry.action,
+  targetIds: entry.targetIds,
+  request: entry.request,
+  outcome: entry.outcome,
+  changes: entry.changes || [],
+  ip: entry.ip,
+  userAgent: entry.userAgent,
+  durationMs: entry.durationMs,
+});
@@ -0,0 +1,320 @@
+import ExcelJS from 'exceljs';
+import PDFDocument from 'pdfkit';
+import { SEMESTER_LABELS } from '../constants/transcriptDefaults.js';
+import { collectPdf, stampPageFooters } from '../utills/pdfHelpers.js';
+
+const PAGE_MARGIN = 30;
+const FOOTER_HEIGHT = 20;
+const CELL_PADDING = 2;
+const TABLE_FONT_SIZE = 7;
+
+const PAGE_SIZES = [
+  { name: 'A4', width: 841.89 }, // landscape widths
+  { name: 'A3', width: 1190.55 },
+];
+const COURSE_COLUMN_WIDTH = { min: 26, max: 40 };
+
+const fixed2 = (value) => (Number(value) || 0).toFixed(2);
+
+const scoreText = (cell) => {
+  if (!cell) return '-';
+  const score = cell.score === null || cell.score === undefined ? '' : String(cell.score);
+  return `${score} ${cell.grade || ''}`.trim() || '-';
+};
+
+const figure = (group, key) => (row) => {
+  const value = row[group]?.[key];
+  if (value === undefined || value === null) return '';
+  return key.endsWith('GPA') ? fixed2(value) : String(value);
+};
+
+/**
+ * Column layout shared by the PDF and XLSX outputs. `width` is in PDF points; course
+ * columns get theirs once the page size is known.
+ */
+const broadsheetColumns = (data) => [
+  { key: 'sn', label: 'S/N', width: 20, align: 'center', value: (row) => String(row.sn) },
+  { key: 'regNo', label: 'Reg. No.', width: 62, value: (row) => row.regNo },
+  { key: 'name', label: 'Name', width: 100, value: (row) => row.name },
+  ...data.courses.map((course) => ({
+    key: `course:${course.id}`,
+    label: `${course.code} (${course.unit})`,
+    group: 'Approved Courses',
+    course: true,
+    align: 'center',
+    value: (row) => scoreText(row.scores[course.id]),
+  })),
+  {
+    key: 'carryovers',
+    label: 'Carryovers',
+    width: 80,
+    value: (row) => row.carryovers.map((course) => `${course.code} ${scoreText(course)}`).join(', '),
+  },
+  ...['TCC', 'TCE', 'TPE', 'GPA'].map((key) => ({
+    key: `current:${key}`, label: key, group: 'Current', width: 26, align: 'center', value: figure('current', key),
+  })),
+  ...['CCC', 'CCE', 'CPE', 'CGPA'].map((key) => ({
+    key: `previous:${key}`, label: key, group: 'Previous', width: 26, align: 'center', value: figure('previous', key),
+  })),
+  ...['CCC', 'CCE', 'CPE', 'CGPA'].map((key) => ({
+    key: `cumulative:${key}`, label: key, group: 'Cumulative', width: 26, align: 'center', value: figure('cumulative', key),
+  })),
+  { key: 'remarks', label: 'Remarks', width: 110, value: (row) => row.remarks },
+];
+
+const termLine = (data) =>
+  `${data.session} Session - ${SEMESTER_LABELS[data.semester] || `Semester ${data.semester}`} - ${data.level} Level`;
+
+const summaryLines = (data) => {
+  const { summary } = data;
+  const lines = [
+    `Students: ${summary.students}`,
+    `Passed all courses: ${summary.passedAll}`,
+    `With outstanding courses: ${summary.withOutstanding}`,
+  ];
+  if (summary.academicStatus.probation) lines.push(`On probation: ${summary.academicStatus.probation}`);
+  if (summary.academicStatus.withdrawal_advised) lines.push(`Advised to withdraw: ${summary.academicStatus.withdrawal_advised}`);
+  if (summary.metricsMissing) lines.push(`Metrics not computed: ${summary.metricsMissing}`);
+  return lines;
+};
+
+const officerLines = (officer) => [
+  [officer.title, officer.name].filter(Boolean).join(' ') || '(not recorded)',
+  officer.rank,
+  officer.pfNo ? `PF No. ${officer.pfNo}` : '',
+].filter(Boolean);
+
+export const broadsheetFileName = (data, extension) =>
+  `broadsheet-${data.programme.name}-${data.session}-S${data.semester}-${data.level}L.${extension}`
+    .replace(/[^\w.-]+/g, '_');
+
+/**
+ * Landscape PDF of the broadsheet. A4 when the columns fit, A3 otherwise; the table header
+ * repeats on every page and the signature blocks follow the summary.
+ */
+export const renderBroadsheetPdf = async (data) => {
+  const columns = broadsheetColumns(data);
+  const fixedWidth = columns.filter((column) => !column.course).reduce((sum, column) => sum + column.width, 0);
+  const courseCount = data.courses.length;
+
+  const page = PAGE_SIZES.find((size) =>
+    fixedWidth + courseCount * COURSE_COLUMN_WIDTH.min <= size.width - 2 * PAGE_MARGIN
+  ) || PAGE_SIZES[PAGE_SIZES.length - 1];
+  const available = page.width - 2 * PAGE_MARGIN - fixedWidth;
+  // Past what fits on A3 at the minimum width, the course columns are narrowed to fit
+  const courseWidth = courseCount ? Math.min(COURSE_COLUMN_WIDTH.max, available / courseCount) : 0;
+  columns.forEach((column) => {
+    if (column.course) column.width = courseWidth;
+  });
+  const tableWidth = columns.reduce((sum, column) => sum + column.width, 0);
+
+  const doc = new PDFDocument({ size: page.name, layout: 'landscape', margin: PAGE_MARGIN, bufferPages: true });
+  const output = collectPdf(doc);
+  doc.info.Title = `Broadsheet - ${data.programme.name} - ${termLine(data)}`;
+
+  const left = PAGE_MARGIN;
+  const width = doc.page.width - 2 * PAGE_MARGIN;
+  const bottom = () => doc.page.height - PAGE_MARGIN - FOOTER_HEIGHT;
+
+  const cellHeight = (text, column) =>
+    doc.heightOfString(text, { width: column.width - 2 * CELL_PADDING });
+
+  const drawCells = (texts, { bold = false } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(TABLE_FONT_SIZE);
+    const height = Math.max(...columns.map((column, i) => cellHeight(texts[i], column))) + 2 * CELL_PADDING;
+    const y = doc.y;
+    let x = left;
+    columns.forEach((column, i) => {
+      doc.rect(x, y, column.width, height).lineWidth(0.4).stroke();
+      doc.text(texts[i], x + CELL_PADDING, y + CELL_PADDING, {
+        width: column.width - 2 * CELL_PADDING,
+        align: column.align || 'left',
+      });
+      x += column.width;
+    });
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  const rowHeight = (texts) => {
+    doc.font('Helvetica').fontSize(TABLE_FONT_SIZE);
+    return Math.max(...columns.map((column, i) => cellHeight(texts[i], column))) + 2 * CELL_PADDING;
+  };
+
+  // Group labels over their run of columns, then the column labels
+  const drawTableHeader = () => {
+    const y = doc.y;
+    const height = 12;
+    doc.font('Helvetica-Bold').fontSize(TABLE_FONT_SIZE);
+    let x = left;
+    let index = 0;
+    while (index < columns.length) {
+      const { group } = columns[index];
+      let span = 0;
+      let end = index;
+      while (end < columns.length && columns[end].group === group) {
+        span += columns[end].width;
+        end += 1;
+      }
+      if (group) {
+        doc.rect(x, y, span, height).lineWidth(0.4).stroke();
+        doc.text(group, x, y + 3, { width: span, align: 'center' });
+      }
+      x += span;
+      index = end;
+    }
+    doc.y = y + height;
+    drawCells(columns.map((column) => column.label), { bold: true });
+  };
+
+  const drawPageHeading = () => {
+    doc.font('Helvetica-Bold').fontSize(12).text('SENATE BROADSHEET (MASTER MARK SHEET)', left, PAGE_MARGIN, { width, align: 'center' });
+    doc.font('Helvetica').fontSize(9);
+    doc.text([data.college, data.department].filter(Boolean).join(' - '), { width, align: 'center' });
+    doc.text(`${data.programme.name} - ${termLine(data)}`, { width, align: 'center' });
+    doc.moveDown(0.5);
+    drawTableHeader();
+  };
+
+  drawPageHeading();
+  if (!data.students.length) {
+    doc.font('Helvetica-Oblique').fontSize(9).text('No registered students found for this programme and term.', left, doc.y + 6);
+  }
+  data.students.forEach((row) => {
+    const texts = columns.map((column) => column.value(row) || '');
+    if (doc.y + rowHeight(texts) > bottom()) {
+      doc.addPage();
+      drawPageHeading();
+    }
+    drawCells(texts);
+  });
+
+  // --- Summary and signatures -------------------------------------------------
+  const blockHeight = 110;
+  if (doc.y + blockHeight > bottom()) {
+    doc.addPage();
+  } else {
+    doc.moveDown();
+  }
+  doc.font('Helvetica').fontSize(8).text(summaryLines(data).join('    '), left, doc.y, { width });
+  doc.moveDown(2);
+
+  const signatureTop = doc.y;
+  const blockWidth = Math.min(220, tableWidth / data.officers.length);
+  const gap = data.officers.length > 1
+    ? (Math.min(tableWidth, width) - blockWidth * data.officers.length) / (data.officers.length - 1)
+    : 0;
+  data.officers.forEach((officer, index) => {
+    const x = left + index * (blockWidth + gap);
+    doc.moveTo(x, signatureTop + 25).lineTo(x + blockWidth - 10, signatureTop + 25).lineWidth(0.5).stroke();
+    doc.font('Helvetica').fontSize(7).text('Signature / Date', x, signatureTop + 28, { width: blockWidth - 10 });
+    doc.font('Helvetica-Bold').fontSize(8).text(officer.role, x, signatureTop + 40, { width: blockWidth - 10 });
+    doc.font('Helvetica').fontSize(8);
+    officerLines(officer).forEach((line) => doc.text(line, { width: blockWidth - 10 }));
+  });
+
+  const generated = data.generatedAt.toISOString().slice(0, 16).replace('T', ' ');
+  stampPageFooters(
+    doc,
+    (pageNumber, count) => `${data.programme.name} - ${termLine(data)}    Generated ${generated}    Page ${pageNumber} of ${count}`,
+    { margin: PAGE_MARGIN, fontSize: 7 }
+  );
+
+  doc.end();
+  return output;
+};
+
+/**
+ * The same broadsheet as an XLSX workbook: one sheet, grouped header rows, a row per
+ * student, then the summary and signature blocks. Resolves to a Buffer.
+ */
+export const renderBroadsheetXlsx = async (data) => {
+  const columns = broadsheetColumns(data);
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = data.generatedAt;
+  const sheet = workbook.addWorksheet('Broadsheet', {
+    pageSetup: { orientation: 'landscape', fitToPage: true, fitToWidth: 1, fitToHeight: 0 },
+  });
+
+  const lastColumn = columns.length;
+  const titleRows = [
+    'SENATE BROADSHEET (MASTER MARK SHEET)',
+    [data.college, data.department].filter(Boolean).join(' - '),
+    `${data.programme.name} - ${termLine(data)}`,
+  ];
+  titleRows.forEach((text, index) => {
+    const row = sheet.getRow(index + 1);
+    row.getCell(1).value = text;
+    row.getCell(1).font = { bold: index === 0, size: index === 0 ? 14 : 11 };
+    row.getCell(1).alignment = { horizontal: 'center' };
+    sheet.mergeCells(index + 1, 1, index + 1, lastColumn);
+  });
+
+  const border = { top: { style: 'thin' }, left: { style: 'thin' }, bottom: { style: 'thin' }, right: { style: 'thin' } };
+  const groupRowNumber = titleRows.length + 2;
+  const headerRowNumber = groupRowNumber + 1;
+
+  let index = 0;
+  while (index < columns.length) {
+    const { group } = columns[index];
+    let end = index;
+    while (end + 1 < columns.length && columns[end + 1].group === group) end += 1;
+    if (group) {
+      const cell = sheet.getCell(groupRowNumber, index + 1);
+      cell.value = group;
+      cell.font = { bold: true };
+      cell.alignment = { horizontal: 'center' };
+      if (end > index) sheet.mergeCells(groupRowNumber, index + 1, groupRowNumber, end + 1);
+      cell.border = border;
+    }
+    index = end + 1;
+  }
+
+  const headerRow = sheet.getRow(headerRowNumber);
+  columns.forEach((column, i) => {
+    const cell = headerRow.getCell(i + 1);
+    cell.value = column.label;
+    cell.font = { bold: true };
+    cell.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
+    cell.border = border;
+    sheet.getColumn(i + 1).width = column.course ? 10 : Math.max(6, Math.round(column.width / 5));
+  });
+  sheet.views = [{ state: 'frozen', xSplit: 3, ySplit: headerRowNumber }];
+
+  data.students.forEach((student) => {
+    const row = sheet.addRow(columns.map((column) => column.value(student) || ''));
+    row.eachCell({ includeEmpty: true }, (cell, columnNumber) => {
+      cell.border = border;
+      cell.alignment = {
+        horizontal: columns[columnNumber - 1]?.align === 'center' ? 'center' : 'left',
+        vertical: 'top',
+        wrapText: true,
+      };
+    });
+  });
+
+  sheet.addRow([]);
+  summaryLines(data).forEach((line) => sheet.addRow([line]));
+  sheet.addRow([]);
+  sheet.addRow([]);
+
+  // Signature blocks side by side, each over a run of columns
+  const span = Math.max(1, Math.floor(lastColumn / data.officers.length));
+  const blockLines = data.officers.map((officer) => [
+    '______________________________',
+    'Signature / Date',
+    officer.role,
+    ...officerLines(officer),
+  ]);
+  const lineCount = Math.max(...blockLines.map((lines) => lines.length));
+  for (let line = 0; line < lineCount; line += 1) {
+    const row = sheet.addRow([]);
+    blockLines.forEach((lines, officerIndex) => {
+      const cell = row.getCell(officerIndex * span + 1);
+      cell.value = lines[line] || '';
+      if (line === 2) cell.font = { bold: true };
+    });
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
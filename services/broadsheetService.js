@@ -0,0 +1,198 @@
+import AcademicMetrics from '../models/academicMetrics.js';
+import ApprovedCourses from '../models/approvedCourses.js';
+import Course from '../models/course.js';
+import CourseRegistration from '../models/courseRegistration.js';
+import Programme from '../models/programme.js';
+import Result from '../models/result.js';
+import Session from '../models/session.js';
+import Student from '../models/student.js';
+import { ensureUserCanAccessDepartment } from './accessControl.js';
+import { loadAcademicStatusMap } from './academicStatusService.js';
+import { findOutstandingCourses } from './outstandingCoursesService.js';
+import { BROADSHEET_SIGNATORIES } from '../constants/broadsheetDefaults.js';
+
+const httpError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const studentName = (student) =>
+  [student?.surname, student?.firstname, student?.middlename].filter(Boolean).join(' ');
+
+const courseSummary = (course) => ({
+  id: String(course._id),
+  code: course.code || '',
+  title: course.title || '',
+  unit: Number(course.unit) || 0,
+});
+
+const pickFigures = (source, keys) => (source
+  ? Object.fromEntries(keys.map((key) => [key, Number(source[key] || 0)]))
+  : null);
+
+/**
+ * The senate broadsheet for one programme's students in a term: a column per approved
+ * course, anything else they took this term as carryovers, the term, previous and
+ * cumulative figures from AcademicMetrics, and remarks (outstanding courses, academic
+ * status). Signature blocks come from the session's principal officers.
+ */
+export const buildBroadsheet = async ({ session, semester, level, programmeId, user }) => {
+  const sem = Number(semester);
+  const lvlNum = Number(level);
+  const lvlStr = String(lvlNum);
+
+  const programme = await Programme.findById(programmeId)
+    .populate('department', 'name')
+    .populate('college', 'name')
+    .lean();
+  if (!programme) {
+    throw httpError('Programme not found.', 404);
+  }
+  ensureUserCanAccessDepartment(user, programme.department?._id, programme.college?._id);
+
+  const approved = await ApprovedCourses.findOne({ programme: programme._id, session, semester: sem, level: lvlNum })
+    .populate('courses', 'code title unit')
+    .lean();
+  if (!approved?.courses?.length) {
+    throw httpError('No approved courses have been set for this programme, session, semester and level.', 404);
+  }
+  const courses = approved.courses.map(courseSummary).sort((a, b) => a.code.localeCompare(b.code));
+  const approvedIds = new Set(courses.map((course) => course.id));
+
+  const registrations = await CourseRegistration.aggregate([
+    { $match: { session, semester: sem, level: lvlStr } },
+    { $unwind: '$student' },
+    { $group: { _id: '$student', courses: { $addToSet: '$course' } } },
+  ]);
+  const regByStudent = new Map(registrations.map((row) => [String(row._id), new Set(row.courses.map(String))]));
+
+  const students = await Student.find({ _id: { $in: [...regByStudent.keys()] }, programme: programme._id })
+    .select('surname firstname middlename regNo standing status programme')
+    .lean();
+  const studentIds = students.map((student) => student._id);
+
+  const [termResults, metricsDocs, statusByStudent, sessionDoc] = await Promise.all([
+    Result.find({ student: { $in: studentIds }, session, semester: sem, level: lvlStr })
+      .select('student course grandtotal grade resultType')
+      .lean(),
+    AcademicMetrics.find({ student: { $in: studentIds }, session, semester: sem, level: lvlNum })
+      .select('student TCC TCE TPE GPA CCC CCE CPE CGPA previousMetrics')
+      .lean(),
+    loadAcademicStatusMap(studentIds, session),
+    Session.findOne({ sessionTitle: session, department: programme.department?._id })
+      .select('principalOfficers')
+      .lean(),
+  ]);
+
+  const resultByKey = new Map(termResults.map((result) => [`${result.student}|${result.course}`, result]));
+  const resultCoursesByStudent = new Map(); // sid -> Set(courseId)
+  termResults.forEach((result) => {
+    const sid = String(result.student);
+    if (!resultCoursesByStudent.has(sid)) resultCoursesByStudent.set(sid, new Set());
+    resultCoursesByStudent.get(sid).add(String(result.course));
+  });
+  const metricsByStudent = new Map(metricsDocs.map((doc) => [String(doc.student), doc]));
+
+  // Courses taken this term outside the approved list
+  const extraIds = new Set();
+  students.forEach((student) => {
+    (regByStudent.get(String(student._id)) || new Set()).forEach((cid) => {
+      if (!approvedIds.has(cid)) extraIds.add(cid);
+    });
+  });
+  termResults.forEach((result) => {
+    if (!approvedIds.has(String(result.course))) extraIds.add(String(result.course));
+  });
+  const extraCourses = extraIds.size
+    ? new Map((await Course.find({ _id: { $in: [...extraIds] } }).select('code title unit').lean())
+      .map((course) => [String(course._id), courseSummary(course)]))
+    : new Map();
+
+  const unscored = students.flatMap((student) => {
+    const sid = String(student._id);
+    return [...(regByStudent.get(sid) || [])]
+      .filter((cid) => !resultByKey.has(`${sid}|${cid}`))
+      .map((cid) => ({ student: sid, course: cid, session, semester: sem }));
+  });
+  const outstandingByStudent = await findOutstandingCourses({ students, session, semester: sem, unscored });
+
+  const summary = {
+    students: students.length,
+    passedAll: 0,
+    withOutstanding: 0,
+    metricsMissing: 0,
+    academicStatus: {},
+  };
+
+  const rows = students.map((student, index) => {
+    const sid = String(student._id);
+    const registered = regByStudent.get(sid) || new Set();
+
+    // null: not registered and no score; a registered course without a score is shown as 0 F
+    const cell = (cid) => {
+      const result = resultByKey.get(`${sid}|${cid}`);
+      if (result) return { score: result.grandtotal ?? null, grade: result.grade || '', carryover: result.resultType === 'CARRYOVER' };
+      if (registered.has(cid)) return { score: 0, grade: 'F', missing: true };
+      return null;
+    };
+
+    const scores = Object.fromEntries(courses.map((course) => [course.id, cell(course.id)]));
+    const carryovers = [...new Set([...registered, ...(resultCoursesByStudent.get(sid) || [])])]
+      .filter((cid) => !approvedIds.has(cid))
+      .map((cid) => ({ ...(extraCourses.get(cid) || { id: cid, code: '', title: '', unit: 0 }), ...cell(cid) }))
+      .sort((a, b) => a.code.localeCompare(b.code));
+
+    const metrics = metricsByStudent.get(sid);
+    const outstanding = outstandingByStudent.get(sid) || [];
+    const academicStatus = statusByStudent.get(sid) || null;
+
+    const remarks = [];
+    if (outstanding.length) remarks.push(`Outstanding: ${outstanding.join(', ')}`);
+    if (academicStatus && academicStatus.status !== 'good_standing') remarks.push(academicStatus.label);
+    if (!metrics) remarks.push('Metrics not computed');
+    if (!remarks.length) remarks.push('Pass');
+
+    if (outstanding.length) summary.withOutstanding += 1;
+    else summary.passedAll += 1;
+    if (!metrics) summary.metricsMissing += 1;
+    if (academicStatus) {
+      summary.academicStatus[academicStatus.status] = (summary.academicStatus[academicStatus.status] || 0) + 1;
+    }
+
+    return {
+      sn: index + 1,
+      id: sid,
+      regNo: student.regNo,
+      name: studentName(student),
+      standing: student.standing || 'goodstanding',
+      scores,
+      carryovers,
+      current: pickFigures(metrics, ['TCC', 'TCE', 'TPE', 'GPA']),
+      previous: metrics ? pickFigures(metrics.previousMetrics || {}, ['CCC', 'CCE', 'CPE', 'CGPA']) : null,
+      cumulative: pickFigures(metrics, ['CCC', 'CCE', 'CPE', 'CGPA']),
+      outstanding,
+      academicStatus,
+      remarks: remarks.join('; '),
+    };
+  });
+
+  const principalOfficers = sessionDoc?.principalOfficers || {};
+  const officers = BROADSHEET_SIGNATORIES.map(({ key, role }) => ({
+    role,
+    name: principalOfficers[key]?.name || '',
+    title: principalOfficers[key]?.title || '',
+    rank: principalOfficers[key]?.rank || '',
+    pfNo: principalOfficers[key]?.pfNo || '',
+  }));
+
+  return {
+    session,
+    semester: sem,
+    level: lvlNum,
+    programme: { id: String(programme._id), name: programme.name, degreeType: programme.degreeType },
+    department: programme.department?.name || '',
+    college: programme.college?.name || '',
+    courses,
+    students: rows,
+    summary,
+    officers,
+    generatedAt: new Date(),
+  };
+};
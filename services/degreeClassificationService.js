@@ -0,0 +1,183 @@
+import mongoose from 'mongoose';
+import DegreeClassScheme from '../models/degreeClassScheme.js';
+import {
+  DEGREE_CLASS_CODES,
+  DEGREE_CLASS_LABELS,
+  CGPA_ROUNDING_MODES,
+  BORDERLINE_ACTIONS,
+  DEFAULT_DEGREE_CLASS_SCHEME,
+} from '../constants/degreeClassDefaults.js';
+import { pickEffectiveForSession } from '../utills/sessionOrder.js';
+
+const httpError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const toIdString = (value) => {
+  if (!value) return '';
+  if (typeof value === 'object' && value._id) return String(value._id);
+  return String(value);
+};
+
+/**
+ * Validates raw band input and returns the bands ordered from the best class down.
+ * A better class must always require a strictly higher CGPA than a lower one.
+ */
+export const normalizeDegreeClassBands = (rawBands) => {
+  if (!Array.isArray(rawBands) || !rawBands.length) {
+    throw httpError('At least one class band is required.');
+  }
+
+  const seen = new Set();
+  const bands = rawBands.map((band, index) => {
+    const code = String(band?.code || '').trim().toUpperCase();
+    const minCGPA = Number(band?.minCGPA);
+
+    if (!DEGREE_CLASS_CODES.includes(code)) {
+      throw httpError(`Band ${index + 1}: code must be one of ${DEGREE_CLASS_CODES.join(', ')}.`);
+    }
+    if (seen.has(code)) {
+      throw httpError(`Class ${code} appears in more than one band.`);
+    }
+    seen.add(code);
+    if (!Number.isFinite(minCGPA) || minCGPA < 0 || minCGPA > 5) {
+      throw httpError(`Band ${code}: minCGPA must be between 0 and 5.`);
+    }
+
+    const label = String(band?.label || '').trim() || DEGREE_CLASS_LABELS[code];
+    return { code, label, minCGPA };
+  });
+
+  bands.sort((a, b) => DEGREE_CLASS_CODES.indexOf(a.code) - DEGREE_CLASS_CODES.indexOf(b.code));
+  for (let i = 1; i < bands.length; i += 1) {
+    if (bands[i].minCGPA >= bands[i - 1].minCGPA) {
+      throw httpError(`${bands[i - 1].label} must require a higher CGPA than ${bands[i].label}.`);
+    }
+  }
+
+  return bands;
+};
+
+export const normalizeRoundingRule = (raw = {}) => {
+  const mode = String(raw?.mode || DEFAULT_DEGREE_CLASS_SCHEME.rounding.mode).trim().toLowerCase();
+  const decimals = raw?.decimals === undefined ? DEFAULT_DEGREE_CLASS_SCHEME.rounding.decimals : Number(raw.decimals);
+  if (!CGPA_ROUNDING_MODES.includes(mode)) {
+    throw httpError(`rounding.mode must be one of ${CGPA_ROUNDING_MODES.join(', ')}.`);
+  }
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > 4) {
+    throw httpError('rounding.decimals must be a whole number between 0 and 4.');
+  }
+  return { mode, decimals };
+};
+
+export const normalizeBorderlineRule = (raw = {}) => {
+  const margin = raw?.margin === undefined ? 0 : Number(raw.margin);
+  const action = String(raw?.action || 'flag').trim().toLowerCase();
+  if (!Number.isFinite(margin) || margin < 0 || margin > 1) {
+    throw httpError('borderline.margin must be between 0 and 1.');
+  }
+  if (!BORDERLINE_ACTIONS.includes(action)) {
+    throw httpError(`borderline.action must be one of ${BORDERLINE_ACTIONS.join(', ')}.`);
+  }
+  return { margin, action };
+};
+
+// Stored CGPA is already rounded to 2dp, so prefer CPE/CCC when the totals are available.
+export const rawCgpaFromMetrics = (metrics) => {
+  const ccc = Number(metrics?.CCC) || 0;
+  const cpe = Number(metrics?.CPE) || 0;
+  if (ccc > 0) return cpe / ccc;
+  return Number(metrics?.CGPA) || 0;
+};
+
+export const applyCgpaRounding = (value, rounding = DEFAULT_DEGREE_CLASS_SCHEME.rounding) => {
+  const factor = 10 ** (Number.isInteger(rounding?.decimals) ? rounding.decimals : 2);
+  const n = Number(value) || 0;
+  // The epsilon keeps values like 4.4999999999 (from float division) on the intended side.
+  const scaled = rounding?.mode === 'truncate' ? Math.floor(n * factor + 1e-9) : Math.round(n * factor + 1e-9);
+  return scaled / factor;
+};
+
+/**
+ * Classifies a final CGPA under the given scheme. `borderline` is populated when the
+ * rounded CGPA is within the scheme's margin below the next class up; with the
+ * "upgrade" action that next class is awarded, otherwise the case is only flagged.
+ */
+export const classifyCGPA = (rawCGPA, scheme = DEFAULT_DEGREE_CLASS_SCHEME) => {
+  const bands = [...(scheme?.bands?.length ? scheme.bands : DEFAULT_DEGREE_CLASS_SCHEME.bands)]
+    .sort((a, b) => b.minCGPA - a.minCGPA);
+  const rounding = scheme?.rounding || DEFAULT_DEGREE_CLASS_SCHEME.rounding;
+  const margin = Number(scheme?.borderline?.margin) || 0;
+  const action = scheme?.borderline?.action || 'flag';
+
+  const cgpa = applyCgpaRounding(rawCGPA, rounding);
+  let index = bands.findIndex((band) => cgpa >= band.minCGPA);
+  if (index === -1) index = bands.length;
+
+  let borderline = null;
+  const nextUp = index > 0 ? bands[index - 1] : null;
+  if (nextUp && margin > 0) {
+    const gap = Number((nextUp.minCGPA - cgpa).toFixed(4));
+    if (gap > 0 && gap <= margin) {
+      borderline = {
+        nextClass: nextUp.code,
+        nextClassLabel: nextUp.label,
+        gap,
+        upgraded: action === 'upgrade',
+      };
+      if (action === 'upgrade') index -= 1;
+    }
+  }
+
+  const band = bands[index] || null;
+  return {
+    code: band?.code || null,
+    label: band?.label || 'Unclassified',
+    rawCGPA: Number((Number(rawCGPA) || 0).toFixed(4)),
+    cgpa,
+    borderline,
+  };
+};
+
+const toPlainScheme = (doc) => ({
+  _id: doc._id,
+  name: doc.name,
+  programme: doc.programme,
+  effectiveFromSession: doc.effectiveFromSession,
+  bands: doc.bands,
+  rounding: {
+    mode: doc.rounding?.mode || DEFAULT_DEGREE_CLASS_SCHEME.rounding.mode,
+    decimals: Number.isInteger(doc.rounding?.decimals) ? doc.rounding.decimals : DEFAULT_DEGREE_CLASS_SCHEME.rounding.decimals,
+  },
+  borderline: {
+    margin: Number(doc.borderline?.margin) || 0,
+    action: doc.borderline?.action || 'flag',
+  },
+  isDefault: false,
+});
+
+// Per-request resolver, keyed by programme, mirroring createGradingSchemeResolver.
+export const createDegreeClassResolver = () => {
+  const schemesByProgramme = new Map(); // programmeId -> Promise<[scheme]>
+
+  const forProgramme = async (programme, session) => {
+    const programmeId = toIdString(programme);
+    if (!programmeId || !mongoose.Types.ObjectId.isValid(programmeId)) {
+      return DEFAULT_DEGREE_CLASS_SCHEME;
+    }
+    if (!schemesByProgramme.has(programmeId)) {
+      schemesByProgramme.set(
+        programmeId,
+        DegreeClassScheme.find({ programme: programmeId })
+          .select('name programme effectiveFromSession bands rounding borderline')
+          .lean()
+      );
+    }
+    const schemes = await schemesByProgramme.get(programmeId);
+    const match = pickEffectiveForSession(schemes, session);
+    return match ? toPlainScheme(match) : DEFAULT_DEGREE_CLASS_SCHEME;
+  };
+
+  return { forProgramme };
+};
+
+export const resolveDegreeClassScheme = (programme, session) =>
+  createDegreeClassResolver().forProgramme(programme, session);
@@ -0,0 +1,194 @@
+import EmailMessage from '../models/emailMessage.js';
+import User from '../models/user.js';
+import { emailSender, getEmailTransport } from './emailTransportService.js';
+import { renderEmailTemplate } from './emailTemplateService.js';
+import { DEFAULT_EMAIL_SETTINGS, EMAIL_OPTIONAL_CATEGORIES } from '../constants/emailDefaults.js';
+
+const httpError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const displayName = (user) =>
+  [user?.title, user?.surname, user?.firstname].filter(Boolean).join(' ').trim();
+
+/**
+ * Renders template `name` for `user` (a User with email, names and emailOptOut) and puts
+ * it in the outbox. A user who opted out of the template's category, or has no address,
+ * gets a `skipped` entry instead so the outbox still shows what was not sent.
+ */
+export const queueEmail = async (user, name, data = {}) => {
+  const rendered = renderEmailTemplate(name, data, { recipientName: displayName(user) });
+  let skipReason = '';
+  if (!user?.email) {
+    skipReason = 'The recipient has no email address.';
+  } else if (EMAIL_OPTIONAL_CATEGORIES.includes(rendered.category) && (user.emailOptOut || []).includes(rendered.category)) {
+    skipReason = `The recipient opted out of ${rendered.category} emails.`;
+  }
+
+  const message = await EmailMessage.create({
+    to: user?.email || '',
+    recipient: user?._id,
+    template: name,
+    ...rendered,
+    ...(skipReason ? { status: 'skipped', skipReason, finishedAt: new Date() } : {}),
+  });
+  if (!skipReason) wakeEmailWorker();
+  return message;
+};
+
+/**
+ * queueEmail for each active user in `userIds`. Failures are logged, never thrown, so an
+ * email can never undo the action it reports.
+ */
+export const emailUsers = async (userIds, name, data = {}) => {
+  const ids = [...new Set(userIds.filter(Boolean).map(String))];
+  if (!ids.length) return;
+  try {
+    const users = await User.find({ _id: { $in: ids }, status: 'active' })
+      .select('email title surname firstname emailOptOut')
+      .lean();
+    for (const user of users) {
+      await queueEmail(user, name, data);
+    }
+  } catch (err) {
+    console.error(`Unable to queue ${name} emails:`, err);
+  }
+};
+
+const retryDelay = (attempts) => DEFAULT_EMAIL_SETTINGS.retryBaseDelayMs * 2 ** Math.max(0, attempts - 1);
+
+// One attempt at a claimed message; the outcome goes on its delivery log
+const deliver = async (message) => {
+  let transport = null;
+  try {
+    transport = getEmailTransport();
+    const { messageId } = await transport.send({
+      from: emailSender(),
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html || undefined,
+    });
+    const now = new Date();
+    await EmailMessage.updateOne(
+      { _id: message._id, status: 'sending' },
+      {
+        $set: { status: 'sent', sentAt: now, finishedAt: now, claimedAt: null, lastError: null },
+        $push: { deliveryLog: { at: now, attempt: message.attempts, transport: transport.name, ok: true, detail: messageId || '' } },
+      }
+    );
+  } catch (err) {
+    const now = new Date();
+    const exhausted = message.attempts >= message.maxAttempts;
+    await EmailMessage.updateOne(
+      { _id: message._id, status: 'sending' },
+      {
+        $set: {
+          status: exhausted ? 'failed' : 'queued',
+          claimedAt: null,
+          lastError: err.message,
+          ...(exhausted
+            ? { finishedAt: now }
+            : { nextAttemptAt: new Date(now.getTime() + retryDelay(message.attempts)) }),
+        },
+        $push: { deliveryLog: { at: now, attempt: message.attempts, transport: transport?.name || '', ok: false, detail: err.message } },
+      }
+    );
+  }
+};
+
+const claimNextEmail = () => EmailMessage.findOneAndUpdate(
+  { status: 'queued', nextAttemptAt: { $lte: new Date() } },
+  { $set: { status: 'sending', claimedAt: new Date() }, $inc: { attempts: 1 } },
+  { sort: { nextAttemptAt: 1 }, new: true }
+);
+
+/**
+ * Sends up to one batch of due messages, after putting back any left `sending` by a
+ * worker that died mid-send. Resolves to the number of messages attempted.
+ */
+export const sendDueEmails = async () => {
+  await EmailMessage.updateMany(
+    { status: 'sending', claimedAt: { $lt: new Date(Date.now() - DEFAULT_EMAIL_SETTINGS.staleSendingMs) } },
+    { $set: { status: 'queued', claimedAt: null } }
+  );
+  let attempted = 0;
+  while (attempted < DEFAULT_EMAIL_SETTINGS.batchSize) {
+    const message = await claimNextEmail();
+    if (!message) break;
+    await deliver(message);
+    attempted += 1;
+  }
+  return attempted;
+};
+
+// One pass at a time per process, like the job worker
+let workerStarted = false;
+let workerBusy = false;
+let workerTimer = null;
+
+const scheduleWorker = (delay = DEFAULT_EMAIL_SETTINGS.pollIntervalMs) => {
+  clearTimeout(workerTimer);
+  workerTimer = setTimeout(workerTick, delay);
+  workerTimer.unref?.();
+};
+
+async function workerTick() {
+  if (workerBusy) return;
+  workerBusy = true;
+  let attempted = 0;
+  try {
+    attempted = await sendDueEmails();
+  } catch (err) {
+    console.error('Email outbox worker error:', err);
+  } finally {
+    workerBusy = false;
+    // A full batch means more may be due; otherwise wait for the next poll
+    scheduleWorker(attempted >= DEFAULT_EMAIL_SETTINGS.batchSize ? 0 : undefined);
+  }
+}
+
+export function wakeEmailWorker() {
+  if (workerStarted && !workerBusy) scheduleWorker(0);
+}
+
+// Called once the database connection is open
+export const startEmailWorker = () => {
+  if (workerStarted) return;
+  workerStarted = true;
+  scheduleWorker(0);
+};
+
+// Gives a failed message one more attempt
+export const retryEmail = async (id) => {
+  const message = await EmailMessage.findById(id);
+  if (!message) {
+    throw httpError('Email not found.', 404);
+  }
+  if (message.status !== 'failed') {
+    throw httpError(`Only failed emails can be retried; this one is ${message.status}.`, 409);
+  }
+  message.status = 'queued';
+  message.maxAttempts = message.attempts + 1;
+  message.nextAttemptAt = new Date();
+  message.finishedAt = null;
+  await message.save();
+  wakeEmailWorker();
+  return message;
+};
+
+export const serializeEmail = (message, { detailed = false } = {}) => ({
+  id: message._id,
+  to: message.to,
+  recipient: message.recipient || null,
+  template: message.template,
+  category: message.category,
+  subject: message.subject,
+  status: message.status,
+  skipReason: message.skipReason || '',
+  attempts: message.attempts,
+  maxAttempts: message.maxAttempts,
+  nextAttemptAt: message.status === 'queued' ? message.nextAttemptAt : null,
+  lastError: message.lastError || null,
+  sentAt: message.sentAt || null,
+  createdAt: message.createdAt,
+  ...(detailed ? { text: message.text, deliveryLog: message.deliveryLog || [] } : {}),
+});
@@ -0,0 +1,72 @@
+import { EMAIL_OPTIONAL_CATEGORIES } from '../constants/emailDefaults.js';
+
+/*
+ * Each template has a category (for opt-outs), a subject and the body paragraphs, all
+ * built from the data the sender passes. Plain text and HTML are rendered from the same
+ * paragraphs.
+ */
+const EMAIL_TEMPLATES = {
+  approval_pending: {
+    category: 'approval',
+    subject: (data) => `Results awaiting your approval: ${data.termLabel}`,
+    paragraphs: (data) => [
+      `Records for ${data.termLabel} have passed the ${data.previousStageLabel} and are waiting for the ${data.stageLabel}.`,
+      'Open the pending approvals page to review them.',
+    ],
+  },
+  approval_rejected: {
+    category: 'approval',
+    subject: (data) => `Results sent back by the ${data.stageLabel}: ${data.regNo}`,
+    paragraphs: (data) => [
+      `The ${data.stageLabel} rejected the results of ${data.regNo} for ${data.termLabel} and sent them back for correction.`,
+      `Reason: ${data.reason}`,
+    ],
+  },
+  result_amended: {
+    category: 'amendment',
+    subject: (data) => `A result you approved was amended: ${data.regNo} ${data.courseCode}`,
+    paragraphs: (data) => [
+      `The ${data.courseCode} result of ${data.regNo} for ${data.termLabel} was ${data.action === 'delete' ? 'deleted' : 'amended'} on the authority of the ${data.authority}.`,
+      `Reason: ${data.reason}`,
+      'The approvals on the affected terms have been cleared and the records need approving again.',
+    ],
+  },
+  password_reset: {
+    category: 'account',
+    subject: () => 'Reset your password',
+    paragraphs: (data) => [
+      'Someone asked to reset the password of your account. If it was you, open the link below to choose a new one.',
+      data.resetUrl,
+      `The link works once and expires in ${data.expiresInMinutes} minutes. If you did not ask for this, ignore this email.`,
+    ],
+  },
+};
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+export const findEmailTemplate = (name) => EMAIL_TEMPLATES[name] || null;
+
+/**
+ * Renders template `name` for one recipient. Resolves to { category, subject, text, html }.
+ */
+export const renderEmailTemplate = (name, data = {}, { recipientName = '' } = {}) => {
+  const template = findEmailTemplate(name);
+  if (!template) {
+    throw new Error(`Unknown email template "${name}".`);
+  }
+  const paragraphs = [
+    recipientName ? `Dear ${recipientName},` : 'Hello,',
+    ...template.paragraphs(data),
+  ];
+  const footer = EMAIL_OPTIONAL_CATEGORIES.includes(template.category)
+    ? 'You can turn these emails off in your email preferences.'
+    : '';
+  const all = footer ? [...paragraphs, footer] : paragraphs;
+  return {
+    category: template.category,
+    subject: template.subject(data),
+    text: all.join('\n\n'),
+    html: all.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`).join('\n'),
+  };
+};
@@ -0,0 +1,91 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import nodemailer from 'nodemailer';
+import { EMAIL_TRANSPORTS } from '../constants/emailDefaults.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+// Where the file transport drops messages; under storage/, which is never served
+const DEFAULT_MAIL_DIR = path.join('storage', 'mail');
+
+/*
+ * A transport is { name, send(message) } where message is { from, to, subject, text, html }
+ * and send resolves to { messageId } or throws. EMAIL_TRANSPORT picks one (smtp, file,
+ * console); without it SMTP is used when SMTP_HOST is set. The file and console transports
+ * write message bodies (password reset links included) where others can read them, so they
+ * are only ever used when asked for by name.
+ */
+
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: String(process.env.SMTP_SECURE || '').toLowerCase() === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+// Writes each message as an .eml file, for local testing without a mail server
+const createFileTransport = () => {
+  const builder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  const dir = path.resolve(PROJECT_ROOT, process.env.EMAIL_FILE_DIR || DEFAULT_MAIL_DIR);
+  return {
+    name: 'file',
+    async send(message) {
+      const info = await builder.sendMail(message);
+      await fs.mkdir(dir, { recursive: true });
+      const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+      await fs.writeFile(path.join(dir, fileName), info.message);
+      return { messageId: fileName };
+    },
+  };
+};
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  async send(message) {
+    console.log(`[email] To: ${message.to}\n[email] Subject: ${message.subject}\n${message.text}`);
+    return { messageId: `console-${Date.now()}` };
+  },
+});
+
+const TRANSPORT_FACTORIES = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+let activeTransport = null;
+
+// Throws while no transport is configured, so the outbox keeps its messages and retries
+export const getEmailTransport = () => {
+  if (!activeTransport) {
+    const name = String(process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : '')).toLowerCase();
+    if (!name) {
+      throw new Error('No email transport is configured; set SMTP_HOST or EMAIL_TRANSPORT.');
+    }
+    if (!EMAIL_TRANSPORTS.includes(name)) {
+      throw new Error(`EMAIL_TRANSPORT must be one of ${EMAIL_TRANSPORTS.join(', ')}.`);
+    }
+    activeTransport = TRANSPORT_FACTORIES[name]();
+  }
+  return activeTransport;
+};
+
+// Replaces the configured transport (any object with the same shape)
+export const setEmailTransport = (transport) => {
+  activeTransport = transport;
+};
+
+export const emailSender = () => process.env.EMAIL_FROM || 'Exam Office <no-reply@examoffice.local>';
@@ -0,0 +1,176 @@
+import mongoose from 'mongoose';
+import GradingScheme from '../models/gradingScheme.js';
+import Student from '../models/student.js';
+import {
+  DEFAULT_GRADING_SCHEME,
+  DEFAULT_REPEAT_POLICY,
+  REPEAT_POLICY_MODES,
+} from '../constants/gradingDefaults.js';
+import { pickEffectiveForSession } from '../utills/sessionOrder.js';
+
+const httpError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const toIdString = (value) => {
+  if (!value) return '';
+  if (typeof value === 'object' && value._id) return String(value._id);
+  return String(value);
+};
+
+/**
+ * Validates raw band input and returns the bands sorted from the highest score down.
+ * Bands must not overlap and together must cover every score from 0 to 100.
+ */
+export const normalizeGradingBands = (rawBands) => {
+  if (!Array.isArray(rawBands) || !rawBands.length) {
+    throw httpError('At least one grade band is required.');
+  }
+
+  const bands = rawBands.map((band, index) => {
+    const grade = String(band?.grade || '').trim().toUpperCase();
+    const minScore = Number(band?.minScore);
+    const maxScore = Number(band?.maxScore);
+    const gradePoint = Number(band?.gradePoint);
+
+    if (!/^[A-Z][A-Z+-]?$/.test(grade)) {
+      throw httpError(`Band ${index + 1}: grade must be a letter grade such as "A" or "B+".`);
+    }
+    if (!Number.isFinite(minScore) || !Number.isFinite(maxScore) || minScore < 0 || maxScore > 100 || minScore > maxScore) {
+      throw httpError(`Band ${grade}: minScore and maxScore must satisfy 0 <= minScore <= maxScore <= 100.`);
+    }
+    if (!Number.isFinite(gradePoint) || gradePoint < 0 || gradePoint > 5) {
+      throw httpError(`Band ${grade}: gradePoint must be between 0 and 5.`);
+    }
+
+    return { grade, minScore, maxScore, gradePoint, isPass: Boolean(band?.isPass) };
+  });
+
+  const seenGrades = new Set();
+  bands.forEach((band) => {
+    if (seenGrades.has(band.grade)) {
+      throw httpError(`Grade "${band.grade}" appears in more than one band.`);
+    }
+    seenGrades.add(band.grade);
+  });
+
+  bands.sort((a, b) => b.minScore - a.minScore);
+
+  if (bands[0].maxScore !== 100 || bands[bands.length - 1].minScore !== 0) {
+    throw httpError('Grade bands must cover every score from 0 to 100.');
+  }
+  for (let i = 1; i < bands.length; i += 1) {
+    const upper = bands[i - 1];
+    const lower = bands[i];
+    if (lower.maxScore >= upper.minScore) {
+      throw httpError(`Bands ${lower.grade} and ${upper.grade} overlap.`);
+    }
+    if (upper.minScore - lower.maxScore > 1) {
+      throw httpError(`There is a gap between bands ${lower.grade} and ${upper.grade}.`);
+    }
+  }
+
+  return bands;
+};
+
+// Validates the repeat-attempt policy against the scheme's (already normalized) bands.
+export const normalizeRepeatPolicy = (raw, bands) => {
+  if (!raw) return { ...DEFAULT_REPEAT_POLICY };
+  const mode = String(raw.mode || DEFAULT_REPEAT_POLICY.mode).trim().toLowerCase();
+  if (!REPEAT_POLICY_MODES.includes(mode)) {
+    throw httpError(`repeatPolicy.mode must be one of ${REPEAT_POLICY_MODES.join(', ')}.`);
+  }
+  if (mode !== 'cap_carryover') {
+    return { mode, capGrade: null };
+  }
+  const capGrade = String(raw.capGrade || '').trim().toUpperCase();
+  const band = bands.find((b) => b.grade === capGrade);
+  if (!band) {
+    throw httpError('repeatPolicy.capGrade must be one of the scheme\'s grades.');
+  }
+  if (!band.isPass) {
+    throw httpError('repeatPolicy.capGrade must be a passing grade.');
+  }
+  return { mode, capGrade };
+};
+
+// Highest band whose minScore the score reaches; handles fractional totals like 69.5.
+export const gradeFromScore = (score, scheme = DEFAULT_GRADING_SCHEME) => {
+  const s = Number(score) || 0;
+  const bands = scheme?.bands?.length ? scheme.bands : DEFAULT_GRADING_SCHEME.bands;
+  const sorted = [...bands].sort((a, b) => b.minScore - a.minScore);
+  const band = sorted.find((b) => s >= b.minScore) || sorted[sorted.length - 1];
+  return band.grade;
+};
+
+export const findGradeBand = (grade, scheme = DEFAULT_GRADING_SCHEME) => {
+  const letter = String(grade || '').trim().toUpperCase();
+  const bands = scheme?.bands?.length ? scheme.bands : DEFAULT_GRADING_SCHEME.bands;
+  return bands.find((band) => band.grade === letter) || null;
+};
+
+export const isPassingGrade = (grade, scheme = DEFAULT_GRADING_SCHEME) =>
+  Boolean(findGradeBand(grade, scheme)?.isPass);
+
+const toPlainScheme = (doc) => ({
+  _id: doc._id,
+  name: doc.name,
+  programme: doc.programme,
+  effectiveFromSession: doc.effectiveFromSession,
+  bands: doc.bands,
+  repeatPolicy: {
+    mode: doc.repeatPolicy?.mode || DEFAULT_REPEAT_POLICY.mode,
+    capGrade: doc.repeatPolicy?.capGrade || null,
+  },
+  isDefault: false,
+});
+
+/**
+ * Per-request resolver so cohort-wide computations only hit GradingScheme/Student once
+ * per programme or student. Falls back to the default scheme when nothing is configured.
+ */
+export const createGradingSchemeResolver = () => {
+  const schemesByProgramme = new Map(); // programmeId -> Promise<[scheme]>
+  const programmeByStudent = new Map(); // studentId -> Promise<programmeId>
+
+  const loadSchemes = (programmeId) => {
+    if (!schemesByProgramme.has(programmeId)) {
+      schemesByProgramme.set(
+        programmeId,
+        GradingScheme.find({ programme: programmeId })
+          .select('name programme effectiveFromSession bands repeatPolicy')
+          .lean()
+      );
+    }
+    return schemesByProgramme.get(programmeId);
+  };
+
+  const forProgramme = async (programme, session) => {
+    const programmeId = toIdString(programme);
+    if (!programmeId || !mongoose.Types.ObjectId.isValid(programmeId)) {
+      return DEFAULT_GRADING_SCHEME;
+    }
+    const schemes = await loadSchemes(programmeId);
+    const match = pickEffectiveForSession(schemes, session);
+    return match ? toPlainScheme(match) : DEFAULT_GRADING_SCHEME;
+  };
+
+  const forStudent = async (student, session) => {
+    const studentId = toIdString(student);
+    if (!studentId) return DEFAULT_GRADING_SCHEME;
+    if (!programmeByStudent.has(studentId)) {
+      programmeByStudent.set(
+        studentId,
+        Student.findById(studentId).select('programme').lean().then((doc) => doc?.programme || null)
+      );
+    }
+    const programmeId = await programmeByStudent.get(studentId);
+    return forProgramme(programmeId, session);
+  };
+
+  return { forProgramme, forStudent };
+};
+
+export const resolveGradingScheme = (programme, session) =>
+  createGradingSchemeResolver().forProgramme(programme, session);
+
+export const resolveGradingSchemeForStudent = (student, session) =>
+  createGradingSchemeResolver().forStudent(student, session);
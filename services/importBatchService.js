@@ -0,0 +1,440 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ImportBatch from '../models/importBatch.js';
+import Result from '../models/result.js';
+import Student from '../models/student.js';
+import Course from '../models/course.js';
+import AcademicMetrics from '../models/academicMetrics.js';
+import CourseRegistration from '../models/courseRegistration.js';
+import PassFail from '../models/passFailList.js';
+import {
+  buildDepartmentScopeFilter,
+  ensureUserCanAccessDepartment,
+  userHasGlobalInstitutionAccess,
+} from './accessControl.js';
+import { createGradingSchemeResolver, isPassingGrade } from './gradingService.js';
+import { recordResultRevisions, restorableFields, snapshotResult } from './resultRevisionService.js';
+import { recomputeStudentTermMetrics } from './termMetricsService.js';
+import { resultSetsFromResults, runAnomalyChecks } from './resultAnomalyService.js';
+import { findLockedTerms, termKey as lockedTermKey } from './resultLockService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Kept outside uploads/, which is served statically: these files hold student records
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+const IMPORT_FILES_DIR = path.join('storage', 'import-batches');
+
+const httpError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const MODELS = { Result, Student, Course, AcademicMetrics, CourseRegistration };
+
+// Dependants are undone before what they reference
+const ROLLBACK_ORDER = ['Result', 'CourseRegistration', 'AcademicMetrics', 'Course', 'Student'];
+
+// AcademicMetrics fields an old-metrics upload sets; kept as the `before` of an overwrite
+const IMPORTED_METRIC_FIELDS = ['TCC', 'TCE', 'TPE', 'GPA', 'CCC', 'CCE', 'CPE', 'CGPA', 'previousMetrics', 'lastUpdated'];
+
+const safeFileName = (name) => String(name || 'upload').replace(/[^\w.-]+/g, '_');
+
+const termKey = (term) => `${term.student}|${term.session}|${term.semester}|${term.level}`;
+
+/**
+ * Creates the batch and keeps a copy of every uploaded file before any row is processed.
+ * `files` are multer-style objects ({ originalname, mimetype, buffer }). Background jobs,
+ * which have no request, pass the uploader as `user`.
+ */
+export const startImportBatch = async ({ kind, req, user = req?.user, params = {}, files = [] }) => {
+  const batch = new ImportBatch({
+    kind,
+    uploadedBy: user?.id,
+    uploadedByEmail: user?.email || '',
+    params,
+  });
+
+  const relativeDir = path.join(IMPORT_FILES_DIR, String(batch._id));
+  await fs.mkdir(path.join(PROJECT_ROOT, relativeDir), { recursive: true });
+  for (const [index, file] of files.entries()) {
+    const relativePath = path.join(relativeDir, `${index}-${safeFileName(file.originalname)}`);
+    await fs.writeFile(path.join(PROJECT_ROOT, relativePath), file.buffer);
+    batch.files.push({
+      fileName: file.originalname,
+      path: relativePath,
+      mimeType: file.mimetype || '',
+      size: file.size ?? file.buffer.length,
+    });
+  }
+
+  await batch.save();
+  return batch;
+};
+
+/**
+ * Collects what an upload does into its batch: created and overwritten documents (with the
+ * values to put back), per-row outcomes and the departments touched. Nothing is written
+ * until finish(). Only the first write to a document is kept, so a document created and
+ * then overwritten by the same upload is still undone by deleting it.
+ */
+export const createImportRecorder = (batch) => {
+  const tracked = new Set(batch.changes.map((change) => `${change.model}|${change.doc}`));
+  const departments = new Set(batch.departments.map(String));
+
+  const track = (model, doc, action, before = null) => {
+    const id = doc?._id ?? doc;
+    if (!id) return;
+    const key = `${model}|${id}`;
+    if (tracked.has(key)) return;
+    tracked.add(key);
+    batch.changes.push({ model, doc: id, action, before });
+  };
+
+  return {
+    batchId: batch._id,
+    department(id) {
+      if (id) departments.add(String(id?._id ?? id));
+    },
+    created(model, docs) {
+      [].concat(docs || []).forEach((doc) => track(model, doc, 'create'));
+    },
+    updated(model, doc, before) {
+      track(model, doc, 'update', before);
+    },
+    row(entry) {
+      batch.rows.push(entry);
+    },
+    async finish({ stats = {}, error = null } = {}) {
+      batch.departments = [...departments];
+      batch.stats = stats;
+      batch.status = error && !batch.changes.length ? 'failed' : 'completed';
+      batch.error = error ? error.message : null;
+      batch.completedAt = new Date();
+      return batch.save();
+    },
+    // For an upload's error path: records the failure without hiding the original error
+    async fail(error) {
+      try {
+        await this.finish({ error });
+      } catch (err) {
+        console.error(`Unable to record failure of import batch ${batch._id}:`, err);
+      }
+    },
+  };
+};
+
+/**
+ * Closes a batch whose upload was cut off (a background job stopped by a restart). The
+ * recorder only saves at the end, so the documents the upload had created are found by
+ * their `importBatch` tag and recorded here, which keeps the partial import reversible.
+ */
+export const closeInterruptedImportBatch = async (batchId, { createdModels = [] } = {}) => {
+  const batch = await ImportBatch.findOne({ _id: batchId, status: 'processing' });
+  if (!batch) return null;
+
+  const recorder = createImportRecorder(batch);
+  for (const model of createdModels) {
+    const docs = await MODELS[model].find({ importBatch: batch._id }).select('_id department').lean();
+    recorder.created(model, docs);
+    docs.forEach((doc) => recorder.department(doc.department));
+  }
+  return recorder.finish({ error: new Error('Interrupted by a server restart before it finished.') });
+};
+
+// Value an import recorder keeps for a result it overwrites
+export const resultBeforeImport = (doc) => ({ ...snapshotResult(doc), importBatch: doc.importBatch ?? null });
+
+// Value an import recorder keeps for an AcademicMetrics record it overwrites
+export const metricsBeforeImport = (doc) => ({
+  ...Object.fromEntries(IMPORTED_METRIC_FIELDS.map((field) => [field, doc?.[field] ?? null])),
+  importBatch: doc?.importBatch ?? null,
+});
+
+// Department-scoped users see batches touching their department and the ones they uploaded.
+export const buildImportBatchScopeFilter = (user) => {
+  const scope = buildDepartmentScopeFilter(user, 'departments');
+  if (!Object.keys(scope).length) return {};
+  return { $or: [scope, { uploadedBy: user?.id }] };
+};
+
+export const ensureUserCanAccessImportBatch = (user, batch) => {
+  if (userHasGlobalInstitutionAccess(user)) return;
+  if (batch.uploadedBy && String(batch.uploadedBy) === String(user?.id || '')) return;
+  if (!batch.departments?.length) {
+    throw httpError('You are not authorized to manage this import batch.', 403);
+  }
+  batch.departments.forEach((departmentId) => ensureUserCanAccessDepartment(user, departmentId));
+};
+
+export const resolveImportFilePath = (file) => path.join(PROJECT_ROOT, file.path);
+
+// Why a change cannot be undone safely, or null when it can
+const conflictFor = (change, doc, batch) => {
+  if (!doc) return change.action === 'update' ? 'MISSING' : null;
+  if (String(doc.importBatch || '') !== String(batch._id)) return 'SUPERSEDED';
+  if (doc.updatedAt && batch.completedAt && doc.updatedAt > batch.completedAt) return 'MODIFIED_SINCE_IMPORT';
+  return null;
+};
+
+// Ids of the docs whose undo would change a Dean-approved term: its results, its metrics,
+// or (for a registration) the metrics of any student on it
+const findLockedDocs = async (model, docs) => {
+  if (model === 'AcademicMetrics') {
+    return new Set(docs.filter((doc) => doc.deanApproval?.approved).map((doc) => String(doc._id)));
+  }
+  if (!['Result', 'CourseRegistration'].includes(model)) return new Set();
+  const termsOf = (doc) => (model === 'CourseRegistration'
+    ? (doc.student || []).map((student) => ({ student, session: doc.session, semester: doc.semester, level: doc.level }))
+    : [doc]);
+
+  const locked = new Set((await findLockedTerms(docs.flatMap(termsOf))).map(lockedTermKey));
+  return new Set(docs
+    .filter((doc) => termsOf(doc).some((term) => locked.has(lockedTermKey(term))))
+    .map((doc) => String(doc._id)));
+};
+
+const rebuildPassFail = async (courseTerms, gradingResolver) => {
+  for (const { course, session, semester } of courseTerms) {
+    const results = await Result.find({ course, session, semester }).select('student grade').lean();
+    const pass = [];
+    const fail = [];
+    for (const result of results) {
+      const scheme = await gradingResolver.forStudent(result.student, session);
+      (isPassingGrade(result.grade, scheme) ? pass : fail).push(result.student);
+    }
+    await PassFail.updateOne(
+      { course, session, semester: Number(semester) },
+      { $set: { pass, fail } },
+      { upsert: true }
+    );
+  }
+};
+
+const undoResults = async (entries, { reason, actor, report }) => {
+  const deleted = [];
+  const restored = [];
+
+  for (const { change, doc } of entries) {
+    if (change.action === 'create') {
+      await Result.deleteOne({ _id: doc._id });
+      deleted.push({ before: snapshotResult(doc), after: null });
+    } else {
+      const before = snapshotResult(doc);
+      doc.set(restorableFields(change.before));
+      doc.importBatch = change.before?.importBatch || undefined;
+      const saved = await doc.save();
+      restored.push({ before, after: snapshotResult(saved) });
+    }
+  }
+
+  await recordResultRevisions(deleted, { action: 'delete', source: 'import_rollback', reason, actor });
+  await recordResultRevisions(restored, { action: 'restore', source: 'import_rollback', reason, actor });
+
+  const touched = [...deleted, ...restored].flatMap(({ before, after }) => [before, after]).filter(Boolean);
+  const terms = new Map();
+  const courseTerms = new Map();
+  touched.forEach((r) => {
+    terms.set(termKey(r), { student: r.student, session: r.session, semester: r.semester, level: r.level });
+    courseTerms.set(`${r.course}|${r.session}|${r.semester}`, { course: r.course, session: r.session, semester: r.semester });
+  });
+
+  const gradingResolver = createGradingSchemeResolver();
+  for (const term of terms.values()) {
+    await recomputeStudentTermMetrics({ ...term, gradingResolver });
+  }
+  await rebuildPassFail([...courseTerms.values()], gradingResolver);
+  await runAnomalyChecks(resultSetsFromResults(touched));
+  report.recomputedTerms += terms.size;
+};
+
+const undoCourseRegistrations = async (entries, { report }) => {
+  const terms = new Map();
+  for (const { doc } of entries) {
+    await CourseRegistration.deleteOne({ _id: doc._id });
+    // Registered courses without a result count as F, so existing term metrics change too
+    const metrics = await AcademicMetrics.find({
+      student: { $in: doc.student || [] },
+      session: doc.session,
+      semester: doc.semester,
+      level: Number(doc.level),
+    }).select('student session semester level').lean();
+    metrics.forEach((m) => terms.set(termKey(m), {
+      student: m.student, session: m.session, semester: m.semester, level: m.level,
+    }));
+  }
+
+  const gradingResolver = createGradingSchemeResolver();
+  for (const term of terms.values()) {
+    await recomputeStudentTermMetrics({ ...term, gradingResolver });
+  }
+  report.recomputedTerms += terms.size;
+};
+
+const undoAcademicMetrics = async (entries) => {
+  for (const { change, doc } of entries) {
+    if (change.action === 'create') {
+      await AcademicMetrics.deleteOne({ _id: doc._id });
+    } else {
+      const { importBatch, ...fields } = change.before || {};
+      doc.set(fields);
+      doc.importBatch = importBatch || undefined;
+      await doc.save();
+    }
+  }
+};
+
+// Students and courses are only removed while nothing else refers to them
+const referencesOf = {
+  Student: (id) => [
+    Result.exists({ student: id }),
+    CourseRegistration.exists({ student: id }),
+    AcademicMetrics.exists({ student: id }),
+  ],
+  Course: (id) => [
+    Result.exists({ course: id }),
+    CourseRegistration.exists({ course: id }),
+  ],
+};
+
+// Returns the changes it had to leave in place; the other undo steps undo everything given
+const undoCreatedOnly = (model) => async (entries, { report }) => {
+  const kept = [];
+  for (const { change, doc } of entries) {
+    const references = await Promise.all(referencesOf[model](doc._id));
+    if (references.some(Boolean)) {
+      report.skipped.push({ model, doc: doc._id, action: change.action, reason: 'IN_USE' });
+      kept.push(change);
+      continue;
+    }
+    await MODELS[model].deleteOne({ _id: doc._id });
+  }
+  return kept;
+};
+
+const UNDO = {
+  Result: undoResults,
+  CourseRegistration: undoCourseRegistrations,
+  AcademicMetrics: undoAcademicMetrics,
+  Course: undoCreatedOnly('Course'),
+  Student: undoCreatedOnly('Student'),
+};
+
+/**
+ * Undoes every change a batch recorded: created documents are deleted and overwritten ones
+ * get their previous values back, then term metrics, pass/fail lists and anomaly flags are
+ * brought back in step. A document changed again since the import (by a later upload or
+ * an edit) is skipped unless `force` is set; students and courses still referenced
+ * elsewhere, and anything in a Dean-approved term (RESULT_LOCKED), are always kept. The batch is only marked rolled_back once nothing is left,
+ * so a partial rollback can be retried after the conflicts are dealt with.
+ */
+export const revertImportBatch = async (batchId, { user, actor, reason, force = false }) => {
+  const batch = await ImportBatch.findById(batchId);
+  if (!batch) {
+    throw httpError('Import batch not found.', 404);
+  }
+  ensureUserCanAccessImportBatch(user, batch);
+  if (batch.status === 'rolled_back') {
+    throw httpError('This import batch has already been rolled back.', 409);
+  }
+  if (batch.status === 'processing') {
+    throw httpError('This import batch is still being processed.', 409);
+  }
+
+  // Claim the batch so two rollbacks cannot run at once
+  const claim = { 'rollback.at': new Date(), 'rollback.by': user?.id, 'rollback.reason': reason };
+  const claimed = await ImportBatch.findOneAndUpdate(
+    { _id: batch._id, status: { $in: ['completed', 'failed'] }, 'rollback.at': null },
+    { $set: claim }
+  );
+  if (!claimed) {
+    throw httpError('A rollback of this import batch is already in progress.', 409);
+  }
+  batch.set(claim);
+
+  const report = { undone: { create: 0, update: 0 }, skipped: [], recomputedTerms: 0 };
+
+  try {
+    for (const model of ROLLBACK_ORDER) {
+      const pending = batch.changes.filter((change) => change.model === model && !change.rolledBack);
+      if (!pending.length) continue;
+
+      const docs = await MODELS[model].find({ _id: { $in: pending.map((change) => change.doc) } });
+      const docById = new Map(docs.map((doc) => [String(doc._id), doc]));
+      const lockedDocs = await findLockedDocs(model, docs);
+
+      const entries = [];
+      pending.forEach((change) => {
+        const doc = docById.get(String(change.doc)) || null;
+        if (doc && lockedDocs.has(String(doc._id))) {
+          // Not even with force: Dean-approved terms only change through an amendment
+          report.skipped.push({ model, doc: change.doc, action: change.action, reason: 'RESULT_LOCKED' });
+          return;
+        }
+        const conflict = conflictFor(change, doc, batch);
+        if (conflict === 'MISSING' || (conflict && !force)) {
+          report.skipped.push({ model, doc: change.doc, action: change.action, reason: conflict });
+          return;
+        }
+        if (!doc) {
+          // Created by the batch and already deleted since; nothing left to undo
+          change.rolledBack = true;
+          return;
+        }
+        entries.push({ change, doc });
+      });
+      if (!entries.length) continue;
+
+      const kept = new Set(await UNDO[model](entries, { reason, actor, report }) || []);
+      entries.forEach(({ change }) => {
+        if (kept.has(change)) return;
+        change.rolledBack = true;
+        report.undone[change.action] += 1;
+      });
+    }
+  } catch (err) {
+    // Keep track of what was undone and release the claim so the rollback can be retried
+    batch.set({ 'rollback.at': null, 'rollback.report': report });
+    await batch.save();
+    throw err;
+  }
+
+  const complete = batch.changes.every((change) => change.rolledBack);
+  batch.set({ 'rollback.at': complete ? new Date() : null, 'rollback.report': report });
+  if (complete) {
+    batch.status = 'rolled_back';
+  }
+  await batch.save();
+
+  return { batch, report, complete };
+};
+
+export const serializeImportBatch = (batch, { detailed = false } = {}) => {
+  const changes = batch.changes || [];
+  return {
+    id: batch._id,
+    kind: batch.kind,
+    status: batch.status,
+    uploadedBy: batch.uploadedBy,
+    uploadedByEmail: batch.uploadedByEmail,
+    departments: batch.departments,
+    params: batch.params,
+    files: (batch.files || []).map((file, index) => ({
+      index,
+      fileName: file.fileName,
+      mimeType: file.mimeType,
+      size: file.size,
+    })),
+    stats: batch.stats,
+    error: batch.error || null,
+    createdAt: batch.createdAt,
+    completedAt: batch.completedAt,
+    rollback: batch.rollback?.at || batch.rollback?.report ? batch.rollback : null,
+    ...(detailed ? {
+      changes: {
+        created: changes.filter((change) => change.action === 'create').length,
+        updated: changes.filter((change) => change.action === 'update').length,
+        rolledBack: changes.filter((change) => change.rolledBack).length,
+      },
+      rows: batch.rows || [],
+    } : {}),
+  };
+};
@@ -0,0 +1,366 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Job from '../models/job.js';
+import { notifyUsers } from './notificationService.js';
+import { DEFAULT_JOB_SETTINGS } from '../constants/jobDefaults.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+// Inputs wait here until the job has run; outside uploads/, which is served statically
+const JOB_FILES_DIR = path.join('storage', 'jobs');
+
+const httpError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const cancelledError = () => Object.assign(new Error('Job cancelled.'), { jobCancelled: true });
+
+// One id per process, so a restarted server never mistakes an old claim for its own
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const handlers = new Map();
+
+/**
+ * Registers the code that runs a job type. `run(job, context)` returns the final report.
+ * A `resumable` job is started again after its worker died (it must be safe to repeat);
+ * `onInterrupted(job)` tidies up after such a death, before the job is queued again or
+ * marked failed.
+ */
+export const registerJobHandler = (type, { run, resumable = false, onInterrupted = null }) => {
+  handlers.set(type, { run, resumable, onInterrupted });
+};
+
+const jobUserFromRequest = (req) => ({
+  id: req.user?.id,
+  email: req.user?.email || '',
+  pfNo: req.user?.pfNo || null,
+  roles: req.user?.roles || [],
+  collegeId: req.user?.collegeId || null,
+  departmentId: req.user?.departmentId || null,
+});
+
+const logEntry = (message, level = 'info') => ({ at: new Date(), level, message: String(message) });
+
+const pushLog = (entries) => ({
+  $push: { logs: { $each: entries, $slice: -DEFAULT_JOB_SETTINGS.maxLogEntries } },
+});
+
+const removeJobFiles = async (job) => {
+  if (!job.files?.length) return;
+  try {
+    await fs.rm(path.join(PROJECT_ROOT, JOB_FILES_DIR, String(job._id)), { recursive: true, force: true });
+  } catch (err) {
+    console.error(`Unable to remove files of job ${job._id}:`, err);
+  }
+};
+
+/**
+ * Queues a job for the background worker. `files` are multer file objects; they are kept
+ * on disk until the job finishes so a resumed job can read them again.
+ */
+export const enqueueJob = async ({ type, req, params = {}, files = [] }) => {
+  const handler = handlers.get(type);
+  if (!handler) {
+    throw httpError(`No handler is registered for job type "${type}".`, 500);
+  }
+
+  const job = new Job({
+    type,
+    requestedBy: jobUserFromRequest(req),
+    params,
+    maxAttempts: handler.resumable ? DEFAULT_JOB_SETTINGS.maxAttempts : 1,
+    logs: [logEntry(`Queued by ${req.user?.email || 'unknown user'}.`)],
+  });
+
+  const relativeDir = path.join(JOB_FILES_DIR, String(job._id));
+  if (files.length) {
+    await fs.mkdir(path.join(PROJECT_ROOT, relativeDir), { recursive: true });
+  }
+  for (const [index, file] of files.entries()) {
+    const relativePath = path.join(relativeDir, `${index}-${String(file.originalname || 'upload').replace(/[^\w.-]+/g, '_')}`);
+    await fs.writeFile(path.join(PROJECT_ROOT, relativePath), file.buffer);
+    job.files.push({
+      fileName: file.originalname,
+      path: relativePath,
+      mimeType: file.mimetype || '',
+      size: file.size ?? file.buffer.length,
+    });
+  }
+
+  await job.save();
+  wakeJobWorker();
+  return job;
+};
+
+/**
+ * What a handler uses while it runs: progress and log writes, state kept across an
+ * interruption, the stored input files and cancellation checkpoints.
+ */
+const createJobContext = (job) => {
+  const state = { ...(job.state || {}) };
+  let cancelRequested = Boolean(job.cancelRequested);
+  let claimLost = false;
+  let lastPercent = -1;
+  let lastWriteAt = 0;
+
+  // Writes only while this worker still holds the job; notes a cancel request on the way
+  const touch = async (update) => {
+    const doc = await Job.findOneAndUpdate(
+      { _id: job._id, workerId: WORKER_ID, status: 'running' },
+      { ...update, $set: { ...(update.$set || {}), heartbeatAt: new Date() } },
+      { new: true, projection: { cancelRequested: 1 } }
+    );
+    if (!doc) claimLost = true;
+    else if (doc.cancelRequested) cancelRequested = true;
+  };
+
+  return {
+    user: { ...job.requestedBy, id: job.requestedBy?.id ? String(job.requestedBy.id) : null },
+    params: job.params || {},
+    state,
+    heartbeat: () => touch({}),
+    async progress(current, total, message = '') {
+      const percent = total > 0 ? Math.min(100, Math.floor((current / total) * 100)) : 0;
+      const now = Date.now();
+      if (percent === lastPercent && now - lastWriteAt < DEFAULT_JOB_SETTINGS.progressWriteIntervalMs) return;
+      lastPercent = percent;
+      lastWriteAt = now;
+      await touch({ $set: { progress: { percent, current, total, message } } });
+    },
+    log: (message, level = 'info') => touch(pushLog([logEntry(message, level)])),
+    async saveState(patch) {
+      Object.assign(state, patch);
+      await touch({ $set: { state } });
+    },
+    async loadFiles() {
+      const files = [];
+      for (const file of job.files || []) {
+        files.push({
+          originalname: file.fileName,
+          mimetype: file.mimeType,
+          size: file.size,
+          buffer: await fs.readFile(path.join(PROJECT_ROOT, file.path)),
+        });
+      }
+      return files;
+    },
+    // Call between units of work; stops the handler once a cancel has been asked for
+    throwIfCancelled() {
+      if (cancelRequested || claimLost) throw cancelledError();
+    },
+  };
+};
+
+const JOB_OUTCOME_LABELS = { succeeded: 'finished', failed: 'failed', cancelled: 'was cancelled' };
+
+// Lets whoever queued the job know it has ended
+const notifyJobFinished = (job, status, error = null) => notifyUsers([job.requestedBy?.id], {
+  type: 'job_finished',
+  title: `${job.type.replace(/_/g, ' ')} ${JOB_OUTCOME_LABELS[status] || status}`,
+  message: error || (job.files?.[0]?.fileName ? `File: ${job.files[0].fileName}` : ''),
+  link: { kind: 'Job', id: job._id },
+  data: { jobType: job.type, status },
+});
+
+const finishJob = async (job, status, fields = {}, logLine = null) => {
+  const { modifiedCount } = await Job.updateOne(
+    { _id: job._id, workerId: WORKER_ID },
+    {
+      $set: { ...fields, status, finishedAt: new Date(), heartbeatAt: null },
+      ...(logLine ? pushLog([logEntry(...logLine)]) : {}),
+    }
+  );
+  await removeJobFiles(job);
+  if (modifiedCount) await notifyJobFinished(job, status, fields.error);
+};
+
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+  if (!handler) {
+    await finishJob(job, 'failed', { error: `No handler is registered for job type "${job.type}".` });
+    return;
+  }
+
+  const context = createJobContext(job);
+  const heartbeat = setInterval(() => {
+    context.heartbeat().catch((err) => console.error(`Job ${job._id} heartbeat failed:`, err));
+  }, DEFAULT_JOB_SETTINGS.heartbeatIntervalMs);
+  heartbeat.unref?.();
+
+  try {
+    await context.log(job.attempts > 1
+      ? `Resuming after an interruption (attempt ${job.attempts} of ${job.maxAttempts}).`
+      : 'Started.');
+    const result = await handler.run(job, context);
+    await finishJob(
+      job,
+      'succeeded',
+      { result: result ?? null, 'progress.percent': 100 },
+      ['Finished.']
+    );
+  } catch (err) {
+    if (err.jobCancelled) {
+      await finishJob(job, 'cancelled', { error: 'Cancelled before it finished.' }, ['Cancelled.', 'warn']);
+    } else {
+      console.error(`Job ${job._id} (${job.type}) failed:`, err);
+      await finishJob(job, 'failed', { error: err.message }, [err.message, 'error']);
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+/**
+ * Jobs still marked running whose worker stopped sending heartbeats were cut off by a
+ * restart or crash. Resumable ones go back on the queue until they run out of attempts;
+ * the rest are marked failed (or cancelled, when that had been asked for).
+ */
+export const recoverInterruptedJobs = async () => {
+  const staleBefore = new Date(Date.now() - DEFAULT_JOB_SETTINGS.staleAfterMs);
+  const stale = await Job.find({
+    status: 'running',
+    $or: [{ heartbeatAt: { $lt: staleBefore } }, { heartbeatAt: null }],
+  }).select('_id type workerId heartbeatAt attempts maxAttempts cancelRequested state files');
+
+  for (const job of stale) {
+    // Take the job over first so two servers cannot both recover it
+    const claimed = await Job.findOneAndUpdate(
+      { _id: job._id, status: 'running', workerId: job.workerId, heartbeatAt: job.heartbeatAt },
+      { $set: { workerId: WORKER_ID, heartbeatAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    const handler = handlers.get(claimed.type);
+    try {
+      await handler?.onInterrupted?.(claimed);
+    } catch (err) {
+      console.error(`Cleanup after interrupted job ${claimed._id} failed:`, err);
+    }
+
+    if (handler?.resumable && !claimed.cancelRequested && claimed.attempts < claimed.maxAttempts) {
+      await Job.updateOne(
+        { _id: claimed._id, workerId: WORKER_ID },
+        {
+          $set: { status: 'queued', workerId: null, heartbeatAt: null },
+          ...pushLog([logEntry('Interrupted by a server restart; queued to resume.', 'warn')]),
+        }
+      );
+    } else if (claimed.cancelRequested) {
+      await finishJob(claimed, 'cancelled', { error: 'Cancelled before it finished.' }, ['Cancelled.', 'warn']);
+    } else {
+      const message = 'Interrupted by a server restart before it finished.';
+      await finishJob(claimed, 'failed', { error: message }, [message, 'error']);
+    }
+  }
+};
+
+const claimNextJob = () => Job.findOneAndUpdate(
+  { status: 'queued' },
+  {
+    $set: { status: 'running', workerId: WORKER_ID, startedAt: new Date(), heartbeatAt: new Date() },
+    $inc: { attempts: 1 },
+  },
+  { sort: { createdAt: 1 }, new: true }
+);
+
+// One job at a time per process; heavy jobs should not compete for the same CPU
+let workerStarted = false;
+let workerBusy = false;
+let workerTimer = null;
+
+const scheduleWorker = (delay = DEFAULT_JOB_SETTINGS.pollIntervalMs) => {
+  clearTimeout(workerTimer);
+  workerTimer = setTimeout(workerTick, delay);
+  workerTimer.unref?.();
+};
+
+async function workerTick() {
+  if (workerBusy) return;
+  workerBusy = true;
+  try {
+    await recoverInterruptedJobs();
+    let job = await claimNextJob();
+    while (job) {
+      await runJob(job);
+      job = await claimNextJob();
+    }
+  } catch (err) {
+    console.error('Job worker error:', err);
+  } finally {
+    workerBusy = false;
+    scheduleWorker();
+  }
+}
+
+export function wakeJobWorker() {
+  if (workerStarted && !workerBusy) scheduleWorker(0);
+}
+
+// Called once the database connection is open
+export const startJobWorker = () => {
+  if (workerStarted) return;
+  workerStarted = true;
+  scheduleWorker(0);
+};
+
+/**
+ * A queued job is cancelled at once; a running one is asked to stop and does so at its
+ * next checkpoint.
+ */
+export const cancelJob = async (job) => {
+  if (job.status === 'queued') {
+    const cancelled = await Job.findOneAndUpdate(
+      { _id: job._id, status: 'queued' },
+      {
+        $set: { status: 'cancelled', cancelRequested: true, finishedAt: new Date(), error: 'Cancelled before it started.' },
+        ...pushLog([logEntry('Cancelled before it started.', 'warn')]),
+      },
+      { new: true }
+    );
+    if (cancelled) {
+      await removeJobFiles(cancelled);
+      return cancelled;
+    }
+  }
+
+  const requested = await Job.findOneAndUpdate(
+    { _id: job._id, status: 'running' },
+    {
+      $set: { cancelRequested: true },
+      ...pushLog([logEntry('Cancellation requested.', 'warn')]),
+    },
+    { new: true }
+  );
+  if (!requested) {
+    throw httpError('This job has already finished.', 409);
+  }
+  return requested;
+};
+
+export const ensureUserCanAccessJob = (user, job) => {
+  const isOwner = String(job.requestedBy?.id || '') === String(user?.id || '');
+  if (!isOwner && !(user?.roles || []).includes('ADMIN')) {
+    throw httpError('You are not authorized to view this job.', 403);
+  }
+};
+
+export const serializeJob = (job, { detailed = false } = {}) => ({
+  id: job._id,
+  type: job.type,
+  status: job.status,
+  requestedBy: { id: job.requestedBy?.id || null, email: job.requestedBy?.email || '' },
+  params: job.params,
+  files: (job.files || []).map((file) => ({ fileName: file.fileName, size: file.size })),
+  progress: job.progress,
+  error: job.error || null,
+  cancelRequested: Boolean(job.cancelRequested),
+  attempts: job.attempts,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  ...(detailed ? { logs: job.logs || [], result: job.result ?? null } : {}),
+});
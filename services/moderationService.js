@@ -0,0 +1,174 @@
+import Moderation from '../models/moderation.js';
+import ModerationWorkflow from '../models/moderationWorkflow.js';
+import Result from '../models/result.js';
+import ResultRevision from '../models/resultRevision.js';
+import { DEFAULT_MODERATION_STAGES } from '../constants/moderationDefaults.js';
+import { createGradingSchemeResolver, gradeFromScore } from './gradingService.js';
+import { recomputeStudentTermMetrics } from './termMetricsService.js';
+import { recordResultRevisions, snapshotResult } from './resultRevisionService.js';
+import { resultSetsFromResults, runAnomalyChecks } from './resultAnomalyService.js';
+import { ensureResultsUnlocked } from './resultLockService.js';
+
+const httpError = (message, statusCode = 400, extra = {}) =>
+  Object.assign(new Error(message), { statusCode }, extra);
+
+// Department route, else the institution default, else HOD then Dean
+export const resolveModerationStages = async (departmentId) => {
+  const workflows = await ModerationWorkflow.find({
+    department: { $in: [departmentId || null, null] },
+  }).lean();
+  const own = departmentId ? workflows.find((w) => String(w.department) === String(departmentId)) : null;
+  const fallback = workflows.find((w) => !w.department);
+  return (own || fallback)?.stages?.length ? [...(own || fallback).stages] : [...DEFAULT_MODERATION_STAGES];
+};
+
+export const userCanActOnStage = (user, stage) =>
+  Boolean(stage && (user?.roles || []).some((role) => role === stage.role || role === 'ADMIN'));
+
+// Score fields an approved moderation writes, for the item's result
+const moderatedFields = (result, item, { scheme, approvedAt, moderation, approverPfNo }) => ({
+  moderationOriginalGrandtotal: result.grandtotal,
+  grandtotal: item.proposedGrandtotal,
+  grade: gradeFromScore(item.proposedGrandtotal, scheme),
+  moderated: true,
+  moderationStatus: 'approved',
+  moderationPendingGrandtotal: undefined,
+  moderationApprovedAt: approvedAt,
+  moderationProof: (moderation.evidence || []).map((file) => file.fileName).join(', '),
+  moderationAuthorizedPfNo: approverPfNo,
+  moderationRequest: moderation._id,
+});
+
+// Splits a field map into $set and $unset, as bulkWrite does not drop undefined values
+const toUpdate = (fields) => {
+  const $set = {};
+  const $unset = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value === undefined) $unset[key] = '';
+    else $set[key] = value;
+  });
+  return Object.keys($unset).length ? { $set, $unset } : { $set };
+};
+
+/**
+ * Puts back the results an interrupted apply had already written (those stamped with this
+ * moderation and `approvedAt`), drops their revisions and returns the request to pending.
+ */
+const undoPartialModeration = async (moderation, { previousById, approvedAt, revisionReason }) => {
+  const written = await Result.find({
+    _id: { $in: [...previousById.keys()] },
+    moderationRequest: moderation._id,
+    moderationApprovedAt: approvedAt,
+  }).select('_id').lean();
+  if (written.length) {
+    await Result.bulkWrite(written.map((doc) => ({
+      updateOne: { filter: { _id: doc._id }, update: toUpdate(previousById.get(String(doc._id))) },
+    })));
+  }
+  await ResultRevision.deleteMany({
+    result: { $in: [...previousById.keys()] },
+    source: 'moderation',
+    reason: revisionReason,
+  });
+  await Moderation.updateOne({ _id: moderation._id, status: 'applying' }, { $set: { status: 'pending' } });
+};
+
+/**
+ * Applies every proposed score of an approved moderation in one pass: regrades under the
+ * scheme in force for each result, records a revision per result and recomputes the
+ * affected student-term metrics. Fails without changing anything if any result was
+ * removed or re-scored after the request was submitted.
+ *
+ * The request is claimed (`applying`) before any result is written and the scores go out
+ * in a single bulkWrite, each conditional on the score the request saw. If that write or
+ * the revisions fail, whatever was written is put back and the request is pending again.
+ */
+export const applyModeration = async (moderation, { actor, approverPfNo = '' }) => {
+  const resultIds = moderation.items.map((item) => item.result);
+  const results = await Result.find({ _id: { $in: resultIds } });
+  const resultById = new Map(results.map((r) => [String(r._id), r]));
+
+  const drift = [];
+  moderation.items.forEach((item) => {
+    const result = resultById.get(String(item.result));
+    if (!result) {
+      drift.push({ resultId: item.result, reason: 'Result no longer exists' });
+    } else if (Number(result.grandtotal) !== Number(item.originalGrandtotal)) {
+      drift.push({
+        resultId: item.result,
+        reason: `Score changed from ${item.originalGrandtotal} to ${result.grandtotal} after submission`,
+      });
+    }
+  });
+  if (drift.length) {
+    throw httpError('Some results changed after this moderation was submitted; resubmit the request.', 409, { drift });
+  }
+  // The term may have been approved while the request was in flight
+  await ensureResultsUnlocked(results);
+
+  const gradingResolver = createGradingSchemeResolver();
+  const approvedAt = new Date();
+  const revisionReason = `Moderation ${moderation._id}: ${moderation.reason}`;
+  const changes = [];
+  const operations = [];
+  const previousById = new Map();
+  const terms = new Map();
+
+  for (const item of moderation.items) {
+    const result = resultById.get(String(item.result));
+    const before = snapshotResult(result);
+    const scheme = await gradingResolver.forStudent(result.student, result.session);
+    const fields = moderatedFields(result, item, { scheme, approvedAt, moderation, approverPfNo });
+
+    previousById.set(String(result._id), Object.fromEntries(Object.keys(fields).map((key) => [key, result[key]])));
+    operations.push({
+      updateOne: {
+        filter: { _id: result._id, grandtotal: result.grandtotal },
+        update: toUpdate(fields),
+      },
+    });
+    result.set(fields);
+
+    item.appliedGrade = result.grade;
+    changes.push({ before, after: snapshotResult(result) });
+    terms.set(`${result.student}|${result.session}|${result.semester}|${result.level}`, {
+      student: result.student,
+      session: result.session,
+      semester: result.semester,
+      level: result.level,
+    });
+  }
+
+  const claimed = await Moderation.updateOne(
+    { _id: moderation._id, status: 'pending' },
+    { $set: { status: 'applying' } }
+  );
+  if (!claimed.modifiedCount) {
+    throw httpError('This request is already being decided; reload it.', 409);
+  }
+
+  try {
+    const { matchedCount } = await Result.bulkWrite(operations, { ordered: true });
+    if (matchedCount !== operations.length) {
+      throw httpError('Some results changed while this moderation was being applied; resubmit the request.', 409);
+    }
+    await recordResultRevisions(changes, { action: 'update', source: 'moderation', reason: revisionReason, actor });
+  } catch (err) {
+    await undoPartialModeration(moderation, { previousById, approvedAt, revisionReason });
+    throw err;
+  }
+
+  for (const term of terms.values()) {
+    await recomputeStudentTermMetrics({ ...term, gradingResolver });
+  }
+  await runAnomalyChecks(resultSetsFromResults(changes.map((change) => change.after)));
+
+  moderation.appliedAt = approvedAt;
+  return { applied: changes.length, termsRecomputed: terms.size };
+};
+
+// Pending moderations that already include any of these results (one open request per result)
+export const findOpenModerationsForResults = (resultIds) =>
+  Moderation.find({ status: 'pending', 'items.result': { $in: resultIds } })
+    .select('_id items.result')
+    .lean();
@@ -0,0 +1,86 @@
+import Notification from '../models/notification.js';
+import User from '../models/user.js';
+import { userRequiresDepartmentScope } from './accessControl.js';
+import { emailUsers } from './emailService.js';
+
+const sameId = (a, b) => Boolean(a && b && String(a) === String(b));
+
+/**
+ * Active users holding any of `roles` who can see `department` / `college`: exam officers
+ * and HODs of that department, and institution-wide officers (Dean, college officer,
+ * admin) of that college or with no college set. `exclude` drops the acting user.
+ */
+export const findRecipients = async ({ roles, department = null, college = null, exclude = [] }) => {
+  const users = await User.find({ status: 'active', roles: { $in: roles } })
+    .select('_id roles departmentId collegeId')
+    .lean();
+  const excluded = new Set(exclude.filter(Boolean).map(String));
+  return users
+    .filter((user) => !excluded.has(String(user._id)))
+    .filter((user) => (userRequiresDepartmentScope(user)
+      ? sameId(user.departmentId, department)
+      : !college || !user.collegeId || sameId(user.collegeId, college)))
+    .map((user) => user._id);
+};
+
+/**
+ * Adds a notification to each recipient's inbox. With a `groupKey`, an unread entry of the
+ * same type and key is updated and its `count` raised by `count` instead. `email`
+ * ({ template, data }) also emails the recipients; for grouped entries only those who had
+ * no unread entry yet, so a run of approvals sends one email, not one each. Failures are
+ * logged, never thrown, so a notification can never undo the action it reports.
+ */
+export const notifyUsers = async (
+  recipients,
+  { type, title, message = '', link = {}, data = {}, groupKey = null, count = 1, email = null }
+) => {
+  const ids = [...new Set(recipients.filter(Boolean).map(String))];
+  if (!ids.length) return;
+  try {
+    if (!groupKey) {
+      await Notification.insertMany(ids.map((recipient) => ({ recipient, type, title, message, link, data, count })));
+      if (email) await emailUsers(ids, email.template, email.data);
+      return;
+    }
+    const result = await Notification.bulkWrite(
+      ids.map((recipient) => ({
+        updateOne: {
+          filter: { recipient, type, groupKey, readAt: null },
+          update: { $set: { title, message, link, data }, $inc: { count } },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+    if (email) {
+      const firstNotified = Object.keys(result.upsertedIds || {}).map((index) => ids[Number(index)]);
+      await emailUsers(firstNotified, email.template, email.data);
+    }
+  } catch (err) {
+    console.error(`Unable to send ${type} notifications:`, err);
+  }
+};
+
+// notifyUsers for everyone findRecipients picks out
+export const notifyRoles = async ({ roles, department = null, college = null, exclude = [], ...notification }) => {
+  try {
+    const recipients = await findRecipients({ roles, department, college, exclude });
+    await notifyUsers(recipients, notification);
+  } catch (err) {
+    console.error(`Unable to send ${notification.type} notifications:`, err);
+  }
+};
+
+export const serializeNotification = (doc) => ({
+  id: doc._id,
+  type: doc.type,
+  title: doc.title,
+  message: doc.message,
+  link: doc.link?.kind ? doc.link : null,
+  data: doc.data || {},
+  count: doc.count ?? 1,
+  read: Boolean(doc.readAt),
+  readAt: doc.readAt || null,
+  createdAt: doc.createdAt,
+  updatedAt: doc.updatedAt,
+});
@@ -0,0 +1,54 @@
+import Course from '../models/course.js';
+import Result from '../models/result.js';
+import { createGradingSchemeResolver, isPassingGrade } from './gradingService.js';
+import { compareTerms, isBeforeTerm } from '../utills/sessionOrder.js';
+
+/**
+ * Failed courses each student has not passed since, as of the end of (session, semester).
+ * Only the latest attempt at a course counts, graded under the student's programme scheme
+ * for the attempt's session. `unscored` lists registrations without a score
+ * ({ student, course, session, semester }); they count as failed attempts, as they do in
+ * the GPA. `students` need `_id` and `programme`.
+ * Resolves to Map studentId -> sorted course codes; students with nothing outstanding are absent.
+ */
+export const findOutstandingCourses = async ({ students, session, semester, unscored = [] }) => {
+  if (!students.length) return new Map();
+
+  const programmeByStudent = new Map(students.map((student) => [String(student._id), student.programme]));
+  const history = await Result.find({ student: { $in: students.map((student) => student._id) } })
+    .select('student course session semester grade')
+    .lean();
+
+  const latestAttempt = new Map(); // sid|cid -> { session, semester, grade }
+  const consider = (attempt) => {
+    if (isBeforeTerm(session, semester, attempt.session, attempt.semester)) return;
+    const key = `${attempt.student}|${attempt.course}`;
+    const existing = latestAttempt.get(key);
+    if (!existing || compareTerms(existing, attempt) <= 0) {
+      latestAttempt.set(key, { session: attempt.session, semester: attempt.semester, grade: attempt.grade });
+    }
+  };
+  history.forEach(consider);
+  unscored.forEach((entry) => consider({ ...entry, grade: 'F' }));
+
+  const grading = createGradingSchemeResolver();
+  const failedByStudent = new Map(); // sid -> [courseId]
+  for (const [key, attempt] of latestAttempt.entries()) {
+    const [sid, cid] = key.split('|');
+    const scheme = await grading.forProgramme(programmeByStudent.get(sid), attempt.session);
+    if (isPassingGrade(attempt.grade, scheme)) continue;
+    if (!failedByStudent.has(sid)) failedByStudent.set(sid, []);
+    failedByStudent.get(sid).push(cid);
+  }
+
+  const failedIds = [...new Set([...failedByStudent.values()].flat())];
+  const codes = failedIds.length
+    ? new Map((await Course.find({ _id: { $in: failedIds } }).select('code').lean())
+      .map((course) => [String(course._id), course.code]))
+    : new Map();
+
+  return new Map([...failedByStudent.entries()].map(([sid, ids]) => [
+    sid,
+    ids.map((cid) => codes.get(cid) || cid).sort(),
+  ]));
+};
@@ -0,0 +1,243 @@
+import AcademicMetrics from '../models/academicMetrics.js';
+import CourseRegistration from '../models/courseRegistration.js';
+import Result from '../models/result.js';
+import PromotionSnapshot from '../models/promotionSnapshot.js';
+import Student from '../models/student.js';
+import { createAcademicStatusPolicyResolver, evaluateAcademicStatus } from './academicStatusService.js';
+import { findOutstandingCourses } from './outstandingCoursesService.js';
+import { compareTerms, isBeforeTerm } from '../utills/sessionOrder.js';
+import { ACADEMIC_STATUS_LABELS } from '../constants/academicStatusDefaults.js';
+import {
+  FINAL_LEVEL,
+  NON_PROGRESSING_ACADEMIC_STATUSES,
+  NON_PROGRESSING_STANDINGS,
+  PROMOTABLE_STATUSES,
+  PROMOTION_PATH,
+} from '../constants/promotionDefaults.js';
+
+const httpError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+// A session closes after its second semester
+const CLOSING_SEMESTER = 2;
+
+const studentName = (student) =>
+  [student?.surname, student?.firstname, student?.middlename].filter(Boolean).join(' ');
+
+// Registrations in the session with no result yet; they count as failed attempts
+const findUnscoredRegistrations = async (studentIds, session) => {
+  const [registrations, results] = await Promise.all([
+    CourseRegistration.aggregate([
+      { $match: { session } },
+      { $unwind: '$student' },
+      { $match: { student: { $in: studentIds } } },
+      { $group: { _id: { student: '$student', course: '$course', semester: '$semester' } } },
+    ]),
+    Result.find({ student: { $in: studentIds }, session }).select('student course semester').lean(),
+  ]);
+  const scored = new Set(results.map((result) => `${result.student}|${result.course}|${Number(result.semester)}`));
+  return registrations
+    .map(({ _id }) => ({ student: String(_id.student), course: String(_id.course), session, semester: Number(_id.semester) }))
+    .filter((entry) => !scored.has(`${entry.student}|${entry.course}|${entry.semester}`));
+};
+
+/**
+ * Works out what closing `session` does to each undergraduate in its department, without
+ * writing anything. Deferred and withdrawn students and students with no metrics for the
+ * session are skipped; students the CGPA rules advise to withdraw repeat their level.
+ * Everyone else below the final level is promoted, carrying any outstanding courses;
+ * final-level students graduate when nothing is outstanding and take an extra year otherwise.
+ * Resolves to { decisions, stats }, stats in the Session.promotionStats shape.
+ */
+export const planPromotion = async (session) => {
+  const levels = [...PROMOTION_PATH.map((step) => step.from), FINAL_LEVEL];
+  const students = await Student.find({
+    department: session.department,
+    status: { $in: PROMOTABLE_STATUSES },
+    level: { $in: levels },
+  })
+    .select('surname firstname middlename regNo level status standing programme')
+    .sort({ level: 1, regNo: 1 })
+    .lean();
+  const studentIds = students.map((student) => student._id);
+
+  const [metricsDocs, unscored] = await Promise.all([
+    AcademicMetrics.find({ student: { $in: studentIds } })
+      .select('student session semester level CGPA GPA')
+      .lean(),
+    findUnscoredRegistrations(studentIds, session.sessionTitle),
+  ]);
+  const outstandingByStudent = await findOutstandingCourses({
+    students,
+    session: session.sessionTitle,
+    semester: CLOSING_SEMESTER,
+    unscored,
+  });
+
+  const termsByStudent = new Map();
+  metricsDocs.forEach((doc) => {
+    if (isBeforeTerm(session.sessionTitle, CLOSING_SEMESTER, doc.session, doc.semester)) return; // after the session
+    const sid = String(doc.student);
+    if (!termsByStudent.has(sid)) termsByStudent.set(sid, []);
+    termsByStudent.get(sid).push(doc);
+  });
+
+  const stats = {
+    promoted: 0,
+    promotedBreakdown: Object.fromEntries(PROMOTION_PATH.map((step) => [step.key, 0])),
+    graduated: 0,
+    extraYear: 0,
+    repeated: 0,
+    skipped: 0,
+    totalProcessed: students.length,
+  };
+  const policies = createAcademicStatusPolicyResolver();
+  const decisions = [];
+
+  for (const student of students) {
+    const sid = String(student._id);
+    const terms = (termsByStudent.get(sid) || []).sort(compareTerms);
+    const latest = terms[terms.length - 1];
+    const outstanding = outstandingByStudent.get(sid) || [];
+    const academicStatus = latest
+      ? evaluateAcademicStatus(terms, await policies.forProgramme(student.programme, session.sessionTitle))
+      : null;
+
+    const decision = {
+      student: sid,
+      regNo: student.regNo,
+      name: studentName(student),
+      level: student.level,
+      status: student.status,
+      standing: student.standing || 'goodstanding',
+      CGPA: Number(latest?.CGPA || 0),
+      academicStatus: academicStatus?.status || null,
+      outstanding,
+      outcome: 'skipped',
+      toLevel: student.level,
+      toStatus: student.status,
+      reasons: [],
+    };
+
+    const step = PROMOTION_PATH.find((entry) => entry.from === student.level);
+    if (NON_PROGRESSING_STANDINGS.includes(decision.standing)) {
+      decision.reasons.push(`Standing is ${decision.standing}`);
+    } else if (!latest || latest.session !== session.sessionTitle) {
+      decision.reasons.push('No metrics computed for this session');
+    } else if (NON_PROGRESSING_ACADEMIC_STATUSES.includes(academicStatus.status)) {
+      decision.outcome = 'repeated';
+      decision.reasons.push(ACADEMIC_STATUS_LABELS[academicStatus.status], ...academicStatus.reasons);
+    } else if (step) {
+      decision.outcome = 'promoted';
+      decision.toLevel = step.to;
+      decision.toStatus = 'undergraduate';
+      if (outstanding.length) decision.reasons.push(`Carrying over: ${outstanding.join(', ')}`);
+      stats.promotedBreakdown[step.key] += 1;
+    } else if (outstanding.length) {
+      decision.outcome = 'extraYear';
+      decision.toStatus = 'extraYear';
+      decision.reasons.push(`Outstanding: ${outstanding.join(', ')}`);
+    } else {
+      decision.outcome = 'graduated';
+      decision.toStatus = 'graduated';
+    }
+    if (['promoted', 'extraYear', 'graduated'].includes(decision.outcome) && academicStatus.status !== 'good_standing') {
+      decision.reasons.push(ACADEMIC_STATUS_LABELS[academicStatus.status]);
+    }
+
+    stats[decision.outcome] += 1;
+    decisions.push(decision);
+  }
+
+  return { decisions, stats };
+};
+
+const changesStudent = (decision) => decision.toLevel !== decision.level || decision.toStatus !== decision.status;
+
+/**
+ * Writes a plan from planPromotion for `session`. A PromotionSnapshot of every student's
+ * prior level and status is saved first so reopenSession can undo the close. Each update is
+ * conditional on the student still having the level and status the plan saw, so a re-run
+ * cannot promote anyone twice. Resolves to { snapshot, updated }.
+ */
+export const applyPromotionPlan = async (plan, { session, user = null }) => {
+  const snapshot = await PromotionSnapshot.create({
+    session: session._id,
+    sessionTitle: session.sessionTitle,
+    department: session.department,
+    students: plan.decisions.map((decision) => ({
+      student: decision.student,
+      regNo: decision.regNo,
+      level: decision.level,
+      status: decision.status,
+      toLevel: decision.toLevel,
+      toStatus: decision.toStatus,
+      outcome: decision.outcome,
+    })),
+    stats: plan.stats,
+    closedBy: user?.id,
+    closedByEmail: user?.email,
+  });
+
+  const operations = plan.decisions.filter(changesStudent).map((decision) => ({
+    updateOne: {
+      filter: { _id: decision.student, level: decision.level, status: decision.status },
+      update: { $set: { level: decision.toLevel, status: decision.toStatus } },
+    },
+  }));
+  if (!operations.length) return { snapshot, updated: 0 };
+
+  const { modifiedCount } = await Student.bulkWrite(operations, { ordered: false });
+  return { snapshot, updated: modifiedCount };
+};
+
+/**
+ * Puts students back to the level and status recorded in the session's latest unrestored
+ * snapshot. A student whose level or status has changed since the close is left alone and
+ * reported as a conflict. Resolves to { snapshot, restored, conflicts }.
+ */
+export const restorePromotionSnapshot = async (session, { user = null } = {}) => {
+  const snapshot = await PromotionSnapshot.findOne({ session: session._id, restoredAt: null })
+    .sort({ createdAt: -1 });
+  if (!snapshot) {
+    throw httpError('No promotion snapshot is available for this session.', 404);
+  }
+
+  const changed = snapshot.students.filter(changesStudent);
+  const current = await Student.find({ _id: { $in: changed.map((entry) => entry.student) } })
+    .select('regNo level status')
+    .lean();
+  const currentById = new Map(current.map((student) => [String(student._id), student]));
+
+  const conflicts = [];
+  const operations = [];
+  changed.forEach((entry) => {
+    const student = currentById.get(String(entry.student));
+    if (!student || student.level !== entry.toLevel || student.status !== entry.toStatus) {
+      conflicts.push({
+        student: String(entry.student),
+        regNo: entry.regNo,
+        expected: { level: entry.toLevel, status: entry.toStatus },
+        found: student ? { level: student.level, status: student.status } : null,
+      });
+      return;
+    }
+    operations.push({
+      updateOne: {
+        filter: { _id: entry.student, level: entry.toLevel, status: entry.toStatus },
+        update: { $set: { level: entry.level, status: entry.status } },
+      },
+    });
+  });
+
+  const restored = operations.length
+    ? (await Student.bulkWrite(operations, { ordered: false })).modifiedCount
+    : 0;
+
+  snapshot.restoredAt = new Date();
+  snapshot.restoredBy = user?.id;
+  snapshot.restoredByEmail = user?.email;
+  snapshot.restoreSummary = { restored, conflicts: conflicts.length };
+  await snapshot.save();
+
+  return { snapshot, restored, conflicts };
+};
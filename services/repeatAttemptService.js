@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+import Result from '../models/result.js';
+import CourseRegistration from '../models/courseRegistration.js';
+import { compareTerms, isBeforeTerm } from '../utills/sessionOrder.js';
+
+const toObjectIds = (ids) =>
+  [...new Set((ids || []).map(String))]
+    .filter((id) => mongoose.Types.ObjectId.isValid(id))
+    .map((id) => new mongoose.Types.ObjectId(id));
+
+/**
+ * Loads every attempt the given students made before (session, semester), keyed by
+ * `${studentId}|${courseId}` and ordered oldest first. An attempt is a stored result, or a
+ * registration with no result (which the metrics pipeline counts as an F).
+ */
+export const loadPriorAttempts = async (studentIds, session, semester) => {
+  const ids = toObjectIds(studentIds);
+  const attempts = new Map();
+  if (!ids.length) return attempts;
+
+  const sem = Number(semester);
+  const [results, registrations] = await Promise.all([
+    Result.find({ student: { $in: ids } }).select('student course session semester grade').lean(),
+    CourseRegistration.aggregate([
+      { $match: { student: { $in: ids } } },
+      { $unwind: '$student' },
+      { $match: { student: { $in: ids } } },
+      { $project: { _id: 0, student: 1, course: 1, session: 1, semester: 1 } },
+    ]),
+  ]);
+
+  const push = (sid, cid, attempt) => {
+    const key = `${sid}|${cid}`;
+    if (!attempts.has(key)) attempts.set(key, []);
+    attempts.get(key).push(attempt);
+  };
+
+  const resultTerms = new Set();
+  results.forEach((r) => {
+    if (!isBeforeTerm(r.session, r.semester, session, sem)) return;
+    const sid = String(r.student);
+    const cid = String(r.course);
+    resultTerms.add(`${sid}|${cid}|${r.session}|${r.semester}`);
+    push(sid, cid, { session: r.session, semester: Number(r.semester), grade: String(r.grade || 'F') });
+  });
+
+  registrations.forEach((reg) => {
+    if (!isBeforeTerm(reg.session, reg.semester, session, sem)) return;
+    const sid = String(reg.student);
+    const cid = String(reg.course);
+    const termKey = `${sid}|${cid}|${reg.session}|${reg.semester}`;
+    if (resultTerms.has(termKey)) return;
+    resultTerms.add(termKey);
+    push(sid, cid, { session: reg.session, semester: Number(reg.semester), grade: 'F', registeredOnly: true });
+  });
+
+  attempts.forEach((list) => list.sort(compareTerms));
+  return attempts;
+};
+
+/**
+ * Tags each attempted course (which must carry `course`) with its attempt number and the
+ * attempt immediately before it, so calculateAcademicMetrics can apply the repeat policy.
+ * Mutates and returns `attempted`.
+ */
+export const annotateRepeatAttempts = (attempted, studentId, priorAttempts) => {
+  const sid = String(studentId);
+  attempted.forEach((entry) => {
+    if (!entry?.course) return;
+    const prior = priorAttempts.get(`${sid}|${String(entry.course)}`) || [];
+    if (!prior.length) return;
+    const previous = prior[prior.length - 1];
+    entry.repeat = {
+      attempt: prior.length + 1,
+      previous: { session: previous.session, semester: previous.semester, grade: previous.grade },
+    };
+  });
+  return attempted;
+};
+
+export const withRepeatAttempts = async (attempted, studentId, session, semester) => {
+  if (!attempted.length) return attempted;
+  const prior = await loadPriorAttempts([studentId], session, semester);
+  return annotateRepeatAttempts(attempted, studentId, prior);
+};
@@ -0,0 +1,144 @@
+import AcademicMetrics from '../models/academicMetrics.js';
+import Course from '../models/course.js';
+import Result from '../models/result.js';
+import ResultAmendment from '../models/resultAmendment.js';
+import Student from '../models/student.js';
+import { QUESTION_FIELDS } from '../constants/assessmentDefaults.js';
+import { checkScoreComponents, resolveAssessmentConfig } from './assessmentService.js';
+import { createGradingSchemeResolver, gradeFromScore } from './gradingService.js';
+import { recomputeStudentTermMetrics } from './termMetricsService.js';
+import { diffSnapshots, recordResultRevision, snapshotResult } from './resultRevisionService.js';
+import { resultSetsFromResults, runAnomalyChecks } from './resultAnomalyService.js';
+import { findCurrentApprovers, resetApprovals } from './approvalService.js';
+import { emailUsers } from './emailService.js';
+import { compareTerms, isBeforeTerm } from '../utills/sessionOrder.js';
+
+const httpError = (message, statusCode = 400, extra = {}) =>
+  Object.assign(new Error(message), { statusCode }, extra);
+
+const COMPONENT_FIELDS = [...QUESTION_FIELDS, 'ca', 'totalexam'];
+
+/**
+ * The score fields `result` would have after `changes` (any of q1..q8, ca, totalexam,
+ * grandtotal), checked against the course assessment the same way a manual edit is.
+ * Totals not sent are re-derived from the parts. Resolves to { proposed, issues }.
+ */
+export const buildProposedScores = (result, course, changes = {}) => {
+  const has = (key) => Object.prototype.hasOwnProperty.call(changes, key);
+  const sentComponents = COMPONENT_FIELDS.filter(has);
+  const sentQuestions = sentComponents.some((key) => QUESTION_FIELDS.includes(key));
+  if (!sentComponents.length && !has('grandtotal')) {
+    return { proposed: null, issues: [{ code: 'NO_CHANGES', message: 'No score fields to change were sent.' }] };
+  }
+
+  const merged = {};
+  [...COMPONENT_FIELDS, 'grandtotal'].forEach((key) => {
+    merged[key] = has(key) ? changes[key] : result[key];
+  });
+  if (sentQuestions && !has('totalexam')) merged.totalexam = undefined;
+  if (sentComponents.length && !has('grandtotal')) merged.grandtotal = undefined;
+
+  const { values, examTotal, issues } = checkScoreComponents(merged, resolveAssessmentConfig(course));
+  if (issues.length) return { proposed: null, issues };
+
+  const round = (value) => (value === undefined ? null : Math.round(value));
+  const proposed = Object.fromEntries(COMPONENT_FIELDS.map((key) => [key, round(values[key])]));
+  if (sentQuestions && !has('totalexam')) proposed.totalexam = round(examTotal);
+  proposed.grandtotal = has('grandtotal')
+    ? Math.round(values.grandtotal ?? 0)
+    : Math.round((values.ca ?? 0) + (examTotal ?? 0));
+  return { proposed, issues: [] };
+};
+
+// Pending amendment already open on this result (one at a time per result)
+export const findOpenAmendment = (resultId) =>
+  ResultAmendment.findOne({ result: resultId, status: 'pending' }).select('_id').lean();
+
+/**
+ * Recomputes the student's metrics for `term` and every later term (their cumulative
+ * figures carry forward), oldest first, and clears the officer approvals on each so the
+ * amended figures go through approval again. Resolves to the terms recomputed and the
+ * users whose approvals were cleared.
+ */
+const recomputeFromTerm = async (term, { gradingResolver, actor, reason }) => {
+  const later = await AcademicMetrics.find({ student: term.student })
+    .select('session semester level')
+    .lean();
+  const terms = [term, ...later.filter((doc) => isBeforeTerm(term.session, term.semester, doc.session, doc.semester))]
+    .map((doc) => ({ student: term.student, session: doc.session, semester: Number(doc.semester), level: Number(doc.level) }))
+    .sort(compareTerms);
+
+  for (const entry of terms) {
+    await recomputeStudentTermMetrics({ ...entry, gradingResolver });
+  }
+  const filter = { student: term.student, $or: terms.map(({ session, semester, level }) => ({ session, semester, level })) };
+  const approvers = await findCurrentApprovers(filter);
+  await resetApprovals(filter, { user: { id: actor?.user, email: actor?.email }, reason });
+  return {
+    terms: terms.map(({ session, semester, level }) => ({ session, semester, level })),
+    approvers,
+  };
+};
+
+/**
+ * Applies an authorised amendment: rewrites (regrading under the scheme in force) or
+ * deletes the result, records an `amendment` revision, then resets approvals on and
+ * recomputes the affected metrics. Refuses with 409 when the result changed after the
+ * request was made.
+ */
+export const applyAmendment = async (amendment, { actor }) => {
+  const result = await Result.findById(amendment.result);
+  const before = snapshotResult(result);
+  if (!result || diffSnapshots(amendment.before, before).length) {
+    throw httpError('The result changed after this amendment was requested; submit a new request.', 409);
+  }
+
+  const gradingResolver = createGradingSchemeResolver();
+  const reason = `Amendment ${amendment._id}: ${amendment.reason}`;
+  let after = null;
+
+  if (amendment.action === 'delete') {
+    await Result.findByIdAndDelete(result._id);
+    await recordResultRevision({ before, after: null }, { action: 'delete', source: 'amendment', reason, actor });
+  } else {
+    const scheme = await gradingResolver.forStudent(result.student, result.session);
+    COMPONENT_FIELDS.forEach((key) => {
+      result[key] = amendment.proposed[key] ?? undefined;
+    });
+    result.grandtotal = amendment.proposed.grandtotal;
+    result.grade = gradeFromScore(result.grandtotal, scheme);
+    // An amended score replaces any moderated one, as a manual edit does
+    result.moderated = false;
+    result.moderationStatus = 'none';
+    result.moderationPendingGrandtotal = undefined;
+    result.moderationOriginalGrandtotal = undefined;
+    result.moderationApprovedAt = undefined;
+    result.moderationRequest = undefined;
+    const saved = await result.save();
+    after = snapshotResult(saved);
+    await recordResultRevision({ before, after }, { action: 'update', source: 'amendment', reason, actor });
+  }
+
+  const { terms: termsRecomputed, approvers } = await recomputeFromTerm(
+    { student: result.student, session: result.session, semester: result.semester, level: result.level },
+    { gradingResolver, actor, reason }
+  );
+  await runAnomalyChecks(resultSetsFromResults([before]));
+
+  const [course, student] = await Promise.all([
+    Course.findById(result.course).select('code').lean(),
+    Student.findById(result.student).select('regNo').lean(),
+  ]);
+  await emailUsers(approvers.filter((id) => id !== String(actor?.user || '')), 'result_amended', {
+    regNo: student?.regNo || 'a student',
+    courseCode: course?.code || 'course',
+    termLabel: `${result.session} semester ${result.semester}, ${result.level} level`,
+    action: amendment.action,
+    authority: amendment.decision?.authority === 'senate' ? 'Senate' : 'Dean',
+    reason: amendment.reason,
+  });
+
+  amendment.appliedAt = new Date();
+  amendment.termsRecomputed = termsRecomputed;
+  return { result: after, termsRecomputed };
+};
@@ -0,0 +1,249 @@
+import Result from '../models/result.js';
+import Course from '../models/course.js';
+import ResultAnomaly from '../models/resultAnomaly.js';
+import {
+  DEFAULT_ANOMALY_THRESHOLDS,
+  RESULT_ANOMALY_LABELS,
+} from '../constants/anomalyDefaults.js';
+import { resolveGradingScheme } from './gradingService.js';
+import { notifyRoles } from './notificationService.js';
+import { resolveAssessmentConfig } from './assessmentService.js';
+import { buildCourseStatistics } from './resultStatisticsService.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const setKey = ({ course, session, semester, level }) =>
+  [String(course?._id || course), session, Number(semester), String(level)].join('|');
+
+/**
+ * Pure checks over one result set. `rows` are `{ score, grade }`, `passRate` is the set's pass
+ * rate and `history` lists `{ session, passRate, count }` for earlier sessions of the course.
+ * Returns `[{ code, message, details }]`, empty when nothing looks wrong.
+ */
+export const detectResultAnomalies = ({
+  rows,
+  passRate,
+  history = [],
+  scheme,
+  assessment,
+  thresholds = DEFAULT_ANOMALY_THRESHOLDS,
+}) => {
+  const anomalies = [];
+  const scores = rows.map((row) => Number(row.score) || 0);
+  const count = scores.length;
+
+  const maxTotal = assessment.caMax + assessment.examMax;
+  const overMax = scores.filter((score) => score > maxTotal);
+  if (overMax.length) {
+    anomalies.push({
+      code: 'GRANDTOTAL_OVER_MAX',
+      message: `${overMax.length} result(s) have a grand total above ${maxTotal}.`,
+      details: { count: overMax.length, maxTotal, highest: Math.max(...overMax) },
+    });
+  }
+
+  if (count < thresholds.minCohortSize) {
+    return anomalies;
+  }
+
+  const baseline = history.filter((entry) => entry.count >= thresholds.minCohortSize);
+  if (baseline.length) {
+    const historicalPassRate = round2(baseline.reduce((sum, entry) => sum + entry.passRate, 0) / baseline.length);
+    const deviation = round2(passRate - historicalPassRate);
+    if (Math.abs(deviation) >= thresholds.passRateDeviation) {
+      anomalies.push({
+        code: 'PASS_RATE_OUTLIER',
+        message: `Pass rate ${passRate}% is ${Math.abs(deviation)} points ${deviation > 0 ? 'above' : 'below'} the course average of ${historicalPassRate}%.`,
+        details: { passRate, historicalPassRate, deviation, sessions: baseline.map((entry) => entry.session) },
+      });
+    }
+  }
+
+  const frequency = new Map();
+  scores.forEach((score) => frequency.set(score, (frequency.get(score) || 0) + 1));
+  const [modeScore, modeCount] = [...frequency].sort((a, b) => b[1] - a[1])[0];
+  if (modeCount >= thresholds.identicalScoreMinCount && modeCount / count >= thresholds.identicalScoreShare) {
+    anomalies.push({
+      code: 'IDENTICAL_SCORES',
+      message: `${modeCount} of ${count} students share the grand total ${modeScore}.`,
+      details: { score: modeScore, count: modeCount, share: round2(modeCount / count) },
+    });
+  }
+
+  // Every band floor except the bottom one is a boundary a score can fall just short of
+  const window = thresholds.boundaryWindow;
+  const boundaries = [...new Set((scheme?.bands || []).map((band) => band.minScore))].filter((min) => min > 0);
+  const clustered = boundaries
+    .map((boundary) => {
+      const under = scores.filter((score) => score >= boundary - window && score < boundary).length;
+      const over = scores.filter((score) => score >= boundary && score < boundary + window).length;
+      return { boundary, under, over };
+    })
+    .filter(({ under, over }) => under >= thresholds.boundaryMinCount && under >= thresholds.boundaryRatio * Math.max(over, 1))
+    .sort((a, b) => b.boundary - a.boundary);
+  if (clustered.length) {
+    anomalies.push({
+      code: 'BOUNDARY_CLUSTERING',
+      message: `Scores cluster just under ${clustered.map(({ boundary }) => boundary).join(', ')}.`,
+      details: { window, boundaries: clustered },
+    });
+  }
+
+  return anomalies;
+};
+
+/**
+ * Re-runs the checks for one course result set and reconciles the stored flags: new findings
+ * are opened, findings that disappear are resolved, and acknowledged flags stay acknowledged
+ * while they keep being detected. Returns the set's current (unresolved) anomalies.
+ */
+export const checkCourseResultSet = async ({ course, session, semester, level }) => {
+  const courseDoc = await Course.findById(course?._id || course)
+    .select('_id code programme department college assessment')
+    .lean();
+  if (!courseDoc) return [];
+
+  const key = { course: courseDoc._id, session: String(session), semester: Number(semester), level: String(level) };
+  const rows = (await Result.find(key).select('grandtotal grade').lean())
+    .map((doc) => ({ score: doc.grandtotal, grade: doc.grade }));
+
+  let detected = [];
+  if (rows.length) {
+    const thresholds = DEFAULT_ANOMALY_THRESHOLDS;
+    const [scheme, [stats]] = await Promise.all([
+      resolveGradingScheme(courseDoc.programme, key.session),
+      buildCourseStatistics(key, { compareSessions: thresholds.historySessions }),
+    ]);
+    detected = detectResultAnomalies({
+      rows,
+      passRate: stats?.passRate ?? 0,
+      history: stats?.comparison || [],
+      scheme,
+      assessment: resolveAssessmentConfig(courseDoc),
+      thresholds,
+    });
+  }
+
+  const existing = await ResultAnomaly.find(key).lean();
+  const existingByCode = new Map(existing.map((doc) => [doc.code, doc]));
+  const detectedCodes = new Set(detected.map((anomaly) => anomaly.code));
+  // Not flagged before, or flagged and since resolved
+  const isNewFinding = (code) => {
+    const previous = existingByCode.get(code);
+    return !previous || previous.status === 'resolved';
+  };
+  const now = new Date();
+  const ops = [];
+
+  detected.forEach(({ code, message, details }) => {
+    const reopen = isNewFinding(code);
+    ops.push({
+      updateOne: {
+        filter: { ...key, code },
+        update: {
+          $set: {
+            message,
+            details,
+            department: courseDoc.department,
+            college: courseDoc.college,
+            lastDetectedAt: now,
+            resolvedAt: null,
+            ...(reopen
+              ? { status: 'open', firstDetectedAt: now, acknowledgement: { byName: '', note: '', at: null } }
+              : {}),
+          },
+        },
+        upsert: true,
+      },
+    });
+  });
+  existing
+    .filter((doc) => doc.status !== 'resolved' && !detectedCodes.has(doc.code))
+    .forEach((doc) => {
+      ops.push({
+        updateOne: {
+          filter: { _id: doc._id },
+          update: { $set: { status: 'resolved', resolvedAt: now } },
+        },
+      });
+    });
+
+  if (ops.length) {
+    await ResultAnomaly.bulkWrite(ops, { ordered: false });
+  }
+  const opened = detected.filter(({ code }) => isNewFinding(code));
+  if (opened.length) {
+    await notifyRoles({
+      roles: ['EXAM_OFFICER', 'HOD'],
+      department: courseDoc.department,
+      college: courseDoc.college,
+      type: 'anomaly_flagged',
+      title: `${courseDoc.code || 'A course'} results flagged for review`,
+      message: opened.map((anomaly) => anomaly.message).join(' '),
+      link: { kind: 'Course', id: courseDoc._id },
+      data: { ...key, codes: opened.map((anomaly) => anomaly.code) },
+    });
+  }
+  return ResultAnomaly.find({ ...key, status: { $ne: 'resolved' } }).lean();
+};
+
+// Distinct result sets touched by a batch of result documents or snapshots.
+export const resultSetsFromResults = (results = []) => {
+  const sets = new Map();
+  results.filter(Boolean).forEach((doc) => {
+    if (!doc.course || !doc.session || !doc.semester || !doc.level) return;
+    const set = { course: doc.course, session: doc.session, semester: doc.semester, level: doc.level };
+    sets.set(setKey(set), set);
+  });
+  return [...sets.values()];
+};
+
+/**
+ * Runs the checks after results change. A failed check is logged rather than thrown so
+ * it never undoes an upload or edit that has already been saved.
+ */
+export const runAnomalyChecks = async (sets = []) => {
+  const found = [];
+  for (const set of sets) {
+    try {
+      found.push(...await checkCourseResultSet(set));
+    } catch (err) {
+      console.error(`Result anomaly check failed for ${setKey(set)}:`, err);
+    }
+  }
+  return found;
+};
+
+// Open flags on any result set the student has a result in for the metrics' term.
+export const findBlockingAnomaliesForMetrics = async (metricsDoc) => {
+  if (!metricsDoc?.student || !metricsDoc?.session || !metricsDoc?.semester) return [];
+  const results = await Result.find({
+    student: metricsDoc.student,
+    session: metricsDoc.session,
+    semester: Number(metricsDoc.semester),
+  })
+    .select('course session semester level')
+    .lean();
+  const sets = resultSetsFromResults(results);
+  if (!sets.length) return [];
+  return ResultAnomaly.find({ status: 'open', $or: sets })
+    .populate('course', 'code title')
+    .lean();
+};
+
+export const serializeAnomaly = (doc) => ({
+  id: doc._id,
+  course: doc.course,
+  session: doc.session,
+  semester: doc.semester,
+  level: doc.level,
+  code: doc.code,
+  label: RESULT_ANOMALY_LABELS[doc.code] || doc.code,
+  message: doc.message,
+  details: doc.details || {},
+  status: doc.status,
+  firstDetectedAt: doc.firstDetectedAt,
+  lastDetectedAt: doc.lastDetectedAt,
+  resolvedAt: doc.resolvedAt || null,
+  acknowledgement: doc.acknowledgement?.at ? doc.acknowledgement : null,
+});
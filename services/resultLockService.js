@@ -0,0 +1,46 @@
+import AcademicMetrics from '../models/academicMetrics.js';
+
+const httpError = (message, statusCode = 400, extra = {}) =>
+  Object.assign(new Error(message), { statusCode }, extra);
+
+// Result level is a string, AcademicMetrics level a number
+export const termKey = ({ student, session, semester, level }) =>
+  `${student?._id || student}|${session}|${Number(semester)}|${Number(level)}`;
+
+const termOf = (entry) => ({
+  student: String(entry.student?._id || entry.student),
+  session: entry.session,
+  semester: Number(entry.semester),
+  level: Number(entry.level),
+});
+
+/**
+ * The student-terms among `entries` (results or { student, session, semester, level })
+ * whose AcademicMetrics the Dean has approved. Their results are frozen: further changes
+ * go through a ResultAmendment.
+ */
+export const findLockedTerms = async (entries = []) => {
+  const terms = [...new Map(entries.filter(Boolean).map((entry) => [termKey(entry), termOf(entry)])).values()];
+  if (!terms.length) return [];
+
+  const approved = await AcademicMetrics.find({
+    student: { $in: [...new Set(terms.map((term) => term.student))] },
+    'deanApproval.approved': true,
+  })
+    .select('student session semester level')
+    .lean();
+  const locked = new Set(approved.map(termKey));
+  return terms.filter((term) => locked.has(termKey(term)));
+};
+
+// Throws 423 with `lockedTerms` when any of the entries falls in a Dean-approved term
+export const ensureResultsUnlocked = async (entries = []) => {
+  const lockedTerms = await findLockedTerms(entries);
+  if (lockedTerms.length) {
+    throw httpError(
+      'Results for Dean-approved terms are locked; submit a result amendment request instead.',
+      423,
+      { code: 'RESULT_LOCKED', lockedTerms }
+    );
+  }
+};
@@ -0,0 +1,136 @@
+import mongoose from 'mongoose';
+import ResultRevision from '../models/resultRevision.js';
+
+// Result fields captured in every snapshot (timestamps and __v are deliberately left out)
+const SNAPSHOT_FIELDS = [
+  'student', 'course', 'lecturer', 'department', 'college',
+  'session', 'semester', 'date', 'level', 'resultType',
+  'q1', 'q2', 'q3', 'q4', 'q5', 'q6', 'q7', 'q8',
+  'totalexam', 'ca', 'grandtotal', 'grade',
+  'moderated', 'moderationStatus', 'moderationPendingGrandtotal', 'moderationOriginalGrandtotal',
+  'moderationApprovedAt', 'moderationProof', 'moderationAuthorizedPfNo', 'moderationRequest',
+];
+
+const REF_FIELDS = new Set(['student', 'course', 'lecturer']);
+
+const comparable = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  return value;
+};
+
+/**
+ * Plain copy of a Result (document or lean, populated or not) suitable for storing in a
+ * revision. Populated references are reduced back to their ids.
+ */
+export const snapshotResult = (doc) => {
+  if (!doc) return null;
+  const source = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  const snapshot = { _id: source._id };
+  SNAPSHOT_FIELDS.forEach((field) => {
+    let value = source[field];
+    if (value === undefined) return;
+    if (REF_FIELDS.has(field) && value && typeof value === 'object' && value._id) {
+      value = value._id;
+    }
+    snapshot[field] = value;
+  });
+  return snapshot;
+};
+
+export const diffSnapshots = (before, after) =>
+  SNAPSHOT_FIELDS.filter((field) => {
+    const a = comparable(before?.[field]);
+    const b = comparable(after?.[field]);
+    return String(a) !== String(b);
+  });
+
+export const actorFromRequest = (req) => ({
+  user: req.user?.id,
+  email: req.user?.email || '',
+  roles: req.user?.roles || [],
+});
+
+// A concurrent change of the same result can take a revision number first
+const MAX_NUMBERING_ATTEMPTS = 5;
+
+const isDuplicateKeyError = (err) =>
+  err?.code === 11000 || (err?.writeErrors || []).some((writeError) => writeError?.code === 11000);
+
+// Gives each doc the next free revision number of its result, in order
+const numberRevisions = async (docs) => {
+  const resultIds = [...new Set(docs.map((doc) => String(doc.result)))]
+    .map((id) => new mongoose.Types.ObjectId(id));
+  const rows = await ResultRevision.aggregate([
+    { $match: { result: { $in: resultIds } } },
+    { $group: { _id: '$result', last: { $max: '$revision' } } },
+  ]);
+  const lastByResult = new Map(rows.map((row) => [String(row._id), row.last]));
+  docs.forEach((doc) => {
+    const key = String(doc.result);
+    doc.revision = (lastByResult.get(key) || 0) + 1;
+    lastByResult.set(key, doc.revision);
+  });
+};
+
+/**
+ * Records one revision per change. Each change is { before, after, restoredFrom? }
+ * with snapshots from snapshotResult; unchanged updates are skipped. Revision numbers
+ * are per result; when another change of the same result takes a number first (duplicate
+ * key), the revisions not yet written are renumbered and written again.
+ */
+export const recordResultRevisions = async (changes, { action, source, reason = '', actor = {} }) => {
+  const effective = (changes || []).filter(({ before, after }) => {
+    if (!before && !after) return false;
+    return !(before && after) || diffSnapshots(before, after).length > 0;
+  });
+  if (!effective.length) return [];
+
+  let pending = effective.map(({ before, after, restoredFrom }) => {
+    const reference = after || before;
+    return {
+      _id: new mongoose.Types.ObjectId(),
+      result: reference._id,
+      student: reference.student,
+      course: reference.course,
+      session: reference.session,
+      semester: reference.semester,
+      level: reference.level,
+      action,
+      source,
+      before: before || null,
+      after: after || null,
+      changedFields: diffSnapshots(before, after),
+      reason: String(reason || '').trim(),
+      actor,
+      ...(restoredFrom ? { restoredFrom } : {}),
+    };
+  });
+  const recorded = [];
+
+  for (let attempt = 1; ; attempt += 1) {
+    await numberRevisions(pending);
+    try {
+      recorded.push(...await ResultRevision.insertMany(pending, { ordered: true }));
+      return recorded;
+    } catch (err) {
+      if (!isDuplicateKeyError(err) || attempt >= MAX_NUMBERING_ATTEMPTS) throw err;
+      const written = await ResultRevision.find({ _id: { $in: pending.map((doc) => doc._id) } });
+      const writtenIds = new Set(written.map((doc) => String(doc._id)));
+      recorded.push(...written);
+      pending = pending.filter((doc) => !writtenIds.has(String(doc._id)));
+      if (!pending.length) return recorded;
+    }
+  }
+};
+
+export const recordResultRevision = async (change, options) => {
+  const [revision] = await recordResultRevisions([change], options);
+  return revision || null;
+};
+
+// Fields restore writes back onto a result: every snapshot field, with fields absent from
+// the snapshot cleared so the result matches it exactly
+export const restorableFields = (snapshot) =>
+  Object.fromEntries(SNAPSHOT_FIELDS.map((field) => [field, snapshot?.[field]]));
@@ -0,0 +1,256 @@
+import crypto from 'crypto';
+import AcademicMetrics from '../models/academicMetrics.js';
+import Result from '../models/result.js';
+import ResultSeal from '../models/resultSeal.js';
+import Student from '../models/student.js';
+import { termKey } from './resultLockService.js';
+import {
+  GENESIS_HASH,
+  SEAL_HASH_ALGORITHM,
+  SEALED_METRIC_FIELDS,
+  SEALED_RESULT_FIELDS,
+} from '../constants/sealDefaults.js';
+
+const httpError = (message, statusCode = 400, extra = {}) =>
+  Object.assign(new Error(message), { statusCode }, extra);
+
+const isDuplicateKeyError = (err) => err?.code === 11000;
+
+// Appending races with another seal for the same sequence number; retry on top of the winner
+const MAX_APPEND_ATTEMPTS = 5;
+
+const VERIFY_CHUNK_SIZE = 200;
+
+// Plain JSON-safe value with object keys sorted, so equal snapshots always hash the same
+const canonical = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value?._bsontype === 'ObjectId') return String(value);
+  if (Array.isArray(value)) return value.map(canonical);
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map((key) => [key, canonical(value[key])]));
+  }
+  return value;
+};
+
+export const sealHash = (snapshot, previousHash) =>
+  crypto
+    .createHash(SEAL_HASH_ALGORITHM)
+    .update(`${previousHash}\n${JSON.stringify(canonical(snapshot))}`)
+    .digest('hex');
+
+// The sealed form of a term: its metrics figures and its result lines ordered by id
+const buildSealSnapshot = (metrics, results = []) => canonical({
+  metrics: {
+    id: metrics._id,
+    student: metrics.student,
+    session: metrics.session,
+    semester: Number(metrics.semester),
+    level: Number(metrics.level),
+    ...Object.fromEntries(SEALED_METRIC_FIELDS.map((field) => [field, metrics[field]])),
+    previousMetrics: Object.fromEntries(
+      ['CCC', 'CCE', 'CPE', 'CGPA'].map((field) => [field, metrics.previousMetrics?.[field]])
+    ),
+  },
+  results: [...results]
+    .sort((a, b) => String(a._id).localeCompare(String(b._id)))
+    .map((result) => ({
+      id: result._id,
+      ...Object.fromEntries(SEALED_RESULT_FIELDS.map((field) => [field, result[field]])),
+    })),
+});
+
+// Result lines of each metrics record's term, keyed by termKey
+const loadTermResults = async (metricsDocs) => {
+  const byTerm = new Map(metricsDocs.map((doc) => [termKey(doc), []]));
+  if (!metricsDocs.length) return byTerm;
+  const results = await Result.find({
+    $or: metricsDocs.map((doc) => ({
+      student: doc.student,
+      session: doc.session,
+      semester: Number(doc.semester),
+      level: String(doc.level),
+    })),
+  })
+    .select(['student', 'session', 'semester', 'level', ...SEALED_RESULT_FIELDS].join(' '))
+    .lean();
+  results.forEach((result) => byTerm.get(termKey(result))?.push(result));
+  return byTerm;
+};
+
+/**
+ * Freezes the Dean-approved term of `metricsId` and appends it to the seal chain: the
+ * snapshot is hashed together with the latest seal's hash. Resolves to the new ResultSeal.
+ */
+export const sealApprovedTerm = async (metricsId, { user = null, name = '' } = {}) => {
+  const metrics = await AcademicMetrics.findById(metricsId).lean();
+  if (!metrics) {
+    throw httpError('Metrics not found.', 404);
+  }
+  if (!metrics.deanApproval?.approved) {
+    throw httpError('Only Dean-approved terms can be sealed.', 409);
+  }
+  const [results, student] = await Promise.all([
+    loadTermResults([metrics]).then((byTerm) => byTerm.get(termKey(metrics))),
+    Student.findById(metrics.student).select('regNo').lean(),
+  ]);
+  const snapshot = buildSealSnapshot(metrics, results);
+
+  for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt += 1) {
+    const latest = await ResultSeal.findOne().sort({ sequence: -1 }).select('sequence hash').lean();
+    const previousHash = latest?.hash || GENESIS_HASH;
+    try {
+      return await ResultSeal.create({
+        sequence: (latest?.sequence || 0) + 1,
+        metrics: metrics._id,
+        student: metrics.student,
+        regNo: student?.regNo || '',
+        session: metrics.session,
+        semester: metrics.semester,
+        level: metrics.level,
+        snapshot,
+        previousHash,
+        hash: sealHash(snapshot, previousHash),
+        sealedBy: user?.id,
+        sealedByName: name || user?.email || '',
+      });
+    } catch (err) {
+      if (!isDuplicateKeyError(err)) throw err;
+    }
+  }
+  throw httpError('The seal chain is busy; try sealing this term again.', 503);
+};
+
+const changedFields = (fields, sealed = {}, current = {}) =>
+  fields
+    .filter((field) => JSON.stringify(sealed[field] ?? null) !== JSON.stringify(current[field] ?? null))
+    .map((field) => ({ field, sealed: sealed[field] ?? null, current: current[field] ?? null }));
+
+// What differs between a sealed snapshot and the same term now
+const diffSealSnapshot = (sealed, current) => {
+  const metricFields = [...SEALED_METRIC_FIELDS, 'session', 'semester', 'level'];
+  const metrics = [
+    ...changedFields(metricFields, sealed.metrics, current.metrics),
+    ...changedFields(['CCC', 'CCE', 'CPE', 'CGPA'], sealed.metrics?.previousMetrics, current.metrics?.previousMetrics)
+      .map((entry) => ({ ...entry, field: `previousMetrics.${entry.field}` })),
+  ];
+
+  const currentById = new Map((current.results || []).map((line) => [line.id, line]));
+  const results = [];
+  (sealed.results || []).forEach((line) => {
+    const now = currentById.get(line.id);
+    currentById.delete(line.id);
+    if (!now) {
+      results.push({ result: line.id, course: line.course, change: 'removed', fields: [] });
+      return;
+    }
+    const fields = changedFields(SEALED_RESULT_FIELDS, line, now);
+    if (fields.length) results.push({ result: line.id, course: line.course, change: 'changed', fields });
+  });
+  currentById.forEach((line) => results.push({ result: line.id, course: line.course, change: 'added', fields: [] }));
+
+  return { metrics, results };
+};
+
+const sealMatches = (seal, filter) =>
+  (!filter.session || seal.session === filter.session) &&
+  (!filter.semester || Number(seal.semester) === Number(filter.semester)) &&
+  (!filter.level || Number(seal.level) === Number(filter.level)) &&
+  (!filter.student || String(seal.student) === String(filter.student));
+
+/**
+ * Walks the whole seal chain, checking every hash against its snapshot and its link to
+ * the previous seal, then compares the latest seal of each term matching `filter`
+ * (session, semester, level, student) with the live metrics and results. Terms whose
+ * approvals were reset since sealing (an amendment or override) are listed as reopened
+ * rather than altered; Dean-approved terms without a seal are listed as unsealed.
+ */
+export const verifySeals = async (filter = {}) => {
+  const chain = { seals: 0, issues: [] };
+  const latestByMetrics = new Map();
+  let expectedSequence = 1;
+  let expectedPrevious = GENESIS_HASH;
+
+  const cursor = ResultSeal.find().sort({ sequence: 1 }).lean().cursor();
+  for await (const seal of cursor) {
+    chain.seals += 1;
+    const problems = [];
+    if (seal.sequence !== expectedSequence) {
+      problems.push(`Expected sequence ${expectedSequence}; seals are missing or duplicated.`);
+    }
+    if (seal.previousHash !== expectedPrevious) {
+      problems.push('Does not link to the previous seal.');
+    }
+    if (sealHash(seal.snapshot, seal.previousHash) !== seal.hash) {
+      problems.push('Snapshot does not match its hash.');
+    }
+    if (problems.length) {
+      chain.issues.push({ sealId: seal._id, sequence: seal.sequence, regNo: seal.regNo, problems });
+    }
+    expectedSequence = seal.sequence + 1;
+    expectedPrevious = seal.hash;
+    if (sealMatches(seal, filter)) latestByMetrics.set(String(seal.metrics), seal);
+  }
+
+  const altered = [];
+  const reopened = [];
+  const seals = [...latestByMetrics.values()];
+  for (let index = 0; index < seals.length; index += VERIFY_CHUNK_SIZE) {
+    const chunk = seals.slice(index, index + VERIFY_CHUNK_SIZE);
+    const metricsDocs = await AcademicMetrics.find({ _id: { $in: chunk.map((seal) => seal.metrics) } }).lean();
+    const metricsById = new Map(metricsDocs.map((doc) => [String(doc._id), doc]));
+    const resultsByTerm = await loadTermResults(metricsDocs);
+
+    chunk.forEach((seal) => {
+      const entry = {
+        sealId: seal._id,
+        sequence: seal.sequence,
+        metricsId: seal.metrics,
+        student: seal.student,
+        regNo: seal.regNo,
+        session: seal.session,
+        semester: seal.semester,
+        level: seal.level,
+        sealedAt: seal.createdAt,
+      };
+      const metrics = metricsById.get(String(seal.metrics));
+      if (!metrics) {
+        altered.push({ ...entry, metricsDeleted: true, metrics: [], results: [] });
+        return;
+      }
+      const differences = diffSealSnapshot(
+        seal.snapshot,
+        buildSealSnapshot(metrics, resultsByTerm.get(termKey(metrics)))
+      );
+      if (!metrics.deanApproval?.approved) {
+        reopened.push({ ...entry, ...differences });
+      } else if (differences.metrics.length || differences.results.length) {
+        altered.push({ ...entry, ...differences });
+      }
+    });
+  }
+
+  const approvedFilter = { 'deanApproval.approved': true };
+  if (filter.session) approvedFilter.session = filter.session;
+  if (filter.semester) approvedFilter.semester = Number(filter.semester);
+  if (filter.level) approvedFilter.level = Number(filter.level);
+  if (filter.student) approvedFilter.student = filter.student;
+  const sealedIds = await ResultSeal.distinct('metrics');
+  const unsealed = await AcademicMetrics.find({ ...approvedFilter, _id: { $nin: sealedIds } })
+    .select('student session semester level')
+    .limit(500)
+    .lean();
+
+  return {
+    checkedAt: new Date(),
+    chain: { ...chain, intact: !chain.issues.length },
+    terms: { checked: seals.length, altered, reopened },
+    unsealed: unsealed.map((doc) => ({
+      metricsId: doc._id,
+      student: doc.student,
+      session: doc.session,
+      semester: doc.semester,
+      level: doc.level,
+    })),
+  };
+};
@@ -0,0 +1,160 @@
+import Result from '../models/result.js';
+import Course from '../models/course.js';
+import { createGradingSchemeResolver } from './gradingService.js';
+import { parseSessionIndex } from '../utills/sessionOrder.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const percentOf = (part, whole) => (whole ? round2((part / whole) * 100) : 0);
+
+export const median = (sorted) => {
+  if (!sorted.length) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Buckets of `bucketSize` marks from 0 upwards; the top bucket also takes a perfect 100.
+export const buildScoreHistogram = (scores, bucketSize = 10) => {
+  const size = Math.max(1, Math.floor(bucketSize));
+  const bucketCount = Math.ceil(100 / size);
+  const buckets = Array.from({ length: bucketCount }, (_, index) => ({
+    from: index * size,
+    to: Math.min(100, (index + 1) * size - 1),
+    count: 0,
+  }));
+  buckets[bucketCount - 1].to = 100;
+  scores.forEach((score) => {
+    const index = Math.min(bucketCount - 1, Math.max(0, Math.floor(score / size)));
+    buckets[index].count += 1;
+  });
+  return buckets;
+};
+
+/**
+ * Descriptive figures for one cohort. `rows` are `{ score, grade }`; grades are counted against
+ * the scheme's bands (highest first) so letters nobody earned still appear with a zero count.
+ * Standard deviation is the population figure because the cohort is the whole class, not a sample.
+ */
+export const summarizeScores = (rows, scheme, { bucketSize = 10 } = {}) => {
+  const scores = rows.map((row) => Number(row.score) || 0).sort((a, b) => a - b);
+  const count = scores.length;
+  const mean = count ? scores.reduce((sum, s) => sum + s, 0) / count : null;
+  const variance = count ? scores.reduce((sum, s) => sum + (s - mean) ** 2, 0) / count : null;
+
+  const bands = [...(scheme?.bands || [])].sort((a, b) => b.minScore - a.minScore);
+  const passGrades = new Set(bands.filter((band) => band.isPass).map((band) => band.grade));
+  const gradeCounts = new Map(bands.map((band) => [band.grade, 0]));
+  rows.forEach((row) => {
+    const grade = String(row.grade || '').toUpperCase() || 'UNGRADED';
+    gradeCounts.set(grade, (gradeCounts.get(grade) || 0) + 1);
+  });
+  const passCount = rows.filter((row) => passGrades.has(String(row.grade || '').toUpperCase())).length;
+
+  return {
+    count,
+    mean: mean === null ? null : round2(mean),
+    median: median(scores),
+    standardDeviation: variance === null ? null : round2(Math.sqrt(variance)),
+    min: count ? scores[0] : null,
+    max: count ? scores[count - 1] : null,
+    passCount,
+    failCount: count - passCount,
+    passRate: percentOf(passCount, count),
+    gradeDistribution: Array.from(gradeCounts, ([grade, gradeCount]) => ({
+      grade,
+      count: gradeCount,
+      percent: percentOf(gradeCount, count),
+    })),
+    histogram: buildScoreHistogram(scores, bucketSize),
+  };
+};
+
+const loadCohorts = (match) =>
+  Result.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { course: '$course', session: '$session', semester: '$semester', level: '$level' },
+        rows: { $push: { score: '$grandtotal', grade: '$grade' } },
+      },
+    },
+  ]).option({ allowDiskUse: true });
+
+/**
+ * Statistics per course/session/semester/level for results matching `match`, each with a
+ * trend over up to `compareSessions` earlier sessions of the same course, semester and level.
+ * Pass/fail and the grade list follow the course programme's grading scheme for that session.
+ */
+export const buildCourseStatistics = async (match, { compareSessions = 3, bucketSize = 10 } = {}) => {
+  const cohorts = await loadCohorts(match);
+  if (!cohorts.length) return [];
+
+  const courseIds = [...new Set(cohorts.map((c) => String(c._id.course)))];
+  const courses = await Course.find({ _id: { $in: courseIds } })
+    .select('code title unit programme department college')
+    .lean();
+  const courseById = new Map(courses.map((course) => [String(course._id), course]));
+
+  let history = [];
+  if (compareSessions > 0) {
+    const latest = cohorts.reduce((max, c) => Math.max(max, parseSessionIndex(c._id.session)), Number.NEGATIVE_INFINITY);
+    const earlier = await loadCohorts({ course: { $in: cohorts.map((c) => c._id.course) } });
+    history = earlier.filter((c) => parseSessionIndex(c._id.session) < latest);
+  }
+
+  const resolver = createGradingSchemeResolver();
+  const summarize = async (cohort) => {
+    const course = courseById.get(String(cohort._id.course));
+    const scheme = await resolver.forProgramme(course?.programme, cohort._id.session);
+    return summarizeScores(cohort.rows, scheme, { bucketSize });
+  };
+
+  const items = [];
+  for (const cohort of cohorts) {
+    const { course: courseId, session, semester, level } = cohort._id;
+    const course = courseById.get(String(courseId));
+    const sessionIndex = parseSessionIndex(session);
+
+    const previous = history
+      .filter((c) =>
+        String(c._id.course) === String(courseId)
+        && c._id.semester === semester
+        && c._id.level === level
+        && parseSessionIndex(c._id.session) < sessionIndex)
+      .sort((a, b) => parseSessionIndex(b._id.session) - parseSessionIndex(a._id.session))
+      .slice(0, compareSessions);
+
+    const stats = await summarize(cohort);
+    const comparison = [];
+    for (const prior of previous) {
+      const priorStats = await summarize(prior);
+      comparison.push({
+        session: prior._id.session,
+        count: priorStats.count,
+        mean: priorStats.mean,
+        median: priorStats.median,
+        passRate: priorStats.passRate,
+        meanChange: stats.mean !== null && priorStats.mean !== null ? round2(stats.mean - priorStats.mean) : null,
+        passRateChange: round2(stats.passRate - priorStats.passRate),
+      });
+    }
+
+    items.push({
+      course: course
+        ? { _id: course._id, code: course.code, title: course.title, unit: course.unit }
+        : { _id: courseId },
+      departmentId: course?.department || null,
+      session,
+      semester,
+      level,
+      ...stats,
+      comparison,
+    });
+  }
+
+  return items.sort((a, b) =>
+    parseSessionIndex(b.session) - parseSessionIndex(a.session)
+    || String(a.level).localeCompare(String(b.level))
+    || a.semester - b.semester
+    || String(a.course.code || '').localeCompare(String(b.course.code || '')));
+};
@@ -0,0 +1,359 @@
+import Student from '../models/student.js';
+import Course from '../models/course.js';
+import CourseRegistration from '../models/courseRegistration.js';
+import Result from '../models/result.js';
+import PassFail from '../models/passFailList.js';
+import { ensureUserCanAccessDepartment } from './accessControl.js';
+import { isPassingGrade, gradeFromScore } from './gradingService.js';
+import { recordResultRevisions, snapshotResult } from './resultRevisionService.js';
+import {
+  checkScoreComponents,
+  describeScoreIssues,
+  resolveAssessmentConfig,
+} from './assessmentService.js';
+import { resultSetsFromResults, runAnomalyChecks } from './resultAnomalyService.js';
+import { resultBeforeImport } from './importBatchService.js';
+import { findLockedTerms, termKey } from './resultLockService.js';
+import { QUESTION_FIELDS } from '../constants/assessmentDefaults.js';
+import { readSpreadsheetRows } from '../utills/spreadsheetReader.js';
+
+// Score fields a CSV row sets on a result; compared when a row would overwrite one.
+const SCORE_FIELDS = [...QUESTION_FIELDS, 'ca', 'totalexam', 'grandtotal', 'grade'];
+
+// Reads a result CSV or XLSX upload into { sheetName, rows, rowNumbers }
+export const readResultFile = (file, { sheet = null } = {}) => readSpreadsheetRows(file, {
+  sheet,
+  mapHeaders: ({ header }) => header.trim(),
+  mapValues: ({ value }) => (typeof value === 'string' ? value.trim() : value),
+});
+
+// The course code is the file name without its extension, e.g. BCH301.csv or BCH301.xlsx
+export const courseCodeFromFileName = (fileName) => String(fileName || '').split('.')[0].toUpperCase();
+
+const pickScores = (doc) => Object.fromEntries(SCORE_FIELDS.map((field) => [field, doc?.[field] ?? null]));
+
+/**
+ * Works out what one CSV file would do without writing anything. Each row lands in exactly
+ * one of `inserts`, `overwrites` (an existing result for the student/course/term, only when
+ * `overwriteExisting` is set) or `failures`; `unregistered` lists accepted rows whose student
+ * has no CourseRegistration for the course and term (a warning, not a failure).
+ * `rowNumbers` / `sheetName` come from readResultFile and locate failures in the file.
+ */
+export const planResultFile = async ({ fileName, sheetName = null, rows, rowNumbers = [], params, lecturer, user, gradingResolver }) => {
+  const { session, semester, date, department, resultType, overwriteExisting } = params;
+  const courseCode = courseCodeFromFileName(fileName);
+  const plan = { fileName, sheetName, courseCode, course: null, inserts: [], overwrites: [], failures: [], unregistered: [] };
+  // Header is line 1 of a CSV; XLSX rows keep their own line numbers
+  const rowNumberOf = (index) => rowNumbers[index] ?? index + 2;
+
+  const course = await Course.findOne({ code: courseCode })
+    .select('_id code title department college programme programmeType assessment');
+  if (!course) {
+    plan.failures.push(...rows.map((row, index) => ({
+      error: `Course with code "${courseCode}" not found.`,
+      code: 'COURSE_NOT_FOUND',
+      rowNumber: rowNumberOf(index),
+      rowData: row,
+      fileName,
+      sheet: sheetName,
+    })));
+    return plan;
+  }
+  plan.course = course;
+
+  ensureUserCanAccessDepartment(user, course.department, course.college);
+  const assessmentConfig = resolveAssessmentConfig(course);
+
+  const regNoSet = new Set();
+  rows.forEach((row) => {
+    const reg = String(row.regNo || '').trim().toUpperCase();
+    if (reg) regNoSet.add(reg);
+  });
+  const uniqueRegNos = Array.from(regNoSet);
+
+  const students = uniqueRegNos.length
+    ? await Student.find({ regNo: { $in: uniqueRegNos } }).select('_id regNo level programme')
+    : [];
+  const studentByReg = new Map(students.map((stu) => [String(stu.regNo).toUpperCase(), stu]));
+
+  let accepted = [];
+  const seenRegNos = new Set();
+
+  for (const [index, row] of rows.entries()) {
+    const rowNumber = rowNumberOf(index);
+    const fail = (code, error, extra = {}) => plan.failures.push({
+      error, code, rowNumber, rowData: row, fileName, sheet: sheetName, ...extra,
+    });
+
+    const regNo = String(row.regNo || '').trim().toUpperCase();
+    if (!regNo) {
+      fail('MISSING_REG_NO', 'Missing registration number in row');
+      continue;
+    }
+    if (seenRegNos.has(regNo)) {
+      fail('DUPLICATE_ROW', `Registration number "${regNo}" appears more than once in ${fileName}.`);
+      continue;
+    }
+    seenRegNos.add(regNo);
+
+    const student = studentByReg.get(regNo);
+    if (!student) {
+      fail('STUDENT_NOT_FOUND', `Student with registration number "${regNo}" not found.`);
+      continue;
+    }
+    if (!student.level) {
+      fail('STUDENT_LEVEL_MISSING', `Student "${regNo}" has no level set on profile.`);
+      continue;
+    }
+
+    const { values, issues } = checkScoreComponents(
+      { ...row, grandtotal: row.grandtotal ?? row.grandTotal },
+      assessmentConfig
+    );
+    if (issues.length) {
+      fail(issues[0].code, `Scores for ${regNo} are inconsistent: ${describeScoreIssues(issues)}`, { issues });
+      continue;
+    }
+
+    const roundScore = (value) => (value === undefined ? null : Math.round(value));
+    const ca = roundScore(values.ca);
+    const totalexam = roundScore(values.totalexam);
+
+    let grandtotal = null;
+    if (ca !== null && totalexam !== null) {
+      grandtotal = ca + totalexam;
+    } else if (values.grandtotal !== undefined) {
+      grandtotal = Math.round(values.grandtotal);
+    }
+    if (grandtotal === null) grandtotal = 0;
+
+    const gradingScheme = await gradingResolver.forProgramme(student.programme, session);
+    const grade = gradeFromScore(grandtotal, gradingScheme);
+
+    accepted.push({
+      data: {
+        student: student._id,
+        course: course._id,
+        lecturer: lecturer._id,
+        session,
+        semester,
+        date,
+        department,
+        level: student.level,
+        resultType,
+        ...Object.fromEntries(
+          QUESTION_FIELDS.filter((field) => values[field] !== undefined).map((field) => [field, values[field]])
+        ),
+        ...(totalexam !== null && { totalexam }),
+        ...(ca !== null && { ca }),
+        grandtotal,
+        grade,
+      },
+      studentId: student._id,
+      regNo,
+      rowNumber,
+      row,
+      passed: isPassingGrade(grade, gradingScheme),
+    });
+  }
+
+  // Rows for Dean-approved terms would change locked results; they need an amendment instead
+  const lockedTerms = await findLockedTerms(accepted.map((item) => item.data));
+  if (lockedTerms.length) {
+    const locked = new Set(lockedTerms.map(termKey));
+    accepted = accepted.filter((item) => {
+      if (!locked.has(termKey(item.data))) return true;
+      plan.failures.push({
+        error: `Results for ${item.regNo} in ${session} semester ${semester} are locked after Dean approval; submit a result amendment instead.`,
+        code: 'RESULT_LOCKED',
+        rowNumber: item.rowNumber,
+        rowData: item.row,
+        fileName,
+        sheet: sheetName,
+      });
+      return false;
+    });
+  }
+
+  if (!accepted.length) {
+    return plan;
+  }
+
+  const studentIds = accepted.map((item) => item.studentId);
+  const [existing, registrations] = await Promise.all([
+    Result.find({ student: { $in: studentIds }, course: course._id, session, semester })
+      .select(['student', 'updatedAt', ...SCORE_FIELDS].join(' '))
+      .lean(),
+    CourseRegistration.find({ course: course._id, session, semester: Number(semester), student: { $in: studentIds } })
+      .select('student')
+      .lean(),
+  ]);
+  const existingByStudent = new Map(existing.map((doc) => [String(doc.student), doc]));
+  const registered = new Set(registrations.flatMap((reg) => (reg.student || []).map(String)));
+
+  const duplicates = [];
+  accepted.forEach((item) => {
+    const current = existingByStudent.get(String(item.studentId));
+    if (current && !overwriteExisting) {
+      duplicates.push(item.regNo);
+      return;
+    }
+    if (!registered.has(String(item.studentId))) {
+      plan.unregistered.push({ regNo: item.regNo, rowNumber: item.rowNumber });
+    }
+    if (current) {
+      const before = pickScores(current);
+      const after = pickScores(item.data);
+      plan.overwrites.push({
+        ...item,
+        resultId: current._id,
+        resultUpdatedAt: current.updatedAt || null,
+        before,
+        after,
+        changedFields: SCORE_FIELDS.filter((field) => String(before[field]) !== String(after[field])),
+      });
+    } else {
+      plan.inserts.push(item);
+    }
+  });
+
+  if (duplicates.length) {
+    plan.failures.push({
+      error: `Duplicate result detected for regNos: ${duplicates.join(', ')}`,
+      code: 'DUPLICATE_RESULT',
+      studentRegNos: duplicates,
+      fileName,
+      sheet: sheetName,
+    });
+  }
+
+  return plan;
+};
+
+/**
+ * Writes a planned file: inserts new results, overwrites existing ones field by field,
+ * records csv_upload revisions, keeps the pass/fail lists in step and runs the anomaly
+ * checks on the touched result sets. With a `recorder` every written result is tagged
+ * with its import batch and the batch keeps what each overwrite replaced.
+ */
+export const applyResultFilePlan = async (plan, { actor, recorder = null }) => {
+  const outcome = { created: [], updated: [], anomalies: [] };
+  const { course, fileName } = plan;
+  if (!course || (!plan.inserts.length && !plan.overwrites.length)) {
+    return outcome;
+  }
+  const { session, semester } = (plan.inserts[0] || plan.overwrites[0]).data;
+  const reason = `Uploaded from ${fileName}`;
+  const importBatch = recorder?.batchId;
+  recorder?.department(course.department);
+
+  if (plan.inserts.length) {
+    outcome.created = await Result.insertMany(
+      plan.inserts.map((item) => ({ ...item.data, ...(importBatch && { importBatch }) })),
+      { ordered: false }
+    );
+    recorder?.created('Result', outcome.created);
+    await recordResultRevisions(
+      outcome.created.map((doc) => ({ before: null, after: snapshotResult(doc) })),
+      { action: 'create', source: 'csv_upload', reason, actor }
+    );
+  }
+
+  if (plan.overwrites.length) {
+    const changes = [];
+    for (const item of plan.overwrites) {
+      const result = await Result.findById(item.resultId);
+      if (!result) continue;
+      const before = snapshotResult(result);
+      recorder?.updated('Result', result, resultBeforeImport(result));
+      [...QUESTION_FIELDS, 'ca', 'totalexam'].forEach((field) => {
+        result[field] = item.data[field];
+      });
+      Object.assign(result, {
+        grandtotal: item.data.grandtotal,
+        grade: item.data.grade,
+        lecturer: item.data.lecturer,
+        date: item.data.date,
+        resultType: item.data.resultType,
+        // A re-upload replaces any moderated score, as a manual edit does
+        moderated: false,
+        moderationStatus: 'none',
+        moderationPendingGrandtotal: undefined,
+        moderationOriginalGrandtotal: undefined,
+        moderationApprovedAt: undefined,
+        moderationRequest: undefined,
+        ...(importBatch && { importBatch }),
+      });
+      const saved = await result.save();
+      outcome.updated.push(saved);
+      changes.push({ before, after: snapshotResult(saved) });
+    }
+    await recordResultRevisions(changes, { action: 'update', source: 'csv_upload', reason, actor });
+  }
+
+  const written = [...plan.inserts, ...plan.overwrites];
+  const passingStudents = written.filter((item) => item.passed).map((item) => item.studentId);
+  const failingStudents = written.filter((item) => !item.passed).map((item) => item.studentId);
+
+  if (passingStudents.length) {
+    await PassFail.updateMany(
+      { course: course._id },
+      { $pull: { fail: { $in: passingStudents } } }
+    );
+  }
+  if (failingStudents.length && plan.overwrites.length) {
+    // An overwritten pass that is now a fail must leave this term's pass list
+    await PassFail.updateOne(
+      { course: course._id, session, semester },
+      { $pull: { pass: { $in: failingStudents } } }
+    );
+  }
+
+  await PassFail.findOneAndUpdate(
+    { course: course._id, session, semester },
+    {
+      $addToSet: {
+        pass: { $each: passingStudents },
+        fail: { $each: failingStudents },
+      },
+    },
+    { upsert: true, new: true }
+  );
+
+  outcome.anomalies = await runAnomalyChecks(resultSetsFromResults([...outcome.created, ...outcome.updated]));
+  return outcome;
+};
+
+// Report shape for a planned file, used by the dry-run preview.
+export const describeFilePlan = (plan) => ({
+  fileName: plan.fileName,
+  sheet: plan.sheetName || null,
+  courseCode: plan.courseCode,
+  course: plan.course ? { _id: plan.course._id, code: plan.course.code, title: plan.course.title } : null,
+  newRows: plan.inserts.map((item) => ({
+    row: item.rowNumber,
+    regNo: item.regNo,
+    ca: item.data.ca ?? null,
+    totalexam: item.data.totalexam ?? null,
+    grandtotal: item.data.grandtotal,
+    grade: item.data.grade,
+  })),
+  overwrites: plan.overwrites.map((item) => ({
+    row: item.rowNumber,
+    regNo: item.regNo,
+    resultId: item.resultId,
+    old: item.before,
+    new: item.after,
+    changedFields: item.changedFields,
+  })),
+  unknownRegNos: plan.failures
+    .filter((failure) => failure.code === 'STUDENT_NOT_FOUND')
+    .map((failure) => ({ row: failure.rowNumber, regNo: String(failure.rowData?.regNo || '').trim().toUpperCase() })),
+  unregistered: plan.unregistered.map((item) => ({ row: item.rowNumber, regNo: item.regNo })),
+  failures: plan.failures.map((failure) => ({
+    row: failure.rowNumber ?? null,
+    code: failure.code || null,
+    error: failure.error,
+    ...(failure.issues ? { issues: failure.issues } : {}),
+  })),
+});
@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+import Result from '../models/result.js';
+import Course from '../models/course.js';
+import Student from '../models/student.js';
+import CourseRegistration from '../models/courseRegistration.js';
+import AcademicMetrics from '../models/academicMetrics.js';
+import calculateAcademicMetrics from '../utills/calculateAcademicMetrics.js';
+import { resolveGradingSchemeForStudent } from './gradingService.js';
+import { withRepeatAttempts } from './repeatAttemptService.js';
+
+const DEFAULT_DEPARTMENT_NAME = 'Biochemistry';
+const DEFAULT_COLLEGE_NAME = 'Biological Science';
+
+// Build attempted courses for a student in a term using registrations ∪ results
+export async function computeAttemptedCourses(studentId, session, semester, level) {
+  const sem = Number(semester);
+  const lvl = String(level);
+  const sid = new mongoose.Types.ObjectId(studentId);
+
+  // All registered courseIds for this student in the term
+  const regAgg = await CourseRegistration.aggregate([
+    { $match: { session, semester: sem, level: lvl } },
+    { $unwind: '$student' },
+    { $match: { student: sid } },
+    { $group: { _id: null, courses: { $addToSet: '$course' } } },
+  ]);
+
+  const regCourseIds = new Set((regAgg[0]?.courses || []).map((id) => String(id)));
+
+  // Existing results for the term (with units)
+  const resDocs = await Result.find({ student: sid, session, semester: sem, level: lvl })
+    .populate('course', 'unit')
+    .lean();
+
+  const byCourse = new Map(
+    resDocs.map((r) => [
+      String(r.course._id),
+      { course: String(r.course._id), unit: Number(r.course.unit) || 0, grade: String(r.grade || 'F') },
+    ])
+  );
+
+  // Missing courses (registered but no score)
+  const missingIds = [...regCourseIds].filter((cid) => !byCourse.has(cid));
+  let missingCourses = [];
+  if (missingIds.length) {
+    missingCourses = await Course.find({ _id: { $in: missingIds } }).select('_id unit').lean();
+  }
+  const infoById = new Map(missingCourses.map((c) => [String(c._id), Number(c.unit) || 0]));
+
+  const attempted = [];
+
+  // Count every registered course (results first, else F)
+  for (const cid of regCourseIds) {
+    if (byCourse.has(cid)) {
+      attempted.push(byCourse.get(cid));
+    } else {
+      attempted.push({ course: cid, unit: infoById.get(cid) || 0, grade: 'F' });
+    }
+  }
+
+  // If somehow there is a result but no registration row, count the result (safety)
+  if (!regCourseIds.size) {
+    for (const v of byCourse.values()) attempted.push(v);
+  }
+
+  // Tag retaken courses so the grading scheme's repeat policy can be applied
+  return withRepeatAttempts(attempted, sid, session, sem);
+}
+
+/**
+ * Recomputes and stores (or removes, when nothing was attempted) the AcademicMetrics
+ * row for one student-term, the same way the result edit/delete handlers do.
+ * Pass `gradingResolver` when recomputing many terms in one request.
+ */
+export async function recomputeStudentTermMetrics({ student, session, semester, level, gradingResolver = null }) {
+  const sem = Number(semester);
+  const attempted = await computeAttemptedCourses(student, session, sem, level);
+  const filter = { student, session, semester: sem, level: Number(level) };
+
+  if (!attempted.length) {
+    await AcademicMetrics.deleteOne(filter);
+    return null;
+  }
+
+  const previousMetricsDoc = await AcademicMetrics.findOne({
+    student,
+    $or: [{ session: { $lt: session } }, { session, semester: { $lt: sem } }],
+  }).sort({ session: -1, semester: -1, level: -1 }).lean();
+
+  const previousMetrics = previousMetricsDoc ? {
+    CCC: previousMetricsDoc.CCC, CCE: previousMetricsDoc.CCE,
+    CPE: previousMetricsDoc.CPE, CGPA: previousMetricsDoc.CGPA,
+  } : { CCC: 0, CCE: 0, CPE: 0, CGPA: 0 };
+
+  const gradingScheme = gradingResolver
+    ? await gradingResolver.forStudent(student, session)
+    : await resolveGradingSchemeForStudent(student, session);
+  const current = calculateAcademicMetrics(attempted, previousMetrics, gradingScheme);
+
+  const studentDoc = await Student.findById(student)
+    .populate('department', 'name')
+    .populate('college', 'name')
+    .select('_id department college')
+    .lean();
+
+  return AcademicMetrics.findOneAndUpdate(
+    filter,
+    {
+      ...current,
+      previousMetrics,
+      department: studentDoc?.department?.name || DEFAULT_DEPARTMENT_NAME,
+      college: studentDoc?.college?.name || DEFAULT_COLLEGE_NAME,
+      lastUpdated: new Date(),
+    },
+    { upsert: true, new: true }
+  );
+}
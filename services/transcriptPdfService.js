@@ -0,0 +1,152 @@
+import PDFDocument from 'pdfkit';
+import { SEMESTER_LABELS, TRANSCRIPT_TITLE } from '../constants/transcriptDefaults.js';
+import { collectPdf, stampPageFooters } from '../utills/pdfHelpers.js';
+
+const PAGE_MARGIN = 50;
+const FOOTER_HEIGHT = 30;
+const ROW_PADDING = 3;
+
+// Course table columns; widths add up to the A4 text width (595 - 2 * margin)
+const COLUMNS = [
+  { key: 'code', label: 'Code', width: 75 },
+  { key: 'title', label: 'Course Title', width: 250 },
+  { key: 'unit', label: 'Unit', width: 50, align: 'center' },
+  { key: 'grade', label: 'Grade', width: 50, align: 'center' },
+  { key: 'gradePoint', label: 'Grade Point', width: 70, align: 'center' },
+];
+
+const fixed2 = (value) => (Number(value) || 0).toFixed(2);
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Renders transcript data (see buildTranscriptData) as an A4 PDF. Terms run on across
+ * pages; a course table split by a page break repeats its header, and every page carries
+ * the serial number and "Page x of y". Resolves to { buffer, pageCount }.
+ */
+export const renderTranscriptPdf = async (data, { serialNumber, issuedAt, issuedBy = '' }) => {
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, bufferPages: true });
+  const output = collectPdf(doc);
+  doc.info.Title = `${TRANSCRIPT_TITLE} - ${data.student.regNo}`;
+
+  const left = PAGE_MARGIN;
+  const width = doc.page.width - 2 * PAGE_MARGIN;
+  const bottom = () => doc.page.height - PAGE_MARGIN - FOOTER_HEIGHT;
+  const ensureSpace = (height) => {
+    if (doc.y + height > bottom()) {
+      doc.addPage();
+      return true;
+    }
+    return false;
+  };
+
+  // --- Header and student particulars ---------------------------------------
+  doc.font('Helvetica-Bold').fontSize(15).text(TRANSCRIPT_TITLE.toUpperCase(), left, doc.y, { width, align: 'center' });
+  doc.font('Helvetica').fontSize(10);
+  [data.student.college, data.student.department].filter(Boolean).forEach((line) => {
+    doc.text(line, { width, align: 'center' });
+  });
+  doc.moveDown();
+
+  const particulars = [
+    ['Name', data.student.name],
+    ['Registration No.', data.student.regNo],
+    ['Programme', data.student.programme],
+    ['Serial No.', serialNumber],
+    ['Date of Issue', formatDate(issuedAt)],
+  ];
+  particulars.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font('Helvetica-Bold').text(`${label}:`, left, y, { width: 110 });
+    doc.font('Helvetica').text(value || '-', left + 110, y, { width: width - 110 });
+  });
+  doc.moveDown();
+
+  // --- Terms ----------------------------------------------------------------
+  const rowHeight = (row) => Math.max(...COLUMNS.map((column) =>
+    doc.heightOfString(String(row[column.key] ?? ''), { width: column.width - 2 * ROW_PADDING })
+  )) + 2 * ROW_PADDING;
+
+  const drawRow = (row, { bold = false } = {}) => {
+    const height = rowHeight(row);
+    const y = doc.y;
+    let x = left;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    COLUMNS.forEach((column) => {
+      doc.text(String(row[column.key] ?? ''), x + ROW_PADDING, y + ROW_PADDING, {
+        width: column.width - 2 * ROW_PADDING,
+        align: column.align || 'left',
+      });
+      x += column.width;
+    });
+    doc.moveTo(left, y + height).lineTo(left + width, y + height).lineWidth(0.5).stroke();
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  const headerRow = Object.fromEntries(COLUMNS.map((column) => [column.key, column.label]));
+
+  data.terms.forEach((term) => {
+    const heading = `${term.session} Session - ${SEMESTER_LABELS[term.semester] || `Semester ${term.semester}`}`
+      + (term.level ? ` (${term.level} Level)` : '');
+
+    doc.fontSize(9);
+    // Keep the heading with the table header and at least one course
+    ensureSpace(60);
+    doc.font('Helvetica-Bold').fontSize(11).text(heading, left, doc.y, { width });
+    doc.moveDown(0.3);
+    doc.fontSize(9);
+    drawRow(headerRow, { bold: true });
+
+    if (!term.courses.length) {
+      doc.font('Helvetica-Oblique').text('Course breakdown not available for this term.', left + ROW_PADDING, doc.y + ROW_PADDING, { width });
+    }
+    term.courses.forEach((course) => {
+      const row = { ...course, code: course.repeat ? `${course.code} *` : course.code };
+      if (ensureSpace(rowHeight(row))) {
+        doc.font('Helvetica-Oblique').fontSize(9).text(`${heading} (continued)`, left, doc.y, { width });
+        doc.moveDown(0.3);
+        drawRow(headerRow, { bold: true });
+      }
+      drawRow(row);
+    });
+
+    ensureSpace(40);
+    doc.moveDown(0.4);
+    doc.font('Helvetica-Bold').fontSize(9)
+      .text(`GPA: ${fixed2(term.GPA)}`, left, doc.y, { continued: true })
+      .font('Helvetica')
+      .text(`   (Units taken ${term.TCC}, units passed ${term.TCE}, points earned ${term.TPE})`);
+    doc.font('Helvetica-Bold')
+      .text(`CGPA: ${fixed2(term.CGPA)}`, left, doc.y, { continued: true })
+      .font('Helvetica')
+      .text(`   (Units taken ${term.CCC}, units passed ${term.CCE}, points earned ${term.CPE})`);
+    doc.moveDown();
+  });
+
+  // --- Summary --------------------------------------------------------------
+  ensureSpace(70);
+  doc.font('Helvetica-Bold').fontSize(11).text(`Cumulative GPA: ${fixed2(data.degreeClass.cgpa)}`, left, doc.y, { width });
+  doc.text(
+    `Class of Degree: ${data.degreeClass.label || 'Unclassified'}${data.degreeClass.final ? '' : ' (provisional)'}`,
+    { width }
+  );
+  doc.moveDown(0.5);
+  doc.font('Helvetica').fontSize(8);
+  if (data.terms.some((term) => term.courses.some((course) => course.repeat))) {
+    doc.text('* Course retaken after an earlier attempt.', { width });
+  }
+  doc.text('Only results approved by the Dean are shown on this transcript.', { width });
+  if (issuedBy) {
+    doc.text(`Issued by ${issuedBy}.`, { width });
+  }
+
+  const pageCount = stampPageFooters(
+    doc,
+    (page, count) => `Serial No. ${serialNumber}    Page ${page} of ${count}`,
+    { margin: PAGE_MARGIN }
+  );
+
+  doc.end();
+  return { buffer: await output, pageCount };
+};
@@ -0,0 +1,209 @@
+import crypto from 'crypto';
+import AcademicMetrics from '../models/academicMetrics.js';
+import Counter from '../models/counter.js';
+import Course from '../models/course.js';
+import Student from '../models/student.js';
+import Transcript from '../models/transcript.js';
+import { ensureResourceMatchesUserScope } from './accessControl.js';
+import { createGradingSchemeResolver, findGradeBand } from './gradingService.js';
+import { classifyCGPA, rawCgpaFromMetrics, resolveDegreeClassScheme } from './degreeClassificationService.js';
+import { computeAttemptedCourses } from './termMetricsService.js';
+import { renderTranscriptPdf } from './transcriptPdfService.js';
+import { compareTerms } from '../utills/sessionOrder.js';
+import { TRANSCRIPT_SERIAL_DIGITS, TRANSCRIPT_SERIAL_PREFIX } from '../constants/transcriptDefaults.js';
+
+const httpError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const studentName = (student) =>
+  [student?.surname, student?.firstname, student?.middlename].filter(Boolean).join(' ');
+
+const loadTranscriptStudent = async (studentId) => {
+  const student = await Student.findById(studentId)
+    .select('surname firstname middlename regNo level status college department programme graduation')
+    .populate('college', 'name')
+    .populate('department', 'name')
+    .populate('programme', 'name degreeType')
+    .lean();
+  if (!student) {
+    throw httpError('Student not found.', 404);
+  }
+  return student;
+};
+
+/**
+ * Everything a transcript prints for one student: the Dean-approved terms in order, each
+ * with its courses (the same attempted set the term's GPA was computed from) and GPA/CGPA
+ * lines, then the degree class. A finalized graduation class is used as is; otherwise the
+ * class the latest approved CGPA falls in is shown as provisional.
+ */
+export const buildTranscriptData = async (student) => {
+  const metrics = await AcademicMetrics.find({ student: student._id, 'deanApproval.approved': true })
+    .select('session semester level TCC TCE TPE GPA CCC CCE CPE CGPA')
+    .lean();
+  if (!metrics.length) {
+    throw httpError('This student has no Dean-approved results to put on a transcript.', 409);
+  }
+  metrics.sort(compareTerms);
+
+  const attemptedByTerm = [];
+  for (const term of metrics) {
+    attemptedByTerm.push(await computeAttemptedCourses(student._id, term.session, term.semester, term.level));
+  }
+
+  const courseIds = [...new Set(attemptedByTerm.flat().map((entry) => String(entry.course)))];
+  const courses = courseIds.length
+    ? await Course.find({ _id: { $in: courseIds } }).select('code title unit').lean()
+    : [];
+  const courseById = new Map(courses.map((course) => [String(course._id), course]));
+
+  const grading = createGradingSchemeResolver();
+  const terms = [];
+  for (const [index, term] of metrics.entries()) {
+    const scheme = await grading.forProgramme(student.programme?._id, term.session);
+    const rows = attemptedByTerm[index].map((entry) => {
+      const course = courseById.get(String(entry.course));
+      return {
+        code: course?.code || '',
+        title: course?.title || '',
+        unit: entry.unit,
+        grade: entry.grade,
+        gradePoint: findGradeBand(entry.grade, scheme)?.gradePoint ?? 0,
+        repeat: Boolean(entry.repeat),
+      };
+    });
+    rows.sort((a, b) => a.code.localeCompare(b.code));
+
+    terms.push({
+      session: term.session,
+      semester: term.semester,
+      level: term.level,
+      courses: rows,
+      TCC: term.TCC,
+      TCE: term.TCE,
+      TPE: term.TPE,
+      GPA: term.GPA,
+      CCC: term.CCC,
+      CCE: term.CCE,
+      CPE: term.CPE,
+      CGPA: term.CGPA,
+    });
+  }
+
+  const latest = metrics[metrics.length - 1];
+  let degreeClass;
+  if (student.graduation?.degreeClass) {
+    degreeClass = {
+      code: student.graduation.degreeClass,
+      label: student.graduation.degreeClassLabel || '',
+      cgpa: student.graduation.finalCGPA ?? latest.CGPA,
+      final: true,
+    };
+  } else {
+    const scheme = await resolveDegreeClassScheme(student.programme?._id, latest.session);
+    const classification = classifyCGPA(rawCgpaFromMetrics(latest), scheme);
+    degreeClass = {
+      code: classification.code,
+      label: classification.label,
+      cgpa: classification.cgpa,
+      final: false,
+    };
+  }
+
+  return {
+    student: {
+      id: student._id,
+      name: studentName(student),
+      regNo: student.regNo,
+      level: student.level,
+      status: student.status,
+      college: student.college?.name || '',
+      department: student.department?.name || '',
+      programme: student.programme?.name || '',
+      degreeType: student.programme?.degreeType || '',
+    },
+    terms,
+    degreeClass,
+  };
+};
+
+const isDuplicateKeyError = (err) => err?.code === 11000;
+
+// TR-2026-000042; the running number restarts each year
+const nextTranscriptSerial = async (issuedAt) => {
+  const year = issuedAt.getFullYear();
+  const key = `transcript-serial:${year}`;
+  let counter;
+  try {
+    counter = await Counter.findOneAndUpdate({ key }, { $inc: { seq: 1 } }, { upsert: true, new: true });
+  } catch (err) {
+    // Two first-of-the-year issues raced to create the counter; the loser just increments
+    if (!isDuplicateKeyError(err)) throw err;
+    counter = await Counter.findOneAndUpdate({ key }, { $inc: { seq: 1 } }, { new: true });
+  }
+  return `${TRANSCRIPT_SERIAL_PREFIX}-${year}-${String(counter.seq).padStart(TRANSCRIPT_SERIAL_DIGITS, '0')}`;
+};
+
+/**
+ * Builds and renders a student's transcript and records it under a new serial number.
+ * Resolves to { transcript, pdf } where pdf is the Buffer to send.
+ */
+export const issueTranscript = async ({ studentId, user, purpose = '' }) => {
+  const student = await loadTranscriptStudent(studentId);
+  ensureResourceMatchesUserScope(user, student);
+
+  const data = await buildTranscriptData(student);
+  const issuedAt = new Date();
+  const serialNumber = await nextTranscriptSerial(issuedAt);
+  const { buffer, pageCount } = await renderTranscriptPdf(data, {
+    serialNumber,
+    issuedAt,
+    issuedBy: user?.email || '',
+  });
+
+  const transcript = await Transcript.create({
+    serialNumber,
+    student: student._id,
+    regNo: student.regNo,
+    studentName: data.student.name,
+    college: student.college?._id,
+    department: student.department?._id,
+    programme: student.programme?._id,
+    terms: data.terms.map((term) => ({
+      session: term.session,
+      semester: term.semester,
+      level: term.level,
+      courseCount: term.courses.length,
+      GPA: term.GPA,
+      CGPA: term.CGPA,
+    })),
+    finalCGPA: data.degreeClass.cgpa,
+    degreeClass: data.degreeClass.code,
+    degreeClassLabel: data.degreeClass.label,
+    degreeClassFinal: data.degreeClass.final,
+    pageCount,
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+    issuedBy: user?.id,
+    issuedByEmail: user?.email || '',
+    purpose,
+  });
+
+  return { transcript, pdf: buffer };
+};
+
+export const serializeTranscript = (transcript) => ({
+  id: transcript._id,
+  serialNumber: transcript.serialNumber,
+  student: transcript.student,
+  regNo: transcript.regNo,
+  studentName: transcript.studentName,
+  terms: transcript.terms || [],
+  finalCGPA: transcript.finalCGPA ?? null,
+  degreeClass: transcript.degreeClass,
+  degreeClassLabel: transcript.degreeClassLabel,
+  degreeClassFinal: Boolean(transcript.degreeClassFinal),
+  pageCount: transcript.pageCount,
+  sha256: transcript.sha256,
+  issuedByEmail: transcript.issuedByEmail,
+  purpose: transcript.purpose,
+  issuedAt: transcript.createdAt,
+});
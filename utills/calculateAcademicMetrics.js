@@ -1,7 +1,14 @@
-function calculateAcademicMetrics(courses, previousData = {}) {
-  const gradePoints = { A: 5, B: 4, C: 3, D: 2, E: 1, F: 0 };
-  const PASS_GRADES = new Set(['A', 'B', 'C', 'D', 'E']);
-  const VALID_GRADES = new Set(['A', 'B', 'C', 'D', 'E', 'F']); // ignore W, I, -, etc.
+import { DEFAULT_GRADING_BANDS, DEFAULT_REPEAT_POLICY } from '../constants/gradingDefaults.js';
+
+// `scheme` is the GradingScheme in force for the term; its bands supply grade points and pass flags,
+// and its repeatPolicy decides how courses tagged with `repeat` (see services/repeatAttemptService.js)
+// affect the cumulative totals.
+function calculateAcademicMetrics(courses, previousData = {}, scheme = null) {
+  const bands = scheme?.bands?.length ? scheme.bands : DEFAULT_GRADING_BANDS;
+  const repeatPolicy = scheme?.repeatPolicy?.mode ? scheme.repeatPolicy : DEFAULT_REPEAT_POLICY;
+  const gradePoints = Object.fromEntries(bands.map((band) => [band.grade, Number(band.gradePoint) || 0]));
+  const PASS_GRADES = new Set(bands.filter((band) => band.isPass).map((band) => band.grade));
+  const VALID_GRADES = new Set(bands.map((band) => band.grade)); // ignore W, I, -, etc.
 
   // Normalize a unit value into a safe number (handles strings, commas, spaces)
   const toUnit = (val) => {
@@ -16,6 +23,9 @@ function calculateAcademicMetrics(courses, previousData = {}) {
   };
 
   const currentSemester = { TCC: 0, TCE: 0, TPE: 0 };
+  // Earlier attempts taken back out of the cumulative totals under replace_failed
+  const replaced = { CCC: 0, CPE: 0 };
+  const repeatedCourses = [];
 
   for (const course of (courses || [])) {
     const unit = toUnit(course?.unit ?? course?.units ?? course?.credit ?? 0);
@@ -24,11 +34,47 @@ function calculateAcademicMetrics(courses, previousData = {}) {
     // Skip entries that aren't real graded courses or have zero unit
     if (!VALID_GRADES.has(grade) || unit <= 0) continue;
 
-    const point = gradePoints[grade]; // 0..5
+    let countedGrade = grade;
+    const previous = course?.repeat?.previous || null;
+    let previousCounted = true;
+
+    if (previous) {
+      const previousGrade = String(previous.grade || '').trim().toUpperCase();
+      if (
+        repeatPolicy.mode === 'cap_carryover' &&
+        VALID_GRADES.has(repeatPolicy.capGrade) &&
+        gradePoints[grade] > gradePoints[repeatPolicy.capGrade]
+      ) {
+        countedGrade = repeatPolicy.capGrade;
+      }
+      if (repeatPolicy.mode === 'replace_failed' && VALID_GRADES.has(previousGrade) && !PASS_GRADES.has(previousGrade)) {
+        replaced.CCC += unit;
+        replaced.CPE += unit * gradePoints[previousGrade];
+        previousCounted = false;
+      }
+    }
+
+    const point = gradePoints[countedGrade]; // 0..5 under the default scheme
 
     currentSemester.TCC += unit;          // total credits carried (attempted this sem)
     currentSemester.TPE += unit * point;  // total points earned (this sem)
     if (PASS_GRADES.has(grade)) currentSemester.TCE += unit; // credits earned (passed)
+
+    if (previous) {
+      repeatedCourses.push({
+        course: course.course || null,
+        attempt: Number(course.repeat.attempt) || 2,
+        grade,
+        countedGrade,
+        previousAttempt: {
+          session: previous.session || '',
+          semester: Number(previous.semester) || null,
+          grade: String(previous.grade || '').toUpperCase(),
+          counted: previousCounted,
+        },
+        policy: repeatPolicy.mode,
+      });
+    }
   }
 
   const GPAraw = currentSemester.TCC > 0 ? currentSemester.TPE / currentSemester.TCC : 0;
@@ -40,9 +86,9 @@ function calculateAcademicMetrics(courses, previousData = {}) {
   };
 
   const cumulative = {
-    CCC: currentSemester.TCC + safePrevious.CCC,
+    CCC: Math.max(0, currentSemester.TCC + safePrevious.CCC - replaced.CCC),
     CCE: currentSemester.TCE + safePrevious.CCE,
-    CPE: currentSemester.TPE + safePrevious.CPE,
+    CPE: Math.max(0, currentSemester.TPE + safePrevious.CPE - replaced.CPE),
   };
 
   const CGPAraw = cumulative.CCC > 0 ? cumulative.CPE / cumulative.CCC : 0;
@@ -55,6 +101,7 @@ function calculateAcademicMetrics(courses, previousData = {}) {
     ...cumulative,
     GPA: round2(GPAraw),
     CGPA: round2(CGPAraw),
+    repeatedCourses,
   };
 }
 
@@ -0,0 +1,34 @@
+/** ---------------------------
+ * pdfkit helpers shared by the generated documents (transcripts, broadsheets)
+ * ----------------------------
+ */
+
+// Resolves with the whole PDF once the document has been ended
+export const collectPdf = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+});
+
+/**
+ * Writes one centred line at the foot of every page; `textFor(pageNumber, pageCount)`
+ * gives the line. The document must be created with bufferPages: true. Returns the page count.
+ */
+export const stampPageFooters = (doc, textFor, { margin = 50, fontSize = 8 } = {}) => {
+  const { start, count } = doc.bufferedPageRange();
+  for (let index = start; index < start + count; index += 1) {
+    doc.switchToPage(index);
+    // Writing inside the bottom margin would otherwise make pdfkit start a new page
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(fontSize).text(
+      textFor(index - start + 1, count),
+      margin,
+      doc.page.height - margin,
+      { width: doc.page.width - 2 * margin, align: 'center', lineBreak: false }
+    );
+    doc.page.margins.bottom = bottom;
+  }
+  return count;
+};
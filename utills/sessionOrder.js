@@ -0,0 +1,40 @@
+/** ---------------------------
+ * Session helpers (dynamic)
+ * ----------------------------
+ * Sessions look like "2023/2024".
+ * We derive a sortable numeric index from the first year (e.g., 2023).
+ */
+export function parseSessionIndex(session) {
+  const s = String(session || '').trim();
+  const m = /^(\d{4})\s*\/\s*(\d{4})$/.exec(s);
+  return m ? parseInt(m[1], 10) : Number.NEGATIVE_INFINITY; // push malformed to the far past
+}
+
+export function isBeforeTerm(aSession, aSem, bSession, bSem) {
+  const ai = parseSessionIndex(aSession);
+  const bi = parseSessionIndex(bSession);
+  if (ai !== bi) return ai < bi;
+  return Number(aSem) < Number(bSem);
+}
+
+// Array.sort comparator for { session, semester } rows, oldest term first
+export function compareTerms(a, b) {
+  const ai = parseSessionIndex(a?.session);
+  const bi = parseSessionIndex(b?.session);
+  if (ai !== bi) return ai - bi;
+  return Number(a?.semester || 0) - Number(b?.semester || 0);
+}
+
+// Latest policy row whose effectiveFromSession is at or before `session` (null when none applies)
+export function pickEffectiveForSession(items, session, field = 'effectiveFromSession') {
+  const target = parseSessionIndex(session);
+  let best = null;
+  for (const item of items || []) {
+    const idx = parseSessionIndex(item?.[field]);
+    if (idx > target) continue;
+    if (!best || idx > parseSessionIndex(best[field])) {
+      best = item;
+    }
+  }
+  return best;
+}
@@ -0,0 +1,147 @@
+/** ---------------------------
+ * Spreadsheet reading for bulk uploads
+ * ----------------------------
+ * CSV and XLSX files are read into the same row objects (header -> string value), so the
+ * uploaders apply one set of header mapping and validation whatever the file type.
+ * Every row comes with the line it was read from, so errors can point at the sheet and row.
+ */
+import csvParser from 'csv-parser';
+import stream from 'stream';
+import ExcelJS from 'exceljs';
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const keepHeader = ({ header }) => header;
+const keepValue = ({ value }) => value;
+
+const spreadsheetError = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+export function isXlsxFile(file) {
+  return file?.mimetype === XLSX_MIME_TYPE || /\.xlsx$/i.test(file?.originalname || '');
+}
+
+export function isCsvFile(file) {
+  return file?.mimetype === 'text/csv' || /\.csv$/i.test(file?.originalname || '');
+}
+
+// multer fileFilter shared by the bulk uploaders
+export function spreadsheetFileFilter(req, file, cb) {
+  if (isCsvFile(file) || isXlsxFile(file)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only CSV or XLSX files are allowed!'), false);
+  }
+}
+
+function readCsvRows(buffer, { mapHeaders, mapValues }) {
+  const bufferStream = new stream.PassThrough();
+  bufferStream.end(buffer);
+
+  const rows = [];
+  return new Promise((resolve, reject) => {
+    bufferStream
+      .pipe(csvParser({ separator: ',', mapHeaders, mapValues }))
+      .on('data', (row) => rows.push(row))
+      .on('end', () => resolve({
+        sheetName: null,
+        rows,
+        // Header is line 1
+        rowNumbers: rows.map((row, index) => index + 2),
+      }))
+      .on('error', reject);
+  });
+}
+
+// Cell value as the text a CSV export of the sheet would hold
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if ('result' in value) return cellText(value.result); // formula
+    if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join('');
+    if ('text' in value) return cellText(value.text); // hyperlink
+    if ('error' in value) return '';
+  }
+  return String(value);
+}
+
+/**
+ * Picks a worksheet by name (case-insensitive) or by 1-based position; the first sheet
+ * when none is asked for.
+ */
+function pickWorksheet(workbook, sheet) {
+  const sheets = workbook.worksheets;
+  if (!sheets.length) {
+    throw spreadsheetError('The workbook has no sheets.');
+  }
+
+  const wanted = String(sheet ?? '').trim();
+  if (!wanted) return sheets[0];
+
+  const byName = sheets.find((ws) => ws.name.trim().toLowerCase() === wanted.toLowerCase());
+  if (byName) return byName;
+  if (/^\d+$/.test(wanted) && sheets[Number(wanted) - 1]) {
+    return sheets[Number(wanted) - 1];
+  }
+
+  throw spreadsheetError(
+    `Sheet "${wanted}" not found. Available sheets: ${sheets.map((ws) => ws.name).join(', ')}.`
+  );
+}
+
+async function readXlsxRows(buffer, { sheet, mapHeaders, mapValues }) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (err) {
+    throw spreadsheetError(`Unable to read XLSX file: ${err.message}`);
+  }
+  const worksheet = pickWorksheet(workbook, sheet);
+
+  const rows = [];
+  const rowNumbers = [];
+  let headers = null; // column number -> mapped header
+
+  // The first non-empty row holds the headers; empty rows below it are skipped
+  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    if (!headers) {
+      headers = [];
+      row.eachCell({ includeEmpty: false }, (cell, column) => {
+        const header = cellText(cell.value);
+        if (header.trim()) {
+          headers[column] = mapHeaders({ header, index: column - 1 });
+        }
+      });
+      return;
+    }
+
+    const record = {};
+    let hasValue = false;
+    headers.forEach((header, column) => {
+      if (header === undefined || header === null) return;
+      const value = mapValues({ header, index: column - 1, value: cellText(row.getCell(column).value) });
+      if (value !== '') hasValue = true;
+      record[header] = value;
+    });
+    if (!hasValue) return;
+
+    rows.push(record);
+    rowNumbers.push(rowNumber);
+  });
+
+  return { sheetName: worksheet.name, rows, rowNumbers };
+}
+
+/**
+ * Reads an uploaded CSV or XLSX file (multer file object) into row objects.
+ * `mapHeaders` / `mapValues` take the same ({ header, index, value }) arguments as
+ * csv-parser's options. `sheet` picks the worksheet of an XLSX file and is ignored for CSV.
+ * Resolves to { sheetName, rows, rowNumbers } where rowNumbers[i] is the line rows[i] was
+ * read from; sheetName is null for CSV.
+ */
+export async function readSpreadsheetRows(file, { sheet = null, mapHeaders = keepHeader, mapValues = keepValue } = {}) {
+  if (isXlsxFile(file)) {
+    return readXlsxRows(file.buffer, { sheet, mapHeaders, mapValues });
+  }
+  return readCsvRows(file.buffer, { mapHeaders, mapValues });
+}